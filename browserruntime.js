@@ -0,0 +1,317 @@
+/**
+ * ScraperJS Copyright (C) 2011-2012 365multimedia.com
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+goog.provide('tmc.scraperjs.BrowserRuntime');
+
+goog.require('goog.events');
+goog.require('goog.net.EventType');
+goog.require('goog.net.XhrIo');
+goog.require('goog.string');
+goog.require('tmc.scraperjs.Response');
+goog.require('tmc.scraperjs.Runtime');
+
+
+/**
+ * Runtime used when ScraperJS runs as a bookmarklet: documents are fetched with
+ * <code>goog.net.XhrIo</code> and results are written into the page.
+ *
+ * @constructor
+ * @implements {tmc.scraperjs.Runtime}
+ */
+tmc.scraperjs.BrowserRuntime = function() {
+};
+
+
+/**
+ * Name of the IndexedDB database states are saved to.
+ *
+ * @type {!string}
+ * @const
+ */
+tmc.scraperjs.BrowserRuntime.DB_NAME = 'scraperjs';
+
+
+/**
+ * Name of the IndexedDB object store states are saved to.
+ *
+ * @type {!string}
+ * @const
+ */
+tmc.scraperjs.BrowserRuntime.STORE_NAME = 'states';
+
+
+/**
+ * Clears all (<code>setTimeout</code> and <code>setInterval</code>) timers so as to prevent
+ * unwanted <code>window.location</code> changes and refreshes.
+ * Inspired by {@link http://userscripts.org/scripts/review/12732}
+ *
+ * @param {!Object} objWindow object holding the timers (typically window).
+ */
+tmc.scraperjs.BrowserRuntime.clearAllTimers = function(objWindow) {
+    var id;
+    var minId;
+
+    // Clears setTimeout timers
+    id = objWindow.setTimeout(function(){}, 60000);     // Gets the last setTimeout timer id
+    console.log("Last setTimeout id: " + id);
+    minId = Math.max(0, id - 99999999);                 // Limits the number of loops to something reasonable
+
+    for (; id >= minId; id--) {                         // Starts with the newest timer and go down
+        try {
+            objWindow.clearTimeout(id);
+        }
+        catch (e) {                                     // Ignores errors
+        }
+    }
+
+    // Clears setInterval timers
+    id = objWindow.setInterval(function(){}, 60000);    // Gets the last setInterval timer id
+    console.log("Last setInterval id: " + id);
+    minId = Math.max(0, id - 99999999);                 // Limits the number of loops to something reasonable
+
+    for (; id >= minId; id--) {                         // Starts with the newest timer and go down
+        try {
+            objWindow.clearInterval(id);
+        }
+        catch (e) {                                     // Ignores errors
+        }
+    }
+};
+
+
+/**
+ * @inheritDoc
+ */
+tmc.scraperjs.BrowserRuntime.prototype.getSeedUrl = function() {
+    return window.location.href;
+};
+
+
+/**
+ * @inheritDoc
+ */
+tmc.scraperjs.BrowserRuntime.prototype.prepare = function() {
+    tmc.scraperjs.BrowserRuntime.clearAllTimers(window);
+};
+
+
+/**
+ * @inheritDoc
+ *
+ * Redirects are followed transparently by the browser: responses hold none (see <code>getRedirects</code>).
+ */
+tmc.scraperjs.BrowserRuntime.prototype.fetch = function(url, timeout, callback, opt_binary, opt_method) {
+    var xhr = new goog.net.XhrIo();
+
+    goog.events.listenOnce(xhr, goog.net.EventType.COMPLETE, function() {
+        var headers = tmc.scraperjs.Response.parseHeaders(xhr.getAllResponseHeaders());
+        var buffer;
+
+        if (opt_binary) {
+            buffer = xhr.getResponse();
+            callback(new tmc.scraperjs.Response(
+                xhr.getLastUri(),
+                xhr.getStatus(),
+                null,                                   // Decoded from the bytes when needed
+                headers,
+                buffer ? new Uint8Array(/** @type {!ArrayBuffer} */ (buffer)) : new Uint8Array(0),
+                xhr.getLastErrorCode()));
+        }
+        else {
+            callback(new tmc.scraperjs.Response(
+                xhr.getLastUri(),
+                xhr.getStatus(),
+                xhr.getResponseText(),
+                headers,
+                undefined,
+                xhr.getLastErrorCode()));
+        }
+        xhr.dispose();
+    });
+
+    if (opt_binary) {
+        xhr.setResponseType(goog.net.XhrIo.ResponseType.ARRAY_BUFFER);
+    }
+    xhr.setTimeoutInterval(timeout);
+    xhr.send(url, opt_method || 'GET');
+};
+
+
+/**
+ * @inheritDoc
+ */
+tmc.scraperjs.BrowserRuntime.prototype.decompress = function(bytes, format, callback) {
+    var stream;
+
+    if (typeof window['DecompressionStream'] !== 'function') {
+        callback(null);                                 // Not supported by this browser
+        return;
+    }
+
+    stream = new Blob([bytes])['stream']()['pipeThrough'](new window['DecompressionStream'](format));
+    new window['Response'](stream).arrayBuffer().then(
+        function(buffer) {
+            callback(new Uint8Array(buffer));
+        },
+        function() {
+            callback(null);
+        });
+};
+
+
+/**
+ * @inheritDoc
+ */
+tmc.scraperjs.BrowserRuntime.prototype.parseDocument = function(content, mimeType) {
+    var type = /xml/.test(mimeType) ? 'application/xml' : 'text/html';
+
+    return new DOMParser().parseFromString(content, type);
+};
+
+
+/**
+ * @inheritDoc
+ */
+tmc.scraperjs.BrowserRuntime.prototype.output = function(record) {
+    var text = (record['value'] !== undefined) ? String(record['value']) : JSON.stringify(record);
+
+    document.write(goog.string.htmlEscape(text) + '</br>');
+};
+
+
+/**
+ * @inheritDoc
+ */
+tmc.scraperjs.BrowserRuntime.prototype.download = function(filename, mimeType, content) {
+    var blob = new Blob([content], {type: mimeType});
+    var url = window.URL.createObjectURL(blob);
+    var anchor = document.createElement('a');
+
+    anchor.href = url;
+    anchor.download = filename;
+    document.body.appendChild(anchor);
+    anchor.click();
+    document.body.removeChild(anchor);
+    window.setTimeout(function() {                      // Revokes once the download has been started
+        window.URL.revokeObjectURL(url);
+    }, 1000);
+};
+
+
+/**
+ * @inheritDoc
+ *
+ * States are saved to IndexedDB (localStorage when IndexedDB is not available, which limits their size).
+ */
+tmc.scraperjs.BrowserRuntime.prototype.saveState = function(name, content, callback) {
+    tmc.scraperjs.BrowserRuntime.openDb_(function(db) {
+        var transaction;
+
+        if (db === null) {
+            try {
+                window.localStorage.setItem(name, content);
+                callback(true);
+            }
+            catch (e) {                                 // Quota exceeded or storage disabled
+                callback(false);
+            }
+            return;
+        }
+
+        transaction = db.transaction(tmc.scraperjs.BrowserRuntime.STORE_NAME, 'readwrite');
+        transaction.objectStore(tmc.scraperjs.BrowserRuntime.STORE_NAME).put(content, name);
+        transaction.oncomplete = function() {
+            db.close();
+            callback(true);
+        };
+        transaction.onabort = function() {
+            db.close();
+            callback(false);
+        };
+    });
+};
+
+
+/**
+ * @inheritDoc
+ */
+tmc.scraperjs.BrowserRuntime.prototype.loadState = function(name, callback) {
+    tmc.scraperjs.BrowserRuntime.openDb_(function(db) {
+        var request;
+
+        if (db === null) {
+            try {
+                callback(window.localStorage.getItem(name));
+            }
+            catch (e) {
+                callback(null);
+            }
+            return;
+        }
+
+        request = db.transaction(tmc.scraperjs.BrowserRuntime.STORE_NAME, 'readonly')
+            .objectStore(tmc.scraperjs.BrowserRuntime.STORE_NAME).get(name);
+        request.onsuccess = function() {
+            db.close();
+            callback((typeof request.result === 'string') ? request.result : null);
+        };
+        request.onerror = function() {
+            db.close();
+            callback(null);
+        };
+    });
+};
+
+
+/**
+ * Opens the IndexedDB database states are saved to.
+ *
+ * @param {!function(IDBDatabase)} callback function called with the database (<code>null</code> if
+ *     IndexedDB is not available).
+ *
+ * @private
+ */
+tmc.scraperjs.BrowserRuntime.openDb_ = function(callback) {
+    var request;
+
+    try {
+        request = window['indexedDB'].open(tmc.scraperjs.BrowserRuntime.DB_NAME, 1);
+    }
+    catch (e) {                                         // Not supported or disabled (e.g. private browsing)
+        callback(null);
+        return;
+    }
+
+    request.onupgradeneeded = function() {
+        request.result.createObjectStore(tmc.scraperjs.BrowserRuntime.STORE_NAME);
+    };
+    request.onsuccess = function() {
+        callback(request.result);
+    };
+    request.onerror = function() {
+        callback(null);
+    };
+};
+
+
+/**
+ * @inheritDoc
+ */
+tmc.scraperjs.BrowserRuntime.prototype.log = function(message) {
+    console.log(message);
+};
@@ -0,0 +1,311 @@
+/**
+ * ScraperJS Copyright (C) 2011-2012 365multimedia.com
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+goog.provide('tmc.scraperjs.Charset');
+
+goog.require('goog.array');
+goog.require('goog.crypt');
+goog.require('tmc.scraperjs.Mime');
+
+
+/**
+ * How the character encoding of a document was determined.
+ *
+ * <code>BOM</code>: its byte order mark
+ * <code>HEADER</code>: the charset parameter of its Content-Type header
+ * <code>META</code>: a <code>&lt;meta charset&gt;</code> or <code>&lt;meta http-equiv="Content-Type"&gt;</code> tag (html)
+ * <code>XML_DECLARATION</code>: the encoding of its XML declaration (XML)
+ * <code>GUESSED</code>: nothing declared it, UTF-8 if the bytes are valid UTF-8 and windows-1252 otherwise
+ *
+ * @enum {string}
+ */
+tmc.scraperjs.Charset.Source = {
+    BOM: 'bom',
+    HEADER: 'header',
+    META: 'meta',
+    XML_DECLARATION: 'xml',
+    GUESSED: 'guessed'
+};
+
+
+/**
+ * Character encoding of a document and how it was determined.
+ *
+ * @typedef {{encoding:string, source:tmc.scraperjs.Charset.Source}}
+ */
+tmc.scraperjs.Charset.Detection;
+
+
+/**
+ * Number of bytes looked at for a <code>&lt;meta&gt;</code> charset declaration.
+ * See {@link https://html.spec.whatwg.org/multipage/parsing.html#prescan-a-byte-stream-to-determine-its-encoding}
+ *
+ * @type {!number}
+ * @const
+ */
+tmc.scraperjs.Charset.PRESCAN_LENGTH = 1024;
+
+
+/**
+ * Byte order marks and the encodings they identify.
+ *
+ * @type {!Array.<{bom:string, encoding:string}>}
+ * @const
+ */
+tmc.scraperjs.Charset.BYTE_ORDER_MARKS = [
+    {bom: '\xEF\xBB\xBF', encoding: 'utf-8'},
+    {bom: '\xFE\xFF', encoding: 'utf-16be'},
+    {bom: '\xFF\xFE', encoding: 'utf-16le'}
+];
+
+
+/**
+ * Matches the charset parameter of a Content-Type header (the value is either captured by the
+ * first group, quoted, or by the second one).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Charset.RX_CONTENT_TYPE_CHARSET = /;\s*charset\s*=\s*(?:"([^"]*)"|([^\s;]+))/i;
+
+
+/**
+ * Matches a comment or a <code>&lt;meta&gt;</code> tag (the attributes being captured by the first group).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Charset.RX_META_TAG = /<!--[\s\S]*?(?:-->|$)|<meta(?=[\s\/])([^>]*)>/gi;
+
+
+/**
+ * Matches an attribute of a tag (name, then double quoted, single quoted or unquoted value).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Charset.RX_ATTRIBUTE = /([^\s=\/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]*)))?/g;
+
+
+/**
+ * Matches the encoding of an XML declaration (captured by the first group).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Charset.RX_XML_ENCODING = /^<\?xml\s[^>]*?encoding\s*=\s*["']([^"']+)["']/;
+
+
+/**
+ * Returns the name of the encoding a label designates (e.g. <code>windows-1252</code> for
+ * <code>latin1</code>). See {@link https://encoding.spec.whatwg.org/#names-and-labels}
+ *
+ * @param {string|undefined} label encoding label.
+ *
+ * @return {?string} name of the encoding or <code>null</code> if the label is unknown (or the
+ *     platform has no <code>TextDecoder</code> and the label is not a UTF-8 one).
+ */
+tmc.scraperjs.Charset.getEncoding = function(label) {
+    if (!label) {
+        return null;
+    }
+    if (typeof TextDecoder !== 'function') {
+        return /^\s*(?:unicode-1-1-)?utf-?8\s*$/i.test(label) ? 'utf-8' : null;
+    }
+
+    try {
+        return new TextDecoder(label).encoding;
+    }
+    catch (e) {                                         // RangeError: unknown label
+        return null;
+    }
+};
+
+
+/**
+ * Determines the character encoding of a document, looking in order at its byte order mark, the
+ * charset of its Content-Type header, the <code>&lt;meta&gt;</code> tags in its first 1024 bytes
+ * (html documents) and its XML declaration (XML documents). Unknown encodings are skipped.
+ *
+ * @param {!Uint8Array} bytes bytes of the document.
+ * @param {string|undefined} contentType Content-Type header value.
+ * @param {?string} mime mime type of the document.
+ *
+ * @return {!tmc.scraperjs.Charset.Detection} encoding and how it was determined.
+ */
+tmc.scraperjs.Charset.detect = function(bytes, contentType, mime) {
+    var Source = tmc.scraperjs.Charset.Source;
+    var header = String.fromCharCode.apply(null, bytes.subarray(0, tmc.scraperjs.Charset.PRESCAN_LENGTH));
+    var match = contentType ? contentType.match(tmc.scraperjs.Charset.RX_CONTENT_TYPE_CHARSET) : null;
+    var encoding;
+
+    encoding = tmc.scraperjs.Charset.sniffBom_(header);
+    if (encoding !== null) {
+        return {encoding: encoding, source: Source.BOM};
+    }
+
+    encoding = (match !== null) ? tmc.scraperjs.Charset.getEncoding(match[1] || match[2]) : null;
+    if (encoding !== null) {
+        return {encoding: encoding, source: Source.HEADER};
+    }
+
+    if (mime === 'text/html') {
+        encoding = tmc.scraperjs.Charset.prescanMeta_(header);
+        if (encoding !== null) {
+            return {encoding: encoding, source: Source.META};
+        }
+    }
+
+    if ((mime !== null) && tmc.scraperjs.Mime.isXml(mime)) {
+        match = header.match(tmc.scraperjs.Charset.RX_XML_ENCODING);
+        encoding = (match !== null) ? tmc.scraperjs.Charset.getAsciiCompatibleEncoding_(match[1]) : null;
+        if (encoding !== null) {
+            return {encoding: encoding, source: Source.XML_DECLARATION};
+        }
+    }
+
+    return {encoding: tmc.scraperjs.Charset.isUtf8_(bytes) ? 'utf-8' : 'windows-1252', source: Source.GUESSED};
+};
+
+
+/**
+ * Decodes the bytes of a document (its byte order mark is dropped). UTF-8 is the only encoding
+ * decoded on platforms without <code>TextDecoder</code>.
+ *
+ * @param {!Uint8Array} bytes bytes of the document.
+ * @param {!string} encoding name of the encoding (see <code>getEncoding</code>).
+ *
+ * @return {!string} content of the document.
+ */
+tmc.scraperjs.Charset.decode = function(bytes, encoding) {
+    if (typeof TextDecoder !== 'function') {
+        return goog.crypt.utf8ByteArrayToString(bytes);
+    }
+
+    return new TextDecoder(encoding).decode(bytes);
+};
+
+
+/**
+ * @param {!string} header first bytes of the document (one character per byte).
+ *
+ * @return {?string} encoding identified by the byte order mark of the document or <code>null</code> if none.
+ *
+ * @private
+ */
+tmc.scraperjs.Charset.sniffBom_ = function(header) {
+    var match = goog.array.find(tmc.scraperjs.Charset.BYTE_ORDER_MARKS, function(mark) {
+        return header.substr(0, mark.bom.length) === mark.bom;
+    });
+
+    return (match === null) ? null : match.encoding;
+};
+
+
+/**
+ * Looks for the encoding declared by the <code>&lt;meta&gt;</code> tags of an html document (comments
+ * are skipped): a <code>charset</code> attribute or a <code>content</code> attribute holding a charset
+ * along with <code>http-equiv="Content-Type"</code>.
+ *
+ * @param {!string} header first bytes of the document (one character per byte).
+ *
+ * @return {?string} declared encoding or <code>null</code> if none (or unknown).
+ *
+ * @private
+ */
+tmc.scraperjs.Charset.prescanMeta_ = function(header) {
+    var rxTag = new RegExp(tmc.scraperjs.Charset.RX_META_TAG.source, 'gi');
+    var rxAttribute;
+    var tag;
+    var attribute;
+    var attributes;
+    var match;
+    var encoding;
+
+    while ((tag = rxTag.exec(header)) !== null) {
+        if (tag[1] === undefined) {                     // Comment
+            continue;
+        }
+
+        attributes = {};
+        rxAttribute = new RegExp(tmc.scraperjs.Charset.RX_ATTRIBUTE.source, 'g');
+        while ((attribute = rxAttribute.exec(tag[1])) !== null) {
+            attributes[attribute[1].toLowerCase()] = attribute[2] || attribute[3] || attribute[4] || '';
+        }
+
+        if (attributes['charset'] !== undefined) {
+            encoding = tmc.scraperjs.Charset.getAsciiCompatibleEncoding_(attributes['charset']);
+        }
+        else if ((attributes['http-equiv'] || '').toLowerCase() === 'content-type') {
+            match = (attributes['content'] || '').match(/charset\s*=\s*["']?([^\s"';]+)/i);
+            encoding = (match !== null) ? tmc.scraperjs.Charset.getAsciiCompatibleEncoding_(match[1]) : null;
+        }
+        else {
+            encoding = null;
+        }
+
+        if (encoding !== null) {
+            return encoding;
+        }
+    }
+
+    return null;
+};
+
+
+/**
+ * Returns the encoding a label declared inside a document designates: as the declaration could be
+ * read, the document is not UTF-16 (UTF-8 is used instead) and x-user-defined means windows-1252.
+ *
+ * @param {!string} label encoding label.
+ *
+ * @return {?string} name of the encoding or <code>null</code> if the label is unknown.
+ *
+ * @private
+ */
+tmc.scraperjs.Charset.getAsciiCompatibleEncoding_ = function(label) {
+    var encoding = tmc.scraperjs.Charset.getEncoding(label);
+
+    if ((encoding === 'utf-16le') || (encoding === 'utf-16be')) {
+        return 'utf-8';
+    }
+
+    return (encoding === 'x-user-defined') ? 'windows-1252' : encoding;
+};
+
+
+/**
+ * @param {!Uint8Array} bytes bytes of a document.
+ *
+ * @return {!boolean} whether the bytes are valid UTF-8 (always true on platforms without <code>TextDecoder</code>).
+ *
+ * @private
+ */
+tmc.scraperjs.Charset.isUtf8_ = function(bytes) {
+    if (typeof TextDecoder !== 'function') {
+        return true;
+    }
+
+    try {
+        new TextDecoder('utf-8', {'fatal': true}).decode(bytes);
+        return true;
+    }
+    catch (e) {                                         // TypeError: invalid byte sequence
+        return false;
+    }
+};
@@ -0,0 +1,49 @@
+/**
+ * ScraperJS Copyright (C) 2011-2012 365multimedia.com
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+goog.provide('tmc.scraperjs.CrawlEvent');
+
+goog.require('goog.events.Event');
+
+
+/**
+ * Event dispatched by the scraper during a crawl (see <code>tmc.ScraperJS.EventType</code>).
+ * Like the DOM's <code>CustomEvent</code>, the event specific information is held by
+ * <code>detail</code>, a plain object with quoted keys (e.g. <code>event.detail['url']</code>).
+ *
+ * @param {!string} type event type.
+ * @param {!Object} target scraper dispatching the event.
+ * @param {Object=} opt_detail event specific information.
+ *
+ * @constructor
+ * @extends {goog.events.Event}
+ */
+tmc.scraperjs.CrawlEvent = function(type, target, opt_detail) {
+    goog.events.Event.call(this, type, target);
+
+    this.detail = opt_detail || {};
+};
+goog.inherits(tmc.scraperjs.CrawlEvent, goog.events.Event);
+
+
+/**
+ * Event specific information.
+ *
+ * @type {?Object}
+ */
+tmc.scraperjs.CrawlEvent.prototype.detail = null;
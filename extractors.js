@@ -0,0 +1,898 @@
+/**
+ * ScraperJS Copyright (C) 2011-2012 365multimedia.com
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+goog.provide('tmc.scraperjs.Extractors');
+
+goog.require('goog.array');
+goog.require('goog.object');
+goog.require('goog.string');
+goog.require('tmc.scraperjs.Html');
+goog.require('tmc.scraperjs.Tlds');
+
+
+/**
+ * Options of the built-in extractors.
+ *
+ * <code>defaultCallingCode</code>: country calling code of the phone numbers written without one
+ *     (e.g. <code>'1'</code>, <code>'33'</code>), such numbers being skipped if not set
+ *
+ * @typedef {{defaultCallingCode:(string|undefined)}}
+ */
+tmc.scraperjs.Extractors.Options;
+
+
+/**
+ * Built-in extractor: the mime types of the documents it applies to (<code>null</code> for all) and
+ * the function extracting the records of a document, given its content, its mime type, a function
+ * parsing it into a DOM document (see <code>tmc.scraperjs.Runtime.parseDocument</code>) and the options.
+ *
+ * @typedef {{mimes:Array.<string>, extract:function(string, string, function(string, string):Document,
+ *     !tmc.scraperjs.Extractors.Options):!Array.<!Object>}}
+ */
+tmc.scraperjs.Extractors.Extractor;
+
+
+/**
+ * Matches an email address candidate (see <code>normalizeEmail</code> for its validation).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Extractors.RX_EMAIL = /[A-Z0-9._%+-]+@(?:[A-Z0-9-]+\.)+(?:XN--[A-Z0-9-]+|[A-Z]{2,63})/gi;
+
+
+/**
+ * Matches the @ of an obfuscated email address: [at], (at) or {at} (any case). Bare words (e.g. AT) are
+ * not matched since they are ordinary prose.
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Extractors.RX_OBFUSCATED_AT = /\s*(?:\[\s*(?:[Aa][Tt]|@)\s*\]|\(\s*(?:[Aa][Tt]|@)\s*\)|\{\s*(?:[Aa][Tt]|@)\s*\})\s*/g;
+
+
+/**
+ * Matches the dot of an obfuscated email address: [dot], (dot) or {dot} (any case).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Extractors.RX_OBFUSCATED_DOT = /\s*(?:\[\s*(?:[Dd][Oo][Tt]|\.)\s*\]|\(\s*(?:[Dd][Oo][Tt]|\.)\s*\)|\{\s*(?:[Dd][Oo][Tt]|\.)\s*\})\s*/g;
+
+
+/**
+ * Matches an email address as written: plain or obfuscated (see <code>RX_OBFUSCATED_AT</code> and
+ * <code>RX_OBFUSCATED_DOT</code>).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Extractors.RX_WRITTEN_EMAIL = new RegExp('[A-Z0-9._%+-]+(?:' + tmc.scraperjs.Extractors.RX_OBFUSCATED_AT.source
+    + '|@)[A-Z0-9-]+(?:(?:' + tmc.scraperjs.Extractors.RX_OBFUSCATED_DOT.source + '|\\.)[A-Z0-9-]+)+', 'gi');
+
+
+/**
+ * Matches the target of a <code>mailto:</code> link (captured by the first group).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Extractors.RX_MAILTO = /mailto:([^"'<>\s?]+)/gi;
+
+
+/**
+ * Matches an email address protected by Cloudflare (its hex encoding being captured by the first
+ * or second group).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Extractors.RX_CLOUDFLARE_EMAIL = /data-cfemail\s*=\s*["']?([0-9a-f]+)|\/cdn-cgi\/l\/email-protection#([0-9a-f]+)/gi;
+
+
+/**
+ * Matches a phone number: international (+ or 00 prefix) or national (at least three groups of digits).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Extractors.RX_PHONE = /(?:\+|\b00)[1-9][\d \t.\-\/()]{5,20}\d|\(?\b\d{2,5}\)?[ \t.\-\/]\d{2,5}[ \t.\-\/]\d{2,5}(?:[ \t.\-\/]\d{2,5})?\b/g;
+
+
+/**
+ * Matches a date (whose digits look like a phone number's).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Extractors.RX_DATE = /^(?:\d{4}[\-\/.]\d{1,2}[\-\/.]\d{1,2}|\d{1,2}[\-\/.]\d{1,2}[\-\/.]\d{4})$/;
+
+
+/**
+ * Matches a US style street address (number, street, optional direction and unit, city, state and ZIP code).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Extractors.RX_US_ADDRESS = new RegExp(
+    '\\b\\d{1,6}(?: [A-Z][A-Za-z0-9.\'-]*){1,5} (?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|' +
+    'Court|Ct|Way|Place|Pl|Square|Sq|Parkway|Pkwy|Terrace|Ter|Highway|Hwy)\\.?(?: (?:N|S|E|W|NE|NW|SE|SW)\\.?)?' +
+    '(?:,? (?:Suite|Ste|Apt|Unit|#) ?[A-Za-z0-9-]+)?,? (?:[A-Z][A-Za-z.\'-]* ?){1,3}, ?[A-Z]{2} \\d{5}(?:-\\d{4})?\\b', 'g');
+
+
+/**
+ * Matches an absolute http(s) url in text.
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Extractors.RX_URL = /https?:\/\/[^\s"'<>()\[\]{}]+/gi;
+
+
+/**
+ * Matches a JSON-LD script (its content being captured by the first group).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Extractors.RX_JSONLD_SCRIPT = /<script\b[^>]*\btype\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script\s*>/gi;
+
+
+/**
+ * Matches the title of an html document (captured by the first group).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Extractors.RX_TITLE = /<title\b[^>]*>([\s\S]*?)<\/title\s*>/i;
+
+
+/**
+ * Social networks and the regular expressions matching the urls of their profiles (share buttons,
+ * posts and the networks' own pages excluded).
+ *
+ * @type {!Array.<{network:string, regex:!RegExp}>}
+ * @const
+ */
+tmc.scraperjs.Extractors.SOCIAL_NETWORKS = [
+    {network: 'facebook', regex: /^https?:\/\/(?:www\.|m\.)?facebook\.com\/(?!sharer|share|dialog|plugins|tr[\/?]|login|policies|help)[\w.\-]+\/?(?=[?#]|$)/i},
+    {network: 'twitter', regex: /^https?:\/\/(?:www\.|mobile\.)?(?:twitter|x)\.com\/(?!intent|share|home|search|hashtag|i\/|privacy|tos)\w{1,15}\/?(?=[?#]|$)/i},
+    {network: 'instagram', regex: /^https?:\/\/(?:www\.)?instagram\.com\/(?!p\/|reel\/|explore|accounts)[\w.]+\/?(?=[?#]|$)/i},
+    {network: 'linkedin', regex: /^https?:\/\/(?:[a-z]{2,3}\.)?linkedin\.com\/(?:in|company|school)\/[^\/?#]+\/?(?=[?#]|$)/i},
+    {network: 'youtube', regex: /^https?:\/\/(?:www\.|m\.)?youtube\.com\/(?:channel\/|c\/|user\/|@)[^\/?#]+\/?(?=[?#]|$)/i},
+    {network: 'tiktok', regex: /^https?:\/\/(?:www\.)?tiktok\.com\/@[\w.]+\/?(?=[?#]|$)/i},
+    {network: 'github', regex: /^https?:\/\/(?:www\.)?github\.com\/(?!features|about|pricing|login|join|sponsors|topics|orgs\/)[\w\-]+\/?(?=[?#]|$)/i},
+    {network: 'pinterest', regex: /^https?:\/\/(?:[a-z]{2,3}\.)?pinterest\.[a-z.]+\/(?!pin\/)[\w\-]+\/?(?=[?#]|$)/i}
+];
+
+
+/**
+ * Tags whose microdata value is taken from an attribute (any other's is its text).
+ * See {@link https://html.spec.whatwg.org/multipage/microdata.html#values}
+ *
+ * @type {!Object.<string,string>}
+ * @const
+ */
+tmc.scraperjs.Extractors.MICRODATA_VALUE_ATTRIBUTES = {
+    'meta': 'content', 'audio': 'src', 'embed': 'src', 'iframe': 'src', 'img': 'src', 'source': 'src',
+    'track': 'src', 'video': 'src', 'a': 'href', 'area': 'href', 'link': 'href', 'object': 'data',
+    'data': 'value', 'meter': 'value', 'time': 'datetime'
+};
+
+
+/**
+ * Extracts the email addresses of a document, decoding the forms they are hidden behind: html
+ * entities, percent-encoded <code>mailto:</code> links, Cloudflare protection (<code>data-cfemail</code>)
+ * and bracketed obfuscations such as <code>name [at] domain (dot) com</code>. Spelled out words (e.g.
+ * <code>stay at home dot com</code>) are left alone as they cannot be told from prose.
+ * Addresses are validated and their domain lower cased (see <code>normalizeEmail</code>).
+ *
+ * @param {!string} content content of the document.
+ *
+ * @return {!Array.<!Object>} email records (<code>'text'</code> holds the address as written, or the
+ *     anchor text of the <code>mailto:</code> or protected link it was decoded from).
+ */
+tmc.scraperjs.Extractors.extractEmails = function(content) {
+    var rx = new RegExp(tmc.scraperjs.Extractors.RX_WRITTEN_EMAIL.source, 'gi');
+    var rxCloudflare = new RegExp(tmc.scraperjs.Extractors.RX_CLOUDFLARE_EMAIL.source, 'gi');
+    var protectedEmails = [];
+    var records = [];
+    var match;
+    var email;
+
+    // Pushes the records of the addresses found in a decoded candidate
+    function add(candidate, text) {
+        var rxEmail = new RegExp(tmc.scraperjs.Extractors.RX_EMAIL.source, 'gi');
+        var match;
+        var email;
+
+        while ((match = rxEmail.exec(candidate)) !== null) {
+            email = tmc.scraperjs.Extractors.normalizeEmail(match[0]);
+            if (email !== null) {
+                records.push({'type': 'email', 'value': email, 'text': goog.string.collapseWhitespace(text || email)});
+            }
+        }
+    }
+
+    content = goog.string.unescapeEntities(content.replace(/&commat;/gi, '@').replace(/&period;/gi, '.'));
+    while ((match = rxCloudflare.exec(content)) !== null) {
+        email = tmc.scraperjs.Extractors.decodeCloudflareEmail_(match[1] || match[2]);
+        protectedEmails.push([email, tmc.scraperjs.Extractors.getAnchorText_(content, rxCloudflare.lastIndex)]);
+    }
+
+    content = content.replace(tmc.scraperjs.Extractors.RX_MAILTO, function(mailto, address, offset, whole) {
+        try {
+            email = decodeURIComponent(address);
+        }
+        catch (e) {                                     // Malformed percent-encoding
+            return mailto;
+        }
+        add(email, tmc.scraperjs.Extractors.getAnchorText_(whole, offset + mailto.length));
+        return ' ';
+    });
+    while ((match = rx.exec(content)) !== null) {
+        add(match[0].replace(tmc.scraperjs.Extractors.RX_OBFUSCATED_AT, '@')
+            .replace(tmc.scraperjs.Extractors.RX_OBFUSCATED_DOT, '.'), match[0]);
+    }
+    goog.array.forEach(protectedEmails, function(protectedEmail) {
+        add(protectedEmail[0], protectedEmail[1]);
+    });
+
+    return records;
+};
+
+
+/**
+ * Returns the anchor text of the link whose start tag holds a given position of an html document.
+ *
+ * @param {!string} content content of the document (entities unescaped).
+ * @param {!number} index position in the start tag of the link.
+ *
+ * @return {?string} anchor text of the link or <code>null</code> if none.
+ *
+ * @private
+ */
+tmc.scraperjs.Extractors.getAnchorText_ = function(content, index) {
+    var match = /^[^<>]*>([^<]*)/.exec(content.substr(index));
+    var text = (match !== null) ? goog.string.collapseWhitespace(match[1]) : '';
+
+    return (text !== '') ? text : null;
+};
+
+
+/**
+ * Validates an email address and lower cases its domain. Trailing labels that are not top level
+ * domains (e.g. the first word of the next sentence) are dropped, whereas addresses whose domain does
+ * not end with a top level domain (e.g. logo@2x.png) or starts with an image density (e.g. icon@2x.zip)
+ * are rejected.
+ *
+ * @param {!string} email email address candidate.
+ *
+ * @return {?string} email address or <code>null</code> if not valid.
+ */
+tmc.scraperjs.Extractors.normalizeEmail = function(email) {
+    var at = email.lastIndexOf('@');
+    var local = email.substr(0, at);
+    var labels = email.substr(at + 1).toLowerCase().split('.');
+
+    while ((labels.length > 1) && !tmc.scraperjs.Tlds.isTld(labels[labels.length - 1])) {
+        labels.pop();
+    }
+
+    if ((labels.length < 2) || (local.length === 0) || (local.length > 64) || /^\.|\.$|\.\./.test(local)
+        || /^\d+x$/.test(labels[0]) || !goog.array.every(labels, function(label) {
+            return /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/.test(label);
+        })) {
+        return null;
+    }
+
+    return local + '@' + labels.join('.');
+};
+
+
+/**
+ * Extracts the phone numbers of a document: the targets of its <code>tel:</code> links (html) and
+ * the numbers written in its text. Numbers are normalized to E.164 (see <code>normalizePhone</code>).
+ *
+ * @param {!string} content content of the document.
+ * @param {!string} mime mime type of the document.
+ * @param {function(string, string):Document} parseDocument function parsing a document (unused).
+ * @param {!tmc.scraperjs.Extractors.Options} options options.
+ *
+ * @return {!Array.<!Object>} phone records (<code>'text'</code> holds the number as written).
+ */
+tmc.scraperjs.Extractors.extractPhones = function(content, mime, parseDocument, options) {
+    var rx = new RegExp(tmc.scraperjs.Extractors.RX_PHONE.source, 'g');
+    var texts = [];
+    var records = [];
+    var match;
+
+    if (mime === 'text/html') {
+        goog.array.forEach(tmc.scraperjs.Html.getElements(content), function(element) {
+            var href = element.attributes['href'] || '';
+
+            if (/^tel:/i.test(href)) {
+                texts.push(goog.string.urlDecode(href.substr(4)));
+            }
+        });
+    }
+
+    content = tmc.scraperjs.Extractors.getText(content, mime);
+    while ((match = rx.exec(content)) !== null) {
+        if (!tmc.scraperjs.Extractors.RX_DATE.test(match[0])) {
+            texts.push(match[0]);
+        }
+    }
+
+    goog.array.forEach(texts, function(text) {
+        var value = tmc.scraperjs.Extractors.normalizePhone(text, options.defaultCallingCode);
+
+        if (value !== null) {
+            records.push({'type': 'phone', 'value': value, 'text': goog.string.trim(text)});
+        }
+    });
+
+    return records;
+};
+
+
+/**
+ * Normalizes a phone number to E.164: + followed by the country calling code and the national number
+ * (8 to 15 digits overall). Numbers without calling code get the default one, their national trunk
+ * prefix (0, or 1 for the North American numbering plan) being dropped.
+ *
+ * @param {!string} text phone number as written.
+ * @param {string=} opt_defaultCallingCode calling code of the numbers written without one.
+ *
+ * @return {?string} normalized phone number or <code>null</code> if not valid (or without calling code).
+ */
+tmc.scraperjs.Extractors.normalizePhone = function(text, opt_defaultCallingCode) {
+    var number = text.replace(/^\s+/, '').replace(/[^\d+]/g, '');
+    var digits;
+
+    if (number.charAt(0) === '+') {
+        digits = number.substr(1).replace(/\+/g, '');
+    }
+    else if (number.substr(0, 2) === '00') {
+        digits = number.substr(2);
+    }
+    else if (opt_defaultCallingCode) {
+        number = number.replace(/\+/g, '');
+        if (opt_defaultCallingCode === '1') {
+            number = ((number.length === 11) && (number.charAt(0) === '1')) ? number.substr(1) : number;
+        }
+        else {
+            number = number.replace(/^0/, '');
+        }
+        digits = opt_defaultCallingCode + number;
+    }
+    else {
+        return null;
+    }
+
+    return /^[1-9]\d{7,14}$/.test(digits) ? '+' + digits : null;
+};
+
+
+/**
+ * Extracts the postal addresses of a document: the text of its <code>&lt;address&gt;</code> elements
+ * and its schema.org PostalAddress JSON-LD items (html), and the US style addresses of the rest of its text.
+ *
+ * @param {!string} content content of the document.
+ * @param {!string} mime mime type of the document.
+ *
+ * @return {!Array.<!Object>} address records.
+ */
+tmc.scraperjs.Extractors.extractAddresses = function(content, mime) {
+    var rxAddress = /<address\b[^>]*>([\s\S]*?)<\/address\s*>/gi;
+    var rx = new RegExp(tmc.scraperjs.Extractors.RX_US_ADDRESS.source, 'g');
+    var records = [];
+    var match;
+
+    function add(value) {
+        value = goog.string.collapseWhitespace(value).replace(/\s+,/g, ',');
+        if (value !== '') {
+            records.push({'type': 'address', 'value': value});
+        }
+    }
+
+    if (mime === 'text/html') {
+        while ((match = rxAddress.exec(content)) !== null) {
+            add(tmc.scraperjs.Extractors.getText(match[1].replace(/<br\s*\/?>/gi, ', '), mime));
+        }
+        goog.array.forEach(tmc.scraperjs.Extractors.getJsonLdItems_(content), function(item) {
+            tmc.scraperjs.Extractors.forEachObject_(item, function(object) {
+                if ((object['@type'] === 'PostalAddress') || (object['@type'] === 'http://schema.org/PostalAddress')) {
+                    add(goog.array.filter(goog.array.map(
+                        ['streetAddress', 'addressLocality', 'addressRegion', 'postalCode', 'addressCountry'],
+                        function(key) {
+                            var part = object[key];
+                            return goog.isObject(part) ? (part['name'] || '') : String(part || '');
+                        }),
+                        function(part) {
+                            return part !== '';
+                        }).join(', '));
+                }
+            });
+        });
+    }
+
+    content = tmc.scraperjs.Extractors.getText((mime === 'text/html') ? content.replace(rxAddress, ' ') : content, mime);
+    content = content.replace(/\s+/g, ' ');
+    while ((match = rx.exec(content)) !== null) {
+        add(match[0]);
+    }
+
+    return records;
+};
+
+
+/**
+ * Extracts the social profile urls of a document: the targets of its links (html) or the urls of its text.
+ *
+ * @param {!string} content content of the document.
+ * @param {!string} mime mime type of the document.
+ *
+ * @return {!Array.<!Object>} social records (<code>'network'</code> holds the network's name, see
+ *     <code>SOCIAL_NETWORKS</code>).
+ */
+tmc.scraperjs.Extractors.extractSocialProfiles = function(content, mime) {
+    var records = [];
+    var urls;
+
+    if (mime === 'text/html') {
+        urls = goog.array.map(tmc.scraperjs.Html.getElements(content), function(element) {
+            return goog.string.trim(element.attributes['href'] || '');
+        });
+    }
+    else {
+        urls = content.match(new RegExp(tmc.scraperjs.Extractors.RX_URL.source, 'gi')) || [];
+    }
+
+    goog.array.forEach(urls, function(url) {
+        goog.array.some(tmc.scraperjs.Extractors.SOCIAL_NETWORKS, function(social) {
+            var match = url.match(social.regex);
+
+            if (match !== null) {
+                records.push({'type': 'social', 'value': match[0].replace(/\/$/, ''), 'network': social.network});
+            }
+            return match !== null;
+        });
+    });
+
+    return records;
+};
+
+
+/**
+ * Extracts the JSON-LD items of an html document (those of a <code>@graph</code> being extracted
+ * one by one). Scripts holding invalid JSON are skipped.
+ *
+ * @param {!string} content content of the document.
+ *
+ * @return {!Array.<!Object>} jsonld records (<code>'itemType'</code> holds the item's <code>@type</code>).
+ */
+tmc.scraperjs.Extractors.extractJsonLd = function(content) {
+    return goog.array.map(tmc.scraperjs.Extractors.getJsonLdItems_(content), function(item) {
+        return {'type': 'jsonld', 'value': item, 'itemType': item['@type'] || null};
+    });
+};
+
+
+/**
+ * Extracts the microdata items of an html document (top level ones, nested items being values of
+ * their properties) in the format of the microdata to JSON algorithm: <code>'type'</code>,
+ * <code>'id'</code> and <code>'properties'</code> (arrays of values by property name).
+ * See {@link https://html.spec.whatwg.org/multipage/microdata.html#json}
+ *
+ * @param {!string} content content of the document.
+ * @param {!string} mime mime type of the document.
+ * @param {function(string, string):Document} parseDocument function parsing a document.
+ *
+ * @return {!Array.<!Object>} microdata records (<code>'itemType'</code> holds the item's first type).
+ */
+tmc.scraperjs.Extractors.extractMicrodata = function(content, mime, parseDocument) {
+    var doc = parseDocument(content, mime);
+    var records = [];
+
+    if (doc === null) {
+        return records;
+    }
+
+    goog.array.forEach(doc.querySelectorAll('[itemscope]'), function(node) {
+        var item;
+
+        if (!node.hasAttribute('itemprop')) {
+            item = tmc.scraperjs.Extractors.getMicrodataItem_(node);
+            records.push({'type': 'microdata', 'value': item, 'itemType': item['type'][0] || null});
+        }
+    });
+
+    return records;
+};
+
+
+/**
+ * Extracts the RDFa items of an html document (top level elements with a <code>typeof</code>, nested
+ * ones being values of their properties): <code>'type'</code> (expanded with the <code>vocab</code> in
+ * scope), <code>'id'</code> (<code>resource</code> or <code>about</code>) and <code>'properties'</code>
+ * (arrays of values by property name).
+ *
+ * @param {!string} content content of the document.
+ * @param {!string} mime mime type of the document.
+ * @param {function(string, string):Document} parseDocument function parsing a document.
+ *
+ * @return {!Array.<!Object>} rdfa records (<code>'itemType'</code> holds the item's first type).
+ */
+tmc.scraperjs.Extractors.extractRdfa = function(content, mime, parseDocument) {
+    var doc = parseDocument(content, mime);
+    var records = [];
+
+    if (doc === null) {
+        return records;
+    }
+
+    goog.array.forEach(doc.querySelectorAll('[typeof]'), function(node) {
+        var item;
+
+        if (!node.hasAttribute('property') || (tmc.scraperjs.Extractors.getRdfaParent_(node) === null)) {
+            item = tmc.scraperjs.Extractors.getRdfaItem_(node);
+            records.push({'type': 'rdfa', 'value': item, 'itemType': item['type'][0] || null});
+        }
+    });
+
+    return records;
+};
+
+
+/**
+ * Extracts the OpenGraph (<code>og:*</code>) and Twitter card (<code>twitter:*</code>) meta tags of
+ * an html document, properties found more than once (e.g. <code>og:image</code>) being arrays.
+ *
+ * @param {!string} content content of the document.
+ *
+ * @return {!Array.<!Object>} opengraph and twittercard records (one of each at most).
+ */
+tmc.scraperjs.Extractors.extractOpenGraph = function(content) {
+    var cards = {'opengraph': {}, 'twittercard': {}};
+    var records = [];
+
+    goog.array.forEach(tmc.scraperjs.Html.getElements(content), function(element) {
+        var name = (element.attributes['property'] || element.attributes['name'] || '').toLowerCase();
+        var value = element.attributes['content'];
+        var card = /^og:/.test(name) ? cards['opengraph'] : (/^twitter:/.test(name) ? cards['twittercard'] : null);
+
+        if ((element.tag !== 'meta') || (card === null) || (value === undefined)) {
+            return;
+        }
+        if (card[name] === undefined) {
+            card[name] = value;
+        }
+        else {
+            card[name] = [].concat(card[name], value);
+        }
+    });
+
+    goog.object.forEach(cards, function(card, type) {
+        if (!goog.object.isEmpty(card)) {
+            records.push({'type': type, 'value': card});
+        }
+    });
+
+    return records;
+};
+
+
+/**
+ * Extracts the title and meta description of an html document.
+ *
+ * @param {!string} content content of the document.
+ *
+ * @return {!Array.<!Object>} title and description records.
+ */
+tmc.scraperjs.Extractors.extractTitle = function(content) {
+    var match = content.match(tmc.scraperjs.Extractors.RX_TITLE);
+    var records = [];
+    var title = (match !== null) ? goog.string.collapseWhitespace(goog.string.unescapeEntities(match[1])) : '';
+    var description;
+
+    if (title !== '') {
+        records.push({'type': 'title', 'value': title});
+    }
+
+    description = goog.array.find(tmc.scraperjs.Html.getElements(content), function(element) {
+        return (element.tag === 'meta') && ((element.attributes['name'] || '').toLowerCase() === 'description');
+    });
+    if ((description !== null) && goog.string.trim(description.attributes['content'] || '')) {
+        records.push({'type': 'description', 'value': goog.string.collapseWhitespace(description.attributes['content'])});
+    }
+
+    return records;
+};
+
+
+/**
+ * @param {!string} content content of a document.
+ * @param {!string} mime mime type of the document.
+ *
+ * @return {!string} text of the document (html tags, scripts and styles removed, entities unescaped).
+ */
+tmc.scraperjs.Extractors.getText = function(content, mime) {
+    if (mime !== 'text/html') {
+        return content;
+    }
+
+    return goog.string.unescapeEntities(content
+        .replace(/<!--[\s\S]*?(?:-->|$)/g, ' ')
+        .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, ' ')
+        .replace(/<[^>]*>/g, ' '));
+};
+
+
+/**
+ * Built-in extractors by name (see <code>tmc.ScraperJS.setBuiltInExtractors</code>). Every extractor
+ * returns typed records: a <code>'type'</code> and a <code>'value'</code> (which records are deduplicated
+ * on) along with type specific fields.
+ *
+ * <code>email</code>: email addresses
+ * <code>phone</code>: phone numbers (<code>tel:</code> links and text), normalized to E.164
+ * <code>address</code>: postal addresses (<code>&lt;address&gt;</code> elements, schema.org PostalAddress and US style addresses)
+ * <code>social</code>: social profile urls (Facebook, X/Twitter, Instagram, LinkedIn, YouTube, TikTok, GitHub, Pinterest)
+ * <code>jsonld</code>: schema.org JSON-LD items
+ * <code>microdata</code>: microdata items
+ * <code>rdfa</code>: RDFa items
+ * <code>opengraph</code>: OpenGraph and Twitter card meta tags
+ * <code>title</code>: <code>&lt;title&gt;</code> and meta description
+ *
+ * @type {!Object.<string,!tmc.scraperjs.Extractors.Extractor>}
+ * @const
+ */
+tmc.scraperjs.Extractors.LIBRARY = {
+    'email': {mimes: null, extract: tmc.scraperjs.Extractors.extractEmails},
+    'phone': {mimes: null, extract: tmc.scraperjs.Extractors.extractPhones},
+    'address': {mimes: null, extract: tmc.scraperjs.Extractors.extractAddresses},
+    'social': {mimes: null, extract: tmc.scraperjs.Extractors.extractSocialProfiles},
+    'jsonld': {mimes: ['text/html'], extract: tmc.scraperjs.Extractors.extractJsonLd},
+    'microdata': {mimes: ['text/html'], extract: tmc.scraperjs.Extractors.extractMicrodata},
+    'rdfa': {mimes: ['text/html'], extract: tmc.scraperjs.Extractors.extractRdfa},
+    'opengraph': {mimes: ['text/html'], extract: tmc.scraperjs.Extractors.extractOpenGraph},
+    'title': {mimes: ['text/html'], extract: tmc.scraperjs.Extractors.extractTitle}
+};
+
+
+/**
+ * Decodes an email address protected by Cloudflare: its first byte is the key the others are
+ * xored with.
+ *
+ * @param {!string} hex hex encoding of the protected address.
+ *
+ * @return {!string} email address.
+ *
+ * @private
+ */
+tmc.scraperjs.Extractors.decodeCloudflareEmail_ = function(hex) {
+    var key = parseInt(hex.substr(0, 2), 16);
+    var email = '';
+
+    for (var i = 2; i + 1 < hex.length; i += 2) {
+        email += String.fromCharCode(parseInt(hex.substr(i, 2), 16) ^ key);
+    }
+
+    return email;
+};
+
+
+/**
+ * @param {!string} content content of an html document.
+ *
+ * @return {!Array.<!Object>} JSON-LD items of the document (top level objects and objects of <code>@graph</code>s).
+ *
+ * @private
+ */
+tmc.scraperjs.Extractors.getJsonLdItems_ = function(content) {
+    var rx = new RegExp(tmc.scraperjs.Extractors.RX_JSONLD_SCRIPT.source, 'gi');
+    var items = [];
+    var match;
+    var json;
+
+    while ((match = rx.exec(content)) !== null) {
+        try {
+            json = JSON.parse(goog.string.trim(match[1]).replace(/^<!--|-->$/g, ''));
+        }
+        catch (e) {                                     // Invalid JSON
+            continue;
+        }
+        goog.array.forEach([].concat(json), function(object) {
+            if (goog.isObject(object) && Array.isArray(object['@graph'])) {
+                goog.array.extend(items, goog.array.filter(object['@graph'], goog.isObject));
+            }
+            else if (goog.isObject(object)) {
+                items.push(object);
+            }
+        });
+    }
+
+    return items;
+};
+
+
+/**
+ * @param {?string} value attribute value holding a space separated list of tokens.
+ *
+ * @return {!Array.<!string>} tokens of the list.
+ *
+ * @private
+ */
+tmc.scraperjs.Extractors.splitTokens_ = function(value) {
+    value = goog.string.trim(value || '');
+    return (value === '') ? [] : value.split(/\s+/);
+};
+
+
+/**
+ * Calls a function with an object and every object it holds (at any depth).
+ *
+ * @param {*} value value to walk through.
+ * @param {!function(!Object)} callback function called with each object.
+ *
+ * @private
+ */
+tmc.scraperjs.Extractors.forEachObject_ = function(value, callback) {
+    if (Array.isArray(value)) {
+        goog.array.forEach(value, function(element) {
+            tmc.scraperjs.Extractors.forEachObject_(element, callback);
+        });
+    }
+    else if (goog.isObject(value)) {
+        callback(/** @type {!Object} */ (value));
+        goog.object.forEach(value, function(property) {
+            tmc.scraperjs.Extractors.forEachObject_(property, callback);
+        });
+    }
+};
+
+
+/**
+ * @param {!Element} node element with an <code>itemscope</code> attribute.
+ *
+ * @return {!Object} microdata item of the element.
+ *
+ * @private
+ */
+tmc.scraperjs.Extractors.getMicrodataItem_ = function(node) {
+    var item = {'type': tmc.scraperjs.Extractors.splitTokens_(node.getAttribute('itemtype')), 'properties': {}};
+    var properties = item['properties'];
+
+    function crawl(parent) {
+        goog.array.forEach(parent.children, function(child) {
+            var value;
+
+            if (child.hasAttribute('itemprop')) {
+                value = child.hasAttribute('itemscope') ?
+                    tmc.scraperjs.Extractors.getMicrodataItem_(child) : tmc.scraperjs.Extractors.getMicrodataValue_(child);
+                goog.array.forEach(tmc.scraperjs.Extractors.splitTokens_(child.getAttribute('itemprop')), function(name) {
+                    (properties[name] = properties[name] || []).push(value);
+                });
+            }
+            if (!child.hasAttribute('itemscope')) {
+                crawl(child);
+            }
+        });
+    }
+
+    if (node.hasAttribute('itemid')) {
+        item['id'] = node.getAttribute('itemid');
+    }
+    crawl(node);
+
+    return item;
+};
+
+
+/**
+ * @param {!Element} node element with an <code>itemprop</code> attribute (and no <code>itemscope</code>).
+ *
+ * @return {!string} microdata value of the element.
+ *
+ * @private
+ */
+tmc.scraperjs.Extractors.getMicrodataValue_ = function(node) {
+    var attribute = tmc.scraperjs.Extractors.MICRODATA_VALUE_ATTRIBUTES[node.tagName.toLowerCase()];
+
+    if ((attribute !== undefined) && node.hasAttribute(attribute)) {
+        return node.getAttribute(attribute);
+    }
+
+    return goog.string.collapseWhitespace(node.textContent || '');
+};
+
+
+/**
+ * @param {!Element} node element.
+ *
+ * @return {Element} closest ancestor of the element with a <code>typeof</code> attribute or <code>null</code> if none.
+ *
+ * @private
+ */
+tmc.scraperjs.Extractors.getRdfaParent_ = function(node) {
+    var parent = node.parentElement;
+
+    while ((parent !== null) && !parent.hasAttribute('typeof')) {
+        parent = parent.parentElement;
+    }
+
+    return parent;
+};
+
+
+/**
+ * @param {!Element} node element with a <code>typeof</code> attribute.
+ *
+ * @return {!Object} RDFa item of the element.
+ *
+ * @private
+ */
+tmc.scraperjs.Extractors.getRdfaItem_ = function(node) {
+    var vocabNode = node.closest('[vocab]');
+    var vocab = vocabNode ? vocabNode.getAttribute('vocab') : '';
+    var item = {'type': goog.array.map(tmc.scraperjs.Extractors.splitTokens_(node.getAttribute('typeof')), function(type) {
+        return /:/.test(type) ? type : vocab + type;
+    }), 'properties': {}};
+    var properties = item['properties'];
+
+    function crawl(parent) {
+        goog.array.forEach(parent.children, function(child) {
+            var value;
+
+            if (child.hasAttribute('property')) {
+                value = child.hasAttribute('typeof') ?
+                    tmc.scraperjs.Extractors.getRdfaItem_(child) : tmc.scraperjs.Extractors.getRdfaValue_(child);
+                goog.array.forEach(tmc.scraperjs.Extractors.splitTokens_(child.getAttribute('property')), function(name) {
+                    (properties[name] = properties[name] || []).push(value);
+                });
+            }
+            if (!child.hasAttribute('typeof')) {
+                crawl(child);
+            }
+        });
+    }
+
+    if (node.hasAttribute('resource') || node.hasAttribute('about')) {
+        item['id'] = node.getAttribute('resource') || node.getAttribute('about');
+    }
+    crawl(node);
+
+    return item;
+};
+
+
+/**
+ * @param {!Element} node element with a <code>property</code> attribute (and no <code>typeof</code>).
+ *
+ * @return {!string} RDFa value of the element: its <code>content</code>, <code>resource</code>,
+ *     <code>href</code>, <code>src</code> or <code>datetime</code> attribute, or its text.
+ *
+ * @private
+ */
+tmc.scraperjs.Extractors.getRdfaValue_ = function(node) {
+    var attribute = goog.array.find(['content', 'resource', 'href', 'src', 'datetime'], function(name) {
+        return node.hasAttribute(name);
+    });
+
+    return (attribute !== null) ? node.getAttribute(attribute) : goog.string.collapseWhitespace(node.textContent || '');
+};
@@ -0,0 +1,130 @@
+/**
+ * ScraperJS Copyright (C) 2011-2012 365multimedia.com
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+goog.provide('tmc.scraperjs.Feed');
+
+goog.require('goog.array');
+
+
+/**
+ * Matches the <link> tags of an Atom document.
+ *
+ * Note: the g at the end of the regular expression is required so multiple matches can be returned.
+ *
+ * <code>
+ * <(?:atom:)?link(\s[^<>]*)?\/?>
+ * </code>
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Feed.RX_ATOM_LINK = /<(?:atom:)?link(\s[^<>]*)?\/?>/gi;
+
+
+/**
+ * Matches an attribute/value pair (the value being double quoted, single quoted or unquoted).
+ *
+ * Note: the g at the end of the regular expression is required so multiple matches can be returned.
+ *
+ * <code>
+ * ([^\s=\/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'<>]+))
+ * </code>
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Feed.RX_ATTRIBUTE = /([^\s=\/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'<>]+))/g;
+
+
+/**
+ * Prefix of the relations registered by IANA, which Atom allows to be written as full IRIs.
+ *
+ * @type {!string}
+ * @const
+ */
+tmc.scraperjs.Feed.IANA_RELATION_PREFIX = 'http://www.iana.org/assignments/relation/';
+
+
+/**
+ * Relations of the Atom links worth following: entries' and feed's alternate representations
+ * (an absent rel means alternate) and the next page of a paginated feed.
+ *
+ * @type {!Array.<!string>}
+ * @const
+ */
+tmc.scraperjs.Feed.ATOM_FOLLOWED_RELATIONS = ['alternate', 'next'];
+
+
+/**
+ * Parses the attributes of a tag.
+ *
+ * @param {!string} attributes attribute/value pairs of the tag.
+ *
+ * @return {!Object.<!string,!string>} map of attribute values (keys are lower case).
+ */
+tmc.scraperjs.Feed.parseAttributes = function(attributes) {
+    var rx = new RegExp(tmc.scraperjs.Feed.RX_ATTRIBUTE.source, 'g');
+    var values = {};
+    var match;
+    var value;
+
+    while ((match = rx.exec(attributes)) !== null) {
+        value = (match[2] !== undefined) ? match[2] : (match[3] !== undefined) ? match[3] : match[4];
+        values[match[1].toLowerCase()] = value || '';
+    }
+
+    return values;
+};
+
+
+/**
+ * Extracts the links of an Atom document: the alternate links of the entries and of the feed
+ * as well as the <code>rel="next"</code> pagination link. Other relations (self, edit, enclosure...)
+ * are not followed.
+ *
+ * Meant to be used as the link extractor of the application/atom+xml mime type.
+ *
+ * @param {!string} content content of the Atom document.
+ *
+ * @return {!Array.<!tmc.ScraperJS.ExtractedLink>} links of the feed.
+ */
+tmc.scraperjs.Feed.extractAtomLinks = function(content) {
+    var rx = new RegExp(tmc.scraperjs.Feed.RX_ATOM_LINK.source, 'gi');
+    var links = [];
+    var match;
+    var attributes;
+    var rel;
+
+    while ((match = rx.exec(content)) !== null) {
+        attributes = tmc.scraperjs.Feed.parseAttributes(match[1] || '');
+        if (!attributes['href']) {
+            continue;
+        }
+
+        rel = (attributes['rel'] || 'alternate').toLowerCase();
+        if (rel.indexOf(tmc.scraperjs.Feed.IANA_RELATION_PREFIX) === 0) {
+            rel = rel.substr(tmc.scraperjs.Feed.IANA_RELATION_PREFIX.length);
+        }
+
+        if (goog.array.contains(tmc.scraperjs.Feed.ATOM_FOLLOWED_RELATIONS, rel)) {
+            links.push({url: attributes['href'], element: 'link', attribute: 'href', rel: attributes['rel']});
+        }
+    }
+
+    return links;
+};
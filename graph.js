@@ -0,0 +1,604 @@
+/**
+ * ScraperJS Copyright (C) 2011-2012 365multimedia.com
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+goog.provide('tmc.scraperjs.LinkGraph');
+
+goog.require('goog.array');
+goog.require('goog.object');
+goog.require('goog.string');
+
+
+/**
+ * Link graph of a crawl (see <code>tmc.ScraperJS.prototype.setCaptureLinkGraph</code>): the pages are its
+ * nodes, the links found in them (along with their anchor text, whether they are in scope or why they
+ * were rejected) and the redirects are its edges. Exported as JSON, Graphviz DOT or GraphML along with
+ * metrics: in and out degrees, shortest click depth from the seed, PageRank and orphan pages.
+ *
+ * @param {Object=} opt_state state to start from (see <code>getState</code>), e.g. restored from a checkpoint.
+ *
+ * @constructor
+ */
+tmc.scraperjs.LinkGraph = function(opt_state) {
+    this.state_ = opt_state ? /** @type {!Object} */ (goog.object.unsafeClone(opt_state)) : {'nodes': {}, 'edges': {}};
+};
+
+
+/**
+ * Types of the edges.
+ *
+ * @enum {string}
+ */
+tmc.scraperjs.LinkGraph.EdgeType = {
+    LINK: 'link',
+    REDIRECT: 'redirect'
+};
+
+
+/**
+ * Export formats.
+ *
+ * @enum {string}
+ */
+tmc.scraperjs.LinkGraph.Format = {
+    JSON: 'json',
+    DOT: 'dot',
+    GRAPHML: 'graphml'
+};
+
+
+/**
+ * Mime types of the export formats.
+ *
+ * @type {!Object.<!string,!string>}
+ * @const
+ */
+tmc.scraperjs.LinkGraph.MIME_TYPES = {
+    'json': 'application/json',
+    'dot': 'text/vnd.graphviz',
+    'graphml': 'application/graphml+xml'
+};
+
+
+/**
+ * Damping factor of the PageRank (probability of following a link rather than jumping to a random page).
+ *
+ * @type {!number}
+ * @const
+ */
+tmc.scraperjs.LinkGraph.DAMPING_FACTOR = 0.85;
+
+
+/**
+ * Maximum number of PageRank iterations.
+ *
+ * @type {!number}
+ * @const
+ */
+tmc.scraperjs.LinkGraph.MAX_PAGERANK_ITERATIONS = 100;
+
+
+/**
+ * PageRank iterations stop once the ranks move by less than this (sum of the absolute differences).
+ *
+ * @type {!number}
+ * @const
+ */
+tmc.scraperjs.LinkGraph.PAGERANK_TOLERANCE = 1e-6;
+
+
+/**
+ * Attributes of the nodes and edges exported as GraphML, along with their GraphML types.
+ *
+ * @type {!{node:!Array.<{name:string, type:string}>, edge:!Array.<{name:string, type:string}>}}
+ * @const
+ */
+tmc.scraperjs.LinkGraph.GRAPHML_KEYS = {
+    node: [
+        {name: 'url', type: 'string'},
+        {name: 'status', type: 'int'},
+        {name: 'mime', type: 'string'},
+        {name: 'inScope', type: 'boolean'},
+        {name: 'rejection', type: 'string'},
+        {name: 'inDegree', type: 'int'},
+        {name: 'outDegree', type: 'int'},
+        {name: 'clickDepth', type: 'int'},
+        {name: 'pageRank', type: 'double'},
+        {name: 'orphan', type: 'boolean'}
+    ],
+    edge: [
+        {name: 'type', type: 'string'},
+        {name: 'text', type: 'string'},
+        {name: 'inScope', type: 'boolean'},
+        {name: 'rejection', type: 'string'},
+        {name: 'count', type: 'int'}
+    ]
+};
+
+
+/**
+ * Nodes (by url) and edges (by source, target and type), quoted keys so they can be checkpointed.
+ *
+ * @type {Object}
+ * @private
+ */
+tmc.scraperjs.LinkGraph.prototype.state_ = null;
+
+
+/**
+ * Records a link found in a page. The same link found again only increments the edge's count.
+ *
+ * @param {!string} source url of the page the link was found in.
+ * @param {!string} target url of the link.
+ * @param {string|undefined} text anchor text of the link.
+ * @param {?string} rejection why the link is out of scope (<code>null</code> if in scope).
+ */
+tmc.scraperjs.LinkGraph.prototype.addLink = function(source, target, text, rejection) {
+    this.addEdge_(source, target, tmc.scraperjs.LinkGraph.EdgeType.LINK, text ? goog.string.collapseWhitespace(text) : null, rejection);
+};
+
+
+/**
+ * Records a redirect.
+ *
+ * @param {!string} source url of the link fetched.
+ * @param {!string} target url the response was eventually retrieved from.
+ */
+tmc.scraperjs.LinkGraph.prototype.addRedirect = function(source, target) {
+    this.addEdge_(source, target, tmc.scraperjs.LinkGraph.EdgeType.REDIRECT, null, null);
+};
+
+
+/**
+ * Records the outcome of the fetch of a page.
+ *
+ * @param {!string} url url of the page.
+ * @param {!number} status http status (0 if no response was received).
+ * @param {?string} mime mime type of the page (<code>null</code> if its fetch failed).
+ */
+tmc.scraperjs.LinkGraph.prototype.recordFetch = function(url, status, mime) {
+    var node = this.getNode_(url);
+
+    node['status'] = status;
+    node['mime'] = mime;
+};
+
+
+/**
+ * Records why a link was not crawled (e.g. disallowed by robots.txt).
+ *
+ * @param {!string} url url of the link.
+ * @param {!string} reason reason why the link was rejected (see <code>tmc.ScraperJS.RejectReason</code>).
+ */
+tmc.scraperjs.LinkGraph.prototype.recordRejection = function(url, reason) {
+    this.getNode_(url)['rejection'] = reason;
+};
+
+
+/**
+ * @return {!Object} nodes and edges, to be handed back to the constructor (e.g. saved in a checkpoint).
+ */
+tmc.scraperjs.LinkGraph.prototype.getState = function() {
+    return /** @type {!Object} */ (goog.object.unsafeClone(this.state_));
+};
+
+
+/**
+ * Returns the graph along with its metrics (quoted keys):
+ * <code>'seedUrl'</code>: url the crawl started from
+ * <code>'nodes'</code>: pages, each holding its <code>'url'</code>, http <code>'status'</code> and <code>'mime'</code>
+ * type (<code>null</code> if not fetched), whether it is <code>'inScope'</code>, why it was rejected
+ * (<code>'rejection'</code>, <code>null</code> if it was not), its <code>'inDegree'</code> and <code>'outDegree'</code>
+ * (number of distinct pages linking to it, linked from it), its shortest <code>'clickDepth'</code> from the seed
+ * (redirects do not count as clicks, <code>null</code> if unreachable), its <code>'pageRank'</code> (computed over
+ * the in scope pages, <code>null</code> for the others) and whether it is an <code>'orphan'</code>: an html page
+ * fetched that no html page links to (e.g. only listed by a sitemap)
+ * <code>'edges'</code>: links and redirects, each holding its <code>'source'</code> and <code>'target'</code> urls,
+ * <code>'type'</code> (see <code>tmc.scraperjs.LinkGraph.EdgeType</code>), anchor <code>'text'</code> (the first
+ * one found), whether it is <code>'inScope'</code>, why it was rejected (<code>'rejection'</code>) and how many
+ * times it was found (<code>'count'</code>)
+ * <code>'orphans'</code>: urls of the orphan pages
+ *
+ * @param {?string} seedUrl url the crawl started from.
+ *
+ * @return {!Object} graph and metrics.
+ */
+tmc.scraperjs.LinkGraph.prototype.analyze = function(seedUrl) {
+    var nodes = this.state_['nodes'];
+    var edges = goog.object.getValues(this.state_['edges']);
+    var EdgeType = tmc.scraperjs.LinkGraph.EdgeType;
+    var inScope = {};
+    var inDegrees = {};
+    var outDegrees = {};
+    var clickDepths;
+    var pageRanks;
+    var linked;
+    var orphans = [];
+
+    if (seedUrl !== null) {
+        this.getNode_(seedUrl);
+        inScope[seedUrl] = true;
+    }
+    goog.array.forEach(edges, function(edge) {
+        if (edge['inScope']) {
+            inScope[edge['source']] = true;
+            inScope[edge['target']] = true;
+        }
+        if ((edge['type'] === EdgeType.LINK) && (edge['source'] !== edge['target'])) {
+            inDegrees[edge['target']] = (inDegrees[edge['target']] || 0) + 1;
+            outDegrees[edge['source']] = (outDegrees[edge['source']] || 0) + 1;
+        }
+    });
+
+    edges = goog.array.filter(edges, function(edge) {
+        return edge['inScope'] && (edge['source'] !== edge['target']);
+    });
+    clickDepths = (seedUrl !== null) ? tmc.scraperjs.LinkGraph.computeClickDepths_(seedUrl, edges) : {};
+    pageRanks = tmc.scraperjs.LinkGraph.computePageRanks_(goog.object.getKeys(inScope), edges);
+    linked = this.getLinkedPages_(seedUrl, edges);
+
+    return {
+        'seedUrl': seedUrl,
+        'nodes': goog.array.map(goog.object.getKeys(nodes), function(url) {
+            var node = nodes[url];
+            var orphan = inScope[url] && (node['mime'] === 'text/html') && !linked[url];
+
+            if (orphan) {
+                orphans.push(url);
+            }
+            return {
+                'url': url,
+                'status': node['status'],
+                'mime': node['mime'],
+                'inScope': !!inScope[url],
+                'rejection': node['rejection'],
+                'inDegree': inDegrees[url] || 0,
+                'outDegree': outDegrees[url] || 0,
+                'clickDepth': (clickDepths[url] !== undefined) ? clickDepths[url] : null,
+                'pageRank': (pageRanks[url] !== undefined) ? pageRanks[url] : null,
+                'orphan': !!orphan
+            };
+        }),
+        'edges': goog.array.map(goog.object.getValues(this.state_['edges']), function(edge) {
+            return goog.object.clone(edge);
+        }),
+        'orphans': orphans
+    };
+};
+
+
+/**
+ * Serializes the graph and its metrics (see <code>analyze</code>).
+ *
+ * @param {!tmc.scraperjs.LinkGraph.Format} format export format.
+ * @param {?string} seedUrl url the crawl started from.
+ *
+ * @return {!string} exported document.
+ */
+tmc.scraperjs.LinkGraph.prototype.serialize = function(format, seedUrl) {
+    var graph = this.analyze(seedUrl);
+
+    switch (format) {
+        case tmc.scraperjs.LinkGraph.Format.DOT:
+            return tmc.scraperjs.LinkGraph.toDot(graph);
+
+        case tmc.scraperjs.LinkGraph.Format.GRAPHML:
+            return tmc.scraperjs.LinkGraph.toGraphMl(graph);
+
+        default:
+            return JSON.stringify(graph, null, 2);
+    }
+};
+
+
+/**
+ * Serializes an analyzed graph (see <code>analyze</code>) as a Graphviz DOT document: out of scope pages
+ * and links are dashed, redirects are bold, orphan pages are red and the metrics are node attributes.
+ *
+ * @param {!Object} graph analyzed graph.
+ *
+ * @return {!string} DOT document.
+ */
+tmc.scraperjs.LinkGraph.toDot = function(graph) {
+    var quote = tmc.scraperjs.LinkGraph.quoteDot_;
+    var lines = ['digraph links {', '    node [shape=box];'];
+
+    goog.array.forEach(graph['nodes'], function(node) {
+        var attributes = ['label=' + quote(node['url'])];
+
+        goog.array.forEach(['status', 'mime', 'rejection', 'inDegree', 'outDegree', 'clickDepth', 'pageRank'], function(name) {
+            if (node[name] !== null) {
+                attributes.push(name + '=' + quote(String(node[name])));
+            }
+        });
+        if (!node['inScope']) {
+            attributes.push('style=dashed');
+        }
+        if (node['orphan']) {
+            attributes.push('color=red');
+        }
+        lines.push('    ' + quote(node['url']) + ' [' + attributes.join(', ') + '];');
+    });
+
+    goog.array.forEach(graph['edges'], function(edge) {
+        var attributes = [];
+
+        if (edge['text'] !== null) {
+            attributes.push('label=' + quote(edge['text']));
+        }
+        if (edge['type'] === tmc.scraperjs.LinkGraph.EdgeType.REDIRECT) {
+            attributes.push('style=bold', 'label="redirect"');
+        }
+        else if (!edge['inScope']) {
+            attributes.push('style=dashed', 'rejection=' + quote(edge['rejection'] || ''));
+        }
+        lines.push('    ' + quote(edge['source']) + ' -> ' + quote(edge['target'])
+            + (attributes.length ? ' [' + attributes.join(', ') + ']' : '') + ';');
+    });
+    lines.push('}', '');
+
+    return lines.join('\n');
+};
+
+
+/**
+ * Serializes an analyzed graph (see <code>analyze</code>) as a GraphML document, the attributes of the
+ * nodes and edges being GraphML data (see <code>GRAPHML_KEYS</code>).
+ *
+ * @param {!Object} graph analyzed graph.
+ *
+ * @return {!string} GraphML document.
+ */
+tmc.scraperjs.LinkGraph.toGraphMl = function(graph) {
+    var keys = tmc.scraperjs.LinkGraph.GRAPHML_KEYS;
+    var ids = {};
+    var lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'
+    ];
+
+    function toData(item, domain) {
+        return goog.array.map(goog.array.filter(keys[domain], function(key) {
+            return (item[key.name] !== null) && (item[key.name] !== undefined);
+        }), function(key) {
+            return '<data key="' + domain + '.' + key.name + '">' + goog.string.htmlEscape(String(item[key.name])) + '</data>';
+        }).join('');
+    }
+
+    goog.object.forEach(keys, function(domainKeys, domain) {
+        goog.array.forEach(domainKeys, function(key) {
+            lines.push('  <key id="' + domain + '.' + key.name + '" for="' + domain + '" attr.name="' + key.name
+                + '" attr.type="' + key.type + '"/>');
+        });
+    });
+    lines.push('  <graph id="links" edgedefault="directed">');
+    goog.array.forEach(graph['nodes'], function(node, i) {
+        ids[node['url']] = 'n' + i;
+        lines.push('    <node id="n' + i + '">' + toData(node, 'node') + '</node>');
+    });
+    goog.array.forEach(graph['edges'], function(edge, i) {
+        lines.push('    <edge id="e' + i + '" source="' + ids[edge['source']] + '" target="' + ids[edge['target']] + '">'
+            + toData(edge, 'edge') + '</edge>');
+    });
+    lines.push('  </graph>', '</graphml>', '');
+
+    return lines.join('\n');
+};
+
+
+/**
+ * @param {!string} url url of a page.
+ *
+ * @return {!Object} node of the page (created if need be).
+ *
+ * @private
+ */
+tmc.scraperjs.LinkGraph.prototype.getNode_ = function(url) {
+    var nodes = this.state_['nodes'];
+
+    if (nodes[url] === undefined) {
+        nodes[url] = {'status': null, 'mime': null, 'rejection': null};
+    }
+    return nodes[url];
+};
+
+
+/**
+ * Records an edge (the nodes it joins are created if need be).
+ *
+ * @param {!string} source url of the source page.
+ * @param {!string} target url of the target page.
+ * @param {!tmc.scraperjs.LinkGraph.EdgeType} type type of the edge.
+ * @param {?string} text anchor text.
+ * @param {?string} rejection why the target is out of scope (<code>null</code> if in scope).
+ *
+ * @private
+ */
+tmc.scraperjs.LinkGraph.prototype.addEdge_ = function(source, target, type, text, rejection) {
+    var key = type + ' ' + source + ' ' + target;
+    var edge = this.state_['edges'][key];
+
+    this.getNode_(source);
+    this.getNode_(target);
+    if (edge !== undefined) {
+        edge['count']++;
+        if ((edge['text'] === null) && text) {
+            edge['text'] = text;
+        }
+        return;
+    }
+
+    this.state_['edges'][key] = {'source': source, 'target': target, 'type': type, 'text': text || null,
+        'inScope': rejection === null, 'rejection': rejection, 'count': 1};
+};
+
+
+/**
+ * Finds the pages an html page links to, directly or through redirects (the seed counts as linked).
+ *
+ * @param {?string} seedUrl url the crawl started from.
+ * @param {!Array.<!Object>} edges in scope edges.
+ *
+ * @return {!Object.<string,boolean>} linked pages.
+ *
+ * @private
+ */
+tmc.scraperjs.LinkGraph.prototype.getLinkedPages_ = function(seedUrl, edges) {
+    var nodes = this.state_['nodes'];
+    var linked = {};
+    var changed = true;
+
+    if (seedUrl !== null) {
+        linked[seedUrl] = true;
+    }
+    goog.array.forEach(edges, function(edge) {
+        if ((edge['type'] === tmc.scraperjs.LinkGraph.EdgeType.LINK) && (nodes[edge['source']]['mime'] === 'text/html')) {
+            linked[edge['target']] = true;
+        }
+    });
+
+    while (changed) {                                   // Follows redirects (chains included)
+        changed = false;
+        goog.array.forEach(edges, function(edge) {
+            if ((edge['type'] === tmc.scraperjs.LinkGraph.EdgeType.REDIRECT) && linked[edge['source']] && !linked[edge['target']]) {
+                linked[edge['target']] = true;
+                changed = true;
+            }
+        });
+    }
+
+    return linked;
+};
+
+
+/**
+ * Computes the shortest click depth of the pages reachable from the seed (0-1 breadth-first search:
+ * following a link is a click, following a redirect is not).
+ *
+ * @param {!string} seedUrl url the crawl started from.
+ * @param {!Array.<!Object>} edges in scope edges.
+ *
+ * @return {!Object.<string,number>} click depths by url.
+ *
+ * @private
+ */
+tmc.scraperjs.LinkGraph.computeClickDepths_ = function(seedUrl, edges) {
+    var outgoing = {};
+    var depths = {};
+    var deque = [seedUrl];
+    var url;
+
+    goog.array.forEach(edges, function(edge) {
+        if (outgoing[edge['source']] === undefined) {
+            outgoing[edge['source']] = [];
+        }
+        outgoing[edge['source']].push(edge);
+    });
+
+    depths[seedUrl] = 0;
+    while (deque.length > 0) {
+        url = deque.shift();
+        goog.array.forEach(outgoing[url] || [], function(edge) {
+            var cost = (edge['type'] === tmc.scraperjs.LinkGraph.EdgeType.REDIRECT) ? 0 : 1;
+            var target = edge['target'];
+
+            if ((depths[target] === undefined) || (depths[url] + cost < depths[target])) {
+                depths[target] = depths[url] + cost;
+                if (cost === 0) {
+                    deque.unshift(target);
+                }
+                else {
+                    deque.push(target);
+                }
+            }
+        });
+    }
+
+    return depths;
+};
+
+
+/**
+ * Computes the PageRank of pages (power iteration, the rank of the pages without links being spread over
+ * every page).
+ *
+ * @param {!Array.<string>} urls urls of the pages.
+ * @param {!Array.<!Object>} edges edges between the pages.
+ *
+ * @return {!Object.<string,number>} PageRanks by url (summing up to 1).
+ *
+ * @private
+ */
+tmc.scraperjs.LinkGraph.computePageRanks_ = function(urls, edges) {
+    var damping = tmc.scraperjs.LinkGraph.DAMPING_FACTOR;
+    var n = urls.length;
+    var outgoing = {};
+    var ranks = {};
+    var next;
+    var dangling;
+    var delta = Infinity;
+
+    goog.array.forEach(urls, function(url) {
+        ranks[url] = 1 / n;
+        outgoing[url] = [];
+    });
+    goog.array.forEach(edges, function(edge) {
+        if ((outgoing[edge['source']] !== undefined) && (ranks[edge['target']] !== undefined)) {
+            outgoing[edge['source']].push(edge['target']);
+        }
+    });
+
+    for (var i = 0; (i < tmc.scraperjs.LinkGraph.MAX_PAGERANK_ITERATIONS) && (delta > tmc.scraperjs.LinkGraph.PAGERANK_TOLERANCE); i++) {
+        dangling = 0;
+        next = {};
+        goog.array.forEach(urls, function(url) {
+            next[url] = 0;
+            if (outgoing[url].length === 0) {
+                dangling += ranks[url];
+            }
+        });
+        goog.array.forEach(urls, function(url) {
+            var targets = outgoing[url];
+            var share = ranks[url] / targets.length;
+
+            goog.array.forEach(targets, function(target) {
+                next[target] += share;
+            });
+        });
+
+        delta = 0;
+        goog.array.forEach(urls, function(url) {
+            next[url] = (1 - damping) / n + damping * (next[url] + dangling / n);
+            delta += Math.abs(next[url] - ranks[url]);
+        });
+        ranks = next;
+    }
+
+    return ranks;
+};
+
+
+/**
+ * @param {!string} text text to quote.
+ *
+ * @return {!string} DOT quoted string.
+ *
+ * @private
+ */
+tmc.scraperjs.LinkGraph.quoteDot_ = function(text) {
+    return '"' + text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n') + '"';
+};
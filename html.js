@@ -0,0 +1,631 @@
+/**
+ * ScraperJS Copyright (C) 2011-2012 365multimedia.com
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+goog.provide('tmc.scraperjs.Html');
+
+goog.require('goog.array');
+goog.require('goog.string');
+
+
+/**
+ * Element found in an html document, reduced to what link extraction needs.
+ *
+ * <code>tag</code>: lower case tag name
+ * <code>attributes</code>: map of attribute values (keys are lower case)
+ * <code>text</code>: text content (only kept for <a> elements)
+ *
+ * @typedef {{tag:string, attributes:!Object.<string,string>, text:(string|undefined)}}
+ */
+tmc.scraperjs.Html.Element;
+
+
+/**
+ * Tags whose content is raw text (no tag inside).
+ *
+ * @type {!Array.<!string>}
+ * @const
+ */
+tmc.scraperjs.Html.RAW_TEXT_TAGS = ['script', 'style', 'textarea', 'title', 'xmp', 'plaintext'];
+
+
+/**
+ * Tags link extraction is interested in.
+ *
+ * @type {!Array.<!string>}
+ * @const
+ */
+tmc.scraperjs.Html.LINK_TAGS = ['a', 'area', 'frame', 'iframe', 'link', 'meta', 'form', 'img', 'source'];
+
+
+/**
+ * Attributes holding the url of the assets (images, scripts, stylesheets, media...) a document
+ * loads, by tag.
+ *
+ * @type {!Object.<!string,!Array.<!string>>}
+ * @const
+ */
+tmc.scraperjs.Html.ASSET_ATTRIBUTES = {
+    'img': ['src'],
+    'script': ['src'],
+    'link': ['href'],
+    'source': ['src'],
+    'video': ['src', 'poster'],
+    'audio': ['src'],
+    'track': ['src'],
+    'embed': ['src'],
+    'object': ['data'],
+    'input': ['src']
+};
+
+
+/**
+ * Tags asset extraction is interested in (keys of <code>ASSET_ATTRIBUTES</code>).
+ *
+ * @type {!Array.<!string>}
+ * @const
+ */
+tmc.scraperjs.Html.ASSET_TAGS = ['img', 'script', 'link', 'source', 'video', 'audio', 'track', 'embed', 'object', 'input'];
+
+
+/**
+ * Maximum length of the anchor text kept for an <a> element.
+ *
+ * @type {!number}
+ * @const
+ */
+tmc.scraperjs.Html.MAX_TEXT_LENGTH = 256;
+
+
+/**
+ * Matches the characters allowed in a tag name.
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Html.RX_TAG_NAME_CHAR = /[A-Za-z0-9:_-]/;
+
+
+/**
+ * Matches the whitespace characters.
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Html.RX_SPACE = /\s/;
+
+
+/**
+ * Matches the url of a <meta http-equiv="refresh"> tag's content attribute.
+ *
+ * <code>
+ * ^\s*                                                     0 or more spaces
+ * [\d.]*                                                   delay
+ * \s*[;,]?\s*                                              separator
+ * url\s*=\s*                                               url=
+ * (['"]?)                                                  optional quote
+ * (.*?)                                                    the url
+ * \1\s*$                                                   matching quote
+ * </code>
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Html.RX_META_REFRESH_URL = /^\s*[\d.]*\s*[;,]?\s*url\s*=\s*(['"]?)(.*?)\1\s*$/i;
+
+
+/**
+ * Relations of the <link> tags worth following.
+ *
+ * @type {!Array.<!string>}
+ * @const
+ */
+tmc.scraperjs.Html.FOLLOWED_LINK_RELATIONS = ['canonical', 'next', 'prev', 'previous'];
+
+
+/**
+ * Relations of the <link> tags pointing to an origin rather than to an asset.
+ *
+ * @type {!Array.<!string>}
+ * @const
+ */
+tmc.scraperjs.Html.ORIGIN_LINK_RELATIONS = ['dns-prefetch', 'preconnect'];
+
+
+/**
+ * Matches the type of a feed.
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Html.RX_FEED_TYPE = /^application\/(?:rss|atom)\+xml$/i;
+
+
+/**
+ * Matches documents that may hold a canonical <link> tag.
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Html.RX_CANONICAL_HINT = /rel\s*=\s*['"]?[^'">]*canonical/i;
+
+
+/**
+ * Parses an html document with a linear time tokenizer (no backtracking regular expression),
+ * keeping the elements link extraction is interested in. Used where DOMParser is not available
+ * (e.g. Node.js).
+ *
+ * Comments, doctypes and processing instructions are skipped, raw text elements (script, style...)
+ * are not looked into whereas <noscript> elements are. Attribute values may be double quoted, single
+ * quoted or unquoted (unquoted values run until a space or >, quotes included).
+ *
+ * @param {!string} content content of the html document.
+ * @param {Array.<!string>=} opt_tags tags to keep (defaults to <code>LINK_TAGS</code>, <code>null</code> for all).
+ *
+ * @return {!Array.<!tmc.scraperjs.Html.Element>} elements of interest, in document order.
+ */
+tmc.scraperjs.Html.parse = function(content, opt_tags) {
+    var tags = (opt_tags !== undefined) ? opt_tags : tmc.scraperjs.Html.LINK_TAGS;
+    var lower = content.toLowerCase();
+    var length = content.length;
+    var elements = [];
+    var anchor = null;                                  // <a> element whose text is being collected
+    var pos = 0;
+    var lt;
+    var end;
+    var tag;
+
+    while ((lt = content.indexOf('<', pos)) !== -1) {
+        if (anchor !== null) {
+            tmc.scraperjs.Html.appendText_(anchor, content.substring(pos, lt));
+        }
+
+        if (content.substr(lt, 4) === '<!--') {         // Comment
+            end = content.indexOf('-->', lt + 4);
+            pos = (end === -1) ? length : end + 3;
+        }
+        else if ((content.charAt(lt + 1) === '!') || (content.charAt(lt + 1) === '?')) {     // Doctype, PI
+            end = content.indexOf('>', lt);
+            pos = (end === -1) ? length : end + 1;
+        }
+        else if (content.charAt(lt + 1) === '/') {      // End tag
+            end = content.indexOf('>', lt);
+            pos = (end === -1) ? length : end + 1;
+            if ((anchor !== null) && /^<\/a[\s>]/.test(lower.substring(lt, lt + 4))) {
+                anchor = null;
+            }
+        }
+        else if (/[A-Za-z]/.test(content.charAt(lt + 1))) {    // Start tag
+            tag = tmc.scraperjs.Html.parseStartTag_(content, lt + 1);
+            pos = tag.end;
+
+            if ((tags === null) || goog.array.contains(tags, tag.element.tag)) {
+                elements.push(tag.element);
+                if (tag.element.tag === 'a') {
+                    tag.element.text = '';
+                    anchor = tag.element;
+                }
+            }
+
+            if (goog.array.contains(tmc.scraperjs.Html.RAW_TEXT_TAGS, tag.element.tag)) {
+                end = lower.indexOf('</' + tag.element.tag, pos);
+                pos = (end === -1) ? length : end;
+            }
+        }
+        else {                                          // A lone <
+            pos = lt + 1;
+        }
+    }
+
+    goog.array.forEach(elements, function(element) {
+        if (element.text !== undefined) {
+            element.text = goog.string.collapseWhitespace(goog.string.unescapeEntities(element.text));
+        }
+    });
+
+    return elements;
+};
+
+
+/**
+ * Parses a start tag.
+ *
+ * @param {!string} content content of the html document.
+ * @param {!number} pos position of the tag name (right after the <).
+ *
+ * @return {{element:!tmc.scraperjs.Html.Element, end:number}} element and position right after the tag.
+ *
+ * @private
+ */
+tmc.scraperjs.Html.parseStartTag_ = function(content, pos) {
+    var length = content.length;
+    var attributes = {};
+    var start = pos;
+    var tagName;
+    var name;
+    var value;
+    var quote;
+    var c;
+
+    while ((pos < length) && tmc.scraperjs.Html.RX_TAG_NAME_CHAR.test(content.charAt(pos))) {
+        pos++;
+    }
+    tagName = content.substring(start, pos).toLowerCase();
+
+    for (;;) {
+        // Skips spaces and slashes
+        while ((pos < length) && (tmc.scraperjs.Html.RX_SPACE.test(c = content.charAt(pos)) || (c === '/'))) {
+            pos++;
+        }
+        if ((pos >= length) || (content.charAt(pos) === '>')) {
+            break;
+        }
+
+        // Attribute name
+        start = pos;
+        while ((pos < length) && !/[\s\/>=]/.test(content.charAt(pos))) {
+            pos++;
+        }
+        if (pos === start) {                            // A lone =
+            pos++;
+            continue;
+        }
+        name = content.substring(start, pos).toLowerCase();
+        value = '';
+
+        // Attribute value
+        start = pos;
+        while ((pos < length) && tmc.scraperjs.Html.RX_SPACE.test(content.charAt(pos))) {
+            pos++;
+        }
+        if (content.charAt(pos) === '=') {
+            pos++;
+            while ((pos < length) && tmc.scraperjs.Html.RX_SPACE.test(content.charAt(pos))) {
+                pos++;
+            }
+            quote = content.charAt(pos);
+            if ((quote === '"') || (quote === "'")) {
+                start = pos + 1;
+                pos = content.indexOf(quote, start);
+                if (pos === -1) {
+                    pos = length;
+                }
+                value = content.substring(start, pos);
+                pos++;
+            }
+            else {
+                start = pos;
+                while ((pos < length) && !/[\s>]/.test(content.charAt(pos))) {
+                    pos++;
+                }
+                value = content.substring(start, pos);
+            }
+        }
+        else {
+            pos = start;                                // Attribute without value
+        }
+
+        if (attributes[name] === undefined) {           // The first occurrence of an attribute wins
+            attributes[name] = value;
+        }
+    }
+
+    return {element: {tag: tagName, attributes: attributes, text: undefined}, end: Math.min(length, pos + 1)};
+};
+
+
+/**
+ * Appends text to an <a> element's text, up to <code>MAX_TEXT_LENGTH</code> characters.
+ *
+ * @param {!tmc.scraperjs.Html.Element} element <a> element.
+ * @param {!string} text text to append.
+ *
+ * @private
+ */
+tmc.scraperjs.Html.appendText_ = function(element, text) {
+    if (element.text.length < tmc.scraperjs.Html.MAX_TEXT_LENGTH) {
+        element.text = (element.text + text).substr(0, tmc.scraperjs.Html.MAX_TEXT_LENGTH);
+    }
+};
+
+
+/**
+ * Parses an html document with DOMParser when available (browsers), with <code>parse</code> otherwise.
+ *
+ * @param {!string} content content of the html document.
+ * @param {Array.<!string>=} opt_tags tags to keep (defaults to <code>LINK_TAGS</code>, <code>null</code> for all).
+ *
+ * @return {!Array.<!tmc.scraperjs.Html.Element>} elements of interest, in document order.
+ */
+tmc.scraperjs.Html.getElements = function(content, opt_tags) {
+    var tags = (opt_tags !== undefined) ? opt_tags : tmc.scraperjs.Html.LINK_TAGS;
+    var doc;
+    var nodes;
+    var elements = [];
+    var l;
+    var node;
+    var element;
+
+    if (typeof DOMParser === 'undefined') {
+        return tmc.scraperjs.Html.parse(content, tags);
+    }
+
+    doc = (new DOMParser()).parseFromString(content, 'text/html');  // Scripting is disabled so <noscript>
+    nodes = doc.querySelectorAll((tags === null) ? '*' : tags.join(','));   // content is parsed as html
+    l = nodes.length;
+    for (var i = 0; i < l; i++) {
+        node = nodes[i];
+        element = {tag: node.tagName.toLowerCase(), attributes: {}, text: undefined};
+        for (var j = 0; j < node.attributes.length; j++) {
+            element.attributes[node.attributes[j].name.toLowerCase()] = node.attributes[j].value;
+        }
+        if (element.tag === 'a') {
+            element.text = goog.string.collapseWhitespace(node.textContent || '').substr(0, tmc.scraperjs.Html.MAX_TEXT_LENGTH);
+        }
+        elements.push(element);
+    }
+
+    return elements;
+};
+
+
+/**
+ * Extracts the links of an html document:
+ * <a> and <area> tags' href attribute value
+ * <frame> and <iframe> tags' src attribute value
+ * <link> tags' href attribute value (if canonical, next, prev or pointing to a feed)
+ * <img> and <source> tags' srcset attribute urls
+ * <meta http-equiv="refresh"> tags' url
+ * <form> tags' action attribute value (GET forms only)
+ *
+ * Each link carries the element and attribute it comes from, its rel (if any) and its anchor text (for <a> tags).
+ *
+ * Meant to be used as the link extractor of the text/html mime type.
+ *
+ * @param {!string} content content of the html document.
+ *
+ * @return {!Array.<!tmc.ScraperJS.ExtractedLink>} links of the document.
+ */
+tmc.scraperjs.Html.extractLinks = function(content) {
+    var elements = tmc.scraperjs.Html.getElements(content);
+    var links = [];
+
+    function add(url, element, attribute) {
+        if (url) {
+            links.push({
+                url: url,
+                element: element.tag,
+                attribute: attribute,
+                rel: element.attributes['rel'],
+                text: element.text
+            });
+        }
+    }
+
+    goog.array.forEach(elements, function(element) {
+        var attributes = element.attributes;
+        var match;
+
+        switch (element.tag) {
+            case 'a':
+            case 'area':
+                add(attributes['href'], element, 'href');
+                break;
+
+            case 'frame':
+            case 'iframe':
+                add(attributes['src'], element, 'src');
+                break;
+
+            case 'link':
+                if (goog.array.some((attributes['rel'] || '').toLowerCase().split(/\s+/), function(rel) {
+                        return goog.array.contains(tmc.scraperjs.Html.FOLLOWED_LINK_RELATIONS, rel);
+                    })
+                    || tmc.scraperjs.Html.RX_FEED_TYPE.test(goog.string.trim(attributes['type'] || ''))) {
+                    add(attributes['href'], element, 'href');
+                }
+                break;
+
+            case 'img':
+            case 'source':
+                if (attributes['srcset'] !== undefined) {
+                    goog.array.forEach(tmc.scraperjs.Html.parseSrcset(attributes['srcset']), function(url) {
+                        add(url, element, 'srcset');
+                    });
+                }
+                break;
+
+            case 'meta':
+                if ((attributes['http-equiv'] || '').toLowerCase() === 'refresh') {
+                    match = (attributes['content'] || '').match(tmc.scraperjs.Html.RX_META_REFRESH_URL);
+                    if (match !== null) {
+                        add(goog.string.trim(match[2]), element, 'content');
+                    }
+                }
+                break;
+
+            case 'form':
+                if ((attributes['method'] || 'get').toLowerCase() === 'get') {
+                    add(attributes['action'], element, 'action');
+                }
+                break;
+        }
+    });
+
+    return links;
+};
+
+
+/**
+ * Extracts the urls of the assets an html document loads (see <code>ASSET_ATTRIBUTES</code>): images,
+ * scripts, media, embedded objects and the resources of the <code>&lt;link&gt;</code> tags
+ * <code>extractLinks</code> does not follow (stylesheets, icons, preloads...).
+ *
+ * Meant to check the assets of a page (see <code>tmc.ScraperJS.prototype.setCheckLinks</code>), not to crawl them.
+ *
+ * @param {!string} content content of the html document.
+ *
+ * @return {!Array.<!tmc.ScraperJS.ExtractedLink>} assets of the document.
+ */
+tmc.scraperjs.Html.extractAssets = function(content) {
+    var elements = tmc.scraperjs.Html.getElements(content, tmc.scraperjs.Html.ASSET_TAGS);
+    var assets = [];
+
+    goog.array.forEach(elements, function(element) {
+        var attributes = element.attributes;
+        var rels;
+
+        if (element.tag === 'link') {
+            rels = (attributes['rel'] || '').toLowerCase().split(/\s+/);
+            if (goog.array.some(rels, function(rel) {
+                    return goog.array.contains(tmc.scraperjs.Html.FOLLOWED_LINK_RELATIONS, rel)
+                        || goog.array.contains(tmc.scraperjs.Html.ORIGIN_LINK_RELATIONS, rel);
+                })
+                || tmc.scraperjs.Html.RX_FEED_TYPE.test(goog.string.trim(attributes['type'] || ''))) {
+                return;                                 // Followed by extractLinks or not an asset
+            }
+        }
+        else if ((element.tag === 'input') && ((attributes['type'] || '').toLowerCase() !== 'image')) {
+            return;
+        }
+
+        goog.array.forEach(tmc.scraperjs.Html.ASSET_ATTRIBUTES[element.tag], function(attribute) {
+            if (attributes[attribute]) {
+                assets.push({
+                    url: attributes[attribute],
+                    element: element.tag,
+                    attribute: attribute,
+                    rel: attributes['rel']
+                });
+            }
+        });
+    });
+
+    return assets;
+};
+
+
+/**
+ * Extracts the anchors of an html document, i.e. the fragments its urls may point to:
+ * the id attribute values of its elements and the name attribute values of its <code>&lt;a&gt;</code> tags.
+ *
+ * @param {!string} content content of the html document.
+ *
+ * @return {!Array.<!string>} anchors of the document (without duplicates).
+ */
+tmc.scraperjs.Html.extractAnchors = function(content) {
+    var anchors = [];
+
+    goog.array.forEach(tmc.scraperjs.Html.getElements(content, null), function(element) {
+        var id = element.attributes['id'];
+        var name = (element.tag === 'a') ? element.attributes['name'] : undefined;
+
+        if (id) {
+            anchors.push(id);
+        }
+        if (name) {
+            anchors.push(name);
+        }
+    });
+    goog.array.removeDuplicates(anchors);
+
+    return anchors;
+};
+
+
+/**
+ * Finds the canonical url of an html document (first <code>&lt;link rel="canonical"&gt;</code> tag).
+ *
+ * @param {!string} content content of the html document.
+ *
+ * @return {?string} canonical url as found in the document (relative or absolute) or <code>null</code> if none.
+ */
+tmc.scraperjs.Html.getCanonicalUrl = function(content) {
+    var element;
+
+    if (!tmc.scraperjs.Html.RX_CANONICAL_HINT.test(content)) {       // Spares parsing most documents
+        return null;
+    }
+
+    element = goog.array.find(tmc.scraperjs.Html.getElements(content), function(element) {
+        return (element.tag === 'link') && (element.attributes['href'] !== undefined)
+            && goog.array.contains((element.attributes['rel'] || '').toLowerCase().split(/\s+/), 'canonical');
+    });
+
+    return element ? goog.string.trim(element.attributes['href']) : null;
+};
+
+
+/**
+ * Parses a srcset attribute value into its candidate urls.
+ * See {@link http://html.spec.whatwg.org/multipage/images.html#parse-a-srcset-attribute}
+ *
+ * @param {!string} srcset srcset attribute value.
+ *
+ * @return {!Array.<!string>} candidate urls.
+ */
+tmc.scraperjs.Html.parseSrcset = function(srcset) {
+    var length = srcset.length;
+    var urls = [];
+    var pos = 0;
+    var start;
+    var url;
+    var inParens;
+    var c;
+
+    while (pos < length) {
+        // Skips spaces and commas
+        while ((pos < length) && /[\s,]/.test(srcset.charAt(pos))) {
+            pos++;
+        }
+        if (pos >= length) {
+            break;
+        }
+
+        // Collects the url
+        start = pos;
+        while ((pos < length) && !tmc.scraperjs.Html.RX_SPACE.test(srcset.charAt(pos))) {
+            pos++;
+        }
+        url = srcset.substring(start, pos);
+        if (url.charAt(url.length - 1) === ',') {      // No descriptor
+            url = url.replace(/,+$/, '');
+        }
+        else {                                          // Skips the descriptors
+            inParens = false;
+            while (pos < length) {
+                c = srcset.charAt(pos);
+                if (c === '(') {
+                    inParens = true;
+                }
+                else if (c === ')') {
+                    inParens = false;
+                }
+                else if ((c === ',') && !inParens) {
+                    break;
+                }
+                pos++;
+            }
+        }
+
+        if (url !== '') {
+            urls.push(url);
+        }
+    }
+
+    return urls;
+};
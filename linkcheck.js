@@ -0,0 +1,319 @@
+/**
+ * ScraperJS Copyright (C) 2011-2012 365multimedia.com
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+goog.provide('tmc.scraperjs.LinkChecker');
+
+goog.require('goog.array');
+goog.require('goog.net.ErrorCode');
+goog.require('goog.object');
+goog.require('goog.string');
+goog.require('tmc.scraperjs.Response');
+
+
+/**
+ * Outcome of the checks of the links found during a crawl (see <code>tmc.ScraperJS.prototype.setCheckLinks</code>):
+ * each url linked to, along with the pages linking to it (anchor text and fragment included), the http status it
+ * was eventually answered with and the redirects followed on the way, as well as the anchors of the html pages
+ * fetched so the fragments can be checked. Reports the broken links: http errors, timeouts, network errors,
+ * redirects and missing fragments.
+ *
+ * @param {Object=} opt_state state to start from (see <code>getState</code>), e.g. restored from a checkpoint.
+ *
+ * @constructor
+ */
+tmc.scraperjs.LinkChecker = function(opt_state) {
+    this.state_ = opt_state ? /** @type {!Object} */ (goog.object.unsafeClone(opt_state)) : {'links': {}, 'anchors': {}};
+};
+
+
+/**
+ * Problems found with a link.
+ *
+ * <code>HTTP_ERROR</code>: the url was answered with an error status (4xx, 5xx) or too many redirects
+ * <code>TIMEOUT</code>: the url did not answer in time
+ * <code>NETWORK_ERROR</code>: the url could not be fetched (dns failure, connection refused or reset...)
+ * <code>REDIRECT</code>: the url redirects to another one (which answers successfully)
+ * <code>MISSING_FRAGMENT</code>: the fragment of the link matches no anchor of the page it points to
+ *
+ * @enum {string}
+ */
+tmc.scraperjs.LinkChecker.ProblemType = {
+    HTTP_ERROR: 'http-error',
+    TIMEOUT: 'timeout',
+    NETWORK_ERROR: 'network-error',
+    REDIRECT: 'redirect',
+    MISSING_FRAGMENT: 'missing-fragment'
+};
+
+
+/**
+ * Matches the fragments that do not point to an anchor: <code>#top</code> (the top of the page),
+ * hash routes (<code>#!/...</code>, <code>#/...</code>) and text fragments (<code>#:~:text=...</code>).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.LinkChecker.RX_UNCHECKED_FRAGMENT = /^(?:top$|[!\/]|:~:)/i;
+
+
+/**
+ * Links (by url, without fragment) and anchors (by page url), quoted keys so they can be checkpointed.
+ *
+ * @type {Object}
+ * @private
+ */
+tmc.scraperjs.LinkChecker.prototype.state_ = null;
+
+
+/**
+ * Records a link found in a page. The same link found again in the same page (same fragment and anchor text)
+ * is recorded once.
+ *
+ * @param {!string} url url of the link (without fragment).
+ * @param {?string} fragment fragment of the link (<code>null</code> if none).
+ * @param {!string} referrerUrl url of the page the link was found in.
+ * @param {string|undefined} text anchor text of the link.
+ */
+tmc.scraperjs.LinkChecker.prototype.addLink = function(url, fragment, referrerUrl, text) {
+    var referrers = this.getLink_(url)['referrers'];
+    var anchorText = text ? goog.string.collapseWhitespace(text) : null;
+    var referrer;
+
+    fragment = fragment || null;
+    // The links of a page are added together: only the last referrers may be the same page
+    for (var i = referrers.length - 1; (i >= 0) && (referrers[i]['url'] === referrerUrl); i--) {
+        referrer = referrers[i];
+        if ((referrer['fragment'] === fragment) && (referrer['text'] === anchorText)) {
+            return;
+        }
+    }
+
+    referrers.push({'url': referrerUrl, 'text': anchorText, 'fragment': fragment});
+};
+
+
+/**
+ * Records the response a url was eventually answered with (retries and fallbacks over).
+ *
+ * @param {!string} url url fetched (without fragment).
+ * @param {!tmc.scraperjs.Response} response response to the fetch.
+ */
+tmc.scraperjs.LinkChecker.prototype.recordResponse = function(url, response) {
+    var link = this.getLink_(url);
+
+    link['status'] = response.getStatus();
+    link['errorCode'] = response.getLastErrorCode();
+    link['error'] = response.getLastError() || null;
+    link['responseUrl'] = response.getLastUri();
+    link['redirects'] = goog.array.map(response.getRedirects(), function(redirect) {
+        return {'url': redirect.url, 'status': redirect.status};
+    });
+};
+
+
+/**
+ * Records a url that is not to be checked (e.g. disallowed by robots.txt).
+ *
+ * @param {!string} url url of the link (without fragment).
+ * @param {!string} reason reason why the url is not checked.
+ */
+tmc.scraperjs.LinkChecker.prototype.recordSkipped = function(url, reason) {
+    this.getLink_(url)['skipped'] = reason;
+};
+
+
+/**
+ * Records the anchors of an html page (see <code>tmc.scraperjs.Html.extractAnchors</code>).
+ *
+ * @param {!string} url url the page was retrieved from.
+ * @param {!Array.<!string>} anchors anchors of the page.
+ */
+tmc.scraperjs.LinkChecker.prototype.recordAnchors = function(url, anchors) {
+    this.state_['anchors'][url] = goog.array.clone(anchors);
+};
+
+
+/**
+ * @return {!Array.<!string>} urls neither fetched nor skipped yet, in the order they were found.
+ */
+tmc.scraperjs.LinkChecker.prototype.getUncheckedUrls = function() {
+    var links = this.state_['links'];
+
+    return goog.array.filter(goog.object.getKeys(links), function(url) {
+        return (links[url]['status'] === null) && (links[url]['skipped'] === null);
+    });
+};
+
+
+/**
+ * @param {!string} url url of the link (without fragment).
+ *
+ * @return {!boolean} whether some links to the url have a fragment to check (so its anchors are needed).
+ */
+tmc.scraperjs.LinkChecker.prototype.hasFragments = function(url) {
+    var link = this.state_['links'][url];
+
+    return !!link && goog.array.some(link['referrers'], function(referrer) {
+        return tmc.scraperjs.LinkChecker.isCheckedFragment_(referrer['fragment']);
+    });
+};
+
+
+/**
+ * Returns the broken links found so far, each one described by a record (quoted keys) holding its
+ * <code>'url'</code>, the <code>'problem'</code> found (see <code>tmc.scraperjs.LinkChecker.ProblemType</code>),
+ * the http <code>'status'</code> it was eventually answered with (0 if no response was received), the
+ * description of the <code>'error'</code> (<code>null</code> if none), the missing <code>'fragment'</code>
+ * (<code>null</code> unless the problem is a missing fragment), the <code>'responseUrl'</code>, the chain of
+ * <code>'redirects'</code> (each one holding its <code>'url'</code> and <code>'status'</code>) and the
+ * <code>'referrers'</code>: the pages linking to it, each one holding its <code>'url'</code> and the anchor
+ * <code>'text'</code> of the link (<code>null</code> if none).
+ *
+ * Links that have not been checked yet are left out, as are the fragments of pages that are not html.
+ *
+ * @return {!Array.<!Object>} broken links.
+ */
+tmc.scraperjs.LinkChecker.prototype.getBrokenLinks = function() {
+    var ProblemType = tmc.scraperjs.LinkChecker.ProblemType;
+    var anchors = this.state_['anchors'];
+    var brokenLinks = [];
+
+    goog.object.forEach(this.state_['links'], function(link, url) {
+        var status = link['status'];
+        var problem = null;
+        var fragments;
+
+        function report(type, fragment, referrers) {
+            brokenLinks.push({
+                'url': url,
+                'problem': type,
+                'status': status,
+                'error': link['error'],
+                'fragment': fragment,
+                'responseUrl': link['responseUrl'],
+                'redirects': goog.array.map(link['redirects'], function(redirect) {
+                    return goog.object.clone(redirect);
+                }),
+                'referrers': tmc.scraperjs.LinkChecker.getReferrers_(referrers)
+            });
+        }
+
+        if ((status === null) || (link['skipped'] !== null)) {
+            return;
+        }
+
+        if (status === 0) {
+            problem = (link['errorCode'] === goog.net.ErrorCode.TIMEOUT) ? ProblemType.TIMEOUT : ProblemType.NETWORK_ERROR;
+        }
+        else if ((status >= 300) && (status !== 304)) {
+            problem = ProblemType.HTTP_ERROR;
+        }
+        else if (link['redirects'].length > 0) {
+            problem = ProblemType.REDIRECT;
+        }
+        if (problem !== null) {
+            report(problem, null, link['referrers']);
+        }
+        if ((problem !== null) && (problem !== ProblemType.REDIRECT)) {
+            return;                                     // No page to look the fragments up in
+        }
+
+        if (anchors[link['responseUrl']] !== undefined) {
+            fragments = {};
+            goog.array.forEach(link['referrers'], function(referrer) {
+                var fragment = referrer['fragment'];
+
+                if (tmc.scraperjs.LinkChecker.isCheckedFragment_(fragment)
+                    && !goog.array.contains(anchors[link['responseUrl']], fragment)) {
+                    if (fragments[fragment] === undefined) {
+                        fragments[fragment] = [];
+                    }
+                    fragments[fragment].push(referrer);
+                }
+            });
+            goog.object.forEach(fragments, function(referrers, fragment) {
+                report(ProblemType.MISSING_FRAGMENT, fragment, referrers);
+            });
+        }
+    });
+
+    return brokenLinks;
+};
+
+
+/**
+ * @return {!Object} links and anchors, to be handed back to the constructor (e.g. saved in a checkpoint).
+ */
+tmc.scraperjs.LinkChecker.prototype.getState = function() {
+    return /** @type {!Object} */ (goog.object.unsafeClone(this.state_));
+};
+
+
+/**
+ * @param {!string} url url of the link (without fragment).
+ *
+ * @return {!Object} record of the link (created if need be).
+ *
+ * @private
+ */
+tmc.scraperjs.LinkChecker.prototype.getLink_ = function(url) {
+    var links = this.state_['links'];
+
+    if (links[url] === undefined) {
+        links[url] = {'status': null, 'errorCode': null, 'error': null, 'responseUrl': null, 'redirects': [], 'skipped': null, 'referrers': []};
+    }
+
+    return links[url];
+};
+
+
+/**
+ * @param {?string} fragment fragment of a link.
+ *
+ * @return {!boolean} whether the fragment is to be looked up in the anchors of the page it points to.
+ *
+ * @private
+ */
+tmc.scraperjs.LinkChecker.isCheckedFragment_ = function(fragment) {
+    return (fragment !== null) && !tmc.scraperjs.LinkChecker.RX_UNCHECKED_FRAGMENT.test(fragment);
+};
+
+
+/**
+ * @param {!Array.<!Object>} referrers referrers of a link (url, anchor text and fragment).
+ *
+ * @return {!Array.<!Object>} pages linking to the link, each one holding its <code>'url'</code> and anchor
+ *     <code>'text'</code> (a page linking several times with the same text is listed once).
+ *
+ * @private
+ */
+tmc.scraperjs.LinkChecker.getReferrers_ = function(referrers) {
+    var seen = {};
+    var pages = [];
+
+    goog.array.forEach(referrers, function(referrer) {
+        var key = referrer['url'] + ' ' + referrer['text'];
+
+        if (!seen[key]) {
+            seen[key] = true;
+            pages.push({'url': referrer['url'], 'text': referrer['text']});
+        }
+    });
+
+    return pages;
+};
@@ -0,0 +1,335 @@
+/**
+ * ScraperJS Copyright (C) 2011-2012 365multimedia.com
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+goog.provide('tmc.scraperjs.Mime');
+
+goog.require('goog.array');
+goog.require('goog.string');
+
+
+/**
+ * How the mime type of a document was determined.
+ *
+ * <code>HEADER</code>: the Content-Type header, as is
+ * <code>NOSNIFF</code>: the Content-Type header, sniffing being forbidden by <code>X-Content-Type-Options: nosniff</code>
+ * <code>REFINED</code>: the Content-Type header refined by the content (e.g. an application/xml sitemap)
+ * <code>SNIFFED</code>: the content, the Content-Type header being absent, unknown or unreliable
+ *
+ * @enum {string}
+ */
+tmc.scraperjs.Mime.Source = {
+    HEADER: 'header',
+    NOSNIFF: 'nosniff',
+    REFINED: 'refined',
+    SNIFFED: 'sniffed'
+};
+
+
+/**
+ * Mime type of a document and how it was determined.
+ *
+ * @typedef {{mime:string, source:tmc.scraperjs.Mime.Source}}
+ */
+tmc.scraperjs.Mime.Detection;
+
+
+/**
+ * Number of bytes the content sniffing rules look at.
+ *
+ * @type {!number}
+ * @const
+ */
+tmc.scraperjs.Mime.SNIFF_LENGTH = 512;
+
+
+/**
+ * Supplied mime types meaning the type is unknown.
+ *
+ * @type {!Array.<!string>}
+ * @const
+ */
+tmc.scraperjs.Mime.UNKNOWN_TYPES = ['unknown/unknown', 'application/unknown', '*/*'];
+
+
+/**
+ * Content-Type header values Apache sends by default (see "check-for-apache-bug flag" in the
+ * WHATWG spec): they only tell whether the document is text or binary.
+ *
+ * @type {!Array.<!string>}
+ * @const
+ */
+tmc.scraperjs.Mime.APACHE_BUG_TYPES = [
+    'text/plain',
+    'text/plain; charset=ISO-8859-1',
+    'text/plain; charset=iso-8859-1',
+    'text/plain; charset=UTF-8'
+];
+
+
+/**
+ * Byte patterns of binary formats (images, audio/video, fonts and archives). A pattern is compared
+ * (after masking with its optional mask) with the first bytes of the document, its leading bytes
+ * being optional whitespace when <code>skipWhiteSpace</code> is set.
+ * See {@link http://mimesniff.spec.whatwg.org/#matching-a-mime-type-pattern}
+ *
+ * @type {!Array.<{pattern:string, mask:(string|undefined), mime:string}>}
+ * @const
+ */
+tmc.scraperjs.Mime.BINARY_PATTERNS = [
+    {pattern: '\x00\x00\x01\x00', mime: 'image/x-icon'},
+    {pattern: '\x00\x00\x02\x00', mime: 'image/x-icon'},
+    {pattern: 'BM', mime: 'image/bmp'},
+    {pattern: 'GIF87a', mime: 'image/gif'},
+    {pattern: 'GIF89a', mime: 'image/gif'},
+    {pattern: 'RIFF\x00\x00\x00\x00WEBPVP', mask: '\xFF\xFF\xFF\xFF\x00\x00\x00\x00\xFF\xFF\xFF\xFF\xFF\xFF', mime: 'image/webp'},
+    {pattern: '\x89PNG\r\n\x1A\n', mime: 'image/png'},
+    {pattern: '\xFF\xD8\xFF', mime: 'image/jpeg'},
+    {pattern: '.snd', mime: 'audio/basic'},
+    {pattern: 'FORM\x00\x00\x00\x00AIFF', mask: '\xFF\xFF\xFF\xFF\x00\x00\x00\x00\xFF\xFF\xFF\xFF', mime: 'audio/aiff'},
+    {pattern: 'ID3', mime: 'audio/mpeg'},
+    {pattern: 'OggS\x00', mime: 'application/ogg'},
+    {pattern: 'MThd\x00\x00\x00\x06', mime: 'audio/midi'},
+    {pattern: 'RIFF\x00\x00\x00\x00AVI ', mask: '\xFF\xFF\xFF\xFF\x00\x00\x00\x00\xFF\xFF\xFF\xFF', mime: 'video/avi'},
+    {pattern: 'RIFF\x00\x00\x00\x00WAVE', mask: '\xFF\xFF\xFF\xFF\x00\x00\x00\x00\xFF\xFF\xFF\xFF', mime: 'audio/wave'},
+    {pattern: '\x00\x00\x00\x00ftyp', mask: '\x00\x00\x00\x00\xFF\xFF\xFF\xFF', mime: 'video/mp4'},
+    {pattern: '\x1A\x45\xDF\xA3', mime: 'video/webm'},
+    {pattern: 'wOFF', mime: 'font/woff'},
+    {pattern: 'wOF2', mime: 'font/woff2'},
+    {pattern: '\x00\x01\x00\x00', mime: 'font/ttf'},
+    {pattern: 'OTTO', mime: 'font/otf'},
+    {pattern: '\x1F\x8B\x08', mime: 'application/x-gzip'},
+    {pattern: 'PK\x03\x04', mime: 'application/zip'},
+    {pattern: 'Rar \x1A\x07\x00', mime: 'application/x-rar-compressed'},
+    {pattern: '%!PS-Adobe-', mime: 'application/postscript'}
+];
+
+
+/**
+ * Byte order marks identifying text documents.
+ *
+ * @type {!Array.<!string>}
+ * @const
+ */
+tmc.scraperjs.Mime.BYTE_ORDER_MARKS = ['\xFE\xFF', '\xFF\xFE', '\xEF\xBB\xBF'];
+
+
+/**
+ * Matches a binary data byte (a control character no text document contains).
+ * See {@link http://mimesniff.spec.whatwg.org/#binary-data-byte}
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Mime.RX_BINARY_BYTE = /[\x00-\x08\x0B\x0E-\x1A\x1C-\x1F]/;
+
+
+/**
+ * Matches a valid mime type essence (type/subtype).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Mime.RX_ESSENCE = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+\/[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+
+/**
+ * Parses a Content-Type header value.
+ *
+ * @param {string|undefined} contentType Content-Type header value.
+ *
+ * @return {?string} lower case essence of the mime type (without parameters) or <code>null</code>
+ *     if the header is absent or invalid.
+ */
+tmc.scraperjs.Mime.parseContentType = function(contentType) {
+    var essence;
+
+    if (contentType === undefined) {
+        return null;
+    }
+
+    essence = goog.string.trim(contentType.split(';')[0]).toLowerCase();
+    return tmc.scraperjs.Mime.RX_ESSENCE.test(essence) ? essence : null;
+};
+
+
+/**
+ * @param {!string} mime mime type essence.
+ *
+ * @return {!boolean} whether the mime type is an XML one (text/xml, application/xml or +xml).
+ */
+tmc.scraperjs.Mime.isXml = function(mime) {
+    return (mime === 'text/xml') || (mime === 'application/xml') || tmc.scraperjs.Mime.isXmlVocabulary(mime);
+};
+
+
+/**
+ * @param {!string} mime mime type essence.
+ *
+ * @return {!boolean} whether the mime type is the one of an XML vocabulary (+xml, e.g. application/atom+xml).
+ */
+tmc.scraperjs.Mime.isXmlVocabulary = function(mime) {
+    return /\+xml$/.test(mime);
+};
+
+
+/**
+ * @param {!string} header bytes of the document (one character per byte).
+ *
+ * @return {?string} mime type of the binary format the bytes match or <code>null</code> if none.
+ */
+tmc.scraperjs.Mime.sniffBinary = function(header) {
+    var match = goog.array.find(tmc.scraperjs.Mime.BINARY_PATTERNS, function(format) {
+        return tmc.scraperjs.Mime.matchesPattern_(header, format.pattern, format.mask);
+    });
+
+    return (match === null) ? null : match.mime;
+};
+
+
+/**
+ * Tells a text document from a binary one.
+ * See {@link http://mimesniff.spec.whatwg.org/#rules-for-text-or-binary}
+ *
+ * @param {!string} header bytes of the document (one character per byte).
+ *
+ * @return {!string} <code>text/plain</code> or <code>application/octet-stream</code>.
+ */
+tmc.scraperjs.Mime.sniffTextOrBinary = function(header) {
+    var hasByteOrderMark = goog.array.some(tmc.scraperjs.Mime.BYTE_ORDER_MARKS, function(bom) {
+        return header.substr(0, bom.length) === bom;
+    });
+
+    return (hasByteOrderMark || !tmc.scraperjs.Mime.RX_BINARY_BYTE.test(header)) ? 'text/plain' : 'application/octet-stream';
+};
+
+
+/**
+ * Determines the mime type of a document from its Content-Type header and its content, following
+ * the WHATWG mime sniffing rules (see {@link http://mimesniff.spec.whatwg.org/#determining-the-computed-mime-type-of-a-resource}):
+ *
+ * 1. A missing, invalid or unknown (e.g. *&#47;*) Content-Type is replaced by the sniffed type, as is
+ *    application/octet-stream (unless sniffing is forbidden) which says nothing about the content
+ * 2. With X-Content-Type-Options: nosniff, the Content-Type is used as is (XML types can still be refined
+ *    into the XML vocabularies the sniffers know, e.g. feeds and sitemaps, which keeps them XML)
+ * 3. Apache's default text/plain only tells whether the document is text or binary
+ * 4. XML types are refined by the XML sniffers, html by the sniffers of feeds (and XML vocabularies)
+ * 5. Images, audio and video types are refined by the binary patterns of the same kind
+ * 6. Any other Content-Type is used as is
+ *
+ * The type is sniffed from the content with the given sniffers, then the binary patterns and
+ * eventually the text or binary rules.
+ *
+ * @param {string|undefined} contentType Content-Type header value.
+ * @param {!boolean} noSniff whether the X-Content-Type-Options header forbids sniffing.
+ * @param {!string} content content of the document.
+ * @param {?Uint8Array} bytes bytes of the document (<code>null</code> if not available).
+ * @param {!function(!string, function(string):boolean=):?string} sniff function sniffing the content with the
+ *     sniffers whose mime type passes the optional filter.
+ *
+ * @return {!tmc.scraperjs.Mime.Detection} mime type and how it was determined.
+ */
+tmc.scraperjs.Mime.detect = function(contentType, noSniff, content, bytes, sniff) {
+    var supplied = tmc.scraperjs.Mime.parseContentType(contentType);
+    var header = tmc.scraperjs.Mime.getHeader_(content, bytes);
+    var Source = tmc.scraperjs.Mime.Source;
+    var sniffed;
+
+    function refined(mime) {
+        return {mime: mime, source: (mime === supplied) ? (noSniff ? Source.NOSNIFF : Source.HEADER) : Source.REFINED};
+    }
+
+    if ((supplied === null) || goog.array.contains(tmc.scraperjs.Mime.UNKNOWN_TYPES, supplied)
+        || (!noSniff && (supplied === 'application/octet-stream'))) {
+        sniffed = sniff(content) || tmc.scraperjs.Mime.sniffBinary(header) || tmc.scraperjs.Mime.sniffTextOrBinary(header);
+        return {mime: sniffed, source: Source.SNIFFED};
+    }
+
+    if (tmc.scraperjs.Mime.isXml(supplied)) {
+        return refined(sniff(content, tmc.scraperjs.Mime.isXmlVocabulary) || supplied);
+    }
+
+    if (noSniff) {
+        return {mime: supplied, source: Source.NOSNIFF};
+    }
+
+    if (goog.array.contains(tmc.scraperjs.Mime.APACHE_BUG_TYPES, goog.string.trim(contentType || ''))) {
+        return refined(tmc.scraperjs.Mime.sniffTextOrBinary(header));
+    }
+
+    if (supplied === 'text/html') {
+        return refined(sniff(content, tmc.scraperjs.Mime.isXmlVocabulary) || supplied);
+    }
+
+    if (/^(?:image|audio|video)\//.test(supplied)) {
+        sniffed = tmc.scraperjs.Mime.sniffBinary(header);
+        if ((sniffed !== null) && (sniffed.split('/')[0] === supplied.split('/')[0])) {
+            return refined(sniffed);
+        }
+    }
+
+    return {mime: supplied, source: Source.HEADER};
+};
+
+
+/**
+ * @param {!string} content content of a document.
+ * @param {?Uint8Array} bytes bytes of the document (<code>null</code> if not available).
+ *
+ * @return {!string} first bytes of the document (one character per byte), taken from the content
+ *     when the bytes are not available.
+ *
+ * @private
+ */
+tmc.scraperjs.Mime.getHeader_ = function(content, bytes) {
+    var length = tmc.scraperjs.Mime.SNIFF_LENGTH;
+
+    if (bytes !== null) {
+        return String.fromCharCode.apply(null, bytes.subarray(0, length));
+    }
+
+    return content.substr(0, length).replace(/[^\x00-\xFF]/g, '\x80');    // Decoded characters are not binary
+};
+
+
+/**
+ * Matches the first bytes of a document against a byte pattern.
+ * See {@link http://mimesniff.spec.whatwg.org/#matching-a-mime-type-pattern}
+ *
+ * @param {!string} header first bytes of the document (one character per byte).
+ * @param {!string} pattern byte pattern (one character per byte).
+ * @param {string=} opt_mask mask applied to the bytes before comparing them with the pattern (defaults to all ones).
+ *
+ * @return {!boolean} whether the bytes match the pattern.
+ *
+ * @private
+ */
+tmc.scraperjs.Mime.matchesPattern_ = function(header, pattern, opt_mask) {
+    var l = pattern.length;
+
+    if (header.length < l) {
+        return false;
+    }
+
+    for (var i = 0; i < l; i++) {
+        if ((header.charCodeAt(i) & (opt_mask ? opt_mask.charCodeAt(i) : 0xFF)) !== pattern.charCodeAt(i)) {
+            return false;
+        }
+    }
+
+    return true;
+};
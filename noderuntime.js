@@ -0,0 +1,353 @@
+/**
+ * ScraperJS Copyright (C) 2011-2012 365multimedia.com
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+goog.provide('tmc.scraperjs.NodeRuntime');
+
+goog.require('goog.net.ErrorCode');
+goog.require('tmc.scraperjs.Response');
+goog.require('tmc.scraperjs.Runtime');
+
+
+/**
+ * Runtime used when ScraperJS runs headless under Node.js: documents are fetched with
+ * Node's http/https modules, results go to stdout and log messages to stderr.
+ * This file is only meant to be loaded by Node.js (see bin/scraperjs).
+ *
+ * @param {!function(string):*} nodeRequire Node's <code>require</code> function (files loaded
+ *     with <code>goog.nodeGlobalRequire</code> do not see it).
+ *
+ * @constructor
+ * @implements {tmc.scraperjs.Runtime}
+ */
+tmc.scraperjs.NodeRuntime = function(nodeRequire) {
+    this.require_ = nodeRequire;
+};
+
+
+/**
+ * Maximum number of redirects followed for a single fetch.
+ *
+ * @type {!number}
+ * @const
+ */
+tmc.scraperjs.NodeRuntime.MAX_REDIRECTS = 10;
+
+
+/**
+ * Value of the User-Agent header sent with every request.
+ *
+ * @type {!string}
+ * @const
+ */
+tmc.scraperjs.NodeRuntime.USER_AGENT = 'ScraperJS';
+
+
+/**
+ * Node's <code>require</code> function.
+ *
+ * @type {?function(string):*}
+ * @private
+ */
+tmc.scraperjs.NodeRuntime.prototype.require_ = null;
+
+
+/**
+ * Constructor of jsdom's <code>JSDOM</code> class (<code>undefined</code> until looked up,
+ * <code>null</code> if jsdom is not installed).
+ *
+ * @type {?Function|undefined}
+ * @private
+ */
+tmc.scraperjs.NodeRuntime.prototype.jsdom_ = undefined;
+
+
+/**
+ * @inheritDoc
+ */
+tmc.scraperjs.NodeRuntime.prototype.getSeedUrl = function() {
+    return null;                                        // The seed url has to be given to start
+};
+
+
+/**
+ * @inheritDoc
+ */
+tmc.scraperjs.NodeRuntime.prototype.prepare = function() {
+};
+
+
+/**
+ * @inheritDoc
+ */
+tmc.scraperjs.NodeRuntime.prototype.fetch = function(url, timeout, callback, opt_binary, opt_method) {
+    var done = false;
+    var timer = null;
+    var request = null;                                 // Request in flight (the last one if redirected)
+    var requestUrl = url;
+    var redirects = [];
+
+    // Makes sure the callback is called once and only once
+    function finish(response) {
+        if (!done) {
+            done = true;
+            clearTimeout(timer);
+            callback(response);
+        }
+    }
+
+    if (timeout > 0) {                                  // One timer for the whole fetch, redirects included
+        timer = setTimeout(function() {                 // (a socket timeout is reset by every chunk received)
+            if (request !== null) {
+                request.destroy();
+            }
+            finish(tmc.scraperjs.NodeRuntime.failure_(requestUrl, goog.net.ErrorCode.TIMEOUT, redirects));
+        }, timeout);
+    }
+
+    this.request_(url, opt_method || 'GET', [], function(req, reqUrl, reqRedirects) {
+        request = req;
+        requestUrl = reqUrl;
+        redirects = reqRedirects;
+    }, finish);                                         // The bytes are always kept
+};
+
+
+/**
+ * @inheritDoc
+ */
+tmc.scraperjs.NodeRuntime.prototype.decompress = function(bytes, format, callback) {
+    var zlib = this.require_('zlib');
+    var method = (format === 'gzip') ? 'gunzip' : 'inflate';
+
+    zlib[method](Buffer.from(bytes), function(err, result) {
+        callback(err ? null : new Uint8Array(result.buffer, result.byteOffset, result.length));
+    });
+};
+
+
+/**
+ * Performs a request, following redirects.
+ *
+ * @param {!string} url url to request.
+ * @param {!string} method http method (GET or HEAD).
+ * @param {!Array.<!tmc.scraperjs.Response.Redirect>} redirects redirects followed so far.
+ * @param {!function(!Object, !string, !Array.<!tmc.scraperjs.Response.Redirect>)} onRequest function called
+ *     with each request sent (the redirected ones included), its url and the redirects followed so far.
+ * @param {!function(!tmc.scraperjs.Response)} finish function called once the request is over (successful or not).
+ *
+ * @private
+ */
+tmc.scraperjs.NodeRuntime.prototype.request_ = function(url, method, redirects, onRequest, finish) {
+    var that = this;
+    var redirected = false;
+    var transport;
+    var req;
+
+    try {
+        transport = this.require_(/^https:/i.test(url) ? 'https' : 'http');
+        req = transport.request(url, {method: method, headers: {'User-Agent': tmc.scraperjs.NodeRuntime.USER_AGENT}}, function(res) {
+            var chunks = [];
+            var location = res.headers['location'];
+
+            if ((res.statusCode >= 300) && (res.statusCode < 400) && (location !== undefined)
+                && (redirects.length < tmc.scraperjs.NodeRuntime.MAX_REDIRECTS)) {
+                res.resume();                           // Discards the body of the redirect
+                redirected = true;
+                that.request_(that.require_('url').resolve(url, location), method,
+                    redirects.concat([{url: url, status: res.statusCode}]), onRequest, finish);
+                return;
+            }
+
+            res.on('data', function(chunk) {
+                chunks.push(chunk);
+            });
+            res.on('end', function() {
+                var body = Buffer.concat(chunks);
+
+                finish(new tmc.scraperjs.Response(
+                    url,
+                    res.statusCode,
+                    body.toString('utf8'),
+                    tmc.scraperjs.NodeRuntime.flattenHeaders_(res.headers),
+                    new Uint8Array(body.buffer, body.byteOffset, body.length),
+                    undefined,
+                    redirects));
+            });
+            res.on('error', function(err) {             // Connection reset while reading the body
+                finish(tmc.scraperjs.NodeRuntime.networkFailure_(url, err, redirects));
+            });
+        });
+        req.end();
+    }
+    catch (e) {                                         // Invalid urls throw synchronously but the callback
+        setTimeout(function() {                         // is always called asynchronously (as with XhrIo)
+            finish(tmc.scraperjs.NodeRuntime.failure_(url, goog.net.ErrorCode.EXCEPTION, redirects));
+        }, 0);
+        return;
+    }
+
+    onRequest(req, url, redirects);
+    req.on('error', function(err) {                     // Dns failure, connection refused or reset...
+        if (!redirected) {                              // (the fetch goes on with the redirect otherwise)
+            finish(tmc.scraperjs.NodeRuntime.networkFailure_(url, err, redirects));
+        }
+    });
+};
+
+
+/**
+ * Builds the response to a fetch that did not complete. Error codes mirror the ones
+ * <code>goog.net.XhrIo</code> reports in the same situations.
+ *
+ * @param {!string} url url of the failed fetch.
+ * @param {!goog.net.ErrorCode} errorCode error code of the fetch.
+ * @param {!Array.<!tmc.scraperjs.Response.Redirect>} redirects redirects followed before the fetch failed.
+ * @param {string=} opt_error description of the error (derived from the error code if omitted).
+ *
+ * @return {!tmc.scraperjs.Response} response (status 0).
+ *
+ * @private
+ */
+tmc.scraperjs.NodeRuntime.failure_ = function(url, errorCode, redirects, opt_error) {
+    return new tmc.scraperjs.Response(url, 0, '', undefined, undefined, errorCode, redirects, opt_error);
+};
+
+
+/**
+ * Builds the response to a fetch that failed at the network level (dns failure, connection refused
+ * or reset...): no http response was received so the host is reported as unreachable
+ * (<code>OFFLINE</code>) along with the Node error code (e.g. <code>ECONNREFUSED</code>).
+ *
+ * @param {!string} url url of the failed fetch.
+ * @param {!Error} err error raised by Node.
+ * @param {!Array.<!tmc.scraperjs.Response.Redirect>} redirects redirects followed before the fetch failed.
+ *
+ * @return {!tmc.scraperjs.Response} response (status 0).
+ *
+ * @private
+ */
+tmc.scraperjs.NodeRuntime.networkFailure_ = function(url, err, redirects) {
+    return tmc.scraperjs.NodeRuntime.failure_(url, goog.net.ErrorCode.OFFLINE, redirects,
+        'Network error: ' + (err['code'] || err.message));
+};
+
+
+/**
+ * Turns Node's header map (whose values may be arrays) into a map of strings.
+ *
+ * @param {!Object} nodeHeaders headers as exposed by Node's http module.
+ *
+ * @return {!Object.<!string,!string>} map of headers (keys are lower case).
+ *
+ * @private
+ */
+tmc.scraperjs.NodeRuntime.flattenHeaders_ = function(nodeHeaders) {
+    var headers = {};
+
+    for (var name in nodeHeaders) {
+        headers[name] = Array.isArray(nodeHeaders[name]) ? nodeHeaders[name].join(', ') : String(nodeHeaders[name]);
+    }
+
+    return headers;
+};
+
+
+/**
+ * @inheritDoc
+ *
+ * Documents are parsed with jsdom, which is an optional dependency (<code>npm install jsdom</code>).
+ */
+tmc.scraperjs.NodeRuntime.prototype.parseDocument = function(content, mimeType) {
+    var type = /xml/.test(mimeType) ? 'application/xml' : 'text/html';
+
+    if (this.jsdom_ === undefined) {
+        try {
+            this.jsdom_ = this.require_('jsdom')['JSDOM'];
+        }
+        catch (e) {
+            this.jsdom_ = null;
+            this.log('jsdom is not installed: schemas cannot be applied (npm install jsdom)');
+        }
+    }
+    if (this.jsdom_ === null) {
+        return null;
+    }
+
+    try {
+        return new this.jsdom_(content, {'contentType': type})['window']['document'];
+    }
+    catch (e) {                                         // Malformed XML
+        return null;
+    }
+};
+
+
+/**
+ * @inheritDoc
+ */
+tmc.scraperjs.NodeRuntime.prototype.output = function(record) {
+    process.stdout.write(JSON.stringify(record) + '\n');  // JSON Lines
+};
+
+
+/**
+ * @inheritDoc
+ */
+tmc.scraperjs.NodeRuntime.prototype.download = function(filename, mimeType, content) {
+    this.require_('fs').writeFileSync(filename, content, 'utf8');
+};
+
+
+/**
+ * @inheritDoc
+ *
+ * The name of the state is the path of the file it is written to (through a temporary file
+ * so an interrupted write never corrupts a previous state).
+ */
+tmc.scraperjs.NodeRuntime.prototype.saveState = function(name, content, callback) {
+    var fs = this.require_('fs');
+    var tmpName = name + '.tmp';
+
+    fs.writeFile(tmpName, content, 'utf8', function(err) {
+        if (err) {
+            callback(false);
+            return;
+        }
+        fs.rename(tmpName, name, function(err) {
+            callback(!err);
+        });
+    });
+};
+
+
+/**
+ * @inheritDoc
+ */
+tmc.scraperjs.NodeRuntime.prototype.loadState = function(name, callback) {
+    this.require_('fs').readFile(name, 'utf8', function(err, content) {
+        callback(err ? null : content);
+    });
+};
+
+
+/**
+ * @inheritDoc
+ */
+tmc.scraperjs.NodeRuntime.prototype.log = function(message) {
+    process.stderr.write(message + '\n');
+};
@@ -0,0 +1,431 @@
+/**
+ * ScraperJS Copyright (C) 2011-2012 365multimedia.com
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+goog.provide('tmc.scraperjs.UrlNormalizer');
+
+goog.require('goog.array');
+goog.require('goog.Uri');
+goog.require('goog.object');
+goog.require('goog.uri.utils');
+
+
+/**
+ * Url normalization pipeline, run on every link before it is deduplicated and prioritized so the
+ * variants of a url (parameter order, host case, default port, tracking parameters...) are crawled once.
+ *
+ * Options (see <code>tmc.scraperjs.UrlNormalizer.Options</code>, omitted ones keep their default value):
+ * <code>lowercaseHost</code>: lower cases the scheme and host (default <code>true</code>)
+ * <code>punycode</code>: converts internationalized host names to punycode (default <code>true</code>)
+ * <code>removeDefaultPort</code>: removes :80 from http and :443 from https urls (default <code>true</code>)
+ * <code>normalizePercentEncoding</code>: upper cases escapes, decodes the unreserved characters and
+ * encodes the characters that have to be (default <code>true</code>)
+ * <code>removeParams</code>: query (and ;path) parameters removed, names or regular expressions matched
+ * against the parameter name, case insensitively (default: utm_*, click ids and session ids)
+ * <code>sortQuery</code>: sorts query parameters by name (default <code>true</code>)
+ * <code>removeDirectoryIndex</code>: turns /dir/index.html (index or default .htm, .html, .php, .asp, .aspx)
+ * into /dir/ (default <code>true</code>)
+ * <code>removeTrailingSlash</code>: turns /dir/ into /dir (default <code>false</code>)
+ * <code>lowercasePath</code>: lower cases the path, for case insensitive servers (default <code>false</code>)
+ * <code>honorCanonical</code>: once fetched, a page whose canonical url has already been seen is
+ * considered a duplicate (its data is not extracted) and its canonical url is not crawled again
+ * (default <code>true</code>)
+ *
+ * The fragment is always removed.
+ *
+ * @param {Object=} opt_options normalization options.
+ *
+ * @constructor
+ */
+tmc.scraperjs.UrlNormalizer = function(opt_options) {
+    this.options_ = /** @type {!tmc.scraperjs.UrlNormalizer.Options} */ (goog.object.clone(tmc.scraperjs.UrlNormalizer.DEFAULT_OPTIONS));
+    goog.object.extend(this.options_, opt_options || {});
+};
+
+
+/**
+ * Normalization options.
+ *
+ * @typedef {{lowercaseHost:boolean, punycode:boolean, removeDefaultPort:boolean, normalizePercentEncoding:boolean,
+ *     removeParams:!Array.<(string|RegExp)>, sortQuery:boolean, removeDirectoryIndex:boolean,
+ *     removeTrailingSlash:boolean, lowercasePath:boolean, honorCanonical:boolean}}
+ */
+tmc.scraperjs.UrlNormalizer.Options;
+
+
+/**
+ * Tracking and session parameters removed by default.
+ *
+ * @type {!Array.<(string|RegExp)>}
+ * @const
+ */
+tmc.scraperjs.UrlNormalizer.TRACKING_PARAMS = [
+    /^utm_/,                                                    // Google Analytics campaigns
+    'gclid', 'dclid', 'gbraid', 'wbraid', 'fbclid', 'msclkid', 'yclid', 'twclid', 'igshid',    // Click ids
+    'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok',
+    'jsessionid', 'phpsessid', 'aspsessionid', 'sessionid', 'cfid', 'cftoken'                   // Session ids
+];
+
+
+/**
+ * Default normalization options.
+ *
+ * @type {!tmc.scraperjs.UrlNormalizer.Options}
+ * @const
+ */
+tmc.scraperjs.UrlNormalizer.DEFAULT_OPTIONS = {
+    lowercaseHost: true,
+    punycode: true,
+    removeDefaultPort: true,
+    normalizePercentEncoding: true,
+    removeParams: tmc.scraperjs.UrlNormalizer.TRACKING_PARAMS,
+    sortQuery: true,
+    removeDirectoryIndex: true,
+    removeTrailingSlash: false,
+    lowercasePath: false,
+    honorCanonical: true
+};
+
+
+/**
+ * Default port of each scheme.
+ *
+ * @type {!Object.<string,string>}
+ * @const
+ */
+tmc.scraperjs.UrlNormalizer.DEFAULT_PORTS = {'http': '80', 'https': '443'};
+
+
+/**
+ * Matches a directory index at the end of a path.
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.UrlNormalizer.RX_DIRECTORY_INDEX = /(^|\/)(?:index|default)\.(?:html?|php|aspx?)$/i;
+
+
+/**
+ * Matches what percent-encoding normalization works on: escapes, surrogate pairs and characters
+ * that are neither reserved nor unreserved (they have to be encoded).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.UrlNormalizer.RX_ENCODING = /%[0-9A-Fa-f]{2}|%|[\uD800-\uDBFF][\uDC00-\uDFFF]|[^A-Za-z0-9\-._~!$&'()*+,;=:@\/?%]/g;
+
+
+/**
+ * Matches an unreserved character (never needs to be escaped).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.UrlNormalizer.RX_UNRESERVED = /^[A-Za-z0-9\-._~]$/;
+
+
+/**
+ * Matches a ;name=value path parameter (e.g. ;jsessionid=...).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.UrlNormalizer.RX_PATH_PARAM = /;([^\/;?=]+)=[^\/;?]*/g;
+
+
+/**
+ * Normalization options.
+ *
+ * @type {?tmc.scraperjs.UrlNormalizer.Options}
+ * @private
+ */
+tmc.scraperjs.UrlNormalizer.prototype.options_ = null;
+
+
+/**
+ * @return {!tmc.scraperjs.UrlNormalizer.Options} normalization options.
+ */
+tmc.scraperjs.UrlNormalizer.prototype.getOptions = function() {
+    return /** @type {!tmc.scraperjs.UrlNormalizer.Options} */ (this.options_);
+};
+
+
+/**
+ * @return {!boolean} whether canonical urls are honored.
+ */
+tmc.scraperjs.UrlNormalizer.prototype.honorsCanonical = function() {
+    return this.options_.honorCanonical;
+};
+
+
+/**
+ * Normalizes an absolute url.
+ *
+ * @param {!string} url url to normalize.
+ *
+ * @return {!string} normalized url.
+ */
+tmc.scraperjs.UrlNormalizer.prototype.normalize = function(url) {
+    var options = this.options_;
+    var parts = goog.uri.utils.split(url);
+    var scheme = parts[goog.uri.utils.ComponentIndex.SCHEME] || '';
+    var userInfo = parts[goog.uri.utils.ComponentIndex.USER_INFO];
+    var domain = parts[goog.uri.utils.ComponentIndex.DOMAIN] || '';
+    var port = parts[goog.uri.utils.ComponentIndex.PORT];
+    var path = parts[goog.uri.utils.ComponentIndex.PATH] || '';
+    var query = parts[goog.uri.utils.ComponentIndex.QUERY_DATA];
+    var that = this;
+    var params;
+
+    // Scheme, host and port
+    if (options.lowercaseHost) {
+        scheme = scheme.toLowerCase();
+        domain = domain.toLowerCase();
+    }
+    if (options.punycode) {
+        domain = tmc.scraperjs.UrlNormalizer.toAscii(domain);
+    }
+    if (options.removeDefaultPort && (port === tmc.scraperjs.UrlNormalizer.DEFAULT_PORTS[scheme.toLowerCase()])) {
+        port = undefined;
+    }
+
+    // Path
+    if ((path === '') && (domain !== '')) {
+        path = '/';
+    }
+    path = goog.Uri.removeDotSegments(path);
+    path = path.replace(tmc.scraperjs.UrlNormalizer.RX_PATH_PARAM, function(param, name) {
+        return that.isRemovedParam_(name) ? '' : param;
+    });
+    if (options.normalizePercentEncoding) {
+        path = tmc.scraperjs.UrlNormalizer.normalizeEncoding_(path);
+    }
+    if (options.removeDirectoryIndex) {
+        path = path.replace(tmc.scraperjs.UrlNormalizer.RX_DIRECTORY_INDEX, '$1');
+    }
+    if (options.removeTrailingSlash && (path.length > 1) && (path.charAt(path.length - 1) === '/')) {
+        path = path.substr(0, path.length - 1);
+    }
+    if (options.lowercasePath) {
+        path = path.toLowerCase();
+    }
+
+    // Query
+    if (query !== undefined) {
+        params = goog.array.filter(query.split('&'), function(param) {
+            return (param !== '') && !that.isRemovedParam_(tmc.scraperjs.UrlNormalizer.getParamName_(param));
+        });
+        if (options.normalizePercentEncoding) {
+            params = goog.array.map(params, tmc.scraperjs.UrlNormalizer.normalizeEncoding_);
+        }
+        if (options.sortQuery) {                        // Stable so repeated parameters keep their order
+            goog.array.stableSort(params, function(a, b) {
+                return goog.array.defaultCompare(
+                    tmc.scraperjs.UrlNormalizer.getParamName_(a), tmc.scraperjs.UrlNormalizer.getParamName_(b));
+            });
+        }
+        query = (params.length > 0) ? params.join('&') : undefined;
+    }
+
+    return goog.uri.utils.buildFromEncodedParts(scheme, userInfo, domain, port, path, query);
+};
+
+
+/**
+ * @param {!string} name name of a query or path parameter.
+ *
+ * @return {!boolean} whether the parameter is to be removed.
+ *
+ * @private
+ */
+tmc.scraperjs.UrlNormalizer.prototype.isRemovedParam_ = function(name) {
+    var lowerName = name.toLowerCase();
+
+    return goog.array.some(this.options_.removeParams, function(removed) {
+        return (removed instanceof RegExp) ? removed.test(lowerName) : (removed.toLowerCase() === lowerName);
+    });
+};
+
+
+/**
+ * @param {!string} param encoded name=value query parameter.
+ *
+ * @return {!string} decoded name of the parameter.
+ *
+ * @private
+ */
+tmc.scraperjs.UrlNormalizer.getParamName_ = function(param) {
+    var i = param.indexOf('=');
+    var name = ((i < 0) ? param : param.substr(0, i)).replace(/\+/g, ' ');
+
+    try {
+        return decodeURIComponent(name);
+    }
+    catch (e) {                                         // Malformed escape
+        return name;
+    }
+};
+
+
+/**
+ * Normalizes the percent-encoding of a url component: escapes are upper cased, escaped unreserved
+ * characters are decoded and characters that have to be escaped (spaces, non-ASCII...) are escaped.
+ *
+ * @param {!string} component encoded url component.
+ *
+ * @return {!string} normalized component.
+ *
+ * @private
+ */
+tmc.scraperjs.UrlNormalizer.normalizeEncoding_ = function(component) {
+    return component.replace(tmc.scraperjs.UrlNormalizer.RX_ENCODING, function(match) {
+        var c;
+
+        if (match.charAt(0) !== '%') {
+            return encodeURIComponent(match);
+        }
+        if (match.length === 1) {                       // A lone % (not followed by two hex digits)
+            return '%25';
+        }
+
+        c = String.fromCharCode(parseInt(match.substr(1), 16));
+        return tmc.scraperjs.UrlNormalizer.RX_UNRESERVED.test(c) ? c : match.toUpperCase();
+    });
+};
+
+
+/**
+ * Converts a host name to its ASCII form: the labels holding non-ASCII characters are encoded
+ * with punycode and prefixed by xn-- (see RFC 3490 and 3492).
+ *
+ * @param {!string} domain host name.
+ *
+ * @return {!string} ASCII host name.
+ */
+tmc.scraperjs.UrlNormalizer.toAscii = function(domain) {
+    if (!/[^\x00-\x7F]/.test(domain)) {
+        return domain;
+    }
+
+    if (typeof domain.normalize === 'function') {
+        domain = domain.normalize('NFC');
+    }
+
+    return goog.array.map(domain.toLowerCase().split(/[.。．｡]/), function(label) {
+        return /[^\x00-\x7F]/.test(label) ? 'xn--' + tmc.scraperjs.UrlNormalizer.punycode_(label) : label;
+    }).join('.');
+};
+
+
+/**
+ * Encodes a string with punycode (see RFC 3492).
+ *
+ * @param {!string} input string to encode.
+ *
+ * @return {!string} encoded string.
+ *
+ * @private
+ */
+tmc.scraperjs.UrlNormalizer.punycode_ = function(input) {
+    var base = 36;
+    var tMin = 1;
+    var tMax = 26;
+    var codePoints = [];
+    var output = [];
+    var n = 128;
+    var delta = 0;
+    var bias = 72;
+    var numBasic;
+    var h;
+    var m;
+    var q;
+    var t;
+    var k;
+    var c;
+    var i;
+
+    for (i = 0; i < input.length; i++) {                // Decodes surrogate pairs into code points
+        c = input.charCodeAt(i);
+        if ((c >= 0xD800) && (c <= 0xDBFF) && (i + 1 < input.length)) {
+            c = ((c - 0xD800) << 10) + (input.charCodeAt(++i) - 0xDC00) + 0x10000;
+        }
+        codePoints.push(c);
+    }
+
+    function digit(d) {                                 // 0-25 -> a-z, 26-35 -> 0-9
+        return String.fromCharCode(d + 22 + ((d < 26) ? 75 : 0));
+    }
+
+    function adapt(delta, numPoints, firstTime) {
+        var k = 0;
+
+        delta = firstTime ? Math.floor(delta / 700) : (delta >> 1);
+        delta += Math.floor(delta / numPoints);
+        for (; delta > (((base - tMin) * tMax) >> 1); k += base) {
+            delta = Math.floor(delta / (base - tMin));
+        }
+
+        return Math.floor(k + (base - tMin + 1) * delta / (delta + 38));
+    }
+
+    goog.array.forEach(codePoints, function(c) {        // Basic code points are copied as is
+        if (c < 128) {
+            output.push(String.fromCharCode(c));
+        }
+    });
+    numBasic = h = output.length;
+    if (numBasic > 0) {
+        output.push('-');
+    }
+
+    while (h < codePoints.length) {
+        m = Infinity;
+        for (i = 0; i < codePoints.length; i++) {       // Smallest code point not handled yet
+            if ((codePoints[i] >= n) && (codePoints[i] < m)) {
+                m = codePoints[i];
+            }
+        }
+
+        delta += (m - n) * (h + 1);
+        n = m;
+
+        for (i = 0; i < codePoints.length; i++) {
+            if (codePoints[i] < n) {
+                delta++;
+            }
+            if (codePoints[i] === n) {                  // Encodes delta as a variable length integer
+                for (q = delta, k = base; ; k += base) {
+                    t = (k <= bias) ? tMin : (k >= bias + tMax) ? tMax : k - bias;
+                    if (q < t) {
+                        break;
+                    }
+                    output.push(digit(t + (q - t) % (base - t)));
+                    q = Math.floor((q - t) / (base - t));
+                }
+                output.push(digit(q));
+                bias = adapt(delta, h + 1, h === numBasic);
+                delta = 0;
+                h++;
+            }
+        }
+
+        delta++;
+        n++;
+    }
+
+    return output.join('');
+};
@@ -0,0 +1,953 @@
+/**
+ * ScraperJS Copyright (C) 2011-2012 365multimedia.com
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+goog.provide('tmc.scraperjs.ControlPanel');
+
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.events');
+goog.require('goog.events.EventType');
+goog.require('goog.object');
+goog.require('goog.string');
+goog.require('goog.Timer');
+goog.require('tmc.ScraperJS');
+goog.require('tmc.scraperjs.ArraySink');
+goog.require('tmc.scraperjs.CrawlStats');
+goog.require('tmc.scraperjs.ExportSink');
+goog.require('tmc.scraperjs.Extractors');
+goog.require('tmc.scraperjs.Profile');
+
+
+/**
+ * Control panel opened in the page by the bookmarklet: a form setting the crawl limits, strategy,
+ * priority rules and built-in extractors, Start/Pause/Stop buttons, live counters, a scrolling table
+ * of the results along with the pages they were found in, and buttons downloading the results and the
+ * crawl report (see <code>tmc.ScraperJS.prototype.getReport</code>).
+ * Profiles (see <code>tmc.scraperjs.Profile</code>) are saved to and loaded from localStorage, and shared
+ * as links carrying them in their hash.
+ *
+ * The panel becomes the scraper's only result sink once rendered.
+ *
+ * @param {!tmc.ScraperJS} scraper scraper driven by the panel.
+ *
+ * @constructor
+ */
+tmc.scraperjs.ControlPanel = function(scraper) {
+    this.scraper_ = scraper;
+    this.results_ = new tmc.scraperjs.ArraySink();
+    this.limitInputs_ = [];
+    this.extractorBoxes_ = {};
+    this.hiddenRules_ = [];
+    this.rows_ = [];
+    this.timer_ = new goog.Timer(tmc.scraperjs.ControlPanel.TICK_INTERVAL);
+};
+
+
+/**
+ * Id of the panel's root element.
+ *
+ * @type {!string}
+ * @const
+ */
+tmc.scraperjs.ControlPanel.ID = 'scraperjs-panel';
+
+
+/**
+ * Amount of time between two refreshes of the elapsed time (expressed in milliseconds).
+ *
+ * @type {!number}
+ * @const
+ */
+tmc.scraperjs.ControlPanel.TICK_INTERVAL = 1000;
+
+
+/**
+ * Maximum number of characters of a result shown in the table.
+ *
+ * @type {!number}
+ * @const
+ */
+tmc.scraperjs.ControlPanel.MAX_VALUE_LENGTH = 200;
+
+
+/**
+ * Crawl limits set by the form: label of the field and the scraper's getter and setter.
+ *
+ * @type {!Array.<{label:string, getter:!Function, setter:!Function}>}
+ * @const
+ */
+tmc.scraperjs.ControlPanel.LIMITS = [
+    {label: 'Max crawled links', getter: tmc.ScraperJS.prototype.getMaxCrawledLinks, setter: tmc.ScraperJS.prototype.setMaxCrawledLinks},
+    {label: 'Max crawl depth', getter: tmc.ScraperJS.prototype.getMaxCrawlDepth, setter: tmc.ScraperJS.prototype.setMaxCrawlDepth},
+    {label: 'Max crawl time (ms)', getter: tmc.ScraperJS.prototype.getMaxCrawlTime, setter: tmc.ScraperJS.prototype.setMaxCrawlTime},
+    {label: 'Max link fetch time (ms)', getter: tmc.ScraperJS.prototype.getMaxLinkFetchTime, setter: tmc.ScraperJS.prototype.setMaxLinkFetchTime},
+    {label: 'Concurrent fetches', getter: tmc.ScraperJS.prototype.getMaxConcurrentFetches, setter: tmc.ScraperJS.prototype.setMaxConcurrentFetches}
+];
+
+
+/**
+ * Style sheet of the panel (every rule is scoped to the panel so the page is left untouched).
+ *
+ * @type {!string}
+ * @const
+ */
+tmc.scraperjs.ControlPanel.STYLE = [
+    '#scraperjs-panel{position:fixed;top:10px;right:10px;z-index:2147483647;width:480px;max-height:90%;',
+    'overflow:auto;padding:10px;background:#fff;color:#222;border:1px solid #888;border-radius:4px;',
+    'box-shadow:0 2px 10px rgba(0,0,0,.3);font:12px/1.4 sans-serif;text-align:left}',
+    '#scraperjs-panel *{box-sizing:border-box;font:inherit;color:inherit}',
+    '#scraperjs-panel h1{margin:0 0 8px;font-size:14px;font-weight:bold}',
+    '#scraperjs-panel fieldset{margin:0 0 8px;padding:6px;border:1px solid #ccc}',
+    '#scraperjs-panel label{display:inline-block;margin:0 8px 4px 0}',
+    '#scraperjs-panel input[type=number]{width:80px;margin-left:4px}',
+    '#scraperjs-panel .scraperjs-profile input,#scraperjs-panel .scraperjs-profile select{width:110px;margin-right:4px}',
+    '#scraperjs-panel textarea{width:100%;height:48px;font-family:monospace}',
+    '#scraperjs-panel button{margin:0 4px 8px 0;padding:2px 10px}',
+    '#scraperjs-panel .scraperjs-counters span{margin-right:12px;font-weight:bold}',
+    '#scraperjs-panel .scraperjs-status{margin-bottom:8px;color:#555}',
+    '#scraperjs-panel .scraperjs-results{max-height:240px;overflow:auto;border:1px solid #ccc;margin-bottom:8px}',
+    '#scraperjs-panel table{width:100%;border-collapse:collapse}',
+    '#scraperjs-panel th,#scraperjs-panel td{padding:2px 4px;border-bottom:1px solid #eee;vertical-align:top;word-break:break-all}',
+    '#scraperjs-panel th{position:sticky;top:0;background:#f4f4f4}',
+    '#scraperjs-panel td a{display:block;color:#06c}'
+].join('');
+
+
+/**
+ * Scraper driven by the panel.
+ *
+ * @type {tmc.ScraperJS}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.scraper_ = null;
+
+
+/**
+ * Sink collecting the results shown in the table and downloaded.
+ *
+ * @type {tmc.scraperjs.ArraySink}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.results_ = null;
+
+
+/**
+ * Root element of the panel.
+ *
+ * @type {Element}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.element_ = null;
+
+
+/**
+ * Fieldset holding the settings (disabled once the crawl is started).
+ *
+ * @type {Element}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.settings_ = null;
+
+
+/**
+ * Inputs of the crawl limits, in the order of <code>LIMITS</code>.
+ *
+ * @type {Array.<!Element>}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.limitInputs_ = null;
+
+
+/**
+ * Select of the crawl strategy.
+ *
+ * @type {Element}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.strategySelect_ = null;
+
+
+/**
+ * Textarea of the priority rules (one <code>&lt;regex&gt;=&lt;priority&gt;</code> rule per line).
+ *
+ * @type {Element}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.rulesInput_ = null;
+
+
+/**
+ * Checkboxes of the built-in extractors, by name.
+ *
+ * @type {Object.<string,!Element>}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.extractorBoxes_ = null;
+
+
+/**
+ * Priority rules the textarea cannot show (functions and rules with element, attribute or rel
+ * conditions), kept after the textarea's rules.
+ *
+ * @type {Array.<tmc.ScraperJS.LinkPriorityRule>}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.hiddenRules_ = null;
+
+
+/**
+ * Input of the name profiles are saved under.
+ *
+ * @type {Element}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.profileNameInput_ = null;
+
+
+/**
+ * Select of the profiles saved to localStorage.
+ *
+ * @type {Element}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.profileSelect_ = null;
+
+
+/**
+ * Input showing the link sharing the profile.
+ *
+ * @type {Element}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.shareInput_ = null;
+
+
+/**
+ * Start (then Resume once stopped) button.
+ *
+ * @type {Element}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.startButton_ = null;
+
+
+/**
+ * Pause (Resume while paused) button.
+ *
+ * @type {Element}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.pauseButton_ = null;
+
+
+/**
+ * Stop button.
+ *
+ * @type {Element}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.stopButton_ = null;
+
+
+/**
+ * Counters of the crawled links, queued links and elapsed time.
+ *
+ * @type {Element}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.crawledCounter_ = null;
+
+
+/**
+ * @type {Element}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.queuedCounter_ = null;
+
+
+/**
+ * @type {Element}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.elapsedCounter_ = null;
+
+
+/**
+ * Status line (crawl state and settings errors).
+ *
+ * @type {Element}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.status_ = null;
+
+
+/**
+ * Scrolling container of the results table.
+ *
+ * @type {Element}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.resultsContainer_ = null;
+
+
+/**
+ * Body of the results table.
+ *
+ * @type {Element}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.tableBody_ = null;
+
+
+/**
+ * Rows of the results table, in the order of the records of <code>results_</code>.
+ *
+ * @type {Array.<!Element>}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.rows_ = null;
+
+
+/**
+ * Timer refreshing the elapsed time.
+ *
+ * @type {goog.Timer}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.timer_ = null;
+
+
+/**
+ * Whether the crawl has been started from the panel.
+ *
+ * @type {!boolean}
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.isStarted_ = false;
+
+
+/**
+ * Builds the panel into a parent element (typically <code>document.body</code>), makes it the scraper's
+ * result sink and starts listening to the crawl events.
+ *
+ * @param {!Element} parent element the panel is appended to.
+ */
+tmc.scraperjs.ControlPanel.prototype.render = function(parent) {
+    var that = this;
+    var dom = goog.dom.createDom;
+    var EventType = tmc.ScraperJS.EventType;
+    var profile;
+
+    var profileButtons = goog.array.map(['Save', 'Load', 'Delete', 'Share link'], function(label) {
+        return dom('button', {'type': 'button'}, label);
+    });
+
+    this.limitInputs_ = goog.array.map(tmc.scraperjs.ControlPanel.LIMITS, function(limit) {
+        return dom('input', {'type': 'number', 'min': '0'});
+    });
+    this.strategySelect_ = dom('select', null, goog.array.map(goog.object.getValues(tmc.ScraperJS.CrawlStrategy), function(strategy) {
+        return dom('option', {'value': strategy}, strategy);
+    }));
+    this.rulesInput_ = dom('textarea', {'placeholder': '/pricing|contact/i=10\n/tag\\//=null'});
+    goog.object.forEach(tmc.scraperjs.Extractors.LIBRARY, function(extractor, name) {
+        that.extractorBoxes_[name] = dom('input', {'type': 'checkbox'});
+    });
+    this.profileNameInput_ = dom('input', {'type': 'text', 'placeholder': 'name'});
+    this.profileSelect_ = dom('select');
+    this.shareInput_ = dom('input', {'type': 'text', 'readonly': 'readonly', 'placeholder': 'link to share'});
+
+    this.settings_ = dom('fieldset', null,
+        dom('legend', null, 'Settings'),
+        goog.array.map(tmc.scraperjs.ControlPanel.LIMITS, function(limit, i) {
+            return dom('label', null, limit.label, that.limitInputs_[i]);
+        }),
+        dom('label', null, 'Strategy ', this.strategySelect_),
+        dom('div', null, 'Priority rules (<regex>=<priority>, one per line)', this.rulesInput_),
+        dom('div', null, 'Extractors ', goog.object.getValues(goog.object.map(this.extractorBoxes_, function(box, name) {
+            return dom('label', null, box, name);
+        }))),
+        dom('div', {'class': 'scraperjs-profile'}, 'Profile ', this.profileNameInput_, profileButtons[0],
+            this.profileSelect_, profileButtons[1], profileButtons[2], profileButtons[3], this.shareInput_));
+
+    this.startButton_ = dom('button', {'type': 'button'}, 'Start');
+    this.pauseButton_ = dom('button', {'type': 'button'}, 'Pause');
+    this.stopButton_ = dom('button', {'type': 'button'}, 'Stop');
+    this.crawledCounter_ = dom('span', null, '0');
+    this.queuedCounter_ = dom('span', null, '0');
+    this.elapsedCounter_ = dom('span', null, '0s');
+    this.status_ = dom('div', {'class': 'scraperjs-status'}, 'Ready to crawl ' + this.scraper_.getRuntime().getSeedUrl());
+    this.tableBody_ = dom('tbody');
+    this.resultsContainer_ = dom('div', {'class': 'scraperjs-results'},
+        dom('table', null, dom('thead', null, dom('tr', null, dom('th', null, 'Type'), dom('th', null, 'Value'),
+            dom('th', null, 'Found in'))), this.tableBody_));
+
+    this.element_ = dom('div', {'id': tmc.scraperjs.ControlPanel.ID},
+        dom('style', null, tmc.scraperjs.ControlPanel.STYLE),
+        dom('h1', null, 'ScraperJS'),
+        this.settings_,
+        dom('div', null, this.startButton_, this.pauseButton_, this.stopButton_),
+        dom('div', {'class': 'scraperjs-counters'},
+            'Crawled ', this.crawledCounter_, 'Queued ', this.queuedCounter_, 'Elapsed ', this.elapsedCounter_),
+        this.status_,
+        this.resultsContainer_,
+        dom('div', null, goog.array.map(goog.object.getValues(tmc.scraperjs.ExportSink.Format), function(format) {
+            var button = dom('button', {'type': 'button'}, 'Download ' + format.toUpperCase());
+
+            goog.events.listen(button, goog.events.EventType.CLICK, function() {
+                that.download_(format);
+            });
+            return button;
+        }), goog.array.map(goog.object.getValues(tmc.scraperjs.CrawlStats.ReportFormat), function(format) {
+            var button = dom('button', {'type': 'button'}, 'Report ' + format.toUpperCase());
+
+            goog.events.listen(button, goog.events.EventType.CLICK, function() {
+                that.scraper_.downloadReport(format);
+            });
+            return button;
+        })));
+    parent.appendChild(this.element_);
+
+    goog.events.listen(profileButtons[0], goog.events.EventType.CLICK, this.saveProfile_, false, this);
+    goog.events.listen(profileButtons[1], goog.events.EventType.CLICK, this.loadProfile_, false, this);
+    goog.events.listen(profileButtons[2], goog.events.EventType.CLICK, this.deleteProfile_, false, this);
+    goog.events.listen(profileButtons[3], goog.events.EventType.CLICK, this.shareProfile_, false, this);
+    goog.events.listen(this.startButton_, goog.events.EventType.CLICK, this.start_, false, this);
+    goog.events.listen(this.pauseButton_, goog.events.EventType.CLICK, this.togglePause_, false, this);
+    goog.events.listen(this.stopButton_, goog.events.EventType.CLICK, this.stop_, false, this);
+    goog.events.listen(this.timer_, goog.Timer.TICK, this.refreshElapsedTime_, false, this);
+
+    this.scraper_.setResultSinks([this.results_]);
+    this.scraper_.listen(EventType.DATA, this.addResult_, false, this);
+    this.scraper_.listen(EventType.DUPLICATE_DATA, this.updateResult_, false, this);
+    this.scraper_.listen(EventType.PROGRESS, this.refreshCounters_, false, this);
+    this.scraper_.listen(EventType.COMPLETE, this.complete_, false, this);
+
+    try {                                               // Loads the profile shared by the page's url
+        profile = tmc.scraperjs.Profile.fromHash(window.location.hash);
+        if (profile !== null) {
+            this.scraper_.loadProfile(profile);
+            this.setStatus_('Loaded the profile of the link, ready to crawl ' + this.scraper_.getRuntime().getSeedUrl());
+        }
+    }
+    catch (e) {
+        this.setStatus_('Could not load the profile of the link: ' + e.message);
+    }
+
+    this.refreshSettings_();
+    this.refreshProfiles_();
+    this.refreshButtons_();
+};
+
+
+/**
+ * @return {Element} root element of the panel (<code>null</code> until rendered).
+ */
+tmc.scraperjs.ControlPanel.prototype.getElement = function() {
+    return this.element_;
+};
+
+
+/**
+ * @return {!tmc.scraperjs.ArraySink} sink collecting the results.
+ */
+tmc.scraperjs.ControlPanel.prototype.getResults = function() {
+    return /** @type {!tmc.scraperjs.ArraySink} */ (this.results_);
+};
+
+
+/**
+ * Hands the settings of the form over to the scraper.
+ *
+ * @throws {Error} if a limit or a priority rule is invalid.
+ *
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.applySettings_ = function() {
+    var that = this;
+    var rules = [];
+
+    goog.array.forEach(tmc.scraperjs.ControlPanel.LIMITS, function(limit, i) {
+        var value = goog.string.trim(that.limitInputs_[i].value);
+
+        if (!/^\d+$/.test(value)) {
+            throw Error('Invalid ' + limit.label.toLowerCase() + ': ' + value);
+        }
+        limit.setter.call(that.scraper_, parseInt(value, 10));
+    });
+
+    goog.array.forEach(this.rulesInput_.value.split(/\r?\n/), function(line) {
+        line = goog.string.trim(line);
+        if (line !== '') {
+            rules.push(tmc.scraperjs.ControlPanel.parseLinkPriorityRule(line));
+        }
+    });
+
+    this.scraper_.setCrawlStrategy(/** @type {!tmc.ScraperJS.CrawlStrategy} */ (this.strategySelect_.value))
+        .setLinkPriorityRules(rules.concat(this.hiddenRules_))
+        .setBuiltInExtractors(goog.object.getKeys(goog.object.filter(this.extractorBoxes_, function(box) {
+            return box.checked;
+        })));
+};
+
+
+/**
+ * Fills the form in with the scraper's settings.
+ *
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.refreshSettings_ = function() {
+    var that = this;
+    var lines = [];
+
+    goog.array.forEach(tmc.scraperjs.ControlPanel.LIMITS, function(limit, i) {
+        that.limitInputs_[i].value = String(limit.getter.call(that.scraper_));
+    });
+    this.strategySelect_.value = this.scraper_.getCrawlStrategy();
+
+    this.hiddenRules_ = [];
+    goog.array.forEach(this.scraper_.getLinkPriorityRules(), function(rule) {
+        var line = tmc.scraperjs.ControlPanel.formatLinkPriorityRule(rule);
+
+        if (line === null) {
+            that.hiddenRules_.push(rule);
+        }
+        else {
+            lines.push(line);
+        }
+    });
+    this.rulesInput_.value = lines.join('\n');
+
+    goog.object.forEach(this.extractorBoxes_, function(box, name) {
+        box.checked = goog.array.contains(that.scraper_.getBuiltInExtractors(), name);
+    });
+};
+
+
+/**
+ * Fills the select of the profiles saved to localStorage in.
+ *
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.refreshProfiles_ = function() {
+    var select = this.profileSelect_;
+
+    goog.dom.removeChildren(select);
+    goog.array.forEach(tmc.scraperjs.Profile.list(), function(name) {
+        select.appendChild(goog.dom.createDom('option', {'value': name}, name));
+    });
+};
+
+
+/**
+ * Saves the settings of the form as a profile to localStorage, under the name typed in.
+ *
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.saveProfile_ = function() {
+    var name = goog.string.trim(this.profileNameInput_.value);
+    var profile;
+
+    if (name === '') {
+        this.setStatus_('Type in the name of the profile to save');
+        return;
+    }
+
+    profile = this.exportProfile_();
+    if (profile !== null) {
+        this.setStatus_(tmc.scraperjs.Profile.save(name, profile)
+            ? 'Saved the profile ' + name
+            : 'Could not save the profile ' + name + ' (storage full or disabled)');
+        this.refreshProfiles_();
+        this.profileSelect_.value = name;
+    }
+};
+
+
+/**
+ * Loads the profile selected from localStorage into the scraper and the form.
+ *
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.loadProfile_ = function() {
+    var name = this.profileSelect_.value;
+    var profile = name ? tmc.scraperjs.Profile.load(name) : null;
+
+    if (profile === null) {
+        this.setStatus_('No profile to load');
+        return;
+    }
+
+    try {
+        this.scraper_.loadProfile(profile);
+    }
+    catch (e) {
+        this.setStatus_('Could not load the profile ' + name + ': ' + e.message);
+        return;
+    }
+
+    this.profileNameInput_.value = name;
+    this.refreshSettings_();
+    this.setStatus_('Loaded the profile ' + name);
+};
+
+
+/**
+ * Removes the profile selected from localStorage.
+ *
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.deleteProfile_ = function() {
+    var name = this.profileSelect_.value;
+
+    if (name) {
+        tmc.scraperjs.Profile.remove(name);
+        this.refreshProfiles_();
+        this.setStatus_('Deleted the profile ' + name);
+    }
+};
+
+
+/**
+ * Shows the link to the seed page carrying the settings of the form: running the bookmarklet on it
+ * opens the panel with these settings.
+ *
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.shareProfile_ = function() {
+    var profile = this.exportProfile_();
+
+    if (profile !== null) {
+        this.shareInput_.value = tmc.scraperjs.Profile.toUrl(this.scraper_.getRuntime().getSeedUrl() || '', profile);
+        this.shareInput_.select();
+        this.setStatus_('Copy the link to share the profile, then run the bookmarklet on it');
+    }
+};
+
+
+/**
+ * Applies the settings of the form (unless the crawl is started) and exports the scraper's profile.
+ *
+ * @return {Object} profile or <code>null</code> if the settings are invalid (the status tells why).
+ *
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.exportProfile_ = function() {
+    try {
+        if (!this.isStarted_) {
+            this.applySettings_();
+        }
+        return this.scraper_.exportProfile();
+    }
+    catch (e) {
+        this.setStatus_(e.message);
+        return null;
+    }
+};
+
+
+/**
+ * Writes a link priority rule as <code>/pattern/flags=priority</code> (see <code>parseLinkPriorityRule</code>).
+ *
+ * @param {tmc.ScraperJS.LinkPriorityRule} rule link priority rule.
+ *
+ * @return {?string} rule or <code>null</code> if it cannot be written so (functions and rules with
+ *     element, attribute or rel conditions).
+ */
+tmc.scraperjs.ControlPanel.formatLinkPriorityRule = function(rule) {
+    if ((typeof rule === 'function') || (rule.element !== undefined) || (rule.attribute !== undefined)
+        || (rule.rel !== undefined)) {
+        return null;
+    }
+
+    return '/' + rule.regex.source + '/' + rule.regex.flags + '=' + ((rule.priority === null) ? 'null' : rule.priority);
+};
+
+
+/**
+ * Parses a link priority rule written as <code>&lt;regex&gt;=&lt;priority&gt;</code>, the regular expression
+ * being a pattern or <code>/pattern/flags</code> and the priority an integer, <code>++</code>, <code>--</code>
+ * or <code>null</code> (the syntax of the command line's <code>--priority-rule</code>).
+ *
+ * @param {!string} text rule.
+ *
+ * @return {{regex:!RegExp, priority:(?number|?string)}} link priority rule.
+ *
+ * @throws {Error} if the rule is invalid.
+ */
+tmc.scraperjs.ControlPanel.parseLinkPriorityRule = function(text) {
+    var i = text.lastIndexOf('=');                      // The priority never contains '=' whereas the regex may
+    var pattern = text.substr(0, i);
+    var priority = text.substr(i + 1);
+    var match;
+    var regex;
+
+    if (i <= 0) {
+        throw Error('Invalid priority rule: ' + text);
+    }
+
+    try {
+        match = pattern.match(/^\/(.*)\/([dgimsuy]*)$/);
+        regex = (match !== null) ? new RegExp(match[1], match[2]) : new RegExp(pattern);
+    }
+    catch (e) {                                         // SyntaxError: invalid regular expression
+        throw Error('Invalid priority rule regex: ' + pattern);
+    }
+
+    if (priority === 'null') {
+        return {regex: regex, priority: null};
+    }
+    if (/^-?\d+$/.test(priority)) {
+        return {regex: regex, priority: parseInt(priority, 10)};
+    }
+    if ((priority !== '++') && (priority !== '--')) {
+        throw Error('Invalid priority rule priority: ' + priority);
+    }
+
+    return {regex: regex, priority: priority};
+};
+
+
+/**
+ * Starts the crawl with the settings of the form, or resumes it once stopped.
+ *
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.start_ = function() {
+    if (this.isStarted_) {
+        this.scraper_.resume();
+    }
+    else {
+        try {
+            this.applySettings_();
+        }
+        catch (e) {
+            this.setStatus_(e.message);
+            return;
+        }
+
+        this.isStarted_ = true;
+        this.scraper_.start();
+    }
+
+    this.restartTimer_();
+    this.setStatus_('Crawling...');
+    this.refreshButtons_();
+};
+
+
+/**
+ * Pauses the crawl, or resumes it while paused.
+ *
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.togglePause_ = function() {
+    if (this.scraper_.isPaused()) {
+        this.scraper_.resume();
+        this.restartTimer_();
+        this.setStatus_('Crawling...');
+    }
+    else {
+        this.scraper_.pause();
+        this.setStatus_('Paused (the fetches in flight complete)');
+    }
+    this.refreshButtons_();
+};
+
+
+/**
+ * Stops the crawl (it can be resumed with the Start button).
+ *
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.stop_ = function() {
+    this.scraper_.stop();
+};
+
+
+/**
+ * (Re)starts the timer refreshing the elapsed time. Starting or resuming a crawl clears the page's
+ * timers (see <code>tmc.scraperjs.Runtime.prototype.prepare</code>), the timer's included.
+ *
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.restartTimer_ = function() {
+    this.timer_.stop();
+    this.timer_.start();
+};
+
+
+/**
+ * Enables the buttons allowed in the crawl's state.
+ *
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.refreshButtons_ = function() {
+    var isCrawling = this.scraper_.isCrawling();
+    var isPaused = this.scraper_.isPaused();
+
+    this.settings_.disabled = this.isStarted_;
+    this.startButton_.disabled = this.isStarted_ && (isCrawling || !isPaused);    // Only stopped crawls are resumed
+    goog.dom.setTextContent(this.startButton_, (this.isStarted_ && !isCrawling && isPaused) ? 'Resume' : 'Start');
+    this.pauseButton_.disabled = !isCrawling;
+    goog.dom.setTextContent(this.pauseButton_, (isCrawling && isPaused) ? 'Resume' : 'Pause');
+    this.stopButton_.disabled = !isCrawling;
+};
+
+
+/**
+ * @param {!string} message message shown in the status line.
+ *
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.setStatus_ = function(message) {
+    goog.dom.setTextContent(this.status_, message);
+};
+
+
+/**
+ * Refreshes the counters on <code>PROGRESS</code> events.
+ *
+ * @param {!tmc.scraperjs.CrawlEvent} e progress event.
+ *
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.refreshCounters_ = function(e) {
+    goog.dom.setTextContent(this.crawledCounter_, String(e.detail['numCrawledLinks']));
+    goog.dom.setTextContent(this.queuedCounter_, String(e.detail['numQueuedLinks']));
+    this.refreshElapsedTime_();
+};
+
+
+/**
+ * Refreshes the elapsed time.
+ *
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.refreshElapsedTime_ = function() {
+    goog.dom.setTextContent(this.elapsedCounter_, Math.floor(this.scraper_.getElapsedTime() / 1000) + 's');
+};
+
+
+/**
+ * Updates the panel once the crawl is over (or stopped).
+ *
+ * @param {!tmc.scraperjs.CrawlEvent} e complete event.
+ *
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.complete_ = function(e) {
+    var reason = e.detail['reason'];
+
+    this.timer_.stop();
+    goog.dom.setTextContent(this.crawledCounter_, String(e.detail['numCrawledLinks']));
+    this.refreshElapsedTime_();
+    this.setStatus_((reason === tmc.ScraperJS.CompleteReason.STOPPED)
+        ? 'Stopped: ' + this.results_.getRecords().length + ' results (Resume continues the crawl)'
+        : 'Finished (' + reason + '): ' + this.results_.getRecords().length + ' results');
+    this.refreshButtons_();
+};
+
+
+/**
+ * Appends a row to the results table on <code>DATA</code> events, scrolling it down if it was at the bottom.
+ *
+ * @param {!tmc.scraperjs.CrawlEvent} e data event.
+ *
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.addResult_ = function(e) {
+    var record = e.detail['record'];
+    var container = this.resultsContainer_;
+    var isAtBottom = container.scrollTop + container.clientHeight >= container.scrollHeight - 1;
+    var value = (record['value'] !== undefined) ? record['value'] : record;
+    var row;
+
+    row = goog.dom.createDom('tr', null,
+        goog.dom.createDom('td', null, String(record['type'] || '')),
+        goog.dom.createDom('td', null, goog.string.truncate((typeof value === 'string') ? value : JSON.stringify(value),
+            tmc.scraperjs.ControlPanel.MAX_VALUE_LENGTH)),
+        goog.dom.createDom('td'));
+    this.rows_.push(row);
+    this.refreshSources_(row, record);
+    this.tableBody_.appendChild(row);
+
+    if (isAtBottom) {
+        container.scrollTop = container.scrollHeight;
+    }
+};
+
+
+/**
+ * Refreshes the pages a result was found in on <code>DUPLICATE_DATA</code> events.
+ *
+ * @param {!tmc.scraperjs.CrawlEvent} e duplicate data event.
+ *
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.updateResult_ = function(e) {
+    var record = e.detail['record'];
+    var i = goog.array.indexOf(this.results_.getRecords(), record);
+
+    if (i !== -1) {
+        this.refreshSources_(this.rows_[i], record);
+    }
+};
+
+
+/**
+ * Lists the pages a result was found in (its sources, or the page it comes from) in the last cell of its row.
+ *
+ * @param {!Element} row row of the result.
+ * @param {!Object} record result.
+ *
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.refreshSources_ = function(row, record) {
+    var cell = row.lastChild;
+    var provenance = record['provenance'];
+    var urls = record['sources'] || (provenance ? [provenance['url']] : []);
+
+    goog.dom.removeChildren(cell);
+    goog.array.forEach(urls, function(url) {
+        cell.appendChild(goog.dom.createDom('a', {'href': url, 'target': '_blank', 'rel': 'noopener'}, url));
+    });
+    if (record['occurrences'] > 1) {
+        cell.appendChild(goog.dom.createDom('span', null, record['occurrences'] + ' occurrences'));
+    }
+};
+
+
+/**
+ * Downloads the results collected so far.
+ *
+ * @param {!tmc.scraperjs.ExportSink.Format} format export format.
+ *
+ * @private
+ */
+tmc.scraperjs.ControlPanel.prototype.download_ = function(format) {
+    var sink = new tmc.scraperjs.ExportSink(format);
+
+    goog.array.forEach(this.results_.getRecords(), sink.write, sink);
+    this.scraper_.downloadResults(sink);
+};
+
+
+if (COMPILED) {     // Opens the control panel here when compiled otherwise opened by bookmarklet
+    window['ScraperJS'] = new tmc.ScraperJS();      // Tells the bookmarklet the scraper is already loaded
+    new tmc.scraperjs.ControlPanel(window['ScraperJS']).render(/** @type {!Element} */ (document.body));
+}
@@ -0,0 +1,864 @@
+/**
+ * ScraperJS Copyright (C) 2011-2012 365multimedia.com
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+goog.provide('tmc.scraperjs.Pdf');
+
+goog.require('goog.array');
+goog.require('goog.crypt');
+goog.require('goog.object');
+goog.require('goog.string');
+
+
+/**
+ * Content of a pdf document: its text (page after page) and the urls of its link annotations.
+ *
+ * @typedef {{text:string, links:!Array.<string>}}
+ */
+tmc.scraperjs.Pdf.Content;
+
+
+/**
+ * Object of a pdf document: its dictionary (or value) and the decoded content of its stream
+ * (<code>null</code> if it has none or its filters are not supported).
+ *
+ * @typedef {{value:*, stream:?string}}
+ */
+tmc.scraperjs.Pdf.Object_;
+
+
+/**
+ * Font used to show text: maps its character codes to unicode strings (<code>null</code> when it has
+ * no ToUnicode CMap, latin-1 being assumed) and tells how many bytes character codes are made of.
+ *
+ * @typedef {{cmap:?Object.<number,string>, codeLength:number}}
+ */
+tmc.scraperjs.Pdf.Font_;
+
+
+/**
+ * Matches the header of a pdf document.
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Pdf.RX_HEADER = /^%PDF-/;
+
+
+/**
+ * Matches the beginning of an indirect object (number, generation and the obj keyword).
+ *
+ * Note: the g at the end of the regular expression is required so multiple matches can be returned.
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Pdf.RX_OBJECT = /(\d+)\s+(\d+)\s+obj\b/g;
+
+
+/**
+ * Matches the stream keyword and the end of line following it.
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Pdf.RX_STREAM = /\bstream(?:\r\n|\n|\r)/;
+
+
+/**
+ * Matches the white-space characters of the pdf syntax.
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Pdf.RX_WHITE_SPACE = /[\x00\t\n\f\r ]/;
+
+
+/**
+ * Matches the delimiters of the pdf syntax.
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Pdf.RX_DELIMITER = /[()<>\[\]{}\/%]/;
+
+
+/**
+ * Characters of the escape sequences of literal strings.
+ *
+ * @type {!Object.<string,string>}
+ * @const
+ */
+tmc.scraperjs.Pdf.ESCAPES = {'n': '\n', 'r': '\r', 't': '\t', 'b': '\b', 'f': '\f'};
+
+
+/**
+ * Kerning (in thousandths of a text space unit) beyond which a TJ array offset is a word space.
+ *
+ * @type {!number}
+ * @const
+ */
+tmc.scraperjs.Pdf.WORD_SPACE_KERNING = 200;
+
+
+/**
+ * @param {!Uint8Array} bytes bytes of a document.
+ *
+ * @return {!boolean} whether the bytes are those of a pdf document.
+ */
+tmc.scraperjs.Pdf.isPdf = function(bytes) {
+    return tmc.scraperjs.Pdf.RX_HEADER.test(goog.crypt.byteArrayToString(bytes.subarray(0, 5)));
+};
+
+
+/**
+ * Extracts the text and the link annotations of a pdf document. Streams compressed with FlateDecode
+ * are inflated by the given function (i.e. the runtime's), the others are ignored.
+ * Text is decoded with the ToUnicode CMaps of the fonts (latin-1 is assumed for fonts without one).
+ *
+ * @param {!Uint8Array} bytes bytes of the pdf document.
+ * @param {!function(!Uint8Array, !function(?Uint8Array))} inflate function inflating zlib compressed bytes.
+ * @param {!function(!tmc.scraperjs.Pdf.Content)} callback function called with the content of the document.
+ */
+tmc.scraperjs.Pdf.extract = function(bytes, inflate, callback) {
+    var data = goog.crypt.byteArrayToString(bytes);     // One character per byte
+    var objects = tmc.scraperjs.Pdf.readObjects_(data);
+    var encoded = [];
+    var numPending;
+
+    goog.object.forEach(objects, function(object, id) {
+        if (object.stream !== null) {
+            encoded.push(id);
+        }
+    });
+
+    function done() {
+        tmc.scraperjs.Pdf.readObjectStreams_(objects);
+        callback({
+            text: tmc.scraperjs.Pdf.extractText_(objects, data),
+            links: tmc.scraperjs.Pdf.extractLinks_(objects)
+        });
+    }
+
+    numPending = encoded.length;
+    if (numPending === 0) {
+        done();
+        return;
+    }
+
+    goog.array.forEach(encoded, function(id) {         // Decodes the streams
+        var object = objects[id];
+        var filters = tmc.scraperjs.Pdf.get_(objects, object.value, 'Filter');
+
+        function decoded(content) {
+            object.stream = content;
+            if (--numPending === 0) {
+                done();
+            }
+        }
+
+        filters = Array.isArray(filters) ? filters : ((filters === undefined) ? [] : [filters]);
+        if (filters.length === 0) {
+            decoded(object.stream);
+        }
+        else if ((filters.length === 1) && (filters[0] === '/FlateDecode')) {
+            inflate(new Uint8Array(goog.crypt.stringToByteArray(/** @type {string} */ (object.stream))), function(inflated) {
+                decoded((inflated === null) ? null : goog.crypt.byteArrayToString(inflated));
+            });
+        }
+        else {
+            decoded(null);                              // Images and unsupported filters
+        }
+    });
+};
+
+
+/**
+ * Reads the indirect objects of a pdf document (their streams are left encoded).
+ *
+ * @param {!string} data content of the pdf document (one character per byte).
+ *
+ * @return {!Object.<string,!tmc.scraperjs.Pdf.Object_>} map of objects (keys are "number generation").
+ *
+ * @private
+ */
+tmc.scraperjs.Pdf.readObjects_ = function(data) {
+    var rx = new RegExp(tmc.scraperjs.Pdf.RX_OBJECT.source, 'g');
+    var objects = {};
+    var match;
+    var end;
+    var body;
+    var stream;
+    var value;
+    var length;
+    var streamEnd;
+
+    while ((match = rx.exec(data)) !== null) {
+        end = data.indexOf('endobj', rx.lastIndex);
+        if (end < 0) {
+            break;
+        }
+        body = data.substring(rx.lastIndex, end);
+        rx.lastIndex = end;                             // Never looks for objects inside streams
+
+        stream = tmc.scraperjs.Pdf.RX_STREAM.exec(body);
+        value = tmc.scraperjs.Pdf.parse_(stream ? body.substr(0, stream.index) : body);
+        if (stream !== null) {
+            length = goog.isObject(value) ? value['Length'] : undefined;
+            body = body.substr(stream.index + stream[0].length);
+            streamEnd = body.lastIndexOf('endstream');
+            if ((typeof length === 'number') && (length <= body.length)) {
+                body = body.substr(0, length);          // Otherwise /Length is an indirect object
+            }
+            else if (streamEnd >= 0) {
+                body = body.substr(0, streamEnd).replace(/(?:\r\n|\n|\r)$/, '');
+            }
+        }
+
+        objects[match[1] + ' ' + match[2]] = {value: value, stream: stream ? body : null};
+    }
+
+    return objects;
+};
+
+
+/**
+ * Adds the objects held by the (decoded) object streams of a pdf document to its objects.
+ *
+ * @param {!Object.<string,!tmc.scraperjs.Pdf.Object_>} objects map of objects.
+ *
+ * @private
+ */
+tmc.scraperjs.Pdf.readObjectStreams_ = function(objects) {
+    goog.object.forEach(goog.object.clone(objects), function(object) {
+        var first;
+        var header;
+
+        if ((object.stream === null) || (tmc.scraperjs.Pdf.get_(objects, object.value, 'Type') !== '/ObjStm')) {
+            return;
+        }
+
+        first = /** @type {number} */ (tmc.scraperjs.Pdf.get_(objects, object.value, 'First'));
+        header = goog.string.trim(object.stream.substr(0, first)).split(/\s+/);
+        for (var i = 0; i + 1 < header.length; i += 2) {    // Pairs of object number and offset
+            if (objects[header[i] + ' 0'] === undefined) {
+                objects[header[i] + ' 0'] = {
+                    value: tmc.scraperjs.Pdf.parse_(object.stream.substring(
+                        first + parseInt(header[i + 1], 10),
+                        (i + 3 < header.length) ? first + parseInt(header[i + 3], 10) : object.stream.length)),
+                    stream: null
+                };
+            }
+        }
+    });
+};
+
+
+/**
+ * Extracts the urls of the link annotations (and other URI actions) of a pdf document.
+ *
+ * @param {!Object.<string,!tmc.scraperjs.Pdf.Object_>} objects map of objects.
+ *
+ * @return {!Array.<string>} urls (in order of appearance, without duplicates).
+ *
+ * @private
+ */
+tmc.scraperjs.Pdf.extractLinks_ = function(objects) {
+    var links = [];
+
+    function visit(value) {
+        var uri;
+
+        if (Array.isArray(value)) {
+            goog.array.forEach(value, visit);
+        }
+        else if (goog.isObject(value) && (value.str === undefined) && (value.ref === undefined)) {
+            uri = tmc.scraperjs.Pdf.resolve_(objects, value['URI']);
+            if ((tmc.scraperjs.Pdf.get_(objects, value, 'S') === '/URI') && goog.isObject(uri) && (typeof uri.str === 'string')) {
+                goog.array.insert(links, goog.string.trim(uri.str));
+            }
+            goog.object.forEach(value, visit);
+        }
+    }
+
+    goog.object.forEach(objects, function(object) {
+        visit(object.value);
+    });
+
+    return links;
+};
+
+
+/**
+ * Extracts the text of a pdf document, page after page.
+ *
+ * @param {!Object.<string,!tmc.scraperjs.Pdf.Object_>} objects map of objects.
+ * @param {!string} data content of the pdf document (one character per byte).
+ *
+ * @return {!string} text of the document.
+ *
+ * @private
+ */
+tmc.scraperjs.Pdf.extractText_ = function(objects, data) {
+    var pages = tmc.scraperjs.Pdf.getPages_(objects, data);
+
+    return goog.array.map(pages, function(page) {
+        var contents = tmc.scraperjs.Pdf.get_(objects, page, 'Contents', true);
+        var resolved = tmc.scraperjs.Pdf.resolve_(objects, contents);
+        var streams = Array.isArray(resolved) ? resolved : [contents];     // References to the content streams
+        var content = goog.array.map(streams, function(ref) {
+            var object = (goog.isObject(ref) && (typeof ref.ref === 'string')) ? objects[ref.ref] : undefined;
+            return (object && object.stream) || '';
+        }).join('\n');
+
+        return tmc.scraperjs.Pdf.extractPageText_(content, tmc.scraperjs.Pdf.getFonts_(objects, page));
+    }).join('\n\n');
+};
+
+
+/**
+ * Lists the pages of a pdf document, in order: walks the page tree from the document catalog or,
+ * when the trailer cannot be found, takes the page objects in object number order.
+ *
+ * @param {!Object.<string,!tmc.scraperjs.Pdf.Object_>} objects map of objects.
+ * @param {!string} data content of the pdf document (one character per byte).
+ *
+ * @return {!Array.<!Object>} page dictionaries.
+ *
+ * @private
+ */
+tmc.scraperjs.Pdf.getPages_ = function(objects, data) {
+    var pages = [];
+    var visited = {};
+    var root = null;
+    var ids;
+    var match;
+    var rx = /\/Root\s+(\d+\s+\d+)\s+R/g;
+
+    while ((match = rx.exec(data)) !== null) {          // The last trailer (or xref stream) wins
+        root = match[1].replace(/\s+/, ' ');
+    }
+
+    function visit(node) {
+        var type = tmc.scraperjs.Pdf.get_(objects, node, 'Type');
+
+        if (type === '/Page') {
+            pages.push(node);
+        }
+        else if (type === '/Pages') {
+            goog.array.forEach(/** @type {!Array} */ (tmc.scraperjs.Pdf.get_(objects, node, 'Kids') || []), function(kid) {
+                if (goog.isObject(kid) && (typeof kid.ref === 'string') && !visited[kid.ref] && objects[kid.ref]) {
+                    visited[kid.ref] = true;            // Guards against malformed cyclic trees
+                    visit(objects[kid.ref].value);
+                }
+            });
+        }
+    }
+
+    if ((root !== null) && (objects[root] !== undefined)) {
+        visit(tmc.scraperjs.Pdf.get_(objects, objects[root].value, 'Pages'));
+    }
+
+    if (pages.length === 0) {
+        ids = goog.object.getKeys(objects);
+        goog.array.sort(ids, function(a, b) {
+            return parseInt(a, 10) - parseInt(b, 10);
+        });
+        goog.array.forEach(ids, function(id) {
+            if (tmc.scraperjs.Pdf.get_(objects, objects[id].value, 'Type') === '/Page') {
+                pages.push(objects[id].value);
+            }
+        });
+    }
+
+    return pages;
+};
+
+
+/**
+ * Collects the fonts of a page (resources are inherited from the ancestors of the page).
+ *
+ * @param {!Object.<string,!tmc.scraperjs.Pdf.Object_>} objects map of objects.
+ * @param {!Object} page page dictionary.
+ *
+ * @return {!Object.<string,!tmc.scraperjs.Pdf.Font_>} map of fonts (keys are resource names).
+ *
+ * @private
+ */
+tmc.scraperjs.Pdf.getFonts_ = function(objects, page) {
+    var node = page;
+    var resources;
+    var fonts;
+    var depth = 0;
+
+    while (goog.isObject(node) && (depth++ < 32)) {
+        resources = tmc.scraperjs.Pdf.get_(objects, node, 'Resources');
+        if (resources !== undefined) {
+            break;
+        }
+        node = tmc.scraperjs.Pdf.get_(objects, node, 'Parent');
+    }
+
+    fonts = /** @type {!Object} */ (tmc.scraperjs.Pdf.get_(objects, resources, 'Font') || {});
+    return goog.object.map(fonts, function(ref) {
+        var font = tmc.scraperjs.Pdf.resolve_(objects, ref);
+        var toUnicode = tmc.scraperjs.Pdf.get_(objects, font, 'ToUnicode', true);
+        var object = (goog.isObject(toUnicode) && (typeof toUnicode.ref === 'string')) ? objects[toUnicode.ref] : undefined;
+        var codeLength = (tmc.scraperjs.Pdf.get_(objects, font, 'Subtype') === '/Type0') ? 2 : 1;
+
+        if (object && object.stream) {
+            return tmc.scraperjs.Pdf.parseCMap_(object.stream, codeLength);
+        }
+        return {cmap: null, codeLength: codeLength};
+    });
+};
+
+
+/**
+ * Parses a ToUnicode CMap.
+ *
+ * @param {!string} content content of the CMap stream.
+ * @param {!number} codeLength default number of bytes of the character codes.
+ *
+ * @return {!tmc.scraperjs.Pdf.Font_} font whose codes the CMap maps.
+ *
+ * @private
+ */
+tmc.scraperjs.Pdf.parseCMap_ = function(content, codeLength) {
+    var cmap = {};
+    var rxSection = /begin(bfchar|bfrange|codespacerange)([\s\S]*?)end\1/g;
+    var section;
+    var tokens;
+    var start;
+    var end;
+
+    function hex(token) {
+        return parseInt(token, 16);
+    }
+
+    function unicode(token, offset) {                   // UTF-16BE hex string
+        var chars = [];
+
+        for (var i = 0; i + 4 <= token.length; i += 4) {
+            chars.push(parseInt(token.substr(i, 4), 16));
+        }
+        chars[chars.length - 1] += offset;
+        return String.fromCharCode.apply(null, chars);
+    }
+
+    while ((section = rxSection.exec(content)) !== null) {
+        tokens = section[2].match(/<[0-9A-Fa-f\s]*>|\[|\]/g) || [];
+        tokens = goog.array.map(tokens, function(token) {
+            return token.replace(/[<>\s]/g, '');
+        });
+
+        if (section[1] === 'codespacerange') {
+            if (tokens.length > 0) {
+                codeLength = Math.max(1, tokens[0].length >> 1);
+            }
+        }
+        else if (section[1] === 'bfchar') {
+            for (var i = 0; i + 1 < tokens.length; i += 2) {
+                cmap[hex(tokens[i])] = unicode(tokens[i + 1], 0);
+            }
+        }
+        else {
+            for (i = 0; i + 2 < tokens.length; i += 3) {
+                start = hex(tokens[i]);
+                end = hex(tokens[i + 1]);
+                if (tokens[i + 2] === '[') {            // One destination per code
+                    for (var code = start; (code <= end) && (tokens[i + 3] !== ']'); code++, i++) {
+                        cmap[code] = unicode(tokens[i + 3], 0);
+                    }
+                    i++;                                // Skips the closing bracket
+                }
+                else {
+                    for (code = start; (code <= end) && (code - start < 0x10000); code++) {
+                        cmap[code] = unicode(tokens[i + 2], code - start);
+                    }
+                }
+            }
+        }
+    }
+
+    return {cmap: cmap, codeLength: codeLength};
+};
+
+
+/**
+ * Extracts the text shown by the operators of a page's content stream.
+ *
+ * @param {!string} content content stream of the page.
+ * @param {!Object.<string,!tmc.scraperjs.Pdf.Font_>} fonts fonts of the page.
+ *
+ * @return {!string} text of the page.
+ *
+ * @private
+ */
+tmc.scraperjs.Pdf.extractPageText_ = function(content, fonts) {
+    var lexer = {data: content, pos: 0};
+    var operands = [];
+    var text = [];
+    var font = null;
+    var lastY = null;
+    var token;
+
+    function show(string) {
+        if (goog.isObject(string) && (typeof string.str === 'string')) {
+            text.push(tmc.scraperjs.Pdf.decodeText_(string.str, font));
+        }
+    }
+
+    function newLine() {
+        if ((text.length > 0) && (text[text.length - 1] !== '\n')) {
+            text.push('\n');
+        }
+    }
+
+    while ((token = tmc.scraperjs.Pdf.next_(lexer)) !== undefined) {
+        if (!goog.isObject(token) || (token.op === undefined)) {
+            operands.push(token);
+            continue;
+        }
+
+        switch (token.op) {
+            case 'Tf':
+                font = fonts[String(operands[0]).substr(1)] || null;
+                break;
+            case 'Tj':
+                show(operands[0]);
+                break;
+            case '\'':
+                newLine();
+                show(operands[0]);
+                break;
+            case '"':
+                newLine();
+                show(operands[2]);
+                break;
+            case 'TJ':
+                goog.array.forEach(Array.isArray(operands[0]) ? operands[0] : [], function(item) {
+                    if (typeof item === 'number') {
+                        if (-item > tmc.scraperjs.Pdf.WORD_SPACE_KERNING) {
+                            text.push(' ');
+                        }
+                    }
+                    else {
+                        show(item);
+                    }
+                });
+                break;
+            case 'Td':
+            case 'TD':
+                if (operands[1] !== 0) {
+                    newLine();
+                }
+                else if (text.length > 0) {
+                    text.push(' ');
+                }
+                break;
+            case 'Tm':
+                if ((lastY !== null) && (operands[5] !== lastY)) {
+                    newLine();
+                }
+                lastY = operands[5];
+                break;
+            case 'T*':
+            case 'ET':
+                newLine();
+                break;
+            case 'ID':                                  // Skips the data of inline images
+                lexer.pos = content.indexOf('EI', lexer.pos);
+                lexer.pos = (lexer.pos < 0) ? content.length : lexer.pos + 2;
+                break;
+        }
+        operands = [];
+    }
+
+    return goog.string.trim(text.join('').replace(/[ \t]+/g, ' ').replace(/ ?\n ?/g, '\n'));
+};
+
+
+/**
+ * Decodes the character codes of a string shown with a font.
+ *
+ * @param {!string} codes bytes of the string (one character per byte).
+ * @param {?tmc.scraperjs.Pdf.Font_} font font the string is shown with.
+ *
+ * @return {!string} text.
+ *
+ * @private
+ */
+tmc.scraperjs.Pdf.decodeText_ = function(codes, font) {
+    var chars = [];
+    var code;
+    var codeLength;
+
+    if ((font === null) || ((font.cmap === null) && (font.codeLength === 1))) {
+        return codes;                                   // Latin-1 is assumed
+    }
+
+    codeLength = font.codeLength;
+    for (var i = 0; i + codeLength <= codes.length; i += codeLength) {
+        code = 0;
+        for (var j = 0; j < codeLength; j++) {
+            code = (code << 8) | codes.charCodeAt(i + j);
+        }
+        if (font.cmap !== null && font.cmap[code] !== undefined) {
+            chars.push(font.cmap[code]);
+        }
+        else if (codeLength === 1) {
+            chars.push(String.fromCharCode(code));
+        }
+    }
+
+    return chars.join('');
+};
+
+
+/**
+ * Gets the value of a dictionary entry, resolving indirect references.
+ *
+ * @param {!Object.<string,!tmc.scraperjs.Pdf.Object_>} objects map of objects.
+ * @param {*} dictionary dictionary (or reference to a dictionary).
+ * @param {!string} key key of the entry.
+ * @param {boolean=} opt_keepReference whether an indirect reference is returned as is.
+ *
+ * @return {*} value of the entry or <code>undefined</code> if none.
+ *
+ * @private
+ */
+tmc.scraperjs.Pdf.get_ = function(objects, dictionary, key, opt_keepReference) {
+    var value;
+
+    dictionary = tmc.scraperjs.Pdf.resolve_(objects, dictionary);
+    if (!goog.isObject(dictionary) || Array.isArray(dictionary)) {
+        return undefined;
+    }
+
+    value = dictionary[key];
+    return opt_keepReference ? value : tmc.scraperjs.Pdf.resolve_(objects, value);
+};
+
+
+/**
+ * @param {!Object.<string,!tmc.scraperjs.Pdf.Object_>} objects map of objects.
+ * @param {*} value value that may be an indirect reference.
+ *
+ * @return {*} value referred to (<code>undefined</code> for a missing object) or the value itself.
+ *
+ * @private
+ */
+tmc.scraperjs.Pdf.resolve_ = function(objects, value) {
+    if (goog.isObject(value) && (typeof value.ref === 'string')) {
+        return objects[value.ref] ? objects[value.ref].value : undefined;
+    }
+    return value;
+};
+
+
+/**
+ * Parses the first object of a string.
+ *
+ * @param {!string} data pdf syntax.
+ *
+ * @return {*} parsed object.
+ *
+ * @private
+ */
+tmc.scraperjs.Pdf.parse_ = function(data) {
+    return tmc.scraperjs.Pdf.nextValue_({data: data, pos: 0});
+};
+
+
+/**
+ * Reads the next token of pdf syntax: numbers, booleans and null are JavaScript values, names are
+ * strings starting with a slash, strings are <code>{str: bytes}</code>, indirect references (in arrays
+ * and dictionaries) are <code>{ref: 'number generation'}</code>, arrays are arrays, dictionaries are
+ * objects (keys without their slash) and keywords (operators) are <code>{op: keyword}</code>.
+ *
+ * @param {!{data:string, pos:number}} lexer data being read and position in it.
+ *
+ * @return {*} token or <code>undefined</code> at the end of the data.
+ *
+ * @private
+ */
+tmc.scraperjs.Pdf.next_ = function(lexer) {
+    var data = lexer.data;
+    var c;
+    var start;
+    var value;
+    var items;
+    var depth;
+    var chars;
+
+    for (;;) {                                          // Skips white spaces and comments
+        c = data.charAt(lexer.pos);
+        if (c === '%') {
+            while ((lexer.pos < data.length) && !/[\r\n]/.test(data.charAt(lexer.pos))) {
+                lexer.pos++;
+            }
+        }
+        else if ((c !== '') && tmc.scraperjs.Pdf.RX_WHITE_SPACE.test(c)) {
+            lexer.pos++;
+        }
+        else {
+            break;
+        }
+    }
+
+    if (c === '') {
+        return undefined;
+    }
+    start = lexer.pos++;
+
+    switch (c) {
+        case '/':                                       // Name (#xx escapes decoded)
+            while ((lexer.pos < data.length) && !tmc.scraperjs.Pdf.RX_WHITE_SPACE.test(data.charAt(lexer.pos))
+                && !tmc.scraperjs.Pdf.RX_DELIMITER.test(data.charAt(lexer.pos))) {
+                lexer.pos++;
+            }
+            return data.substring(start, lexer.pos).replace(/#([0-9A-Fa-f]{2})/g, function(match, code) {
+                return String.fromCharCode(parseInt(code, 16));
+            });
+
+        case '(':                                       // Literal string
+            chars = [];
+            depth = 1;
+            while (lexer.pos < data.length) {
+                c = data.charAt(lexer.pos++);
+                if (c === '\\') {
+                    c = data.charAt(lexer.pos++);
+                    if (/[0-7]/.test(c)) {
+                        value = /^[0-7]{1,3}/.exec(data.substr(lexer.pos - 1, 3))[0];
+                        lexer.pos += value.length - 1;
+                        chars.push(String.fromCharCode(parseInt(value, 8) & 0xFF));
+                    }
+                    else if (c === '\r') {              // Line continuation
+                        lexer.pos += (data.charAt(lexer.pos) === '\n') ? 1 : 0;
+                    }
+                    else if (c !== '\n') {
+                        chars.push(tmc.scraperjs.Pdf.ESCAPES[c] || c);
+                    }
+                }
+                else if ((c === ')') && (--depth === 0)) {
+                    break;
+                }
+                else {
+                    depth += (c === '(') ? 1 : 0;
+                    chars.push(c);
+                }
+            }
+            return {str: chars.join('')};
+
+        case '<':
+            if (data.charAt(lexer.pos) === '<') {       // Dictionary
+                lexer.pos++;
+                value = {};
+                while ((items = tmc.scraperjs.Pdf.next_(lexer)) !== undefined) {
+                    if (goog.isObject(items) && (items.op === '>>')) {
+                        break;
+                    }
+                    if ((typeof items === 'string') && (items.charAt(0) === '/')) {
+                        value[items.substr(1)] = tmc.scraperjs.Pdf.nextValue_(lexer);
+                    }
+                }
+                return value;
+            }
+            value = data.indexOf('>', lexer.pos);       // Hexadecimal string
+            value = (value < 0) ? data.length : value;
+            chars = data.substring(lexer.pos, value).replace(/[^0-9A-Fa-f]/g, '');
+            lexer.pos = value + 1;
+            if (chars.length % 2 === 1) {
+                chars += '0';
+            }
+            items = [];
+            for (var i = 0; i < chars.length; i += 2) {
+                items.push(parseInt(chars.substr(i, 2), 16));
+            }
+            return {str: goog.crypt.byteArrayToString(items)};
+
+        case '>':
+            if (data.charAt(lexer.pos) === '>') {
+                lexer.pos++;
+                return {op: '>>'};
+            }
+            return {op: '>'};
+
+        case '[':                                       // Array
+            items = [];
+            while ((value = tmc.scraperjs.Pdf.nextValue_(lexer)) !== undefined) {
+                if (goog.isObject(value) && (value.op === ']')) {
+                    break;
+                }
+                items.push(value);
+            }
+            return items;
+
+        case ']':
+        case '{':
+        case '}':
+            return {op: c};
+    }
+
+    while ((lexer.pos < data.length) && !tmc.scraperjs.Pdf.RX_WHITE_SPACE.test(data.charAt(lexer.pos))
+        && !tmc.scraperjs.Pdf.RX_DELIMITER.test(data.charAt(lexer.pos))) {
+        lexer.pos++;
+    }
+    value = data.substring(start, lexer.pos);
+
+    if (/^[+-]?(?:\d+\.?\d*|\.\d+)$/.test(value)) {
+        return parseFloat(value);
+    }
+    switch (value) {
+        case 'true':
+            return true;
+        case 'false':
+            return false;
+        case 'null':
+            return null;
+    }
+    return {op: value};
+};
+
+
+/**
+ * Reads the next value of an array or dictionary, turning "number generation R" into an indirect reference.
+ *
+ * @param {!{data:string, pos:number}} lexer data being read and position in it.
+ *
+ * @return {*} value or <code>undefined</code> at the end of the data.
+ *
+ * @private
+ */
+tmc.scraperjs.Pdf.nextValue_ = function(lexer) {
+    var value = tmc.scraperjs.Pdf.next_(lexer);
+    var pos = lexer.pos;
+    var generation;
+    var keyword;
+
+    if (typeof value === 'number') {
+        generation = tmc.scraperjs.Pdf.next_(lexer);
+        keyword = tmc.scraperjs.Pdf.next_(lexer);
+        if ((typeof generation === 'number') && goog.isObject(keyword) && (keyword.op === 'R')) {
+            return {ref: value + ' ' + generation};
+        }
+        lexer.pos = pos;
+    }
+
+    return value;
+};
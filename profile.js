@@ -0,0 +1,183 @@
+/**
+ * ScraperJS Copyright (C) 2011-2012 365multimedia.com
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+goog.provide('tmc.scraperjs.Profile');
+
+goog.require('goog.array');
+goog.require('goog.crypt');
+goog.require('goog.crypt.base64');
+
+
+/**
+ * Prefix of the localStorage keys profiles are saved under. Crawl profiles (see
+ * <code>tmc.ScraperJS.prototype.exportProfile</code>) are saved to localStorage by name and shared
+ * encoded into the hash of a url, e.g. the url of the page to crawl: opening the link then running
+ * the bookmarklet loads the profile into the control panel.
+ *
+ * @type {!string}
+ * @const
+ */
+tmc.scraperjs.Profile.STORAGE_PREFIX = 'scraperjs.profile.';
+
+
+/**
+ * Name of the url hash parameter holding an encoded profile.
+ *
+ * @type {!string}
+ * @const
+ */
+tmc.scraperjs.Profile.HASH_PARAMETER = 'scraperjs-profile';
+
+
+/**
+ * Encodes a profile as url safe base64 (of its UTF-8 JSON serialization).
+ *
+ * @param {!Object} profile profile.
+ *
+ * @return {!string} encoded profile.
+ */
+tmc.scraperjs.Profile.encode = function(profile) {
+    return goog.crypt.base64.encodeByteArray(goog.crypt.stringToUtf8ByteArray(JSON.stringify(profile)),
+        goog.crypt.base64.Alphabet.WEBSAFE_NO_PADDING);
+};
+
+
+/**
+ * Decodes a profile encoded by <code>encode</code>.
+ *
+ * @param {!string} text encoded profile.
+ *
+ * @return {!Object} profile.
+ *
+ * @throws {Error} if the text is not an encoded profile.
+ */
+tmc.scraperjs.Profile.decode = function(text) {
+    try {
+        return /** @type {!Object} */ (JSON.parse(goog.crypt.utf8ByteArrayToString(
+            goog.crypt.base64.decodeStringToByteArray(text))));
+    }
+    catch (e) {                                         // Invalid base64 or JSON
+        throw Error('Invalid encoded profile');
+    }
+};
+
+
+/**
+ * Returns a url carrying a profile in its hash (replacing its former hash).
+ *
+ * @param {!string} url url to share (typically the seed url).
+ * @param {!Object} profile profile.
+ *
+ * @return {!string} url with the encoded profile.
+ */
+tmc.scraperjs.Profile.toUrl = function(url, profile) {
+    return url.replace(/#.*$/, '') + '#' + tmc.scraperjs.Profile.HASH_PARAMETER + '=' + tmc.scraperjs.Profile.encode(profile);
+};
+
+
+/**
+ * Extracts the profile a url hash carries (see <code>toUrl</code>).
+ *
+ * @param {!string} hash hash of a url (e.g. <code>window.location.hash</code>).
+ *
+ * @return {?Object} profile or <code>null</code> if the hash carries none.
+ *
+ * @throws {Error} if the profile cannot be decoded.
+ */
+tmc.scraperjs.Profile.fromHash = function(hash) {
+    var match = hash.match(new RegExp('(?:^#?|&)' + tmc.scraperjs.Profile.HASH_PARAMETER + '=([^&]*)'));
+
+    return (match === null) ? null : tmc.scraperjs.Profile.decode(match[1]);
+};
+
+
+/**
+ * Saves a profile to localStorage.
+ *
+ * @param {!string} name name of the profile.
+ * @param {!Object} profile profile.
+ *
+ * @return {!boolean} whether the profile has been saved.
+ */
+tmc.scraperjs.Profile.save = function(name, profile) {
+    try {
+        window.localStorage.setItem(tmc.scraperjs.Profile.STORAGE_PREFIX + name, JSON.stringify(profile));
+        return true;
+    }
+    catch (e) {                                         // Quota exceeded or storage disabled
+        return false;
+    }
+};
+
+
+/**
+ * Loads a profile saved to localStorage.
+ *
+ * @param {!string} name name of the profile.
+ *
+ * @return {?Object} profile or <code>null</code> if none has been saved under this name.
+ */
+tmc.scraperjs.Profile.load = function(name) {
+    var content;
+
+    try {
+        content = window.localStorage.getItem(tmc.scraperjs.Profile.STORAGE_PREFIX + name);
+        return (content === null) ? null : /** @type {!Object} */ (JSON.parse(content));
+    }
+    catch (e) {                                         // Storage disabled or corrupted entry
+        return null;
+    }
+};
+
+
+/**
+ * Removes a profile saved to localStorage.
+ *
+ * @param {!string} name name of the profile.
+ */
+tmc.scraperjs.Profile.remove = function(name) {
+    try {
+        window.localStorage.removeItem(tmc.scraperjs.Profile.STORAGE_PREFIX + name);
+    }
+    catch (e) {                                         // Storage disabled
+    }
+};
+
+
+/**
+ * @return {!Array.<!string>} names of the profiles saved to localStorage, sorted.
+ */
+tmc.scraperjs.Profile.list = function() {
+    var prefix = tmc.scraperjs.Profile.STORAGE_PREFIX;
+    var names = [];
+    var key;
+
+    try {
+        for (var i = 0; i < window.localStorage.length; i++) {
+            key = window.localStorage.key(i);
+            if (key.substr(0, prefix.length) === prefix) {
+                names.push(key.substr(prefix.length));
+            }
+        }
+    }
+    catch (e) {                                         // Storage disabled
+    }
+
+    goog.array.sort(names);
+    return names;
+};
@@ -0,0 +1,298 @@
+/**
+ * ScraperJS Copyright (C) 2011-2012 365multimedia.com
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+goog.provide('tmc.scraperjs.RobotsTxt');
+
+goog.require('goog.array');
+
+
+/**
+ * Parsed robots.txt file, as seen by a given user-agent.
+ * See {@link http://www.rfc-editor.org/rfc/rfc9309.html}
+ *
+ * Here is how the logic works:
+ * 1. The file is split into groups, each one starting with one or more User-agent lines
+ * 2. The groups whose User-agent matches the user-agent token (case insensitive) are selected,
+ *    the ones whose User-agent is <code>*</code> are used if none does
+ * 3. The Allow/Disallow rules of the selected groups are matched against the path of a url,
+ *    the longest matching rule wins, Allow wins ties
+ * 4. A url that no rule matches is allowed
+ *
+ * Rules support the <code>*</code> wildcard and the <code>$</code> end anchor.
+ *
+ * @param {!string} content content of the robots.txt file.
+ * @param {!string} userAgentToken user-agent token to match the User-agent lines against.
+ *
+ * @constructor
+ */
+tmc.scraperjs.RobotsTxt = function(content, userAgentToken) {
+    this.rules_ = [];
+    this.sitemaps_ = [];
+    this.parse_(content, userAgentToken.toLowerCase());
+};
+
+
+/**
+ * Matches a robots.txt line (field and value, comments excluded).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.RobotsTxt.RX_LINE = /^\s*([A-Za-z-]+)\s*:\s*([^#]*?)\s*(?:#.*)?$/;
+
+
+/**
+ * Matches the characters that have to be escaped when turning a rule into a regular expression.
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.RobotsTxt.RX_SPECIAL_CHARS = /[\\^$.|?+()[\]{}\/]/g;
+
+
+/**
+ * Creates a robots.txt allowing everything (used when the file is missing).
+ *
+ * @return {!tmc.scraperjs.RobotsTxt} robots.txt allowing everything.
+ */
+tmc.scraperjs.RobotsTxt.allowAll = function() {
+    return new tmc.scraperjs.RobotsTxt('', '*');
+};
+
+
+/**
+ * Creates a robots.txt disallowing everything (used when the file is unreachable).
+ *
+ * @param {string=} opt_reason reason why everything is disallowed (e.g. <code>robots.txt unreachable (503)</code>),
+ *     reported instead of the rule by <code>getDisallowingRule</code>.
+ *
+ * @return {!tmc.scraperjs.RobotsTxt} robots.txt disallowing everything.
+ */
+tmc.scraperjs.RobotsTxt.disallowAll = function(opt_reason) {
+    var robotsTxt = new tmc.scraperjs.RobotsTxt('User-agent: *\nDisallow: /', '*');
+
+    robotsTxt.disallowReason_ = opt_reason || null;
+    return robotsTxt;
+};
+
+
+/**
+ * Allow/Disallow rules applying to the user-agent.
+ *
+ * @type {?Array.<{allow:boolean, pattern:string, regex:!RegExp}>}
+ * @private
+ */
+tmc.scraperjs.RobotsTxt.prototype.rules_ = null;
+
+
+/**
+ * Crawl-delay applying to the user-agent (expressed in seconds, 0 for none).
+ *
+ * @type {!number}
+ * @private
+ */
+tmc.scraperjs.RobotsTxt.prototype.crawlDelay_ = 0;
+
+
+/**
+ * Urls of the sitemaps listed in the file.
+ *
+ * @type {?Array.<!string>}
+ * @private
+ */
+tmc.scraperjs.RobotsTxt.prototype.sitemaps_ = null;
+
+
+/**
+ * Reason why everything is disallowed (<code>null</code> unless created by <code>disallowAll</code> with one).
+ *
+ * @type {?string}
+ * @private
+ */
+tmc.scraperjs.RobotsTxt.prototype.disallowReason_ = null;
+
+
+/**
+ * Parses the content of a robots.txt file.
+ *
+ * @param {!string} content content of the robots.txt file.
+ * @param {!string} token lower case user-agent token.
+ *
+ * @private
+ */
+tmc.scraperjs.RobotsTxt.prototype.parse_ = function(content, token) {
+    var lines = content.split(/\r\n|\r|\n/);
+    var l = lines.length;
+    var groups = [];
+    var group = null;
+    var inRules = false;                                // Whether the current group's User-agent lines are over
+    var selected;
+    var match;
+    var field;
+    var value;
+
+    for (var i = 0; i < l; i++) {
+        match = lines[i].match(tmc.scraperjs.RobotsTxt.RX_LINE);
+        if (match === null) {
+            continue;
+        }
+        field = match[1].toLowerCase();
+        value = match[2];
+
+        switch (field) {
+            case 'user-agent':
+                if ((group === null) || inRules) {      // A User-agent line following rules starts a new group
+                    group = {agents: [], rules: [], crawlDelay: 0};
+                    groups.push(group);
+                    inRules = false;
+                }
+                group.agents.push(value.toLowerCase());
+                break;
+
+            case 'allow':
+            case 'disallow':
+                if (group !== null) {
+                    inRules = true;
+                    if (value !== '') {                 // An empty Disallow means nothing is disallowed
+                        group.rules.push({allow: (field === 'allow'), pattern: value, regex: tmc.scraperjs.RobotsTxt.toRegex_(value)});
+                    }
+                }
+                break;
+
+            case 'crawl-delay':
+                if (group !== null) {
+                    inRules = true;
+                    group.crawlDelay = Math.max(0, parseFloat(value) || 0);
+                }
+                break;
+
+            case 'sitemap':                             // Sitemap lines do not belong to any group
+                this.sitemaps_.push(value);
+                break;
+        }
+    }
+
+    // Selects the groups whose User-agent matches the token, the * groups otherwise
+    selected = goog.array.filter(groups, function(group) {
+        return goog.array.contains(group.agents, token);
+    });
+    if (selected.length === 0) {
+        selected = goog.array.filter(groups, function(group) {
+            return goog.array.contains(group.agents, '*');
+        });
+    }
+
+    goog.array.forEach(selected, function(group) {
+        goog.array.extend(this.rules_, group.rules);
+        this.crawlDelay_ = Math.max(this.crawlDelay_, group.crawlDelay);
+    }, this);
+};
+
+
+/**
+ * Turns a rule's path pattern into a regular expression.
+ *
+ * @param {!string} pattern rule's path pattern.
+ *
+ * @return {!RegExp} regular expression matching the paths the rule applies to.
+ *
+ * @private
+ */
+tmc.scraperjs.RobotsTxt.toRegex_ = function(pattern) {
+    var anchored = (pattern.charAt(pattern.length - 1) === '$');
+    var source;
+
+    if (anchored) {
+        pattern = pattern.substr(0, pattern.length - 1);
+    }
+
+    source = goog.array.map(pattern.split('*'), function(part) {
+        return part.replace(tmc.scraperjs.RobotsTxt.RX_SPECIAL_CHARS, '\\$&');
+    }).join('.*');
+
+    return new RegExp('^' + source + (anchored ? '$' : ''));
+};
+
+
+/**
+ * Finds the rule deciding whether a path may be crawled: the longest matching one, Allow winning ties.
+ *
+ * @param {!string} path path (and query) of the url.
+ *
+ * @return {?{allow:boolean, pattern:string, regex:!RegExp}} deciding rule or <code>null</code> if none matches.
+ *
+ * @private
+ */
+tmc.scraperjs.RobotsTxt.prototype.findRule_ = function(path) {
+    var l = this.rules_.length;
+    var best = null;
+    var rule;
+
+    for (var i = 0; i < l; i++) {
+        rule = this.rules_[i];
+        if (rule.regex.test(path)) {
+            if ((best === null) || (rule.pattern.length > best.pattern.length)
+                || ((rule.pattern.length === best.pattern.length) && rule.allow)) {
+                best = rule;
+            }
+        }
+    }
+
+    return best;
+};
+
+
+/**
+ * @param {!string} path path (and query) of the url.
+ *
+ * @return {!boolean} whether the path may be crawled.
+ */
+tmc.scraperjs.RobotsTxt.prototype.isAllowed = function(path) {
+    var rule = this.findRule_(path);
+
+    return (rule === null) || rule.allow;
+};
+
+
+/**
+ * @param {!string} path path (and query) of the url.
+ *
+ * @return {?string} rule disallowing the path (e.g. <code>Disallow: /admin/</code>), reason why everything is
+ *     disallowed (see <code>disallowAll</code>) or <code>null</code> if allowed.
+ */
+tmc.scraperjs.RobotsTxt.prototype.getDisallowingRule = function(path) {
+    var rule = this.findRule_(path);
+
+    return ((rule === null) || rule.allow) ? null : (this.disallowReason_ || 'Disallow: ' + rule.pattern);
+};
+
+
+/**
+ * @return {!number} Crawl-delay applying to the user-agent (expressed in seconds, 0 for none).
+ */
+tmc.scraperjs.RobotsTxt.prototype.getCrawlDelay = function() {
+    return this.crawlDelay_;
+};
+
+
+/**
+ * @return {!Array.<!string>} urls of the sitemaps listed in the file.
+ */
+tmc.scraperjs.RobotsTxt.prototype.getSitemaps = function() {
+    return /** @type {!Array.<!string>} */ (this.sitemaps_);
+};
@@ -0,0 +1,357 @@
+/**
+ * ScraperJS Copyright (C) 2011-2012 365multimedia.com
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+goog.provide('tmc.scraperjs.Response');
+goog.provide('tmc.scraperjs.Runtime');
+
+goog.require('goog.crypt');
+goog.require('goog.net.ErrorCode');
+
+
+/**
+ * Runtime interface. A runtime provides the environment specific services the scraper relies on
+ * (fetching documents, reporting results and logging) so the same crawler can run as a bookmarklet
+ * or from Node.js.
+ *
+ * @interface
+ */
+tmc.scraperjs.Runtime = function() {};
+
+
+/**
+ * @return {?string} url the crawl starts from when none is given to <code>start</code> or <code>null</code> if unknown.
+ */
+tmc.scraperjs.Runtime.prototype.getSeedUrl = function() {};
+
+
+/**
+ * Prepares the environment before the crawl starts.
+ */
+tmc.scraperjs.Runtime.prototype.prepare = function() {};
+
+
+/**
+ * Fetches a document.
+ *
+ * @param {!string} url url of the document to fetch.
+ * @param {!number} timeout maximum amount of time allowed for the fetch (expressed in milliseconds, 0 for unlimited).
+ * @param {!function(!tmc.scraperjs.Response)} callback function called once the fetch is over (successful or not).
+ * @param {boolean=} opt_binary whether the raw bytes of the response are needed (see <code>getResponseBytes</code>).
+ * @param {string=} opt_method http method: <code>'GET'</code> (default) or <code>'HEAD'</code> (no content).
+ */
+tmc.scraperjs.Runtime.prototype.fetch = function(url, timeout, callback, opt_binary, opt_method) {};
+
+
+/**
+ * Decompresses gzip or zlib (deflate) compressed bytes.
+ *
+ * @param {!Uint8Array} bytes compressed bytes.
+ * @param {!string} format compression format: <code>'gzip'</code> or <code>'deflate'</code>.
+ * @param {!function(?Uint8Array)} callback function called with the decompressed bytes
+ *     (<code>null</code> if they could not be decompressed).
+ */
+tmc.scraperjs.Runtime.prototype.decompress = function(bytes, format, callback) {};
+
+
+/**
+ * Parses a document into a DOM (used by schemas, see <code>tmc.scraperjs.Schema</code>).
+ *
+ * @param {!string} content content of the document.
+ * @param {!string} mimeType mime type of the document (HTML or XML).
+ *
+ * @return {Document} parsed document or <code>null</code> if the runtime cannot parse documents.
+ */
+tmc.scraperjs.Runtime.prototype.parseDocument = function(content, mimeType) {};
+
+
+/**
+ * Outputs a result record.
+ *
+ * @param {!Object} record record to output.
+ */
+tmc.scraperjs.Runtime.prototype.output = function(record) {};
+
+
+/**
+ * Hands a document over to the user (browser download or file written to disk).
+ *
+ * @param {!string} filename name of the file.
+ * @param {!string} mimeType mime type of the document.
+ * @param {!string} content content of the document.
+ */
+tmc.scraperjs.Runtime.prototype.download = function(filename, mimeType, content) {};
+
+
+/**
+ * Persists a piece of state (e.g. a crawl checkpoint) so it outlives the page or the process.
+ *
+ * @param {!string} name name the state is saved under.
+ * @param {!string} content content of the state.
+ * @param {!function(boolean)} callback function called with whether the state has been saved.
+ */
+tmc.scraperjs.Runtime.prototype.saveState = function(name, content, callback) {};
+
+
+/**
+ * Loads a piece of state saved by <code>saveState</code>.
+ *
+ * @param {!string} name name the state was saved under.
+ * @param {!function(?string)} callback function called with the content of the state
+ *     (<code>null</code> if there is none).
+ */
+tmc.scraperjs.Runtime.prototype.loadState = function(name, callback) {};
+
+
+/**
+ * Logs a message.
+ *
+ * @param {!string} message message to log.
+ */
+tmc.scraperjs.Runtime.prototype.log = function(message) {};
+
+
+
+/**
+ * Response to a fetch, independent of the runtime that performed it.
+ * Method names mirror the ones of <code>goog.net.XhrIo</code>.
+ *
+ * @param {!string} url url the response was eventually retrieved from (after redirects).
+ * @param {!number} status http status code (0 if the request did not complete).
+ * @param {?string} content content of the response (<code>null</code> to decode it from the bytes as UTF-8).
+ * @param {Object.<!string,!string>=} opt_headers map of response headers (keys are lower case).
+ * @param {Uint8Array=} opt_bytes raw bytes of the response.
+ * @param {goog.net.ErrorCode=} opt_errorCode error code of the fetch (derived from the status if omitted).
+ * @param {Array.<!tmc.scraperjs.Response.Redirect>=} opt_redirects redirects followed to get to <code>url</code>, in order.
+ * @param {string=} opt_error description of the error (derived from the error code if omitted).
+ *
+ * @constructor
+ */
+tmc.scraperjs.Response = function(url, status, content, opt_headers, opt_bytes, opt_errorCode, opt_redirects, opt_error) {
+    this.url_ = url;
+    this.status_ = status;
+    this.content_ = content;
+    this.headers_ = opt_headers || {};
+    this.bytes_ = opt_bytes || null;
+    this.errorCode_ = (opt_errorCode !== undefined) ? opt_errorCode
+        : this.isSuccess() ? goog.net.ErrorCode.NO_ERROR : goog.net.ErrorCode.HTTP_ERROR;
+    this.redirects_ = opt_redirects || [];
+    this.error_ = (opt_error !== undefined) ? opt_error
+        : (this.errorCode_ === goog.net.ErrorCode.NO_ERROR) ? '' : goog.net.ErrorCode.getDebugMessage(this.errorCode_);
+};
+
+
+/**
+ * Redirect followed by a fetch.
+ *
+ * <code>url</code>: url that was redirected
+ * <code>status</code>: http status of the redirect (301, 302...)
+ *
+ * @typedef {{url:string, status:number}}
+ */
+tmc.scraperjs.Response.Redirect;
+
+
+/**
+ * Matches a line of a raw http header block (name and value).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Response.RX_HEADER_LINE = /^([^:]+):\s*(.*?)\s*$/;
+
+
+/**
+ * Url the response was eventually retrieved from (after redirects).
+ *
+ * @type {!string}
+ * @private
+ */
+tmc.scraperjs.Response.prototype.url_ = '';
+
+
+/**
+ * Http status code (0 if the request did not complete).
+ *
+ * @type {!number}
+ * @private
+ */
+tmc.scraperjs.Response.prototype.status_ = 0;
+
+
+/**
+ * Content of the response (<code>null</code> until decoded from the bytes).
+ *
+ * @type {?string}
+ * @private
+ */
+tmc.scraperjs.Response.prototype.content_ = null;
+
+
+/**
+ * Raw bytes of the response (<code>null</code> if not available).
+ *
+ * @type {?Uint8Array}
+ * @private
+ */
+tmc.scraperjs.Response.prototype.bytes_ = null;
+
+
+/**
+ * Map of response headers (keys are lower case).
+ *
+ * @type {?Object.<!string,!string>}
+ * @private
+ */
+tmc.scraperjs.Response.prototype.headers_ = null;
+
+
+/**
+ * Error code of the fetch.
+ *
+ * @type {!goog.net.ErrorCode}
+ * @private
+ */
+tmc.scraperjs.Response.prototype.errorCode_ = goog.net.ErrorCode.NO_ERROR;
+
+
+/**
+ * Description of the error of the fetch (empty if none).
+ *
+ * @type {!string}
+ * @private
+ */
+tmc.scraperjs.Response.prototype.error_ = '';
+
+
+/**
+ * Redirects followed to get to the url of the response, in order.
+ *
+ * @type {Array.<!tmc.scraperjs.Response.Redirect>}
+ * @private
+ */
+tmc.scraperjs.Response.prototype.redirects_ = null;
+
+
+/**
+ * Parses a raw http header block (as returned by <code>getAllResponseHeaders</code>).
+ *
+ * @param {?string} rawHeaders raw http header block.
+ *
+ * @return {!Object.<!string,!string>} map of headers (keys are lower case).
+ */
+tmc.scraperjs.Response.parseHeaders = function(rawHeaders) {
+    var headers = {};
+    var lines = (rawHeaders || '').split(/\r?\n/);
+    var l = lines.length;
+    var match;
+    var name;
+
+    for (var i = 0; i < l; i++) {
+        match = lines[i].match(tmc.scraperjs.Response.RX_HEADER_LINE);
+        if (match !== null) {
+            name = match[1].toLowerCase();
+            if (headers[name] === undefined) {
+                headers[name] = match[2];
+            }
+            else {                                      // Repeated headers are folded into one
+                headers[name] += ', ' + match[2];
+            }
+        }
+    }
+
+    return headers;
+};
+
+
+/**
+ * @return {!boolean} whether the fetch was successful (2xx or 304 status).
+ */
+tmc.scraperjs.Response.prototype.isSuccess = function() {
+    return ((this.status_ >= 200) && (this.status_ < 300)) || (this.status_ === 304);
+};
+
+
+/**
+ * @return {!number} http status code (0 if the request did not complete).
+ */
+tmc.scraperjs.Response.prototype.getStatus = function() {
+    return this.status_;
+};
+
+
+/**
+ * @return {!goog.net.ErrorCode} error code of the fetch (e.g. <code>TIMEOUT</code>, <code>HTTP_ERROR</code>).
+ */
+tmc.scraperjs.Response.prototype.getLastErrorCode = function() {
+    return this.errorCode_;
+};
+
+
+/**
+ * @return {!string} description of the error of the fetch (empty if none).
+ */
+tmc.scraperjs.Response.prototype.getLastError = function() {
+    return this.error_;
+};
+
+
+/**
+ * @return {!string} content of the response.
+ */
+tmc.scraperjs.Response.prototype.getResponseText = function() {
+    if (this.content_ === null) {
+        this.content_ = (this.bytes_ === null) ? '' : goog.crypt.utf8ByteArrayToString(this.bytes_);
+    }
+    return this.content_;
+};
+
+
+/**
+ * @return {?Uint8Array} raw bytes of the response or <code>null</code> if not available
+ *     (the runtime may only keep them when asked to).
+ */
+tmc.scraperjs.Response.prototype.getResponseBytes = function() {
+    return this.bytes_;
+};
+
+
+/**
+ * @return {!string} url the response was eventually retrieved from (after redirects).
+ */
+tmc.scraperjs.Response.prototype.getLastUri = function() {
+    return this.url_;
+};
+
+
+/**
+ * @param {!string} name name of the header.
+ *
+ * @return {string|undefined} value of the header or <code>undefined</code> if absent.
+ */
+tmc.scraperjs.Response.prototype.getResponseHeader = function(name) {
+    return this.headers_[name.toLowerCase()];
+};
+
+
+/**
+ * @return {!Array.<!tmc.scraperjs.Response.Redirect>} redirects followed to get to the url of the response, in order
+ *     (empty if none).
+ */
+tmc.scraperjs.Response.prototype.getRedirects = function() {
+    return /** @type {!Array.<!tmc.scraperjs.Response.Redirect>} */ (this.redirects_);
+};
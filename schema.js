@@ -0,0 +1,488 @@
+/**
+ * ScraperJS Copyright (C) 2011-2012 365multimedia.com
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+goog.provide('tmc.scraperjs.Schema');
+
+goog.require('goog.array');
+goog.require('goog.object');
+goog.require('goog.string');
+
+
+/**
+ * Declarative data extractor: a schema describing the fields to scrape with CSS selectors or XPath
+ * expressions instead of a hand-written <code>function(content)</code>.
+ *
+ * Here is an exemple:
+ * <code>
+ * {
+ *   'match': /\/product\//,
+ *   'items': '.product',
+ *   'fields': {
+ *     'title': 'h1',
+ *     'price': '.price@text | trim | number',
+ *     'image': 'img.main@src',
+ *     'sku': '//span[@itemprop="sku"]/text()',
+ *     'code': {'selector': '.ref', 'filters': ['trim', /REF-(\d+)/]}
+ *   }
+ * }
+ * </code>
+ *
+ * <code>match</code> (optional): regular expression (or its source) the url of the document has to match.
+ * <code>items</code> (optional): selector of the repeated items, one record is emitted per item and
+ * the fields' selectors are relative to it. Without it one record is emitted per document.
+ * <code>fields</code>: map of field names to field specifications.
+ *
+ * A field specification is either a string <code>selector[@accessor][ | filter]*</code> or an object
+ * <code>{'selector': ..., 'accessor': ..., 'filters': [...]}</code>:
+ * selector: CSS selector, or XPath expression if it starts with / ./ or ( (prefixes <code>css:</code> and
+ * <code>xpath:</code> force either); the first matching node is used
+ * accessor: <code>text</code> (default), <code>html</code> or the name of an attribute; XPath expressions
+ * selecting attribute or text nodes use the node's value and take no accessor in the string form
+ * filters: <code>trim</code>, <code>number</code>, <code>regex:pattern</code> (first capture group or whole match),
+ * regular expressions and functions (object form only)
+ *
+ * A field whose node is not found is <code>null</code>; records whose fields are all <code>null</code> are dropped.
+ *
+ * @param {!Object} schema schema (see above).
+ *
+ * @constructor
+ */
+tmc.scraperjs.Schema = function(schema) {
+    var match = schema['match'];
+    var fields = schema['fields'] || {};
+
+    this.definition_ = schema;
+    this.match_ = (match === undefined) ? null : (match instanceof RegExp) ? match : new RegExp(match);
+    this.items_ = schema['items'] ? tmc.scraperjs.Schema.parseSelector_(schema['items']) : null;
+    this.fields_ = [];
+
+    for (var name in fields) {
+        this.fields_.push(tmc.scraperjs.Schema.compileField_(name, fields[name]));
+    }
+};
+
+
+/**
+ * Selector (CSS selector or XPath expression).
+ *
+ * @typedef {{xpath:boolean, expression:string}}
+ */
+tmc.scraperjs.Schema.Selector;
+
+
+/**
+ * Compiled field specification.
+ *
+ * @typedef {{name:string, selector:!tmc.scraperjs.Schema.Selector, accessor:?string, filters:!Array.<function(*):*>}}
+ */
+tmc.scraperjs.Schema.Field;
+
+
+/**
+ * Value of <code>XPathResult.ORDERED_NODE_SNAPSHOT_TYPE</code> (the constant may not be global under Node.js).
+ *
+ * @type {!number}
+ * @const
+ */
+tmc.scraperjs.Schema.ORDERED_NODE_SNAPSHOT_TYPE = 7;
+
+
+/**
+ * Matches an XPath expression (as opposed to a CSS selector).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Schema.RX_XPATH = /^\s*(?:\/|\.\/|\.\.|\()/;
+
+
+/**
+ * Matches the accessor at the end of a CSS selector.
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Schema.RX_ACCESSOR = /^([\s\S]*?)@([A-Za-z_][\w:.-]*)\s*$/;
+
+
+/**
+ * Matches a /pattern/flags regular expression literal.
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Schema.RX_REGEX_LITERAL = /^\/([\s\S]*)\/([gimy]*)$/;
+
+
+/**
+ * Built-in filters, by name.
+ *
+ * @type {!Object.<!string,function(*):*>}
+ * @const
+ */
+tmc.scraperjs.Schema.FILTERS = {
+    'trim': function(value) {
+        return (value === null) ? null : goog.string.trim(String(value));
+    },
+    'number': function(value) {
+        var number;
+
+        if (value === null) {
+            return null;
+        }
+        number = parseFloat(String(value).replace(/[^\d.eE+-]/g, ''));
+        return isNaN(number) ? null : number;
+    }
+};
+
+
+/**
+ * Schema the extractor was built from.
+ *
+ * @type {Object}
+ * @private
+ */
+tmc.scraperjs.Schema.prototype.definition_ = null;
+
+
+/**
+ * Regular expression the url of the document has to match (<code>null</code> for any).
+ *
+ * @type {RegExp}
+ * @private
+ */
+tmc.scraperjs.Schema.prototype.match_ = null;
+
+
+/**
+ * Selector of the repeated items (<code>null</code> for one record per document).
+ *
+ * @type {?tmc.scraperjs.Schema.Selector}
+ * @private
+ */
+tmc.scraperjs.Schema.prototype.items_ = null;
+
+
+/**
+ * Compiled field specifications.
+ *
+ * @type {?Array.<!tmc.scraperjs.Schema.Field>}
+ * @private
+ */
+tmc.scraperjs.Schema.prototype.fields_ = null;
+
+
+/**
+ * Parses a selector, detecting whether it is a CSS selector or an XPath expression.
+ *
+ * @param {!string} selector selector, optionally prefixed by css: or xpath:.
+ *
+ * @return {!tmc.scraperjs.Schema.Selector} parsed selector.
+ *
+ * @private
+ */
+tmc.scraperjs.Schema.parseSelector_ = function(selector) {
+    selector = goog.string.trim(selector);
+
+    if (selector.indexOf('xpath:') === 0) {
+        return {xpath: true, expression: selector.substr(6)};
+    }
+    if (selector.indexOf('css:') === 0) {
+        return {xpath: false, expression: selector.substr(4)};
+    }
+
+    return {xpath: tmc.scraperjs.Schema.RX_XPATH.test(selector), expression: selector};
+};
+
+
+/**
+ * Compiles a field specification.
+ *
+ * @param {!string} name name of the field.
+ * @param {!(string|Object)} spec field specification (string or object form).
+ *
+ * @return {!tmc.scraperjs.Schema.Field} compiled field specification.
+ *
+ * @private
+ */
+tmc.scraperjs.Schema.compileField_ = function(name, spec) {
+    var parts;
+    var selector;
+    var accessor = null;
+    var match;
+
+    if (typeof spec === 'string') {
+        parts = tmc.scraperjs.Schema.splitPipes_(spec);
+        selector = tmc.scraperjs.Schema.parseSelector_(parts[0]);
+        if (!selector.xpath) {
+            match = selector.expression.match(tmc.scraperjs.Schema.RX_ACCESSOR);
+            if (match !== null) {
+                selector.expression = goog.string.trim(match[1]);
+                accessor = match[2];
+            }
+        }
+
+        return {
+            name: name,
+            selector: selector,
+            accessor: accessor,
+            filters: goog.array.map(parts.slice(1), tmc.scraperjs.Schema.compileFilter_)
+        };
+    }
+
+    return {
+        name: name,
+        selector: tmc.scraperjs.Schema.parseSelector_(spec['selector']),
+        accessor: spec['accessor'] || null,
+        filters: goog.array.map(spec['filters'] || [], tmc.scraperjs.Schema.compileFilter_)
+    };
+};
+
+
+/**
+ * Splits a field specification into its selector and its filters. The selector ends at the first pipe
+ * that is not inside brackets, parentheses or quotes (XPath unions need the object form).
+ *
+ * @param {!string} spec field specification (string form).
+ *
+ * @return {!Array.<!string>} selector followed by the filters.
+ *
+ * @private
+ */
+tmc.scraperjs.Schema.splitPipes_ = function(spec) {
+    var depth = 0;
+    var quote = null;
+    var l = spec.length;
+    var c;
+
+    for (var i = 0; i < l; i++) {
+        c = spec.charAt(i);
+        if (quote !== null) {
+            if (c === quote) {
+                quote = null;
+            }
+        }
+        else if ((c === '"') || (c === "'")) {
+            quote = c;
+        }
+        else if ((c === '[') || (c === '(')) {
+            depth++;
+        }
+        else if ((c === ']') || (c === ')')) {
+            depth--;
+        }
+        else if ((c === '|') && (depth === 0)) {
+            return [goog.string.trim(spec.substring(0, i))].concat(
+                tmc.scraperjs.Schema.splitFilters_(spec.substr(i + 1)));
+        }
+    }
+
+    return [goog.string.trim(spec)];
+};
+
+
+/**
+ * Splits the filters part of a field specification: a regex filter runs until the end of its pattern.
+ *
+ * @param {!string} filters filters part of a field specification.
+ *
+ * @return {!Array.<!string>} filters.
+ *
+ * @private
+ */
+tmc.scraperjs.Schema.splitFilters_ = function(filters) {
+    var result = [];
+    var rest = filters;
+    var match;
+
+    while (goog.string.trim(rest) !== '') {
+        match = rest.match(/^\s*(regex:\/(?:\\.|[^\/\\])*\/[gimy]*|[^|]*)\s*(?:\||$)/);
+        result.push(goog.string.trim(match[1]));
+        rest = rest.substr(match[0].length);
+    }
+
+    return result;
+};
+
+
+/**
+ * Compiles a filter.
+ *
+ * @param {!(string|RegExp|function(*):*)} filter filter name, regex:pattern, regular expression or function.
+ *
+ * @return {function(*):*} filter function.
+ *
+ * @private
+ */
+tmc.scraperjs.Schema.compileFilter_ = function(filter) {
+    var regex;
+    var match;
+
+    if (typeof filter === 'function') {
+        return filter;
+    }
+
+    if (filter instanceof RegExp) {
+        regex = filter;
+    }
+    else if (filter.indexOf('regex:') === 0) {
+        match = filter.substr(6).match(tmc.scraperjs.Schema.RX_REGEX_LITERAL);
+        regex = (match !== null) ? new RegExp(match[1], match[2]) : new RegExp(filter.substr(6));
+    }
+    else if (tmc.scraperjs.Schema.FILTERS[filter] !== undefined) {
+        return tmc.scraperjs.Schema.FILTERS[filter];
+    }
+    else {
+        throw Error('Unknown filter: ' + filter);
+    }
+
+    return function(value) {
+        var captured;
+
+        if (value === null) {
+            return null;
+        }
+        captured = String(value).match(regex);
+        return (captured === null) ? null : (captured[1] !== undefined) ? captured[1] : captured[0];
+    };
+};
+
+
+/**
+ * @return {!Object} schema the extractor was built from (see the constructor).
+ */
+tmc.scraperjs.Schema.prototype.getDefinition = function() {
+    return /** @type {!Object} */ (this.definition_);
+};
+
+
+/**
+ * @param {!string} url url of a document.
+ *
+ * @return {!boolean} whether the schema applies to the document.
+ */
+tmc.scraperjs.Schema.prototype.matches = function(url) {
+    return (this.match_ === null) || this.match_.test(url);
+};
+
+
+/**
+ * Extracts the records of a parsed document.
+ *
+ * @param {!Document} doc parsed document.
+ *
+ * @return {!Array.<!Object>} records (one per item, or one for the document).
+ */
+tmc.scraperjs.Schema.prototype.extract = function(doc) {
+    var contexts = (this.items_ === null) ? [doc] : tmc.scraperjs.Schema.select_(this.items_, doc);
+    var records = [];
+
+    goog.array.forEach(contexts, function(context) {
+        var record = {};
+        var found = false;
+
+        goog.array.forEach(this.fields_, function(field) {
+            var value = tmc.scraperjs.Schema.evaluateField_(field, context);
+
+            record[field.name] = value;
+            found = found || (value !== null);
+        });
+
+        if (found) {
+            records.push(record);
+        }
+    }, this);
+
+    return records;
+};
+
+
+/**
+ * Evaluates a field against a context node.
+ *
+ * @param {!tmc.scraperjs.Schema.Field} field compiled field specification.
+ * @param {!Node} context document or item node.
+ *
+ * @return {*} value of the field (<code>null</code> if not found).
+ *
+ * @private
+ */
+tmc.scraperjs.Schema.evaluateField_ = function(field, context) {
+    var nodes = tmc.scraperjs.Schema.select_(field.selector, context);
+    var value = (nodes.length === 0) ? null : tmc.scraperjs.Schema.access_(nodes[0], field.accessor);
+
+    return goog.array.reduce(field.filters, function(value, filter) {
+        return filter(value);
+    }, value);
+};
+
+
+/**
+ * Selects the nodes matching a selector.
+ *
+ * @param {!tmc.scraperjs.Schema.Selector} selector CSS selector or XPath expression.
+ * @param {!Node} context document or item node.
+ *
+ * @return {!Array.<!Node>} matching nodes, in document order.
+ *
+ * @private
+ */
+tmc.scraperjs.Schema.select_ = function(selector, context) {
+    var doc = context.ownerDocument || context;
+    var nodes = [];
+    var result;
+
+    if (selector.xpath) {
+        result = doc.evaluate(selector.expression, context, null, tmc.scraperjs.Schema.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        for (var i = 0; i < result.snapshotLength; i++) {
+            nodes.push(result.snapshotItem(i));
+        }
+        return nodes;
+    }
+
+    return goog.array.toArray(context.querySelectorAll(selector.expression));
+};
+
+
+/**
+ * Reads a node's value.
+ *
+ * @param {!Node} node node to read.
+ * @param {?string} accessor <code>text</code> (or <code>null</code>), <code>html</code> or the name of an attribute.
+ *
+ * @return {?string} value (<code>null</code> if the attribute is absent).
+ *
+ * @private
+ */
+tmc.scraperjs.Schema.access_ = function(node, accessor) {
+    if ((node.nodeType === 2) || (node.nodeType === 3) || (node.nodeType === 4)) {  // Attribute, text, CDATA
+        return node.nodeValue;
+    }
+
+    switch (accessor) {
+        case null:
+        case 'text':
+            return node.textContent;
+
+        case 'html':
+            return node.innerHTML;
+
+        default:
+            return node.getAttribute(accessor);
+    }
+};
@@ -0,0 +1,249 @@
+/**
+ * ScraperJS Copyright (C) 2011-2012 365multimedia.com
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+goog.provide('tmc.scraperjs.ScopePolicy');
+
+goog.require('goog.array');
+goog.require('goog.object');
+goog.require('goog.uri.utils');
+
+
+/**
+ * Crawl scope policy: decides which of the links found in crawled documents are followed.
+ * By default only the links of the seed url's host (www. or not), scheme, port and user info are
+ * followed.
+ *
+ * Options (see <code>tmc.scraperjs.ScopePolicy.Options</code>, omitted ones keep their default value):
+ * <code>allowedDomains</code>: domains whose links are followed instead of the seed's host; a
+ * <code>*.example.com</code> pattern matches example.com and all its subdomains (default <code>[]</code>)
+ * <code>blockedDomains</code>: domains whose links are never followed, same patterns (default <code>[]</code>)
+ * <code>allowSchemeUpgrade</code>: follows https links of an http seed (default <code>false</code>)
+ * <code>forceHttps</code>: turns http links into https ones before checking them (default <code>false</code>)
+ * <code>includePaths</code>: when not empty, only the links whose path starts with one of these strings
+ * or whose path and query match one of these regular expressions are followed (default <code>[]</code>)
+ * <code>excludePaths</code>: links whose path starts with one of these strings or whose path and query
+ * match one of these regular expressions are not followed (default <code>[]</code>)
+ *
+ * @param {Object=} opt_options scope options.
+ *
+ * @constructor
+ */
+tmc.scraperjs.ScopePolicy = function(opt_options) {
+    this.options_ = /** @type {!tmc.scraperjs.ScopePolicy.Options} */ (goog.object.clone(tmc.scraperjs.ScopePolicy.DEFAULT_OPTIONS));
+    goog.object.extend(this.options_, opt_options || {});
+};
+
+
+/**
+ * Scope options.
+ *
+ * @typedef {{allowedDomains:!Array.<string>, blockedDomains:!Array.<string>, allowSchemeUpgrade:boolean,
+ *     forceHttps:boolean, includePaths:!Array.<(string|RegExp)>, excludePaths:!Array.<(string|RegExp)>}}
+ */
+tmc.scraperjs.ScopePolicy.Options;
+
+
+/**
+ * Decision about a link: the url to follow (possibly rewritten) or <code>null</code> along with
+ * the reason why the link is out of scope.
+ *
+ * @typedef {{url:?goog.Uri, reason:?string}}
+ */
+tmc.scraperjs.ScopePolicy.Decision;
+
+
+/**
+ * Default scope options.
+ *
+ * @type {!tmc.scraperjs.ScopePolicy.Options}
+ * @const
+ */
+tmc.scraperjs.ScopePolicy.DEFAULT_OPTIONS = {
+    allowedDomains: [],
+    blockedDomains: [],
+    allowSchemeUpgrade: false,
+    forceHttps: false,
+    includePaths: [],
+    excludePaths: []
+};
+
+
+/**
+ * Default port of each scheme.
+ *
+ * @type {!Object.<string,number>}
+ * @const
+ */
+tmc.scraperjs.ScopePolicy.DEFAULT_PORTS = {'http': 80, 'https': 443};
+
+
+/**
+ * Scope options.
+ *
+ * @type {?tmc.scraperjs.ScopePolicy.Options}
+ * @private
+ */
+tmc.scraperjs.ScopePolicy.prototype.options_ = null;
+
+
+/**
+ * @return {!tmc.scraperjs.ScopePolicy.Options} scope options.
+ */
+tmc.scraperjs.ScopePolicy.prototype.getOptions = function() {
+    return /** @type {!tmc.scraperjs.ScopePolicy.Options} */ (this.options_);
+};
+
+
+/**
+ * Decides whether a link is in the scope of a crawl.
+ *
+ * @param {!goog.Uri} objUrl absolute url of the link.
+ * @param {!goog.Uri} objSeedUrl url the crawl started from.
+ *
+ * @return {!tmc.scraperjs.ScopePolicy.Decision} decision about the link.
+ */
+tmc.scraperjs.ScopePolicy.prototype.check = function(objUrl, objSeedUrl) {
+    var options = this.options_;
+    var scheme;
+    var port;
+    var domain;
+    var seedDomain = objSeedUrl.getDomain();
+    var pattern;
+    var pathAndQuery;
+
+    objUrl = objUrl.clone();
+
+    // Handles the scheme
+    if (options.forceHttps && (objUrl.getScheme() === 'http')) {
+        objUrl.setScheme('https');
+        if (objUrl.getPort() === 80) {
+            objUrl.setPort(null);
+        }
+    }
+    scheme = objUrl.getScheme();
+    if ((scheme !== objSeedUrl.getScheme())
+        && !(options.allowSchemeUpgrade && (scheme === 'https') && (objSeedUrl.getScheme() === 'http'))) {
+        return tmc.scraperjs.ScopePolicy.outOfScope_('scheme ' + scheme + ' is not allowed');
+    }
+
+    // Handles the authentication
+    if (objUrl.getUserInfo() !== objSeedUrl.getUserInfo()) {
+        return tmc.scraperjs.ScopePolicy.outOfScope_('user info differs from the seed url\'s');
+    }
+
+    // Handles the hostname
+    domain = objUrl.getDomain();
+    pattern = tmc.scraperjs.ScopePolicy.findDomain_(options.blockedDomains, domain);
+    if (pattern !== null) {
+        return tmc.scraperjs.ScopePolicy.outOfScope_('domain ' + domain + ' is blocked by ' + pattern);
+    }
+    if (options.allowedDomains.length > 0) {
+        if (tmc.scraperjs.ScopePolicy.findDomain_(options.allowedDomains, domain) === null) {
+            return tmc.scraperjs.ScopePolicy.outOfScope_('domain ' + domain + ' is not allowed');
+        }
+    }
+    else if ((('www.' + domain) === seedDomain) || (domain === ('www.' + seedDomain))) {
+        objUrl.setDomain(seedDomain);                   // Adds or removes "www." so hostnames match
+    }
+    else if (domain !== seedDomain) {
+        return tmc.scraperjs.ScopePolicy.outOfScope_('domain ' + domain + ' differs from the seed url\'s');
+    }
+
+    // Handles the port: the seed's one, or the default one of the scheme when upgraded or when
+    // other domains are allowed
+    port = objUrl.getPort() || tmc.scraperjs.ScopePolicy.DEFAULT_PORTS[scheme];
+    if ((port !== (objSeedUrl.getPort() || tmc.scraperjs.ScopePolicy.DEFAULT_PORTS[objSeedUrl.getScheme()]))
+        && ((port !== tmc.scraperjs.ScopePolicy.DEFAULT_PORTS[scheme])
+            || ((scheme === objSeedUrl.getScheme()) && (options.allowedDomains.length === 0)))) {
+        return tmc.scraperjs.ScopePolicy.outOfScope_('port ' + port + ' is not allowed');
+    }
+
+    // Handles the path
+    pathAndQuery = goog.uri.utils.getPathAndAfter(objUrl.toString()) || '/';
+    pattern = tmc.scraperjs.ScopePolicy.findPath_(options.excludePaths, pathAndQuery);
+    if (pattern !== null) {
+        return tmc.scraperjs.ScopePolicy.outOfScope_('path is excluded by ' + pattern);
+    }
+    if ((options.includePaths.length > 0)
+        && (tmc.scraperjs.ScopePolicy.findPath_(options.includePaths, pathAndQuery) === null)) {
+        return tmc.scraperjs.ScopePolicy.outOfScope_('path is not included');
+    }
+
+    return {url: objUrl, reason: null};
+};
+
+
+/**
+ * @param {!string} reason reason why a link is out of scope.
+ *
+ * @return {!tmc.scraperjs.ScopePolicy.Decision} decision not to follow the link.
+ *
+ * @private
+ */
+tmc.scraperjs.ScopePolicy.outOfScope_ = function(reason) {
+    return {url: null, reason: reason};
+};
+
+
+/**
+ * Finds the first domain pattern matching a domain. A pattern is a domain or
+ * <code>*.</code> followed by a domain (matching the domain and all its subdomains).
+ *
+ * @param {!Array.<string>} patterns domain patterns.
+ * @param {!string} domain domain to match.
+ *
+ * @return {?string} first pattern matching the domain or <code>null</code> if none.
+ *
+ * @private
+ */
+tmc.scraperjs.ScopePolicy.findDomain_ = function(patterns, domain) {
+    domain = domain.toLowerCase();
+
+    return goog.array.find(patterns, function(pattern) {
+        var suffix;
+
+        pattern = pattern.toLowerCase();
+        if (pattern.substr(0, 2) !== '*.') {
+            return pattern === domain;
+        }
+
+        suffix = pattern.substr(1);                     // .example.com
+        return (domain === suffix.substr(1))
+            || ((domain.length > suffix.length) && (domain.substr(domain.length - suffix.length) === suffix));
+    });
+};
+
+
+/**
+ * Finds the first path rule matching a path: a string matches the paths it is a prefix of and
+ * a regular expression is tested against the path and query.
+ *
+ * @param {!Array.<(string|RegExp)>} rules path rules.
+ * @param {!string} pathAndQuery path and query of a url.
+ *
+ * @return {?string} first rule matching the path (as a string) or <code>null</code> if none.
+ *
+ * @private
+ */
+tmc.scraperjs.ScopePolicy.findPath_ = function(rules, pathAndQuery) {
+    var rule = goog.array.find(rules, function(rule) {
+        return (rule instanceof RegExp) ? rule.test(pathAndQuery) : (pathAndQuery.substr(0, rule.length) === rule);
+    });
+
+    return (rule === null) ? null : String(rule);
+};
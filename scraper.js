@@ -19,21 +19,52 @@
 
 goog.provide('tmc.ScraperJS');
 
+goog.require('goog.array');
 goog.require('goog.crypt');
 goog.require('goog.crypt.Sha1');
-goog.require('goog.net.XhrIo');
+goog.require('goog.events.EventTarget');
+goog.require('goog.net.ErrorCode');
+goog.require('goog.object');
+goog.require('goog.string');
 goog.require('goog.structs.PriorityQueue');
+goog.require('goog.Timer');
 goog.require('goog.Uri');
+goog.require('tmc.scraperjs.ArraySink');
+goog.require('tmc.scraperjs.BrowserRuntime');
+goog.require('tmc.scraperjs.CallbackSink');
+goog.require('tmc.scraperjs.Charset');
+goog.require('tmc.scraperjs.CrawlEvent');
+goog.require('tmc.scraperjs.CrawlStats');
+goog.require('tmc.scraperjs.ExportSink');
+goog.require('tmc.scraperjs.Extractors');
+goog.require('tmc.scraperjs.Feed');
+goog.require('tmc.scraperjs.Html');
+goog.require('tmc.scraperjs.LinkChecker');
+goog.require('tmc.scraperjs.LinkGraph');
+goog.require('tmc.scraperjs.Mime');
+goog.require('tmc.scraperjs.Pdf');
+goog.require('tmc.scraperjs.ResultSink');
+goog.require('tmc.scraperjs.RobotsTxt');
+goog.require('tmc.scraperjs.Schema');
+goog.require('tmc.scraperjs.ScopePolicy');
+goog.require('tmc.scraperjs.Runtime');
+goog.require('tmc.scraperjs.Sitemap');
+goog.require('tmc.scraperjs.UrlNormalizer');
 
 
 /**
- * ScraperJS class.
+ * ScraperJS class. Dispatches <code>tmc.scraperjs.CrawlEvent</code> events along the crawl
+ * (see <code>tmc.ScraperJS.EventType</code>).
  *
  * @constructor
+ * @extends {goog.events.EventTarget}
  */
 tmc.ScraperJS = function() {
+    goog.events.EventTarget.call(this);
+
     this.init();
 };
+goog.inherits(tmc.ScraperJS, goog.events.EventTarget);
 
 
 /**
@@ -45,6 +76,25 @@ tmc.ScraperJS = function() {
 tmc.ScraperJS.RX_HTML_SNIFFER = /^\s*<(?:!DOCTYPE\s+HTML|HTML|HEAD|SCRIPT|IFRAME|H1|DIV|FONT|TABLE|A|STYLE|TITLE|B|BODY|BR|P|!--)[\s>]/i;
 
 
+/**
+ * Matches the start of an XML document (any vocabulary).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.ScraperJS.RX_XML_SNIFFER = /^\s*<\?xml[\s?]/;
+
+
+/**
+ * Matches the start of an application/json document: an object (empty or starting with a key) or an
+ * array (empty or starting with a value).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.ScraperJS.RX_JSON_SNIFFER = /^\s*(?:\{\s*["}]|\[\s*(?:[\[\]{"\d-]|true|false|null))/;
+
+
 /**
  * Matches the start of an application/pdf document.
  *
@@ -92,6 +142,37 @@ tmc.ScraperJS.RX_PDF_SNIFFER = /^%PDF-/;
 tmc.ScraperJS.RX_RSS_SNIFFER = /^(?:\s*<!--[^-]*(?:(?!-->)-[^-]*)*(?:-->|$))*(?:\s*<\?xml[^?]*(?:(?!\?>)\?[^?]*)*(?:\?>|$))+(?:\s*<(?:\?xml[^?]*(?:(?!\?>)\?[^?]*)*(?:\?>|$)|!--[^-]*(?:(?!-->)-[^-]*)*(?:-->|$)))*\s*<rss/i;
 
 
+/**
+ * Matches the start of an rss 1.0 (rdf) document.
+ *
+ * Same as <code>RX_RSS_SNIFFER</code> except for the end:
+ * <code>
+ * <rdf:RDF                                                 <rdf:RDF
+ * [^>]*                                                    some attribute/value pairs
+ * http:\/\/purl\.org\/rss\/1\.0\/                           the rss 1.0 namespace
+ * </code>
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.ScraperJS.RX_RDF_SNIFFER = /^(?:\s*<!--[^-]*(?:(?!-->)-[^-]*)*(?:-->|$))*(?:\s*<\?xml[^?]*(?:(?!\?>)\?[^?]*)*(?:\?>|$))+(?:\s*<(?:\?xml[^?]*(?:(?!\?>)\?[^?]*)*(?:\?>|$)|!--[^-]*(?:(?!-->)-[^-]*)*(?:-->|$)))*\s*<rdf:RDF[^>]*http:\/\/purl\.org\/rss\/1\.0\//i;
+
+
+/**
+ * Matches the start of an atom document.
+ *
+ * Same as <code>RX_RSS_SNIFFER</code> except for the end:
+ * <code>
+ * <feed                                                    <feed
+ * [\s>]                                                    a space or >
+ * </code>
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.ScraperJS.RX_ATOM_SNIFFER = /^(?:\s*<!--[^-]*(?:(?!-->)-[^-]*)*(?:-->|$))*(?:\s*<\?xml[^?]*(?:(?!\?>)\?[^?]*)*(?:\?>|$))+(?:\s*<(?:\?xml[^?]*(?:(?!\?>)\?[^?]*)*(?:\?>|$)|!--[^-]*(?:(?!-->)-[^-]*)*(?:-->|$)))*\s*<feed[\s>]/i;
+
+
 /**
  * Matches the start of a sitemap document.
  *
@@ -231,6 +312,198 @@ tmc.ScraperJS.RX_PARSE_LINK = /^([^>]*)>(.*)$/;
 tmc.ScraperJS.RX_BASE_HREF = /<base\s+(?:[^<>\s]+\s+)*?href\s*=\s*['"]?([^'"<>\s]+)/i;
 
 
+/**
+ * Matches http and https urls (the only ones links are checked for, see <code>setCheckLinks</code>).
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.ScraperJS.RX_HTTP_URL = /^https?:\/\//i;
+
+
+/**
+ * Crawl hints of a link, taken into account when computing its priority (see
+ * <code>tmc.scraperjs.Sitemap.getPriorityBonus</code>): the sitemap's
+ * <code>lastmod</code>, <code>changefreq</code> and <code>priority</code> values.
+ *
+ * @typedef {{lastmod:(string|undefined), changefreq:(string|undefined), priority:(string|undefined)}}
+ */
+tmc.ScraperJS.LinkHints;
+
+
+/**
+ * Link found by a link extractor function:
+ * <code>url</code>: url as found in the document (relative or absolute, html entities allowed)
+ * <code>sameDepth</code>: whether following the link does not count as going one level deeper
+ * (e.g. sitemaps listed by a sitemap index)
+ * <code>hints</code>: crawl hints of the link
+ * <code>element</code>: lower case name of the element the link comes from (e.g. <code>'a'</code>)
+ * <code>attribute</code>: lower case name of the attribute the link comes from (e.g. <code>'href'</code>)
+ * <code>rel</code>: rel attribute value of the element the link comes from
+ * <code>text</code>: anchor text of the link
+ *
+ * @typedef {{url:string, sameDepth:(boolean|undefined), hints:(tmc.ScraperJS.LinkHints|undefined),
+ *     element:(string|undefined), attribute:(string|undefined), rel:(string|undefined), text:(string|undefined)}}
+ */
+tmc.ScraperJS.ExtractedLink;
+
+
+/**
+ * Link priority rule (see <code>setLinkPriorityRules</code>): either a regular expression matched against
+ * the link (along with optional element, attribute and rel conditions) and the priority it gives, or a function
+ * receiving the url, depth, anchor text and referring page of the link and returning its priority
+ * (<code>undefined</code> to defer to the next rules).
+ *
+ * @typedef {({regex:!RegExp, element:(string|undefined), attribute:(string|undefined), rel:(string|undefined), priority:(?number|?string)}|
+ *     function(string, number, (string|undefined), (string|undefined)):(?number|?string|undefined))}
+ */
+tmc.ScraperJS.LinkPriorityRule;
+
+
+/**
+ * Statuses of the links known to the crawler (values of <code>linkStatuses_</code>).
+ *
+ * @enum {number}
+ */
+tmc.ScraperJS.LinkStatus = {
+    QUEUED: 1,
+    WAITING_FOR_ROBOTS_TXT: 2,
+    REJECTED: 3,
+    CANONICAL: 4                                        // Canonical url of a page already fetched (not crawled)
+};
+
+
+/**
+ * Orders in which the queued links are crawled (see <code>setCrawlStrategy</code>).
+ *
+ * <code>BFS</code>: breadth-first, the shallowest links first (the highest priority first within a depth)
+ * <code>DFS</code>: depth-first, the deepest links first (the highest priority first within a depth)
+ * <code>BEST_FIRST</code>: the highest priority first, whatever the depth
+ *
+ * @enum {string}
+ */
+tmc.ScraperJS.CrawlStrategy = {
+    BFS: 'bfs',
+    DFS: 'dfs',
+    BEST_FIRST: 'best-first'
+};
+
+
+/**
+ * Reasons why a link was rejected (see <code>getRejectedLinks</code>).
+ *
+ * @enum {string}
+ */
+tmc.ScraperJS.RejectReason = {
+    ROBOTS_TXT: 'robots.txt',
+    OUT_OF_SCOPE: 'scope'
+};
+
+
+/**
+ * Retry policy applied to failed fetches:
+ * <code>maxRetries</code>: maximum number of retries of a link (0 for none)
+ * <code>initialDelay</code>: delay before the first retry (expressed in milliseconds), doubled at each retry
+ * <code>maxDelay</code>: maximum delay before a retry (expressed in milliseconds); a link whose Retry-After
+ * header asks for a longer wait is not retried
+ * <code>jitter</code>: fraction of the delay randomized (between 0 and 1) so retries do not hit a server all at once
+ * <code>statuses</code>: http statuses that are retried
+ * <code>errorCodes</code>: <code>goog.net.ErrorCode</code> values that are retried when no http response was
+ * received (status 0)
+ *
+ * @typedef {{maxRetries:number, initialDelay:number, maxDelay:number, jitter:number,
+ *     statuses:!Array.<number>, errorCodes:!Array.<goog.net.ErrorCode>}}
+ */
+tmc.ScraperJS.RetryPolicy;
+
+
+/**
+ * Default retry policy: timeouts, network errors, 408, 429 and 5xx gateway/availability errors are
+ * retried twice, after about 1 then 2 seconds.
+ *
+ * @type {!tmc.ScraperJS.RetryPolicy}
+ * @const
+ */
+tmc.ScraperJS.DEFAULT_RETRY_POLICY = {
+    maxRetries: 2,
+    initialDelay: 1000,
+    maxDelay: 30 * 1000,
+    jitter: 0.5,
+    statuses: [408, 429, 500, 502, 503, 504],
+    errorCodes: [goog.net.ErrorCode.TIMEOUT, goog.net.ErrorCode.HTTP_ERROR, goog.net.ErrorCode.OFFLINE]
+};
+
+
+/**
+ * Types of the events dispatched during a crawl. The <code>detail</code> of the events holds:
+ * <code>START</code>: <code>'seedUrl'</code>
+ * <code>FETCH</code>: <code>'url'</code>, <code>'depth'</code>
+ * <code>RESPONSE</code>: <code>'url'</code>, <code>'depth'</code>, <code>'status'</code>, <code>'responseUrl'</code> (after redirects)
+ * <code>LINK_ENQUEUED</code>: <code>'url'</code>, <code>'depth'</code>, <code>'priority'</code>
+ * <code>LINK_REJECTED</code>: <code>'url'</code>, <code>'depth'</code>, <code>'reason'</code>, <code>'detail'</code>, <code>'referrer'</code>
+ * <code>DATA</code>: <code>'record'</code>
+ * <code>DUPLICATE_DATA</code>: <code>'record'</code> (the record first emitted, its sources and occurrences updated), <code>'url'</code>
+ * <code>ERROR</code>: <code>'url'</code>, <code>'depth'</code>, <code>'status'</code>, <code>'message'</code>
+ * <code>PROGRESS</code>: <code>'numCrawledLinks'</code>, <code>'numQueuedLinks'</code>, <code>'numInFlightFetches'</code>, <code>'elapsedTime'</code>
+ * <code>COMPLETE</code>: <code>'reason'</code> (see <code>tmc.ScraperJS.CompleteReason</code>), <code>'numCrawledLinks'</code>, <code>'elapsedTime'</code>, <code>'report'</code> (see <code>getReport</code>)
+ *
+ * @enum {string}
+ */
+tmc.ScraperJS.EventType = {
+    START: 'start',
+    FETCH: 'fetch',
+    RESPONSE: 'response',
+    LINK_ENQUEUED: 'linkEnqueued',
+    LINK_REJECTED: 'linkRejected',
+    DATA: 'data',
+    DUPLICATE_DATA: 'duplicateData',
+    ERROR: 'error',
+    PROGRESS: 'progress',
+    COMPLETE: 'complete'
+};
+
+
+/**
+ * Number of characters kept on each side of a result in the context snippet of its provenance
+ * (see <code>emit</code>).
+ *
+ * @type {!number}
+ * @const
+ */
+tmc.ScraperJS.PROVENANCE_CONTEXT_LENGTH = 60;
+
+
+/**
+ * Reasons why a crawl is over (see the <code>COMPLETE</code> event).
+ *
+ * @enum {string}
+ */
+tmc.ScraperJS.CompleteReason = {
+    QUEUE_EMPTY: 'queueEmpty',
+    MAX_CRAWLED_LINKS: 'maxCrawledLinks',
+    MAX_CRAWL_TIME: 'maxCrawlTime',
+    STOPPED: 'stopped'
+};
+
+
+/**
+ * Version of the checkpoint format (see <code>getCheckpoint</code>).
+ *
+ * @type {!number}
+ * @const
+ */
+tmc.ScraperJS.CHECKPOINT_VERSION = 1;
+
+
+/**
+ * Version of the profile format (see <code>exportProfile</code>).
+ *
+ * @type {!number}
+ * @const
+ */
+tmc.ScraperJS.PROFILE_VERSION = 1;
+
+
 /**
  * Maximum amount of time allowed for the crawl (expressed in milliseconds, 0 for unlimited).
  *
@@ -268,6 +541,78 @@ tmc.ScraperJS.prototype.maxCrawledLinks_ = 0;
 tmc.ScraperJS.prototype.maxLinkFetchTime_ = 60 * 1000;
 
 
+/**
+ * Maximum number of fetches allowed to be in flight at the same time (at least 1).
+ *
+ * @type {!number}
+ * @private
+ */
+tmc.ScraperJS.prototype.maxConcurrentFetches_ = 1;
+
+
+/**
+ * Whether robots.txt files are fetched and honored (User-agent, Allow/Disallow and Crawl-delay).
+ *
+ * @type {!boolean}
+ * @private
+ */
+tmc.ScraperJS.prototype.respectRobotsTxt_ = true;
+
+
+/**
+ * User-agent token the robots.txt User-agent lines are matched against.
+ *
+ * @type {!string}
+ * @private
+ */
+tmc.ScraperJS.prototype.userAgentToken_ = 'ScraperJS';
+
+
+/**
+ * Retry policy applied to failed fetches.
+ *
+ * @type {?tmc.ScraperJS.RetryPolicy}
+ * @private
+ */
+tmc.ScraperJS.prototype.retryPolicy_ = null;
+
+
+/**
+ * Normalization applied to every link before it is deduplicated and prioritized.
+ *
+ * @type {?tmc.scraperjs.UrlNormalizer}
+ * @private
+ */
+tmc.ScraperJS.prototype.urlNormalizer_ = null;
+
+
+/**
+ * Policy deciding which of the links found in crawled documents are followed.
+ *
+ * @type {?tmc.scraperjs.ScopePolicy}
+ * @private
+ */
+tmc.ScraperJS.prototype.scopePolicy_ = null;
+
+
+/**
+ * Name checkpoints are saved under (a key in the browser, a file path under Node.js).
+ *
+ * @type {!string}
+ * @private
+ */
+tmc.ScraperJS.prototype.checkpointName_ = 'scraperjs-checkpoint.json';
+
+
+/**
+ * Amount of time between two automatic checkpoints (expressed in milliseconds, 0 for none).
+ *
+ * @type {!number}
+ * @private
+ */
+tmc.ScraperJS.prototype.checkpointInterval_ = 0;
+
+
 /**
  * Array of mime sniffers that will be used to determine the mime type of a document based on its first 512 characters.
  *
@@ -288,6 +633,9 @@ tmc.ScraperJS.prototype.maxLinkFetchTime_ = 60 * 1000;
  * 3. If the match is not successful, go to the next sniffer in the array
  * 4. If nor sniffer match, set the document's mime type to null
  *
+ * Sniffers are used when the Content-Type header of a document is missing or unreliable, and to refine
+ * XML and html Content-Types into the XML vocabularies they know (see <code>detectMime</code>).
+ *
  * @type {?Array.<{regex:!RegExp, mime:string}>}
  * @private
  */
@@ -306,16 +654,39 @@ tmc.ScraperJS.prototype.mimeSniffers_ = null;
  * }
  * </code>
  *
+ * A schema (see <code>tmc.scraperjs.Schema</code>) can be given instead of a function, in which case
+ * the records it extracts are emitted (see <code>emit</code>).
+ *
  * Here is how the logic works:
  * 1. Select the function corresponding to the document's mime type
- * 2. Execute the function
+ * 2. Execute the function with the document's content and information about the document
+ *    (see <code>extractData</code>)
  *
- * @type {?Object.<!string,!function(string)>}
+ * @type {?Object.<!string,!(function(string, Object=)|tmc.scraperjs.Schema)>}
  * @private
  */
 tmc.ScraperJS.prototype.dataExtractors_ = null;
 
 
+/**
+ * Names of the built-in extractors run on every document on top of the data extractors
+ * (see <code>tmc.scraperjs.Extractors.LIBRARY</code>).
+ *
+ * @type {?Array.<!string>}
+ * @private
+ */
+tmc.ScraperJS.prototype.builtInExtractors_ = null;
+
+
+/**
+ * Options of the built-in extractors.
+ *
+ * @type {?tmc.scraperjs.Extractors.Options}
+ * @private
+ */
+tmc.ScraperJS.prototype.extractorOptions_ = null;
+
+
 /**
  * Map of link extractors that will be used to extract links from a document. 
  *
@@ -323,17 +694,19 @@ tmc.ScraperJS.prototype.dataExtractors_ = null;
  * <code>
  * {
  *   'mime/type1': regex1,
- *   'mime/type2': regex2
+ *   'mime/type2': function2
  *   ...
  * }
  * </code>
  *
  * Here is how the logic works:
- * 1. Select the regular expression corresponding to the document's mime type
- * 2. Match the regular expression against the document's content
- * 3. For each match return the first non-undefined capture block
+ * 1. Select the link extractor corresponding to the document's mime type
+ * 2. If it is a regular expression, match it against the document's content and for each match 
+ *    return the first non-undefined capture block
+ * 3. If it is a function, call it with the document's content and information about the document
+ *    (see <code>extractData</code>), it returns an array of links (see <code>tmc.ScraperJS.ExtractedLink</code>)
  *
- * @type {?Object.<!string,!RegExp>}
+ * @type {?Object.<!string,(!RegExp|function(string, Object=):!Array.<!tmc.ScraperJS.ExtractedLink>)>}
  * @private
  */
 tmc.ScraperJS.prototype.linkExtractors_ = null;
@@ -349,10 +722,22 @@ tmc.ScraperJS.prototype.linkExtractors_ = null;
  * <code>
  * [
  *   {regex: /page=/, priority: 10},
+ *   {regex: /.+/, rel: 'next', priority: 5},
  *   {regex: /.+/, priority: -20}
  * ]
  * </code>
  *
+ * A rule may also require the link to come from a given element, attribute or rel value
+ * (<code>element: 'a'</code>, <code>attribute: 'srcset'</code>, <code>rel: 'next'</code>).
+ *
+ * A rule may as well be a function receiving the url, depth, anchor text and referring page of the link
+ * and returning its priority, or <code>undefined</code> if the rule does not apply to the link:
+ * <code>
+ * function(url, depth, text, referrer) {
+ *   return /pricing/i.test(text || '') ? 50 : undefined;
+ * }
+ * </code>
+ *
  * The prioroity can be: 
  * <code>integer</code>: a positive or negative number (the bigger, the higher the prioroity)
  * <code>'++'</code>: highest prioroity encountered so far + 1
@@ -360,447 +745,2835 @@ tmc.ScraperJS.prototype.linkExtractors_ = null;
  * <code>null</code>: tells the crawler to ignore this link
  *
  * Here is how the logic works:
- * 1. Select the first rule's regular expression and match it against a link
- * 2. If the match is successful, assign the rule's priority value to the link and stop there
+ * 1. Select the first rule's regular expression and match it against the url of a link (or call the first rule's function)
+ * 2. If the match is successful (or the function returns a priority), assign the rule's priority value to the link and stop there
  * 3. If the match is not successful, go to the next rule in the array
  * 4. If no rule match, set the link's prioroity to 0
  *
- * @type {?Array.<{regex:!RegExp, priority:(?number|?string)}>}
+ * @type {?Array.<tmc.ScraperJS.LinkPriorityRule>}
  * @private
  */
 tmc.ScraperJS.prototype.linkPriorityRules_ = null;
 
 
 /**
- * Time when the crawl was started (expressed in milliseconds since the epoch).
+ * Order in which the queued links are crawled.
  *
- * @type {!number}
+ * @type {!tmc.ScraperJS.CrawlStrategy}
  * @private
  */
-tmc.ScraperJS.prototype.startCrawlTime_ = 0;
+tmc.ScraperJS.prototype.crawlStrategy_ = tmc.ScraperJS.CrawlStrategy.BEST_FIRST;
 
 
 /**
- * Number of links that have been crawled so far.
+ * Amount a link's priority is lowered by per level of depth.
  *
  * @type {!number}
  * @private
  */
-tmc.ScraperJS.prototype.numCrawledLinks_ = 0;
+tmc.ScraperJS.prototype.linkPriorityDepthDecay_ = 0;
 
 
 /**
- * Highest link priority so far.
+ * Whether the link graph is captured (see <code>setCaptureLinkGraph</code>).
  *
- * @type {!number}
+ * @type {!boolean}
  * @private
  */
-tmc.ScraperJS.prototype.highestLinkPriority_ = 0;
+tmc.ScraperJS.prototype.captureLinkGraph_ = false;
 
 
 /**
- * Lowest link priority so far.
+ * Whether every link found is checked (see <code>setCheckLinks</code>).
  *
- * @type {!number}
+ * @type {!boolean}
  * @private
  */
-tmc.ScraperJS.prototype.lowestLinkPriority_ = 0;
+tmc.ScraperJS.prototype.checkLinks_ = false;
 
 
 /**
- * Priority queue storing the links waiting to be crawled.
+ * Functions profiles refer to by name (data extractors, link extractors, priority rules...).
  *
- * @type {?goog.structs.PriorityQueue}
+ * @type {?Object.<!string,!Function>}
  * @private
  */
-tmc.ScraperJS.prototype.linkQueue_ = null;
+tmc.ScraperJS.prototype.functions_ = null;
 
 
 /**
- * Hash table used to avoid duplicate links.
+ * Runtime providing the environment specific services (fetching, output, logging).
  *
- * @type {?Object.<number>}
+ * @type {?tmc.scraperjs.Runtime}
  * @private
  */
-tmc.ScraperJS.prototype.linkStatuses_ = null;
+tmc.ScraperJS.prototype.runtime_ = null;
 
 
 /**
- * Hash table used to avoid duplicate results.
+ * Array of result sinks receiving the records emitted by the data extractors.
  *
- * @type {?Object.<number>}
+ * @type {?Array.<!tmc.scraperjs.ResultSink>}
+ * @private
  */
-tmc.ScraperJS.prototype.uniqueResults_ = null;
+tmc.ScraperJS.prototype.resultSinks_ = null;
 
 
 /**
- * Sets the maximum amount of time allowed for the crawl (expressed in milliseconds, 0 for unlimited).
- *
- * @param {!number} maxCrawlTime maximum amount of time allowed for the crawl (expressed in milliseconds, 0 for unlimited).
+ * Time when the crawl was started (expressed in milliseconds since the epoch).
  *
- * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ * @type {!number}
+ * @private
  */
-tmc.ScraperJS.prototype.setMaxCrawlTime = function(maxCrawlTime) {
-    this.maxCrawlTime_ = maxCrawlTime;
-    return this;
-};
+tmc.ScraperJS.prototype.startCrawlTime_ = 0;
 
 
 /**
- * @return {!number} maximum amount of time allowed for the crawl (expressed in milliseconds, 0 for unlimited).
+ * Url the crawl started from (normalized), which the scope policy is relative to.
+ *
+ * @type {?string}
+ * @private
  */
-tmc.ScraperJS.prototype.getMaxCrawlTime = function() {
-    return this.maxCrawlTime_;
-};
+tmc.ScraperJS.prototype.seedUrl_ = null;
 
 
 /**
- * Sets the maximum depth allowed for the crawl (0 for unlimited).
- *
- * @param {!number} maxCrawlDepth maximum depth allowed for the crawl (0 for unlimited).
+ * Number of links that have been crawled so far.
  *
- * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ * @type {!number}
+ * @private
  */
-tmc.ScraperJS.prototype.setMaxCrawlDepth = function(maxCrawlDepth) {
-    this.maxCrawlDepth_ = maxCrawlDepth;
-    return this;
-};
+tmc.ScraperJS.prototype.numCrawledLinks_ = 0;
 
 
 /**
- * @return {!number} maximum depth allowed for the crawl (0 for unlimited).
+ * Number of fetches currently in flight.
+ *
+ * @type {!number}
+ * @private
  */
-tmc.ScraperJS.prototype.getMaxCrawlDepth = function() {
-    return this.maxCrawlDepth_;
-};
+tmc.ScraperJS.prototype.numInFlightFetches_ = 0;
 
 
 /**
- * Sets the maximum number of links to crawl (0 for unlimited).
- *
- * @param {!number} maxCrawledLinks maximum number of links to crawl (0 for unlimited).
+ * Whether a crawl is under way (started and not finished yet).
  *
- * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ * @type {!boolean}
+ * @private
  */
-tmc.ScraperJS.prototype.setMaxCrawledLinks = function(maxCrawledLinks) {
-    this.maxCrawledLinks_ = maxCrawledLinks;
-    return this;
+tmc.ScraperJS.prototype.isCrawling_ = false;
+
+
+/**
+ * Whether the crawl is paused (no new fetch is started, see <code>pause</code>).
+ *
+ * @type {!boolean}
+ * @private
+ */
+tmc.ScraperJS.prototype.isPaused_ = false;
+
+
+/**
+ * Time when the crawl was paused or stopped (expressed in milliseconds since the epoch).
+ *
+ * @type {!number}
+ * @private
+ */
+tmc.ScraperJS.prototype.pauseTime_ = 0;
+
+
+/**
+ * Time when the last checkpoint was saved (expressed in milliseconds since the epoch).
+ *
+ * @type {!number}
+ * @private
+ */
+tmc.ScraperJS.prototype.lastCheckpointTime_ = 0;
+
+
+/**
+ * Whether the runtime has been prepared (see <code>tmc.scraperjs.Runtime.prototype.prepare</code>). It is
+ * prepared once: in the browser, preparing clears every pending timer, the crawl's own retry and Crawl-delay
+ * timers included.
+ *
+ * @type {!boolean}
+ * @private
+ */
+tmc.ScraperJS.prototype.isRuntimePrepared_ = false;
+
+
+/**
+ * Map of the links being fetched to the key they had in the queue, so they can be queued again
+ * if the crawl is stopped or checkpointed before they are processed.
+ *
+ * @type {?Object.<!string,!number>}
+ * @private
+ */
+tmc.ScraperJS.prototype.inFlightLinks_ = null;
+
+
+/**
+ * Highest link priority so far.
+ *
+ * @type {!number}
+ * @private
+ */
+tmc.ScraperJS.prototype.highestLinkPriority_ = 0;
+
+
+/**
+ * Lowest link priority so far.
+ *
+ * @type {!number}
+ * @private
+ */
+tmc.ScraperJS.prototype.lowestLinkPriority_ = 0;
+
+
+/**
+ * Priority queue storing the links waiting to be crawled.
+ *
+ * @type {?goog.structs.PriorityQueue}
+ * @private
+ */
+tmc.ScraperJS.prototype.linkQueue_ = null;
+
+
+/**
+ * Hash table used to avoid duplicate links.
+ *
+ * @type {?Object.<number>}
+ * @private
+ */
+tmc.ScraperJS.prototype.linkStatuses_ = null;
+
+
+/**
+ * Map of robots.txt files by origin (<code>null</code> while being fetched).
+ *
+ * @type {?Object.<!string,?tmc.scraperjs.RobotsTxt>}
+ * @private
+ */
+tmc.ScraperJS.prototype.robotsTxts_ = null;
+
+
+/**
+ * Map of the links waiting for the robots.txt file of their origin, by origin.
+ *
+ * @type {?Object.<!string,!Array.<{url:string, depth:number, hash:string,
+ *     extractedLink:(tmc.ScraperJS.ExtractedLink|undefined), referrer:(string|undefined)}>>}
+ * @private
+ */
+tmc.ScraperJS.prototype.robotsTxtWaitingLinks_ = null;
+
+
+/**
+ * Number of robots.txt fetches currently in flight.
+ *
+ * @type {!number}
+ * @private
+ */
+tmc.ScraperJS.prototype.numInFlightRobotsTxtFetches_ = 0;
+
+
+/**
+ * Urls left to check once the crawl is over (<code>null</code> until the checks start, see <code>setCheckLinks</code>).
+ *
+ * @type {Array.<!string>}
+ * @private
+ */
+tmc.ScraperJS.prototype.linkCheckQueue_ = null;
+
+
+/**
+ * Number of link checks currently in flight.
+ *
+ * @type {!number}
+ * @private
+ */
+tmc.ScraperJS.prototype.numInFlightLinkChecks_ = 0;
+
+
+/**
+ * Map of the earliest time the next fetch may start at, by origin (expressed in milliseconds
+ * since the epoch), used to honor Crawl-delay.
+ *
+ * @type {?Object.<!string,!number>}
+ * @private
+ */
+tmc.ScraperJS.prototype.nextFetchTimes_ = null;
+
+
+/**
+ * Array of the links rejected so far along with the reason why.
+ *
+ * @type {?Array.<!Object>}
+ * @private
+ */
+tmc.ScraperJS.prototype.rejectedLinks_ = null;
+
+
+/**
+ * Array of the links whose fetch failed (retries included).
+ *
+ * @type {?Array.<!Object>}
+ * @private
+ */
+tmc.ScraperJS.prototype.failedLinks_ = null;
+
+
+/**
+ * Map of the number of fetch attempts made so far, by url (only for links that failed at least once).
+ *
+ * @type {?Object.<!string,!number>}
+ * @private
+ */
+tmc.ScraperJS.prototype.fetchAttempts_ = null;
+
+
+/**
+ * Map of the links waiting to be retried to the key they had in the queue.
+ *
+ * @type {?Object.<!string,!number>}
+ * @private
+ */
+tmc.ScraperJS.prototype.retryingLinks_ = null;
+
+
+/**
+ * Map of the url of the page each queued link was found in, by url.
+ *
+ * @type {?Object.<!string,!string>}
+ * @private
+ */
+tmc.ScraperJS.prototype.referrers_ = null;
+
+
+/**
+ * Records emitted through <code>emitUnique</code>, by hash of their type and value.
+ *
+ * @type {?Object.<!string,!Object>}
+ * @private
+ */
+tmc.ScraperJS.prototype.uniqueResults_ = null;
+
+
+/**
+ * Document the data extractors are being run on: its information (see <code>getDocumentInfo_</code>),
+ * its content, its text (whitespace collapsed, computed when first needed) and the name of the extractor
+ * being run (see <code>getStats</code>).
+ *
+ * @type {?{info:Object, mime:string, content:string, text:?string, extractor:string}}
+ * @private
+ */
+tmc.ScraperJS.prototype.currentDocument_ = null;
+
+
+/**
+ * Statistics of the crawl.
+ *
+ * @type {tmc.scraperjs.CrawlStats}
+ * @private
+ */
+tmc.ScraperJS.prototype.stats_ = null;
+
+
+/**
+ * Link graph of the crawl (empty unless captured).
+ *
+ * @type {tmc.scraperjs.LinkGraph}
+ * @private
+ */
+tmc.ScraperJS.prototype.linkGraph_ = null;
+
+
+/**
+ * Outcome of the link checks (empty unless links are checked).
+ *
+ * @type {tmc.scraperjs.LinkChecker}
+ * @private
+ */
+tmc.ScraperJS.prototype.linkChecker_ = null;
+
+
+/**
+ * When the crawl started (ISO 8601).
+ *
+ * @type {?string}
+ * @private
+ */
+tmc.ScraperJS.prototype.startTime_ = null;
+
+
+/**
+ * Report of the last crawl, built when it completed (<code>null</code> while crawling).
+ *
+ * @type {Object}
+ * @private
+ */
+tmc.ScraperJS.prototype.report_ = null;
+
+
+/**
+ * Sets the maximum amount of time allowed for the crawl (expressed in milliseconds, 0 for unlimited).
+ *
+ * @param {!number} maxCrawlTime maximum amount of time allowed for the crawl (expressed in milliseconds, 0 for unlimited).
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setMaxCrawlTime = function(maxCrawlTime) {
+    this.maxCrawlTime_ = maxCrawlTime;
+    return this;
+};
+
+
+/**
+ * @return {!number} maximum amount of time allowed for the crawl (expressed in milliseconds, 0 for unlimited).
+ */
+tmc.ScraperJS.prototype.getMaxCrawlTime = function() {
+    return this.maxCrawlTime_;
+};
+
+
+/**
+ * Sets the maximum depth allowed for the crawl (0 for unlimited).
+ *
+ * @param {!number} maxCrawlDepth maximum depth allowed for the crawl (0 for unlimited).
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setMaxCrawlDepth = function(maxCrawlDepth) {
+    this.maxCrawlDepth_ = maxCrawlDepth;
+    return this;
+};
+
+
+/**
+ * @return {!number} maximum depth allowed for the crawl (0 for unlimited).
+ */
+tmc.ScraperJS.prototype.getMaxCrawlDepth = function() {
+    return this.maxCrawlDepth_;
+};
+
+
+/**
+ * Sets the maximum number of links to crawl (0 for unlimited).
+ *
+ * @param {!number} maxCrawledLinks maximum number of links to crawl (0 for unlimited).
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setMaxCrawledLinks = function(maxCrawledLinks) {
+    this.maxCrawledLinks_ = maxCrawledLinks;
+    return this;
+};
+
+
+/**
+ * @return {!number} maximum number of links to crawl (0 for unlimited).
+ */
+tmc.ScraperJS.prototype.getMaxCrawledLinks = function() {
+    return this.maxCrawledLinks_;
+};
+
+
+/**
+ * Sets the maximum amount of time allowed for fetching a link (expressed in milliseconds, 0 for unlimited).
+ *
+ * @param {!number} maxLinkFetchTime maximum amount of time allowed for fetching a link (expressed in milliseconds, 0 for unlimited).
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setMaxLinkFetchTime = function(maxLinkFetchTime) {
+    this.maxLinkFetchTime_ = maxLinkFetchTime;
+    return this;
+};
+
+
+/**
+ * @return {!number} maximum amount of time allowed for fetching a link (expressed in milliseconds, 0 for unlimited).
+ */
+tmc.ScraperJS.prototype.getMaxLinkFetchTime = function() {
+    return this.maxLinkFetchTime_;
+};
+
+
+/**
+ * Sets the maximum number of fetches allowed to be in flight at the same time (values below 1 count as 1).
+ *
+ * @param {!number} maxConcurrentFetches maximum number of fetches allowed to be in flight at the same time.
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setMaxConcurrentFetches = function(maxConcurrentFetches) {
+    this.maxConcurrentFetches_ = Math.max(1, maxConcurrentFetches);
+    return this;
+};
+
+
+/**
+ * @return {!number} maximum number of fetches allowed to be in flight at the same time.
+ */
+tmc.ScraperJS.prototype.getMaxConcurrentFetches = function() {
+    return this.maxConcurrentFetches_;
+};
+
+
+/**
+ * Sets whether robots.txt files are fetched and honored (User-agent, Allow/Disallow and Crawl-delay).
+ *
+ * @param {!boolean} respectRobotsTxt whether robots.txt files are fetched and honored.
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setRespectRobotsTxt = function(respectRobotsTxt) {
+    this.respectRobotsTxt_ = respectRobotsTxt;
+    return this;
+};
+
+
+/**
+ * @return {!boolean} whether robots.txt files are fetched and honored.
+ */
+tmc.ScraperJS.prototype.getRespectRobotsTxt = function() {
+    return this.respectRobotsTxt_;
+};
+
+
+/**
+ * Sets the user-agent token the robots.txt User-agent lines are matched against.
+ *
+ * @param {!string} userAgentToken user-agent token.
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setUserAgentToken = function(userAgentToken) {
+    this.userAgentToken_ = userAgentToken;
+    return this;
+};
+
+
+/**
+ * @return {!string} user-agent token the robots.txt User-agent lines are matched against.
+ */
+tmc.ScraperJS.prototype.getUserAgentToken = function() {
+    return this.userAgentToken_;
+};
+
+
+/**
+ * Sets the retry policy applied to failed fetches (see <code>tmc.ScraperJS.RetryPolicy</code>).
+ * Omitted fields keep their default value (see <code>tmc.ScraperJS.DEFAULT_RETRY_POLICY</code>).
+ *
+ * @param {!Object} retryPolicy retry policy.
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setRetryPolicy = function(retryPolicy) {
+    this.retryPolicy_ = /** @type {!tmc.ScraperJS.RetryPolicy} */ (goog.object.clone(tmc.ScraperJS.DEFAULT_RETRY_POLICY));
+    goog.object.extend(this.retryPolicy_, retryPolicy);
+    return this;
+};
+
+
+/**
+ * @return {!tmc.ScraperJS.RetryPolicy} retry policy applied to failed fetches.
+ */
+tmc.ScraperJS.prototype.getRetryPolicy = function() {
+    return /** @type {!tmc.ScraperJS.RetryPolicy} */ (this.retryPolicy_);
+};
+
+
+/**
+ * Sets the normalization applied to links before they are deduplicated and prioritized
+ * (see <code>tmc.scraperjs.UrlNormalizer</code>). Omitted options keep their default value.
+ *
+ * @param {!Object} options normalization options.
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setUrlNormalization = function(options) {
+    this.urlNormalizer_ = new tmc.scraperjs.UrlNormalizer(options);
+    return this;
+};
+
+
+/**
+ * @return {!tmc.scraperjs.UrlNormalizer} normalizer applied to links.
+ */
+tmc.ScraperJS.prototype.getUrlNormalizer = function() {
+    return /** @type {!tmc.scraperjs.UrlNormalizer} */ (this.urlNormalizer_);
+};
+
+
+/**
+ * Sets the policy deciding which links are followed (see <code>tmc.scraperjs.ScopePolicy</code>).
+ * Omitted options keep their default value. Links out of scope are listed by <code>getRejectedLinks</code>
+ * along with the reason why.
+ *
+ * @param {!Object} options scope options.
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setScopePolicy = function(options) {
+    this.scopePolicy_ = new tmc.scraperjs.ScopePolicy(options);
+    return this;
+};
+
+
+/**
+ * @return {!tmc.scraperjs.ScopePolicy} policy deciding which links are followed.
+ */
+tmc.ScraperJS.prototype.getScopePolicy = function() {
+    return /** @type {!tmc.scraperjs.ScopePolicy} */ (this.scopePolicy_);
+};
+
+
+/**
+ * Sets the name checkpoints are saved under (a key in the browser, a file path under Node.js).
+ *
+ * @param {!string} checkpointName name checkpoints are saved under.
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setCheckpointName = function(checkpointName) {
+    this.checkpointName_ = checkpointName;
+    return this;
+};
+
+
+/**
+ * @return {!string} name checkpoints are saved under.
+ */
+tmc.ScraperJS.prototype.getCheckpointName = function() {
+    return this.checkpointName_;
+};
+
+
+/**
+ * Sets the amount of time between two automatic checkpoints (expressed in milliseconds, 0 for none).
+ *
+ * @param {!number} checkpointInterval amount of time between two automatic checkpoints (expressed in milliseconds, 0 for none).
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setCheckpointInterval = function(checkpointInterval) {
+    this.checkpointInterval_ = checkpointInterval;
+    return this;
+};
+
+
+/**
+ * @return {!number} amount of time between two automatic checkpoints (expressed in milliseconds, 0 for none).
+ */
+tmc.ScraperJS.prototype.getCheckpointInterval = function() {
+    return this.checkpointInterval_;
+};
+
+
+/**
+ * Sets the array of mime sniffers that will be used to determine the mime type of a document based on its first 512 characters.
+ *
+ * A mime sniffer is a rule consisting of (1) a regular expression (the "if" part) and (2) a mime type (the "then" part) 
+ * that will be used when the regular expression matches against the document's content.
+ *
+ * Here is an exemple:
+ * <code>
+ * [
+ *   {regex: /^\s*<(?:!DOCTYPE\s+HTML|HTML|HEAD|SCRIPT|IFRAME|H1|DIV|FONT|TABLE|A|STYLE|TITLE|B|BODY|BR|P|!--)[\s>]/i, mime:'text/html'},
+ *   {regex: /^%PDF-/, mime:'application/pdf'}
+ * ]
+ * </code>
+ *
+ * Here is how the logic works:
+ * 1. Select the first mime sniffer's regular expression and match it against the document's content
+ * 2. If the match is successful, assign the sniffer's mime type value to the document and stop there
+ * 3. If the match is not successful, go to the next sniffer in the array
+ * 4. If nor sniffer match, set the document's mime type to null
+ *
+ * @param {?Array.<{regex:!RegExp, mime:string}>} mimeSniffers array of mime sniffers.
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setMimeSniffers = function(mimeSniffers) {
+    this.mimeSniffers_ = mimeSniffers;
+    return this;    
+};
+
+
+/**
+ * @return {?Array.<{regex:!RegExp, mime:string}>} array of mime sniffers.
+ */
+tmc.ScraperJS.prototype.getMimeSniffers = function() {
+    return this.mimeSniffers_;
+};
+
+
+/**
+ * Sets the map of data extractors that will be used to extract data from a document. 
+ *
+ * The format is the following:
+ * <code>
+ * {
+ *   'mime/type1': function1,
+ *   'mime/type2': function2
+ *   ...
+ * }
+ * </code>
+ *
+ * A schema (see <code>tmc.scraperjs.Schema</code>) can be given instead of a function:
+ * <code>
+ * {
+ *   'text/html': {'match': /\/product\//, 'fields': {'title': 'h1', 'price': '.price@text | number'}}
+ * }
+ * </code>
+ *
+ * Here is how the logic works:
+ * 1. Select the function (or schema) corresponding to the document's mime type
+ * 2. Execute the function with the document's content and information about the document (see
+ *    <code>extractData</code>), or emit the records extracted by the schema if the document's url matches
+ *
+ * @param {?Object.<!string,!(function(string, Object=)|Object)>} dataExtractors maps of data extractors.
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setDataExtractors = function(dataExtractors) {
+    var extractor;
+
+    this.dataExtractors_ = (dataExtractors === null) ? null : {};
+
+    for (var mime in dataExtractors) {
+        extractor = dataExtractors[mime];
+        this.dataExtractors_[mime] = ((typeof extractor === 'function') || (extractor instanceof tmc.scraperjs.Schema))
+            ? extractor
+            : new tmc.scraperjs.Schema(extractor);
+    }
+
+    return this;
+};
+
+
+/**
+ * @return {?Object.<!string,!(function(string, Object=)|tmc.scraperjs.Schema)>} map of data extractors
+ *     (schemas are compiled).
+ */
+tmc.ScraperJS.prototype.getDataExtractors = function() {
+    return this.dataExtractors_;
+};
+
+
+/**
+ * Sets the built-in extractors to run on every document on top of the data extractors, by name
+ * (see <code>tmc.scraperjs.Extractors.LIBRARY</code>): email, phone, address, social, jsonld,
+ * microdata, rdfa, opengraph and title. Their records are emitted once (see <code>emitUnique</code>).
+ *
+ * @param {!Array.<!string>} names names of the built-in extractors.
+ * @param {tmc.scraperjs.Extractors.Options=} opt_options options of the built-in extractors.
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setBuiltInExtractors = function(names, opt_options) {
+    goog.array.forEach(names, function(name) {
+        if (!tmc.scraperjs.Extractors.LIBRARY.hasOwnProperty(name)) {
+            throw Error('Unknown extractor: ' + name);
+        }
+    });
+
+    this.builtInExtractors_ = goog.array.clone(names);
+    this.extractorOptions_ = opt_options || {};
+    return this;
+};
+
+
+/**
+ * @return {!Array.<!string>} names of the built-in extractors run on every document.
+ */
+tmc.ScraperJS.prototype.getBuiltInExtractors = function() {
+    return /** @type {!Array.<!string>} */ (this.builtInExtractors_);
+};
+
+
+/**
+ * @return {!tmc.scraperjs.Extractors.Options} options of the built-in extractors.
+ */
+tmc.ScraperJS.prototype.getExtractorOptions = function() {
+    return /** @type {!tmc.scraperjs.Extractors.Options} */ (this.extractorOptions_);
+};
+
+
+/**
+ * Sets the map of link extractors that will be used to extract links from a document. 
+ *
+ * The format is the following:
+ * <code>
+ * {
+ *   'mime/type1': regex1,
+ *   'mime/type2': function2
+ *   ...
+ * }
+ * </code>
+ *
+ * Here is how the logic works:
+ * 1. Select the link extractor corresponding to the document's mime type
+ * 2. If it is a regular expression, match it against the document's content and for each match 
+ *    return the first non-undefined capture block
+ * 3. If it is a function, call it with the document's content and information about the document
+ *    (see <code>extractData</code>), it returns an array of links (see <code>tmc.ScraperJS.ExtractedLink</code>)
+ *
+ * @param {!Object.<!string,(!RegExp|function(string, Object=):!Array.<!tmc.ScraperJS.ExtractedLink>)>} linkExtractors map of link extractors.
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setLinkExtractors = function(linkExtractors) {
+    this.linkExtractors_ = linkExtractors;
+    return this;
+}
+
+
+/**
+ * @return {!Object.<!string,(!RegExp|function(string, Object=):!Array.<!tmc.ScraperJS.ExtractedLink>)>} map of link extractors.
+ */
+tmc.ScraperJS.prototype.getLinkExtractors = function() {
+    return /** @type {!Object.<!string,(!RegExp|function(string, Object=):!Array.<!tmc.ScraperJS.ExtractedLink>)>} */ (this.linkExtractors_);
+};
+
+
+/**
+ * Sets the array of priority rules that will be used to compute the priority of a link.
+ *
+ * A rule consists of (1) a regular expression (the "if" part) and (2) a priority (the "then" part) 
+ * that will be used when the regular expression matches against the link.
+ *
+ * Here is an exemple:
+ * <code>
+ * [
+ *   {regex: /page=/, priority: 10},
+ *   {regex: /.+/, rel: 'next', priority: 5},
+ *   {regex: /.+/, priority: -20}
+ * ]
+ * </code>
+ *
+ * A rule may also require the link to come from a given element, attribute or rel value
+ * (<code>element: 'a'</code>, <code>attribute: 'srcset'</code>, <code>rel: 'next'</code>).
+ *
+ * A rule may as well be a function receiving the url, depth, anchor text and referring page of the link
+ * and returning its priority, or <code>undefined</code> if the rule does not apply to the link:
+ * <code>
+ * function(url, depth, text, referrer) {
+ *   return /pricing/i.test(text || '') ? 50 : undefined;
+ * }
+ * </code>
+ *
+ * The prioroity can be: 
+ * <code>integer</code>: a positive or negative number (the bigger, the higher the prioroity)
+ * <code>'++'</code>: highest prioroity encountered so far + 1
+ * <code>'--'</code>: lowest priority encountered so far - 1
+ * <code>null</code>: tells the crawler to ignore this link
+ *
+ * Here is how the logic works:
+ * 1. Select the first rule's regular expression and match it against the url of a link (or call the first rule's function)
+ * 2. If the match is successful (or the function returns a priority), assign the rule's priority value to the link and stop there
+ * 3. If the match is not successful, go to the next rule in the array
+ * 4. If no rule match, set the link's prioroity to 0
+ *
+ * The link's crawl hints then raise or lower its priority and the depth decay lowers it (see
+ * <code>setLinkPriorityDepthDecay</code>). How priorities order the crawl depends on the crawl strategy
+ * (see <code>setCrawlStrategy</code>).
+ *
+ * @param {Array.<tmc.ScraperJS.LinkPriorityRule>} linkPriorityRules array of link priority rules.
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setLinkPriorityRules = function(linkPriorityRules) {
+    this.linkPriorityRules_ = linkPriorityRules;
+    return this;
+};
+
+
+/**
+ * @return {!Array.<tmc.ScraperJS.LinkPriorityRule>} array of link priority rules.
+ */
+tmc.ScraperJS.prototype.getLinkPriorityRules = function() {
+    return /** @type {!Array.<tmc.ScraperJS.LinkPriorityRule>} */ (this.linkPriorityRules_);
+};
+
+
+/**
+ * Sets the order in which the queued links are crawled: breadth-first (<code>'bfs'</code>), depth-first
+ * (<code>'dfs'</code>) or by priority (<code>'best-first'</code>, the default). Link priorities break the
+ * ties between links of the same depth when crawling breadth-first or depth-first.
+ *
+ * Applies to the links queued afterwards.
+ *
+ * @param {!tmc.ScraperJS.CrawlStrategy} crawlStrategy crawl strategy.
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setCrawlStrategy = function(crawlStrategy) {
+    if (!goog.object.containsValue(tmc.ScraperJS.CrawlStrategy, crawlStrategy)) {
+        throw Error('Unknown crawl strategy: ' + crawlStrategy);
+    }
+
+    this.crawlStrategy_ = crawlStrategy;
+    return this;
+};
+
+
+/**
+ * @return {!tmc.ScraperJS.CrawlStrategy} order in which the queued links are crawled.
+ */
+tmc.ScraperJS.prototype.getCrawlStrategy = function() {
+    return this.crawlStrategy_;
+};
+
+
+/**
+ * Sets the amount a link's priority is lowered by per level of depth (0, the default, for none): with a
+ * decay of 2, a link given a priority of 10 by the rules is queued with a priority of 4 at depth 3.
+ *
+ * @param {!number} linkPriorityDepthDecay amount a link's priority is lowered by per level of depth.
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setLinkPriorityDepthDecay = function(linkPriorityDepthDecay) {
+    this.linkPriorityDepthDecay_ = linkPriorityDepthDecay;
+    return this;
+};
+
+
+/**
+ * @return {!number} amount a link's priority is lowered by per level of depth.
+ */
+tmc.ScraperJS.prototype.getLinkPriorityDepthDecay = function() {
+    return this.linkPriorityDepthDecay_;
+};
+
+
+/**
+ * Sets whether the link graph of the crawl is captured (off by default as it keeps every link found):
+ * the links between pages along with their anchor text, the out of scope links and the redirects
+ * (see <code>getLinkGraph</code>).
+ *
+ * @param {!boolean} captureLinkGraph whether the link graph is captured.
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setCaptureLinkGraph = function(captureLinkGraph) {
+    this.captureLinkGraph_ = captureLinkGraph;
+    return this;
+};
+
+
+/**
+ * @return {!boolean} whether the link graph is captured.
+ */
+tmc.ScraperJS.prototype.getCaptureLinkGraph = function() {
+    return this.captureLinkGraph_;
+};
+
+
+/**
+ * Sets whether every link found is checked (off by default), turning the crawl into a broken link checker
+ * (see <code>getBrokenLinks</code>). The in scope pages are crawled as usual, then every other url linked
+ * to (out of scope links, assets such as images, scripts and stylesheets, links beyond the limits) is
+ * requested once with HEAD, falling back to GET if that fails, or with GET right away if some links to
+ * it have a fragment, whose anchor is then looked up in the page. The checks honor the Crawl-delay of
+ * the in scope origins but not the maximum crawl time; links disallowed by robots.txt are not checked.
+ *
+ * @param {!boolean} checkLinks whether every link found is checked.
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setCheckLinks = function(checkLinks) {
+    this.checkLinks_ = checkLinks;
+    return this;
+};
+
+
+/**
+ * @return {!boolean} whether every link found is checked.
+ */
+tmc.ScraperJS.prototype.getCheckLinks = function() {
+    return this.checkLinks_;
+};
+
+
+/**
+ * Registers a function (data extractor, link extractor, link priority rule or schema filter) under a name
+ * so that profiles can refer to it (see <code>exportProfile</code>). The default extractors are registered
+ * as <code>emails</code> (data extractor), <code>htmlLinks</code>, <code>atomLinks</code> and
+ * <code>sitemapLinks</code> (link extractors).
+ *
+ * @param {!string} name name of the function.
+ * @param {!Function} func function.
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.registerFunction = function(name, func) {
+    this.functions_[name] = func;
+    return this;
+};
+
+
+/**
+ * Sets the runtime providing the environment specific services (fetching, output, logging).
+ * Defaults to a {@link tmc.scraperjs.BrowserRuntime}.
+ *
+ * @param {!tmc.scraperjs.Runtime} runtime runtime to use.
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setRuntime = function(runtime) {
+    this.runtime_ = runtime;
+    this.isRuntimePrepared_ = false;
+    return this;
+};
+
+
+/**
+ * @return {!tmc.scraperjs.Runtime} runtime providing the environment specific services.
+ */
+tmc.ScraperJS.prototype.getRuntime = function() {
+    return /** @type {!tmc.scraperjs.Runtime} */ (this.runtime_);
+};
+
+
+/**
+ * Sets the array of result sinks receiving the records emitted by the data extractors.
+ * Defaults to a single sink handing the records over to the runtime's <code>output</code>.
+ *
+ * @param {!Array.<!tmc.scraperjs.ResultSink>} resultSinks array of result sinks.
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.setResultSinks = function(resultSinks) {
+    this.resultSinks_ = resultSinks;
+    return this;
+};
+
+
+/**
+ * Adds a result sink to the ones receiving the records emitted by the data extractors.
+ *
+ * @param {!tmc.scraperjs.ResultSink} resultSink result sink to add.
+ *
+ * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ */
+tmc.ScraperJS.prototype.addResultSink = function(resultSink) {
+    this.resultSinks_.push(resultSink);
+    return this;
+};
+
+
+/**
+ * @return {!Array.<!tmc.scraperjs.ResultSink>} array of result sinks receiving the records emitted by the data extractors.
+ */
+tmc.ScraperJS.prototype.getResultSinks = function() {
+    return /** @type {!Array.<!tmc.scraperjs.ResultSink>} */ (this.resultSinks_);
+};
+
+
+/**
+ * Emits a record: hands it over to every result sink. Meant to be called by the data extractors.
+ *
+ * Records are plain objects; use quoted keys (e.g. <code>{'type': 'email', 'value': email}</code>)
+ * so they survive the compiler's renaming.
+ *
+ * Records emitted while a fetched document is being extracted are given its provenance (unless they
+ * already have one): a <code>'provenance'</code> record holding the <code>'url'</code>, link
+ * <code>'depth'</code>, <code>'mime'</code> type and <code>'fetchTime'</code> (ISO 8601) of the document
+ * along with a <code>'context'</code> snippet of its text around the record's <code>'text'</code> or
+ * <code>'value'</code> (<code>null</code> if not found in the text).
+ *
+ * @param {!Object} record record to emit.
+ */
+tmc.ScraperJS.prototype.emit = function(record) {
+    var l = this.resultSinks_.length;
+    var info = this.currentDocument_ ? this.currentDocument_.info : null;
+
+    if (info && (record['provenance'] === undefined)) {
+        record['provenance'] = {
+            'url': info['url'],
+            'depth': info['depth'],
+            'mime': info['mime'],
+            'fetchTime': info['fetchTime'],
+            'context': this.getContext_(record)
+        };
+    }
+
+    for (var i = 0; i < l; i++) {
+        this.resultSinks_[i].write(record);
+    }
+
+    this.stats_.recordResult(this.currentDocument_ ? this.currentDocument_.extractor : 'other', this.getElapsedTime());
+
+    this.dispatch_(tmc.ScraperJS.EventType.DATA, {'record': record});
+};
+
+
+/**
+ * Emits a record unless an identical one (same <code>'type'</code> and <code>'value'</code>) has
+ * already been emitted through this method during the crawl.
+ *
+ * Emitted records are given the urls of the documents they were found in (<code>'sources'</code>)
+ * and their number of <code>'occurrences'</code>. A duplicate is not emitted again: these fields of
+ * the record first emitted are updated instead (records kept by array sinks reflect it) and the
+ * <code>DUPLICATE_DATA</code> event is dispatched.
+ *
+ * @param {!Object} record record to emit.
+ *
+ * @return {!boolean} whether the record was emitted.
+ */
+tmc.ScraperJS.prototype.emitUnique = function(record) {
+    var hash = tmc.ScraperJS.hashRecord_(record);
+    var url = this.currentDocument_ && this.currentDocument_.info ? this.currentDocument_.info['url'] : null;
+    var original = this.uniqueResults_[hash];
+
+    if (original !== undefined) {                       // Aggregates results previously emitted
+        if ((url !== null) && !goog.array.contains(original['sources'], url)) {
+            original['sources'].push(url);
+        }
+        original['occurrences']++;
+        this.stats_.recordDuplicate();
+        this.dispatch_(tmc.ScraperJS.EventType.DUPLICATE_DATA, {'record': original, 'url': url});
+        return false;
+    }
+
+    record['sources'] = (url !== null) ? [url] : [];
+    record['occurrences'] = 1;
+    this.uniqueResults_[hash] = record;
+    this.emit(record);
+    return true;
+};
+
+
+/**
+ * @param {!Object} record record.
+ *
+ * @return {!string} hash of the record's <code>'type'</code> and <code>'value'</code> (see <code>emitUnique</code>).
+ *
+ * @private
+ */
+tmc.ScraperJS.hashRecord_ = function(record) {
+    var sha1 = new goog.crypt.Sha1();
+
+    sha1.update(goog.crypt.stringToUtf8ByteArray(record['type'] + ':' + JSON.stringify(record['value'])));
+    return goog.crypt.byteArrayToString(sha1.digest());
+};
+
+
+/**
+ * Returns a snippet of the text of the current document around a record: the first occurrence of its
+ * <code>'text'</code> (e.g. a phone number as written) or else of its <code>'value'</code>, along with
+ * <code>PROVENANCE_CONTEXT_LENGTH</code> characters on each side.
+ *
+ * @param {!Object} record record being emitted.
+ *
+ * @return {?string} context snippet or <code>null</code> if the record is not found in the text.
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.getContext_ = function(record) {
+    var current = this.currentDocument_;
+    var length = tmc.ScraperJS.PROVENANCE_CONTEXT_LENGTH;
+    var text;
+    var needle;
+    var index = -1;
+
+    if (current.text === null) {
+        current.text = goog.string.collapseWhitespace(tmc.scraperjs.Extractors.getText(current.content, current.mime));
+    }
+    text = current.text.toLowerCase();
+
+    goog.array.find([record['text'], record['value']], function(candidate) {
+        if ((typeof candidate !== 'string') || (candidate === '')) {
+            return false;
+        }
+        needle = goog.string.collapseWhitespace(candidate);
+        index = text.indexOf(needle.toLowerCase());
+        return index !== -1;
+    });
+    if (index === -1) {
+        return null;
+    }
+
+    return goog.string.trim(current.text.substring(Math.max(0, index - length), index + needle.length + length));
+};
+
+
+/**
+ * Dispatches a crawl event.
+ *
+ * @param {!tmc.ScraperJS.EventType} type event type.
+ * @param {!Object} detail event specific information (quoted keys).
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.dispatch_ = function(type, detail) {
+    this.dispatchEvent(new tmc.scraperjs.CrawlEvent(type, this, detail));
+};
+
+
+/**
+ * Hands the records collected by an export sink over to the user as a downloadable document
+ * (a file written to disk when running under Node.js).
+ *
+ * @param {!tmc.scraperjs.ExportSink} exportSink export sink whose records are to be downloaded.
+ * @param {string=} opt_filename name of the file (defaults to results.&lt;format&gt;).
+ */
+tmc.ScraperJS.prototype.downloadResults = function(exportSink, opt_filename) {
+    this.runtime_.download(
+        opt_filename || exportSink.getFilename(),
+        exportSink.getMimeType(),
+        exportSink.serialize());
+};
+
+
+/**
+ * Returns the links rejected so far. Each one is described by a record holding its url, depth,
+ * the reason why it was rejected (see <code>tmc.ScraperJS.RejectReason</code>), some details
+ * (e.g. the robots.txt rule disallowing it or why it is out of scope) and the page it was found in.
+ *
+ * @return {!Array.<!Object>} array of rejected links.
+ */
+tmc.ScraperJS.prototype.getRejectedLinks = function() {
+    return /** @type {!Array.<!Object>} */ (this.rejectedLinks_);
+};
+
+
+/**
+ * Returns the links whose fetch failed once retries were exhausted (or not allowed). Each one is
+ * described by a record holding its url, depth, http status (0 if no response was received),
+ * <code>goog.net.ErrorCode</code> and its description, number of attempts and the url of the page
+ * it was found in (<code>null</code> for the seed).
+ *
+ * @return {!Array.<!Object>} array of failed links.
+ */
+tmc.ScraperJS.prototype.getFailedLinks = function() {
+    return /** @type {!Array.<!Object>} */ (this.failedLinks_);
+};
+
+
+/**
+ * Returns the statistics of the crawl so far (see <code>tmc.scraperjs.CrawlStats.prototype.getStats</code>):
+ * pages by mime type and depth, http statuses, bytes downloaded, fetch latency percentiles, links
+ * discovered, enqueued and rejected, results by extractor and throughput over time.
+ *
+ * @return {!Object} statistics of the crawl.
+ */
+tmc.ScraperJS.prototype.getStats = function() {
+    return this.stats_.getStats();
+};
+
+
+/**
+ * Returns a summary of the crawl meant to compare runs (also handed over by the <code>COMPLETE</code> event):
+ * its <code>'seedUrl'</code>, <code>'startTime'</code> and <code>'endTime'</code> (ISO 8601), <code>'elapsedTime'</code>,
+ * completion <code>'reason'</code> (see <code>tmc.ScraperJS.CompleteReason</code>), <code>'numCrawledLinks'</code>
+ * and <code>'stats'</code> (see <code>getStats</code>). While crawling, the report is a snapshot whose end
+ * time is the current time and whose reason is <code>null</code>.
+ *
+ * @return {!Object} crawl report.
+ */
+tmc.ScraperJS.prototype.getReport = function() {
+    return this.report_ || this.buildReport_(null);
+};
+
+
+/**
+ * @param {?tmc.ScraperJS.CompleteReason} reason reason why the crawl is over (<code>null</code> while crawling).
+ *
+ * @return {!Object} crawl report (see <code>getReport</code>).
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.buildReport_ = function(reason) {
+    return {
+        'seedUrl': this.seedUrl_,
+        'startTime': this.startTime_,
+        'endTime': (new Date()).toISOString(),
+        'elapsedTime': this.getElapsedTime(),
+        'reason': reason,
+        'numCrawledLinks': this.numCrawledLinks_,
+        'stats': this.getStats()
+    };
+};
+
+
+/**
+ * Hands the crawl report (see <code>getReport</code>) over to the user as a downloadable JSON or html document
+ * (a file written to disk when running under Node.js).
+ *
+ * @param {!tmc.scraperjs.CrawlStats.ReportFormat} format report format.
+ * @param {string=} opt_filename name of the file (defaults to report.&lt;format&gt;).
+ */
+tmc.ScraperJS.prototype.downloadReport = function(format, opt_filename) {
+    var report = this.getReport();
+
+    this.runtime_.download(
+        opt_filename || 'report.' + format,
+        tmc.scraperjs.CrawlStats.REPORT_MIME_TYPES[format],
+        (format === tmc.scraperjs.CrawlStats.ReportFormat.HTML)
+            ? tmc.scraperjs.CrawlStats.toHtml(report)
+            : JSON.stringify(report, null, 2));
+};
+
+
+/**
+ * Returns the link graph captured so far (see <code>setCaptureLinkGraph</code>); its <code>analyze</code>
+ * method gives the pages' in and out degrees, click depths, PageRanks and the orphan pages.
+ *
+ * @return {!tmc.scraperjs.LinkGraph} link graph.
+ */
+tmc.ScraperJS.prototype.getLinkGraph = function() {
+    return /** @type {!tmc.scraperjs.LinkGraph} */ (this.linkGraph_);
+};
+
+
+/**
+ * Hands the link graph and its metrics over to the user as a downloadable JSON, Graphviz DOT or GraphML
+ * document (a file written to disk when running under Node.js).
+ *
+ * @param {!tmc.scraperjs.LinkGraph.Format} format export format.
+ * @param {string=} opt_filename name of the file (defaults to links.&lt;format&gt;).
+ */
+tmc.ScraperJS.prototype.downloadLinkGraph = function(format, opt_filename) {
+    this.runtime_.download(
+        opt_filename || 'links.' + format,
+        tmc.scraperjs.LinkGraph.MIME_TYPES[format],
+        this.linkGraph_.serialize(format, this.seedUrl_));
+};
+
+
+/**
+ * Returns the broken links found so far when links are checked (see <code>setCheckLinks</code> and
+ * <code>tmc.scraperjs.LinkChecker.prototype.getBrokenLinks</code>): the urls answered with an http error,
+ * timing out, unreachable or redirected and the fragments matching no anchor, each one along with the
+ * pages linking to it and the anchor text of the links.
+ *
+ * @return {!Array.<!Object>} array of broken links.
+ */
+tmc.ScraperJS.prototype.getBrokenLinks = function() {
+    return this.linkChecker_.getBrokenLinks();
+};
+
+
+/**
+ * Initializes the ScraperJS's instance variables to their default value.
+ */
+tmc.ScraperJS.prototype.init = function() {
+    var that = this;
+
+    this.maxCrawlTime_ = 0;
+    this.maxCrawlDepth_ = 0;
+    this.maxCrawledLinks_ = 0;
+    this.maxLinkFetchTime_ = 60 * 1000;     // 60 seconds
+    this.maxConcurrentFetches_ = 1;
+    this.retryPolicy_ = /** @type {!tmc.ScraperJS.RetryPolicy} */ (goog.object.clone(tmc.ScraperJS.DEFAULT_RETRY_POLICY));
+    this.urlNormalizer_ = new tmc.scraperjs.UrlNormalizer();
+    this.scopePolicy_ = new tmc.scraperjs.ScopePolicy();
+    this.respectRobotsTxt_ = true;
+    this.userAgentToken_ = 'ScraperJS';
+    this.checkpointName_ = 'scraperjs-checkpoint.json';
+    this.checkpointInterval_ = 0;
+    this.startCrawlTime_ = 0;
+    this.seedUrl_ = null;
+    this.runtime_ = new tmc.scraperjs.BrowserRuntime();
+    this.resultSinks_ = [
+                            new tmc.scraperjs.CallbackSink(function(record) {
+                                that.runtime_.output(record);
+                            })
+                        ];
+    this.mimeSniffers_ =    [
+                                {regex:tmc.ScraperJS.RX_HTML_SNIFFER, mime:'text/html'},
+                                {regex:tmc.ScraperJS.RX_RSS_SNIFFER, mime:'application/rss+xml'},
+                                {regex:tmc.ScraperJS.RX_RDF_SNIFFER, mime:'application/rss+xml'},     // rss 1.0
+                                {regex:tmc.ScraperJS.RX_ATOM_SNIFFER, mime:'application/atom+xml'},
+                                {regex:tmc.ScraperJS.RX_SITEMAP_SNIFFER, mime:'application/sitemap+xml'},
+                                {regex:tmc.ScraperJS.RX_XML_SNIFFER, mime:'text/xml'},
+                                {regex:tmc.ScraperJS.RX_PDF_SNIFFER, mime:'application/pdf'},
+                                {regex:tmc.ScraperJS.RX_JSON_SNIFFER, mime:'application/json'}
+                            ];
+    this.functions_ =       {
+                                'emails':function(content) {
+                                    goog.array.forEach(tmc.scraperjs.Extractors.extractEmails(content), function(record) {
+                                        that.emitUnique(record);
+                                    });
+                                },
+                                'atomLinks':tmc.scraperjs.Feed.extractAtomLinks,
+                                'sitemapLinks':tmc.scraperjs.Sitemap.extractLinks,
+                                'htmlLinks':tmc.scraperjs.Html.extractLinks
+                            };
+    this.dataExtractors_ =  {
+                                '*/*':this.functions_['emails']
+                            };
+    this.builtInExtractors_ = [];
+    this.extractorOptions_ = {};
+    this.linkExtractors_ =  {
+                                'application/atom+xml':this.functions_['atomLinks'],
+                                'application/rss+xml':tmc.ScraperJS.RX_RSS_URL_EXTRACTOR,
+                                'application/sitemap+xml':this.functions_['sitemapLinks'],
+                                'text/html':this.functions_['htmlLinks']
+                            };
+    this.linkPriorityRules_ = [];
+    this.crawlStrategy_ = tmc.ScraperJS.CrawlStrategy.BEST_FIRST;
+    this.linkPriorityDepthDecay_ = 0;
+    this.captureLinkGraph_ = false;
+    this.checkLinks_ = false;
+    this.highestLinkPriority_ = 0;
+    this.lowestLinkPriority_ = 0;
+    this.linkQueue_ = new goog.structs.PriorityQueue();
+    this.linkStatuses_ = {};
+    this.numCrawledLinks_ = 0;
+    this.numInFlightFetches_ = 0;
+    this.isCrawling_ = false;
+    this.isPaused_ = false;
+    this.pauseTime_ = 0;
+    this.lastCheckpointTime_ = 0;
+    this.isRuntimePrepared_ = false;
+    this.inFlightLinks_ = {};
+    this.robotsTxts_ = {};
+    this.robotsTxtWaitingLinks_ = {};
+    this.numInFlightRobotsTxtFetches_ = 0;
+    this.linkCheckQueue_ = null;
+    this.numInFlightLinkChecks_ = 0;
+    this.nextFetchTimes_ = {};
+    this.rejectedLinks_ = [];
+    this.failedLinks_ = [];
+    this.fetchAttempts_ = {};
+    this.retryingLinks_ = {};
+    this.referrers_ = {};
+    this.uniqueResults_ = {};
+    this.currentDocument_ = null;
+    this.stats_ = new tmc.scraperjs.CrawlStats();
+    this.linkGraph_ = new tmc.scraperjs.LinkGraph();
+    this.linkChecker_ = new tmc.scraperjs.LinkChecker();
+    this.startTime_ = null;
+    this.report_ = null;
+};
+
+
+/**
+ * Starts the ScraperJS.
+ *
+ * @param {string=} opt_seedUrl url the crawl starts from (defaults to the runtime's seed url,
+ *     i.e. the current page when running as a bookmarklet).
+ */
+tmc.ScraperJS.prototype.start = function(opt_seedUrl) {
+    var now = new Date();
+    var seedUrl = opt_seedUrl || this.runtime_.getSeedUrl();
+
+    if (!seedUrl) {
+        throw Error('No seed url to start the crawl from');
+    }
+
+    this.startCrawlTime_ = now.getTime();
+    this.startTime_ = now.toISOString();
+    this.report_ = null;
+    this.seedUrl_ = this.urlNormalizer_.normalize(seedUrl);
+    this.lastCheckpointTime_ = now.getTime();
+    this.isCrawling_ = true;
+    this.isPaused_ = false;
+    this.runtime_.log('Started crawling at ' + now.toLocaleString());
+    this.dispatch_(tmc.ScraperJS.EventType.START, {'seedUrl': seedUrl});
+
+    if (!this.isRuntimePrepared_) {
+        this.runtime_.prepare();
+        this.isRuntimePrepared_ = true;
+    }
+
+    this.enqueueLink(seedUrl, 0);                       // Starts the crawl with the seed link
+    this.crawlNextLink();    
+};
+
+
+/**
+ * Pauses the crawl: no new fetch is started until <code>resume</code> is called (the fetches in flight
+ * complete normally). The time spent paused does not count against the maximum crawl time.
+ */
+tmc.ScraperJS.prototype.pause = function() {
+    var now = new Date();
+
+    if (this.isCrawling_ && !this.isPaused_) {
+        this.isPaused_ = true;
+        this.pauseTime_ = now.getTime();
+        this.runtime_.log('Paused crawling at ' + now.toLocaleString());
+    }
+};
+
+
+/**
+ * Resumes a crawl that has been paused, stopped or restored from a checkpoint.
+ */
+tmc.ScraperJS.prototype.resume = function() {
+    var now = new Date();
+
+    if (!this.isPaused_) {
+        return;
+    }
+
+    this.startCrawlTime_ += now.getTime() - this.pauseTime_;       // The time spent paused does not count
+    this.lastCheckpointTime_ = now.getTime();
+    this.isPaused_ = false;
+
+    if (!this.isCrawling_) {                            // Stopped or restored from a checkpoint
+        this.isCrawling_ = true;
+        this.report_ = null;
+    }
+    if (!this.isRuntimePrepared_) {                     // Restored from a checkpoint before any start
+        this.runtime_.prepare();
+        this.isRuntimePrepared_ = true;
+    }
+
+    this.runtime_.log('Resumed crawling at ' + now.toLocaleString());
+    this.crawlNextLink();
+};
+
+
+/**
+ * Stops the crawl: no new fetch is started and the links being fetched go back to the queue
+ * (their responses are ignored). The crawl state is kept so it can be checkpointed or resumed.
+ */
+tmc.ScraperJS.prototype.stop = function() {
+    var now = new Date();
+
+    if (!this.isCrawling_) {
+        return;
+    }
+
+    if (!this.isPaused_) {
+        this.isPaused_ = true;
+        this.pauseTime_ = now.getTime();
+    }
+    this.isCrawling_ = false;
+    this.runtime_.log('Stopped crawling at ' + now.toLocaleString());
+    this.complete_(tmc.ScraperJS.CompleteReason.STOPPED);
+};
+
+
+/**
+ * @return {!boolean} whether a crawl is under way (started, possibly paused, and neither finished nor stopped).
+ */
+tmc.ScraperJS.prototype.isCrawling = function() {
+    return this.isCrawling_;
+};
+
+
+/**
+ * @return {!boolean} whether the crawl is paused, stopped or restored from a checkpoint and waiting for <code>resume</code>.
+ */
+tmc.ScraperJS.prototype.isPaused = function() {
+    return this.isPaused_;
+};
+
+
+/**
+ * @return {!number} amount of time the crawl has been running for, pauses excluded (expressed in milliseconds,
+ *     0 before it starts).
+ */
+tmc.ScraperJS.prototype.getElapsedTime = function() {
+    if (this.startCrawlTime_ === 0) {                   // Not started (e.g. extractors run on their own)
+        return 0;
+    }
+
+    return (this.isPaused_ ? this.pauseTime_ : (new Date()).getTime()) - this.startCrawlTime_;
+};
+
+
+/**
+ * Crawls the next links in the queue, keeping up to <code>maxConcurrentFetches_</code> fetches in flight.
+ * The crawl is over once no more link can be crawled and every fetch in flight has settled.
+ */
+tmc.ScraperJS.prototype.crawlNextLink = function() {
+    var elapsedTime;
+    var key;
+    var link;
+
+    if (!this.isCrawling_ || this.isPaused_) {         // Nothing is started while paused or stopped
+        return;
+    }
+
+    while (this.numInFlightFetches_ < this.maxConcurrentFetches_) {
+        elapsedTime = this.getElapsedTime();
+
+        if (!(((this.maxCrawledLinks_ === 0) || (this.numCrawledLinks_ < this.maxCrawledLinks_))
+            && ((this.maxCrawlTime_ === 0) || (elapsedTime < this.maxCrawlTime_))
+            && !this.linkQueue_.isEmpty())) {
+            break;
+        }
+
+        key = /** @type {number} */ (this.linkQueue_.peekKey());
+        link = this.linkQueue_.dequeue().toString();    // toString is to eliminate a closure warning
+        this.inFlightLinks_[link] = key;
+        this.numCrawledLinks_++;
+
+        if ((this.numCrawledLinks_ % 10) === 0) {   
+            this.runtime_.log(this.numCrawledLinks_ + ' / ' + this.linkQueue_.getCount() + '    ' + link); 
+        }
+        this.crawlLink(link);
+    }
+
+    if ((this.checkpointInterval_ > 0)
+        && ((new Date()).getTime() - this.lastCheckpointTime_ >= this.checkpointInterval_)) {
+        this.saveCheckpoint();
+    }
+
+    if ((this.numInFlightFetches_ === 0) && (this.numInFlightRobotsTxtFetches_ === 0)
+        && goog.object.isEmpty(this.retryingLinks_) && this.isCrawling_) {      // Nothing left to crawl nor to wait for
+        if (this.checkLinks_ && this.checkNextLinks_()) {                       // Then the links are checked
+            return;
+        }
+        this.isCrawling_ = false;
+        this.runtime_.log('Finished crawling at ' + (new Date()).toLocaleString());
+
+        if (this.linkQueue_.isEmpty()) {
+            this.complete_(tmc.ScraperJS.CompleteReason.QUEUE_EMPTY);
+        }
+        else if ((this.maxCrawledLinks_ !== 0) && (this.numCrawledLinks_ >= this.maxCrawledLinks_)) {
+            this.complete_(tmc.ScraperJS.CompleteReason.MAX_CRAWLED_LINKS);
+        }
+        else {
+            this.complete_(tmc.ScraperJS.CompleteReason.MAX_CRAWL_TIME);
+        }
+    }
+};
+
+
+/**
+ * Builds the report of the crawl (see <code>getReport</code>) and dispatches the <code>COMPLETE</code> event.
+ *
+ * @param {!tmc.ScraperJS.CompleteReason} reason reason why the crawl is over.
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.complete_ = function(reason) {
+    this.report_ = this.buildReport_(reason);
+    this.dispatch_(tmc.ScraperJS.EventType.COMPLETE, {
+        'reason': reason,
+        'numCrawledLinks': this.numCrawledLinks_,
+        'elapsedTime': this.report_['elapsedTime'],
+        'report': this.report_
+    });
+};
+
+
+/**
+ * Dispatches the <code>PROGRESS</code> event.
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.progress_ = function() {
+    this.dispatch_(tmc.ScraperJS.EventType.PROGRESS, {
+        'numCrawledLinks': this.numCrawledLinks_,
+        'numQueuedLinks': this.linkQueue_.getCount(),
+        'numInFlightFetches': this.numInFlightFetches_,
+        'elapsedTime': this.getElapsedTime()
+    });
+};
+
+
+/** 
+ * Crawls a link (link format is linkDepthr>absoluteUrl).
+ *
+ * @param {!string} link link to visit (link format is linkDepthr>absoluteUrl).
+ */
+tmc.ScraperJS.prototype.crawlLink = function(link) {
+    var match = link.match(tmc.ScraperJS.RX_PARSE_LINK);   // Extracts link depth and url
+    var that = this;
+    var delay;
+
+    function fetch() {
+        var url = match[2];                                // match[2] is the link url
+        var depth = parseInt(match[1], 10);                // match[1] is the link depth
+        var fetchTime = (new Date()).getTime();
+
+        if (!that.isCrawling_) {                           // Stopped while waiting for the Crawl-delay
+            that.requeueLink_(link);
+            return;
+        }
+        that.dispatch_(tmc.ScraperJS.EventType.FETCH, {'url': url, 'depth': depth});
+        that.runtime_.fetch(
+            url,
+            that.maxLinkFetchTime_,                        // timeout
+            function(response) {
+                var bytes = response.getResponseBytes();
+
+                if (!that.isCrawling_) {                   // Stopped while fetching
+                    that.requeueLink_(link);
+                    return;
+                }
+                that.stats_.recordResponse(response.getStatus(),
+                    (bytes !== null) ? bytes.length : response.getResponseText().length,
+                    (new Date()).getTime() - fetchTime, that.getElapsedTime());
+                that.dispatch_(tmc.ScraperJS.EventType.RESPONSE, {
+                    'url': url,
+                    'depth': depth,
+                    'status': response.getStatus(),
+                    'responseUrl': response.getLastUri()
+                });
+                if (!response.isSuccess() && that.retryLink_(link, url, response)) {
+                    return;
+                }
+                that.processResponse_(response, url, depth, function() {
+                    delete that.inFlightLinks_[link];
+                    that.numInFlightFetches_--;
+                    that.progress_();
+                    that.crawlNextLink();
+                });
+            },
+            true                                           // Decoded once the encoding is known
+        );
+    }
+
+    if (match !== null) {
+        this.numInFlightFetches_++;                        // Waiting for the Crawl-delay counts as in flight
+        delay = this.getFetchDelay_(match[2]);
+        if (delay > 0) {
+            goog.Timer.callOnce(fetch, delay);
+        }
+        else {
+            fetch();
+        }
+    }
+};
+
+
+/**
+ * Schedules another fetch of a link whose fetch failed, if the retry policy allows it. The link
+ * frees its fetch slot while waiting and does not count as crawled until fetched again.
+ *
+ * @param {!string} link link whose fetch failed (link format is linkDepthr>absoluteUrl).
+ * @param {!string} linkUrl url of the link.
+ * @param {!tmc.scraperjs.Response} response response to the failed fetch.
+ *
+ * @return {!boolean} whether the link is to be retried.
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.retryLink_ = function(link, linkUrl, response) {
+    var that = this;
+    var attempts = this.fetchAttempts_[linkUrl] || 1;
+    var status = response.getStatus();
+    var delay = this.getRetryDelay_(attempts, response);
+    var key;
+
+    if (delay === null) {
+        return false;
+    }
+
+    key = this.inFlightLinks_[link] || 0;
+    delete this.inFlightLinks_[link];
+    this.numInFlightFetches_--;
+    this.numCrawledLinks_--;
+    this.fetchAttempts_[linkUrl] = attempts + 1;
+    this.retryingLinks_[link] = key;
+    this.runtime_.log('Retrying ' + linkUrl + ' in ' + delay + ' ms (status ' + status + ', attempt ' + attempts + ')');
+
+    goog.Timer.callOnce(function() {
+        if (that.retryingLinks_[link] !== undefined) {  // Unless a checkpoint has been restored meanwhile
+            delete that.retryingLinks_[link];
+            that.linkQueue_.enqueue(key, link);
+            that.crawlNextLink();
+        }
+    }, delay);
+
+    this.crawlNextLink();                               // Uses the freed fetch slot
+    return true;
+};
+
+
+/**
+ * Computes how long to wait before fetching a url again after a failed fetch, if the retry policy
+ * allows it: exponential backoff with jitter, unless the server says when to come back.
+ *
+ * @param {!number} attempts number of times the url has been fetched so far.
+ * @param {!tmc.scraperjs.Response} response response to the failed fetch.
+ *
+ * @return {?number} delay (expressed in milliseconds) or <code>null</code> if the url is not to be fetched again.
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.getRetryDelay_ = function(attempts, response) {
+    var policy = this.retryPolicy_;
+    var status = response.getStatus();
+    var retryAfter;
+    var delay;
+
+    if ((attempts > policy.maxRetries)
+        || !((status === 0) ? goog.array.contains(policy.errorCodes, response.getLastErrorCode())
+            : goog.array.contains(policy.statuses, status))) {
+        return null;
+    }
+
+    delay = Math.min(policy.maxDelay, policy.initialDelay * Math.pow(2, attempts - 1));
+    delay = Math.round(delay * (1 - policy.jitter * Math.random()));
+    retryAfter = tmc.ScraperJS.parseRetryAfter_(response.getResponseHeader('Retry-After'), (new Date()).getTime());
+    if (retryAfter !== null) {
+        if (retryAfter > policy.maxDelay) {
+            return null;
+        }
+        delay = retryAfter;
+    }
+
+    return delay;
+};
+
+
+/**
+ * Parses the value of a Retry-After header (a number of seconds or an http date).
+ *
+ * @param {string|undefined} value value of the header.
+ * @param {!number} now current time (expressed in milliseconds since the epoch).
+ *
+ * @return {?number} amount of time to wait (expressed in milliseconds) or <code>null</code> if absent or invalid.
+ *
+ * @private
+ */
+tmc.ScraperJS.parseRetryAfter_ = function(value, now) {
+    var date;
+
+    if (value === undefined) {
+        return null;
+    }
+    if (/^\s*\d+\s*$/.test(value)) {
+        return parseInt(value, 10) * 1000;
+    }
+
+    date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - now);
+};
+
+
+/**
+ * Puts a link whose fetch has been abandoned (the crawl was stopped) back into the queue.
+ *
+ * @param {!string} link link to requeue (link format is linkDepthr>absoluteUrl).
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.requeueLink_ = function(link) {
+    this.linkQueue_.enqueue(this.inFlightLinks_[link] || 0, link);
+    delete this.inFlightLinks_[link];
+    this.numInFlightFetches_--;
+    this.numCrawledLinks_--;
+};
+
+
+/**
+ * Checks the next urls the crawl did not fetch (see <code>setCheckLinks</code>), keeping up to
+ * <code>maxConcurrentFetches_</code> checks in flight.
+ *
+ * @return {!boolean} whether checks are in flight (the crawl is over once they have all settled).
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.checkNextLinks_ = function() {
+    if (this.linkCheckQueue_ === null) {
+        this.linkCheckQueue_ = this.linkChecker_.getUncheckedUrls();
+        this.runtime_.log('Checking ' + this.linkCheckQueue_.length
+            + ((this.linkCheckQueue_.length === 1) ? ' link' : ' links'));
+    }
+
+    while ((this.numInFlightLinkChecks_ < this.maxConcurrentFetches_) && (this.linkCheckQueue_.length > 0)) {
+        this.checkLink_(this.linkCheckQueue_.shift());
+    }
+
+    return this.numInFlightLinkChecks_ > 0;
+};
+
+
+/**
+ * Checks a url with HEAD, falling back to GET if the server answers HEAD with an error (timeouts excepted),
+ * or with GET right away if the anchors of the page are needed to check the fragments of the links to it.
+ *
+ * @param {!string} url url to check (without fragment).
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.checkLink_ = function(url) {
+    var that = this;
+    var method = this.linkChecker_.hasFragments(url) ? 'GET' : 'HEAD';
+    var delay;
+
+    function fetch() {
+        if (!that.isCrawling_) {                           // Stopped while waiting for the Crawl-delay
+            that.abandonLinkCheck_();
+            return;
+        }
+        that.runtime_.fetch(
+            url,
+            that.maxLinkFetchTime_,                        // timeout
+            function(response) {
+                if (!that.isCrawling_) {                   // Stopped while checking
+                    that.abandonLinkCheck_();
+                    return;
+                }
+                if ((method === 'HEAD') && !response.isSuccess()
+                    && (response.getLastErrorCode() !== goog.net.ErrorCode.TIMEOUT)) {
+                    method = 'GET';                        // Some servers do not support HEAD
+                    fetch();
+                    return;
+                }
+
+                that.linkChecker_.recordResponse(url, response);
+                if ((method === 'GET') && response.isSuccess()) {
+                    that.recordCheckedAnchors_(response);
+                }
+                that.numInFlightLinkChecks_--;
+                that.crawlNextLink();
+            },
+            method === 'GET',
+            method
+        );
+    }
+
+    this.numInFlightLinkChecks_++;                         // Waiting for the Crawl-delay counts as in flight
+    delay = this.getFetchDelay_(url);
+    if (delay > 0) {
+        goog.Timer.callOnce(fetch, delay);
+    }
+    else {
+        fetch();
+    }
+};
+
+
+/**
+ * Gives up a link check because the crawl was stopped: the urls left are gathered again once resumed.
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.abandonLinkCheck_ = function() {
+    this.linkCheckQueue_ = null;
+    this.numInFlightLinkChecks_--;
+};
+
+
+/**
+ * Records the anchors of a page fetched by a link check, if it is an html page.
+ *
+ * @param {!tmc.scraperjs.Response} response successful response to a GET link check.
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.recordCheckedAnchors_ = function(response) {
+    var bytes = response.getResponseBytes() || new Uint8Array(goog.crypt.stringToUtf8ByteArray(response.getResponseText()));
+    var header = goog.crypt.utf8ByteArrayToString(bytes.subarray(0, tmc.scraperjs.Mime.SNIFF_LENGTH));
+    var charset;
+
+    if (this.detectMime(header, bytes, response).mime === 'text/html') {
+        charset = tmc.scraperjs.Charset.detect(bytes, response.getResponseHeader('Content-Type'), 'text/html');
+        this.linkChecker_.recordAnchors(response.getLastUri(),
+            tmc.scraperjs.Html.extractAnchors(tmc.scraperjs.Charset.decode(bytes, charset.encoding)));
+    }
+};
+
+
+/**
+ * Returns the crawl state as a JSON serializable object: the queue (links being fetched or waiting to be
+ * retried included), the links seen so far, the results collected by the array sinks (e.g. export sinks),
+ * the rejected and failed links, the counters, the statistics, the link graph and the link checks. Links waiting for a robots.txt file lose their context (element, rel, hints...).
+ *
+ * @return {!Object} crawl state (see <code>restoreCheckpoint</code>).
+ */
+tmc.ScraperJS.prototype.getCheckpoint = function() {
+    var keys = this.linkQueue_.getKeys();
+    var values = this.linkQueue_.getValues();
+    var l = keys.length;
+    var queue = [];
+    var numInFlightLinks = 0;
+    var waitingLinks = [];
+    var results = [];
+
+    for (var i = 0; i < l; i++) {
+        queue.push([keys[i], values[i]]);
+    }
+    for (var link in this.inFlightLinks_) {             // Links being fetched are crawled again once resumed
+        queue.push([this.inFlightLinks_[link], link]);
+        numInFlightLinks++;
+    }
+    for (link in this.retryingLinks_) {                 // Links waiting to be retried are retried right away
+        queue.push([this.retryingLinks_[link], link]);
+    }
+
+    goog.object.forEach(this.robotsTxtWaitingLinks_, function(links) {
+        goog.array.forEach(links, function(link) {
+            waitingLinks.push({'url': link.url, 'depth': link.depth, 'hash': link.hash, 'referrer': link.referrer});
+        });
+    });
+
+    goog.array.forEach(this.resultSinks_, function(sink) {
+        if (sink instanceof tmc.scraperjs.ArraySink) {
+            results.push(goog.array.clone(sink.getRecords()));
+        }
+    });
+
+    return {
+        'version': tmc.ScraperJS.CHECKPOINT_VERSION,
+        'seedUrl': this.seedUrl_,
+        'startTime': this.startTime_,
+        'elapsedTime': this.getElapsedTime(),
+        'numCrawledLinks': this.numCrawledLinks_ - numInFlightLinks,
+        'highestLinkPriority': this.highestLinkPriority_,
+        'lowestLinkPriority': this.lowestLinkPriority_,
+        'queue': queue,
+        'linkStatuses': goog.object.clone(this.linkStatuses_),
+        'waitingLinks': waitingLinks,
+        'uniqueResults': goog.object.map(this.uniqueResults_, function(record) {
+            return {'sources': goog.array.clone(record['sources']), 'occurrences': record['occurrences']};
+        }),
+        'rejectedLinks': goog.array.clone(this.rejectedLinks_),
+        'failedLinks': goog.array.clone(this.failedLinks_),
+        'fetchAttempts': goog.object.clone(this.fetchAttempts_),
+        'referrers': goog.object.clone(this.referrers_),
+        'stats': this.stats_.getState(),
+        'linkGraph': this.linkGraph_.getState(),
+        'linkChecker': this.linkChecker_.getState(),
+        'results': results
+    };
+};
+
+
+/**
+ * Restores a crawl state returned by <code>getCheckpoint</code>. The crawl is left paused:
+ * call <code>resume</code> to continue it where it left off.
+ *
+ * The records are handed back to the array sinks (e.g. export sinks) in the order they were saved,
+ * so the same array sinks have to be set up before restoring.
+ *
+ * @param {!Object} checkpoint crawl state.
+ */
+tmc.ScraperJS.prototype.restoreCheckpoint = function(checkpoint) {
+    var now = (new Date()).getTime();
+    var results = checkpoint['results'] || [];
+    var that = this;
+    var i = 0;
+
+    if (checkpoint['version'] !== tmc.ScraperJS.CHECKPOINT_VERSION) {
+        throw Error('Unsupported checkpoint version: ' + checkpoint['version']);
+    }
+    if (this.isCrawling_) {
+        throw Error('Cannot restore a checkpoint while crawling');
+    }
+
+    this.linkQueue_ = new goog.structs.PriorityQueue();
+    goog.array.forEach(checkpoint['queue'], function(entry) {
+        that.linkQueue_.enqueue(entry[0], entry[1]);
+    });
+
+    this.seedUrl_ = checkpoint['seedUrl'] || null;
+    this.startTime_ = checkpoint['startTime'] || null;
+    this.report_ = null;
+    this.linkStatuses_ = goog.object.clone(checkpoint['linkStatuses']);
+    this.uniqueResults_ = {};
+    if (goog.isArrayLike(checkpoint['uniqueResults'])) {     // Hashes only, as saved by earlier releases
+        goog.array.forEach(checkpoint['uniqueResults'], function(hash) {
+            that.uniqueResults_[hash] = {'sources': [], 'occurrences': 1};
+        });
+    }
+    else {
+        goog.object.forEach(checkpoint['uniqueResults'], function(aggregate, hash) {
+            that.uniqueResults_[hash] = {'sources': goog.array.clone(aggregate['sources']), 'occurrences': aggregate['occurrences']};
+        });
+    }
+    this.rejectedLinks_ = goog.array.clone(checkpoint['rejectedLinks']);
+    this.failedLinks_ = goog.array.clone(checkpoint['failedLinks'] || []);
+    this.fetchAttempts_ = goog.object.clone(checkpoint['fetchAttempts'] || {});
+    this.referrers_ = goog.object.clone(checkpoint['referrers'] || {});
+    this.stats_ = new tmc.scraperjs.CrawlStats(checkpoint['stats']);
+    this.linkGraph_ = new tmc.scraperjs.LinkGraph(checkpoint['linkGraph']);
+    this.linkChecker_ = new tmc.scraperjs.LinkChecker(checkpoint['linkChecker']);
+    this.linkCheckQueue_ = null;
+    this.numInFlightLinkChecks_ = 0;
+    this.retryingLinks_ = {};
+    this.numCrawledLinks_ = checkpoint['numCrawledLinks'];
+    this.highestLinkPriority_ = checkpoint['highestLinkPriority'];
+    this.lowestLinkPriority_ = checkpoint['lowestLinkPriority'];
+    this.inFlightLinks_ = {};
+    this.numInFlightFetches_ = 0;
+
+    goog.array.forEach(this.resultSinks_, function(sink) {
+        if (sink instanceof tmc.scraperjs.ArraySink) {
+            sink.clear();
+            goog.array.forEach(results[i++] || [], function(record) {
+                sink.write(that.relinkUniqueResult_(record));
+            });
+        }
+    });
+
+    this.startCrawlTime_ = now - checkpoint['elapsedTime'];
+    this.pauseTime_ = now;
+    this.isPaused_ = true;
+
+    this.robotsTxtWaitingLinks_ = {};
+    goog.array.forEach(checkpoint['waitingLinks'], function(link) {
+        delete that.linkStatuses_[link['hash']];
+        that.admitLink_(link['url'], link['depth'], link['hash'], undefined, link['referrer'] || undefined);
+    });
+};
+
+
+/**
+ * Saves a checkpoint of the crawl (see <code>getCheckpoint</code>) through the runtime
+ * (IndexedDB in the browser, a file under Node.js) under the checkpoint name.
+ *
+ * @param {function(boolean)=} opt_callback function called with whether the checkpoint has been saved.
+ */
+tmc.ScraperJS.prototype.saveCheckpoint = function(opt_callback) {
+    var that = this;
+    var name = this.checkpointName_;
+
+    this.lastCheckpointTime_ = (new Date()).getTime();
+    this.runtime_.saveState(name, JSON.stringify(this.getCheckpoint()), function(saved) {
+        if (!saved) {
+            that.runtime_.log('Could not save the checkpoint ' + name);
+        }
+        if (opt_callback) {
+            opt_callback(saved);
+        }
+    });
+};
+
+
+/**
+ * Loads the checkpoint saved under the checkpoint name and restores it (see <code>restoreCheckpoint</code>).
+ * Call <code>resume</code> once loaded to continue the crawl.
+ *
+ * @param {function(boolean)=} opt_callback function called with whether a checkpoint has been loaded.
+ */
+tmc.ScraperJS.prototype.loadCheckpoint = function(opt_callback) {
+    var that = this;
+    var name = this.checkpointName_;
+
+    this.runtime_.loadState(name, function(content) {
+        var loaded = false;
+
+        if (content !== null) {
+            try {
+                that.restoreCheckpoint(/** @type {!Object} */ (JSON.parse(content)));
+                loaded = true;
+            }
+            catch (e) {
+                that.runtime_.log('Could not load the checkpoint ' + name + ': ' + e.message);
+            }
+        }
+        if (opt_callback) {
+            opt_callback(loaded);
+        }
+    });
 };
 
 
 /**
- * @return {!number} maximum number of links to crawl (0 for unlimited).
+ * Returns the crawl settings as a profile: a JSON serializable record that <code>loadProfile</code>
+ * applies to another scraper (e.g. shared through <code>tmc.scraperjs.Profile</code>). It holds the limits,
+ * robots.txt, retry, url normalization, scope, checkpoint, crawl strategy and link graph settings, the link priority
+ * rules, the mime sniffers, the data extractors (schemas included), the link extractors and the built-in
+ * extractors.
+ *
+ * Regular expressions are stored as <code>{'pattern': ..., 'flags': ...}</code> and functions as
+ * <code>{'function': name}</code>, their name being the one they have been registered under (see
+ * <code>registerFunction</code>).
+ *
+ * @return {!Object} profile.
+ *
+ * @throws {Error} if a function has not been registered.
  */
-tmc.ScraperJS.prototype.getMaxCrawledLinks = function() {
-    return this.maxCrawledLinks_;
+tmc.ScraperJS.prototype.exportProfile = function() {
+    var retryPolicy = this.retryPolicy_;
+    var normalization = this.urlNormalizer_.getOptions();
+    var scope = this.scopePolicy_.getOptions();
+    var encode = goog.bind(this.encodeProfileValue_, this);
+
+    return {
+        'version': tmc.ScraperJS.PROFILE_VERSION,
+        'maxCrawlTime': this.maxCrawlTime_,
+        'maxCrawlDepth': this.maxCrawlDepth_,
+        'maxCrawledLinks': this.maxCrawledLinks_,
+        'maxLinkFetchTime': this.maxLinkFetchTime_,
+        'maxConcurrentFetches': this.maxConcurrentFetches_,
+        'respectRobotsTxt': this.respectRobotsTxt_,
+        'userAgentToken': this.userAgentToken_,
+        'retryPolicy': {
+            'maxRetries': retryPolicy.maxRetries,
+            'initialDelay': retryPolicy.initialDelay,
+            'maxDelay': retryPolicy.maxDelay,
+            'jitter': retryPolicy.jitter,
+            'statuses': goog.array.clone(retryPolicy.statuses),
+            'errorCodes': goog.array.clone(retryPolicy.errorCodes)
+        },
+        'urlNormalization': {
+            'lowercaseHost': normalization.lowercaseHost,
+            'punycode': normalization.punycode,
+            'removeDefaultPort': normalization.removeDefaultPort,
+            'normalizePercentEncoding': normalization.normalizePercentEncoding,
+            'removeParams': encode(normalization.removeParams, 'urlNormalization'),
+            'sortQuery': normalization.sortQuery,
+            'removeDirectoryIndex': normalization.removeDirectoryIndex,
+            'removeTrailingSlash': normalization.removeTrailingSlash,
+            'lowercasePath': normalization.lowercasePath,
+            'honorCanonical': normalization.honorCanonical
+        },
+        'scopePolicy': {
+            'allowedDomains': goog.array.clone(scope.allowedDomains),
+            'blockedDomains': goog.array.clone(scope.blockedDomains),
+            'allowSchemeUpgrade': scope.allowSchemeUpgrade,
+            'forceHttps': scope.forceHttps,
+            'includePaths': encode(scope.includePaths, 'scopePolicy'),
+            'excludePaths': encode(scope.excludePaths, 'scopePolicy')
+        },
+        'checkpointName': this.checkpointName_,
+        'checkpointInterval': this.checkpointInterval_,
+        'crawlStrategy': this.crawlStrategy_,
+        'linkPriorityDepthDecay': this.linkPriorityDepthDecay_,
+        'captureLinkGraph': this.captureLinkGraph_,
+        'checkLinks': this.checkLinks_,
+        'linkPriorityRules': goog.array.map(this.linkPriorityRules_, function(rule) {
+            if (typeof rule === 'function') {
+                return encode(rule, 'linkPriorityRules');
+            }
+            return {
+                'regex': encode(rule.regex, 'linkPriorityRules'),
+                'element': rule.element,
+                'attribute': rule.attribute,
+                'rel': rule.rel,
+                'priority': rule.priority
+            };
+        }),
+        'mimeSniffers': (this.mimeSniffers_ === null) ? null : goog.array.map(this.mimeSniffers_, function(sniffer) {
+            return {'regex': encode(sniffer.regex, 'mimeSniffers'), 'mime': sniffer.mime};
+        }),
+        'dataExtractors': (this.dataExtractors_ === null) ? null : goog.object.map(this.dataExtractors_, function(extractor, mime) {
+            return (extractor instanceof tmc.scraperjs.Schema)
+                ? {'schema': encode(extractor.getDefinition(), 'dataExtractors ' + mime)}
+                : encode(extractor, 'dataExtractors ' + mime);
+        }),
+        'linkExtractors': goog.object.map(this.linkExtractors_, function(extractor, mime) {
+            return encode(extractor, 'linkExtractors ' + mime);
+        }),
+        'builtInExtractors': goog.array.clone(this.builtInExtractors_),
+        'extractorOptions': {'defaultCallingCode': this.extractorOptions_.defaultCallingCode}
+    };
 };
 
 
 /**
- * Sets the maximum amount of time allowed for fetching a link (expressed in milliseconds, 0 for unlimited).
+ * Applies a profile returned by <code>exportProfile</code> (its JSON serialization or its record).
+ * Settings the profile omits are left unchanged.
  *
- * @param {!number} maxLinkFetchTime maximum amount of time allowed for fetching a link (expressed in milliseconds, 0 for unlimited).
+ * @param {(!string|!Object)} profile profile.
  *
  * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ *
+ * @throws {Error} if the profile is invalid, refers to an unregistered function or to an unknown
+ *     built-in extractor or crawl strategy.
  */
-tmc.ScraperJS.prototype.setMaxLinkFetchTime = function(maxLinkFetchTime) {
-    this.maxLinkFetchTime_ = maxLinkFetchTime;
+tmc.ScraperJS.prototype.loadProfile = function(profile) {
+    var decode = goog.bind(this.decodeProfileValue_, this);
+    var retryPolicy;
+    var normalization;
+    var scope;
+    var options;
+
+    if (typeof profile === 'string') {
+        profile = /** @type {!Object} */ (JSON.parse(profile));
+    }
+    if (!goog.isObject(profile) || (profile['version'] !== tmc.ScraperJS.PROFILE_VERSION)) {
+        throw Error('Unsupported profile version: ' + (goog.isObject(profile) ? profile['version'] : profile));
+    }
+
+    goog.object.forEach(tmc.ScraperJS.PROFILE_SETTERS_, function(setter, key) {
+        if (profile[key] !== undefined) {
+            setter.call(this, profile[key]);
+        }
+    }, this);
+
+    if (profile['retryPolicy'] !== undefined) {
+        retryPolicy = profile['retryPolicy'];
+        this.setRetryPolicy(tmc.ScraperJS.omitUndefined_({
+            maxRetries: retryPolicy['maxRetries'],
+            initialDelay: retryPolicy['initialDelay'],
+            maxDelay: retryPolicy['maxDelay'],
+            jitter: retryPolicy['jitter'],
+            statuses: retryPolicy['statuses'],
+            errorCodes: retryPolicy['errorCodes']
+        }));
+    }
+    if (profile['urlNormalization'] !== undefined) {
+        normalization = profile['urlNormalization'];
+        this.setUrlNormalization(tmc.ScraperJS.omitUndefined_({
+            lowercaseHost: normalization['lowercaseHost'],
+            punycode: normalization['punycode'],
+            removeDefaultPort: normalization['removeDefaultPort'],
+            normalizePercentEncoding: normalization['normalizePercentEncoding'],
+            removeParams: decode(normalization['removeParams']),
+            sortQuery: normalization['sortQuery'],
+            removeDirectoryIndex: normalization['removeDirectoryIndex'],
+            removeTrailingSlash: normalization['removeTrailingSlash'],
+            lowercasePath: normalization['lowercasePath'],
+            honorCanonical: normalization['honorCanonical']
+        }));
+    }
+    if (profile['scopePolicy'] !== undefined) {
+        scope = profile['scopePolicy'];
+        this.setScopePolicy(tmc.ScraperJS.omitUndefined_({
+            allowedDomains: scope['allowedDomains'],
+            blockedDomains: scope['blockedDomains'],
+            allowSchemeUpgrade: scope['allowSchemeUpgrade'],
+            forceHttps: scope['forceHttps'],
+            includePaths: decode(scope['includePaths']),
+            excludePaths: decode(scope['excludePaths'])
+        }));
+    }
+
+    if (profile['linkPriorityRules'] !== undefined) {
+        this.setLinkPriorityRules(goog.array.map(profile['linkPriorityRules'], function(rule) {
+            if (rule['function'] !== undefined) {
+                return decode(rule);
+            }
+            return tmc.ScraperJS.omitUndefined_({
+                regex: decode(rule['regex']),
+                element: rule['element'],
+                attribute: rule['attribute'],
+                rel: rule['rel'],
+                priority: rule['priority']
+            });
+        }));
+    }
+    if (profile['mimeSniffers'] !== undefined) {
+        this.setMimeSniffers((profile['mimeSniffers'] === null) ? null : goog.array.map(profile['mimeSniffers'], function(sniffer) {
+            return {regex: decode(sniffer['regex']), mime: sniffer['mime']};
+        }));
+    }
+    if (profile['dataExtractors'] !== undefined) {
+        this.setDataExtractors((profile['dataExtractors'] === null) ? null : goog.object.map(profile['dataExtractors'], function(extractor) {
+            return (extractor['schema'] !== undefined) ? new tmc.scraperjs.Schema(/** @type {!Object} */ (decode(extractor['schema']))) : decode(extractor);
+        }));
+    }
+    if (profile['linkExtractors'] !== undefined) {
+        this.setLinkExtractors(goog.object.map(profile['linkExtractors'], decode));
+    }
+    if ((profile['builtInExtractors'] !== undefined) || (profile['extractorOptions'] !== undefined)) {
+        options = profile['extractorOptions'] || {};
+        this.setBuiltInExtractors(profile['builtInExtractors'] || this.builtInExtractors_,
+            tmc.ScraperJS.omitUndefined_({defaultCallingCode: options['defaultCallingCode']}));
+    }
+
     return this;
 };
 
 
 /**
- * @return {!number} maximum amount of time allowed for fetching a link (expressed in milliseconds, 0 for unlimited).
+ * Setters of the profile's scalar settings, by key.
+ *
+ * @type {!Object.<string,!Function>}
+ * @const
+ * @private
  */
-tmc.ScraperJS.prototype.getMaxLinkFetchTime = function() {
-    return this.maxLinkFetchTime_;
+tmc.ScraperJS.PROFILE_SETTERS_ = {
+    'maxCrawlTime': tmc.ScraperJS.prototype.setMaxCrawlTime,
+    'maxCrawlDepth': tmc.ScraperJS.prototype.setMaxCrawlDepth,
+    'maxCrawledLinks': tmc.ScraperJS.prototype.setMaxCrawledLinks,
+    'maxLinkFetchTime': tmc.ScraperJS.prototype.setMaxLinkFetchTime,
+    'maxConcurrentFetches': tmc.ScraperJS.prototype.setMaxConcurrentFetches,
+    'respectRobotsTxt': tmc.ScraperJS.prototype.setRespectRobotsTxt,
+    'userAgentToken': tmc.ScraperJS.prototype.setUserAgentToken,
+    'checkpointName': tmc.ScraperJS.prototype.setCheckpointName,
+    'checkpointInterval': tmc.ScraperJS.prototype.setCheckpointInterval,
+    'crawlStrategy': tmc.ScraperJS.prototype.setCrawlStrategy,
+    'linkPriorityDepthDecay': tmc.ScraperJS.prototype.setLinkPriorityDepthDecay,
+    'captureLinkGraph': tmc.ScraperJS.prototype.setCaptureLinkGraph,
+    'checkLinks': tmc.ScraperJS.prototype.setCheckLinks
 };
 
 
 /**
- * Sets the array of mime sniffers that will be used to determine the mime type of a document based on its first 512 characters.
- *
- * A mime sniffer is a rule consisting of (1) a regular expression (the "if" part) and (2) a mime type (the "then" part) 
- * that will be used when the regular expression matches against the document's content.
+ * Encodes a setting for a profile: regular expressions become <code>{'pattern': ..., 'flags': ...}</code>
+ * records and functions <code>{'function': name}</code> records, arrays and objects being encoded recursively.
  *
- * Here is an exemple:
- * <code>
- * [
- *   {regex: /^\s*<(?:!DOCTYPE\s+HTML|HTML|HEAD|SCRIPT|IFRAME|H1|DIV|FONT|TABLE|A|STYLE|TITLE|B|BODY|BR|P|!--)[\s>]/i, mime:'text/html'},
- *   {regex: /^%PDF-/, mime:'application/pdf'}
- * ]
- * </code>
+ * @param {*} value value to encode.
+ * @param {!string} setting setting the value belongs to (for error messages).
  *
- * Here is how the logic works:
- * 1. Select the first mime sniffer's regular expression and match it against the document's content
- * 2. If the match is successful, assign the sniffer's mime type value to the document and stop there
- * 3. If the match is not successful, go to the next sniffer in the array
- * 4. If nor sniffer match, set the document's mime type to null
+ * @return {*} encoded value.
  *
- * @param {?Array.<{regex:!RegExp, mime:string}>} mimeSniffers array of mime sniffers.
+ * @throws {Error} if a function has not been registered.
  *
- * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ * @private
  */
-tmc.ScraperJS.prototype.setMimeSniffers = function(mimeSniffers) {
-    this.mimeSniffers_ = mimeSniffers;
-    return this;    
+tmc.ScraperJS.prototype.encodeProfileValue_ = function(value, setting) {
+    var that = this;
+    var name;
+
+    if (value instanceof RegExp) {
+        return {'pattern': value.source, 'flags': value.flags};
+    }
+    if (typeof value === 'function') {
+        name = goog.object.findKey(this.functions_, function(func) {
+            return func === value;
+        });
+        if (name === undefined) {
+            throw Error('Unregistered function in ' + setting + ' (see registerFunction)');
+        }
+        return {'function': name};
+    }
+    if (Array.isArray(value)) {
+        return goog.array.map(value, function(item) {
+            return that.encodeProfileValue_(item, setting);
+        });
+    }
+    if (goog.isObject(value)) {
+        return goog.object.map(value, function(item) {
+            return that.encodeProfileValue_(item, setting);
+        });
+    }
+
+    return value;
 };
 
 
 /**
- * Sets the map of data extractors that will be used to extract data from a document. 
+ * Decodes a setting of a profile (see <code>encodeProfileValue_</code>).
  *
- * The format is the following:
- * <code>
- * {
- *   'mime/type1': function1,
- *   'mime/type2': function2
- *   ...
- * }
- * </code>
+ * @param {*} value value to decode.
  *
- * Here is how the logic works:
- * 1. Select the function corresponding to the document's mime type
- * 2. Execute the function
+ * @return {*} decoded value.
  *
- * @param {?Object.<!string,!function(string)>} dataExtractors maps of data extractors.
+ * @throws {Error} if a function has not been registered.
  *
- * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ * @private
  */
-tmc.ScraperJS.prototype.setDataExtractors = function(dataExtractors) {
-    this.dataExtractors_ = dataExtractors;
-    return this;
-}
+tmc.ScraperJS.prototype.decodeProfileValue_ = function(value) {
+    var that = this;
+    var func;
+
+    if (Array.isArray(value)) {
+        return goog.array.map(value, function(item) {
+            return that.decodeProfileValue_(item);
+        });
+    }
+    if (!goog.isObject(value)) {
+        return value;
+    }
+    if ((typeof value['pattern'] === 'string') && (goog.object.getCount(value) === 2) && (typeof value['flags'] === 'string')) {
+        return new RegExp(value['pattern'], value['flags']);
+    }
+    if ((typeof value['function'] === 'string') && (goog.object.getCount(value) === 1)) {
+        func = this.functions_[value['function']];
+        if (func === undefined) {
+            throw Error('Unregistered function: ' + value['function']);
+        }
+        return func;
+    }
+
+    return goog.object.map(value, function(item) {
+        return that.decodeProfileValue_(item);
+    });
+};
 
 
 /**
- * Sets the map of link extractors that will be used to extract links from a document. 
+ * @param {!Object} options options (e.g. scope options).
  *
- * The format is the following:
- * <code>
- * {
- *   'mime/type1': regex1,
- *   'mime/type2': regex2
- *   ...
- * }
- * </code>
+ * @return {!Object} copy of the options without their undefined ones (so they keep their default value).
  *
- * Here is how the logic works:
- * 1. Select the regular expression corresponding to the document's mime type
- * 2. Match the regular expression against the document's content
- * 3. For each match return the first non-undefined capture block
+ * @private
+ */
+tmc.ScraperJS.omitUndefined_ = function(options) {
+    return goog.object.filter(options, function(value) {
+        return value !== undefined;
+    });
+};
+
+
+/**
+ * Makes a restored record emitted through <code>emitUnique</code> the one its duplicates are aggregated
+ * to (see <code>restoreCheckpoint</code>): the first copy met stands for the record in every array sink.
  *
- * @param {!Object.<!string,!RegExp>} linkExtractors map of link extractors.
+ * @param {!Object} record restored record.
  *
- * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ * @return {!Object} record standing for it.
+ *
+ * @private
  */
-tmc.ScraperJS.prototype.setLinkExtractors = function(linkExtractors) {
-    this.linkExtractors_ = linkExtractors;
-    return this;
-}
+tmc.ScraperJS.prototype.relinkUniqueResult_ = function(record) {
+    var hash;
+    var unique;
+
+    if (record['occurrences'] === undefined) {
+        return record;
+    }
+
+    hash = tmc.ScraperJS.hashRecord_(record);
+    unique = this.uniqueResults_[hash];
+    if (unique === undefined) {
+        return record;
+    }
+    if (unique['type'] === undefined) {                 // First copy met: takes over the saved aggregate
+        record['sources'] = unique['sources'];
+        record['occurrences'] = unique['occurrences'];
+        this.uniqueResults_[hash] = record;
+        return record;
+    }
+
+    return unique;
+};
 
 
 /**
- * Sets the array of priority rules that will be used to compute the priority of a link.
+ * Processes the response to a fetch: decompresses it if gzip compressed, decodes it with its character
+ * encoding (see <code>tmc.scraperjs.Charset.detect</code>) or as a pdf document, then extracts its data and links.
  *
- * A rule consists of (1) a regular expression (the "if" part) and (2) a priority (the "then" part) 
- * that will be used when the regular expression matches against the link.
+ * @param {!tmc.scraperjs.Response} response response to the fetch.
+ * @param {!string} linkUrl url of the fetched link.
+ * @param {!number} linkDepth depth of the fetched link.
+ * @param {!function()} done function called once the response has been processed.
  *
- * Here is an exemple:
- * <code>
- * [
- *   {regex: /page=/, priority: 10},
- *   {regex: /.+/, priority: -20}
- * ]
- * </code>
+ * @private
+ */
+tmc.ScraperJS.prototype.processResponse_ = function(response, linkUrl, linkDepth, done) {
+    var that = this;
+    var fetchTime = (new Date()).toISOString();
+    var bytes;
+    var documentInfo;
+
+    if (this.captureLinkGraph_ && (response.getLastUri() !== linkUrl)) {
+        this.linkGraph_.addRedirect(linkUrl, response.getLastUri());
+    }
+    if (this.checkLinks_) {
+        this.linkChecker_.recordResponse(linkUrl, response);
+    }
+
+    if (!response.isSuccess()) {
+        this.stats_.recordPage(linkDepth, null, this.getElapsedTime());
+        this.recordFetchInLinkGraph_(response, null);
+        this.failLink_(linkUrl, linkDepth, response);
+        done();
+        return;
+    }
+
+    delete this.fetchAttempts_[linkUrl];
+    delete this.referrers_[linkUrl];
+
+    bytes = response.getResponseBytes() || new Uint8Array(goog.crypt.stringToUtf8ByteArray(response.getResponseText()));
+    if (tmc.ScraperJS.isGzip_(bytes)) {
+        this.runtime_.decompress(bytes, 'gzip', function(decompressed) {
+            var decompressedInfo;
+
+            if (decompressed !== null) {                // Sniffed: the Content-Type is the compressed file's
+                decompressedInfo = that.getDocumentInfo_(response.getLastUri(), linkDepth, fetchTime, decompressed);
+                that.stats_.recordPage(linkDepth, decompressedInfo['mime'], that.getElapsedTime());
+                that.recordFetchInLinkGraph_(response, decompressedInfo['mime']);
+                that.processDocument_(tmc.scraperjs.Charset.decode(decompressed, decompressedInfo['encoding']),
+                                      decompressedInfo, linkDepth);
+            }
+            else {
+                that.stats_.recordPage(linkDepth, null, that.getElapsedTime());
+                that.recordFetchInLinkGraph_(response, null);
+                that.dispatch_(tmc.ScraperJS.EventType.ERROR, {
+                    'url': linkUrl,
+                    'depth': linkDepth,
+                    'status': response.getStatus(),
+                    'message': 'Gzip decompression failed'
+                });
+            }
+            done();
+        });
+        return;
+    }
+
+    documentInfo = this.getDocumentInfo_(response.getLastUri(), linkDepth, fetchTime, bytes, response);
+    this.stats_.recordPage(linkDepth, documentInfo['mime'], this.getElapsedTime());
+    this.recordFetchInLinkGraph_(response, documentInfo['mime']);
+    if (documentInfo['mime'] === 'application/pdf') {
+        this.processPdf_(bytes, documentInfo, linkDepth, done);
+        return;
+    }
+
+    this.processDocument_(tmc.scraperjs.Charset.decode(bytes, documentInfo['encoding']), documentInfo, linkDepth);
+    done();
+};
+
+
+/**
+ * Records the outcome of a fetch in the link graph, if captured.
  *
- * The prioroity can be: 
- * <code>integer</code>: a positive or negative number (the bigger, the higher the prioroity)
- * <code>'++'</code>: highest prioroity encountered so far + 1
- * <code>'--'</code>: lowest priority encountered so far - 1
- * <code>null</code>: tells the crawler to ignore this link
+ * @param {!tmc.scraperjs.Response} response response to the fetch.
+ * @param {?string} mime mime type of the document (<code>null</code> if the fetch failed).
  *
- * Here is how the logic works:
- * 1. Select the first rule's regular expression and match it against a link
- * 2. If the match is successful, assign the rule's priority value to the link and stop there
- * 3. If the match is not successful, go to the next rule in the array
- * 4. If no rule match, set the link's prioroity to 0
+ * @private
+ */
+tmc.ScraperJS.prototype.recordFetchInLinkGraph_ = function(response, mime) {
+    if (this.captureLinkGraph_) {
+        this.linkGraph_.recordFetch(response.getLastUri(), response.getStatus(), mime);
+    }
+};
+
+
+/**
+ * Builds the information about a document handed over to the extractors: a record holding its
+ * url (<code>'url'</code>), the depth of the link pointing to it (<code>'depth'</code>), when it was fetched
+ * (<code>'fetchTime'</code>, ISO 8601), its mime type (<code>'mime'</code>, see <code>detectMime</code>), how the
+ * mime type was determined (<code>'mimeSource'</code>, see <code>tmc.scraperjs.Mime.Source</code>), its
+ * Content-Type header (<code>'contentType'</code>, <code>null</code> if none), its character encoding
+ * (<code>'encoding'</code>, <code>null</code> for pdf documents) and how the encoding was determined
+ * (<code>'encodingSource'</code>, see <code>tmc.scraperjs.Charset.Source</code>).
  *
- * @param {Array.<{regex:!RegExp, priority:(?number|?string)}>} linkPriorityRules array of link priority rules.
+ * @param {!string} linkUrl url the document was retrieved from.
+ * @param {!number} linkDepth depth of the link pointing to the document.
+ * @param {!string} fetchTime when the document was fetched (ISO 8601).
+ * @param {!Uint8Array} bytes bytes of the document.
+ * @param {tmc.scraperjs.Response=} opt_response response the document comes with (none for documents
+ *     extracted from another one, e.g. decompressed).
  *
- * @return {!tmc.ScraperJS} scraper object so as to allow method chaining.
+ * @return {!Object} information about the document.
+ *
+ * @private
  */
-tmc.ScraperJS.prototype.setLinkPriorityRules = function(linkPriorityRules) {
-    this.linkPriorityRules_ = linkPriorityRules;
-    return this;
+tmc.ScraperJS.prototype.getDocumentInfo_ = function(linkUrl, linkDepth, fetchTime, bytes, opt_response) {
+    var contentType = opt_response ? opt_response.getResponseHeader('Content-Type') : undefined;
+    var header = goog.crypt.utf8ByteArrayToString(bytes.subarray(0, tmc.scraperjs.Mime.SNIFF_LENGTH));
+    var detection = this.detectMime(header, bytes, opt_response);   // Sniffers only look at the first bytes
+    var charset = (detection.mime === 'application/pdf') ? null : tmc.scraperjs.Charset.detect(bytes, contentType, detection.mime);
+
+    return {
+        'url': linkUrl,
+        'depth': linkDepth,
+        'fetchTime': fetchTime,
+        'mime': detection.mime,
+        'mimeSource': detection.source,
+        'contentType': contentType || null,
+        'encoding': charset ? charset.encoding : null,
+        'encodingSource': charset ? charset.source : null
+    };
 };
 
 
 /**
- * Initializes the ScraperJS's instance variables to their default value.
+ * Extracts the data and links of a pdf document: data extractors are run on its text whereas the urls
+ * of its link annotations are enqueued (as well as those the link extractors find in its text).
+ *
+ * @param {!Uint8Array} bytes bytes of the pdf document.
+ * @param {!Object} documentInfo information about the document (see <code>getDocumentInfo_</code>).
+ * @param {!number} linkDepth depth of the link pointing to the document.
+ * @param {!function()} done function called once the document has been processed.
+ *
+ * @private
  */
-tmc.ScraperJS.prototype.init = function() {
+tmc.ScraperJS.prototype.processPdf_ = function(bytes, documentInfo, linkDepth, done) {
     var that = this;
-
-    this.maxCrawlTime_ = 0;
-    this.maxCrawlDepth_ = 0;
-    this.maxCrawledLinks_ = 0;
-    this.maxLinkFetchTime_ = 60 * 1000;     // 60 seconds
-    this.startCrawlTime_ = 0;
-    this.mimeSniffers_ =    [
-                                {regex:tmc.ScraperJS.RX_HTML_SNIFFER, mime:'text/html'},
-                                {regex:tmc.ScraperJS.RX_RSS_SNIFFER, mime:'application/rss+xml'},
-                                {regex:tmc.ScraperJS.RX_SITEMAP_SNIFFER, mime:'application/sitemap+xml'},
-                                {regex:tmc.ScraperJS.RX_PDF_SNIFFER, mime:'application/pdf'}
-                            ];
-    this.dataExtractors_ =  {
-                                '*/*':function(content) {
-                                    var rx = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,6}/gi;
-                                    var match;
-                                    var sha1;
-                                    var hash;
-
-                                    while ((match = rx.exec(content)) !== null) {
-                                        sha1 = new goog.crypt.Sha1();
-                                        sha1.update(match[0]);
-                                        hash = goog.crypt.byteArrayToString(sha1.digest());
-
-                                        if (that.uniqueResults_[hash] === undefined) {          // Ignores results previously queued
-                                            that.uniqueResults_[hash] = 1;
-                                            document.write(match[0] + '</br>')
-                                        }
-                                    }
-                                }
-                            };
-    this.linkExtractors_ =  {
-                                'application/rss+xml':tmc.ScraperJS.RX_RSS_URL_EXTRACTOR,
-                                'application/sitemap+xml':tmc.ScraperJS.RX_SITEMAP_URL_EXTRACTOR,
-                                'text/html':tmc.ScraperJS.RX_HTML_URL_EXTRACTOR
-                            };
-    this.linkPriorityRules_ = [];
-    this.highestLinkPriority_ = 0;
-    this.lowestLinkPriority_ = 0;
-    this.linkQueue_ = new goog.structs.PriorityQueue();
-    this.linkStatuses_ = {};
-    this.numCrawledLinks_ = 0;
-    this.uniqueResults_ = [];
+    var linkUrl = documentInfo['url'];
+    var mime = documentInfo['mime'];
+
+    tmc.scraperjs.Pdf.extract(
+        bytes,
+        function(compressed, callback) {
+            that.runtime_.decompress(compressed, 'deflate', callback);
+        },
+        function(pdf) {
+            that.extractData(mime, pdf.text, linkUrl, documentInfo);
+            that.enqueueLinks_(goog.array.map(pdf.links, function(url) {
+                return {url: url};
+            }), new goog.Uri(linkUrl), linkUrl, linkDepth);
+            that.extractLinks(mime, pdf.text, linkUrl, linkDepth, documentInfo);
+            done();
+        });
 };
 
 
 /**
- * Starts the ScraperJS.
+ * Records a link whose fetch failed for good and dispatches the <code>ERROR</code> event.
+ *
+ * @param {!string} linkUrl url of the link.
+ * @param {!number} linkDepth depth of the link.
+ * @param {!tmc.scraperjs.Response} response response to the last failed fetch.
+ *
+ * @private
  */
-tmc.ScraperJS.prototype.start = function() {
-    var now = new Date();
+tmc.ScraperJS.prototype.failLink_ = function(linkUrl, linkDepth, response) {
+    var errorCode = response.getLastErrorCode();
+    var failedLink = {
+        'url': linkUrl,
+        'depth': linkDepth,
+        'status': response.getStatus(),
+        'errorCode': errorCode,
+        'error': response.getLastError(),
+        'attempts': this.fetchAttempts_[linkUrl] || 1,
+        'referrer': this.referrers_[linkUrl] || null
+    };
+
+    delete this.fetchAttempts_[linkUrl];
+    delete this.referrers_[linkUrl];
+    this.failedLinks_.push(failedLink);
+
+    failedLink = goog.object.clone(failedLink);
+    failedLink['message'] = (response.getStatus() === 0) ? failedLink['error'] : 'Http status ' + response.getStatus();
+    this.dispatch_(tmc.ScraperJS.EventType.ERROR, failedLink);
+};
 
-    this.startCrawlTime_ = now.getTime();
-    console.log('Started crawling at ' + now.toLocaleString());
 
-    this.clearAllTimers(window);
+/**
+ * Extracts the data and links of a document.
+ *
+ * @param {!string} content content of the document.
+ * @param {!Object} documentInfo information about the document (see <code>getDocumentInfo_</code>).
+ * @param {!number} linkDepth depth of the link pointing to the document.
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.processDocument_ = function(content, documentInfo, linkDepth) {
+    var linkUrl = documentInfo['url'];
+    var mime = documentInfo['mime'];
 
-    this.enqueueLink(window.location.href, 0);          // Starts the crawl with the current link
-    this.crawlNextLink();    
+    if ((mime !== 'text/html') || !this.urlNormalizer_.honorsCanonical() || !this.isCanonicalDuplicate_(content, linkUrl)) {
+        this.extractData(mime, content, linkUrl, documentInfo);
+    }
+    this.extractLinks(mime, content, linkUrl, linkDepth, documentInfo);
+    if (this.checkLinks_ && (mime === 'text/html')) {
+        this.recordAnchorsAndAssets_(content, linkUrl);
+    }
 };
 
 
 /**
- * Clears all (<code>setTimeout</code> and <code>setInterval</code>) timers so as to prevent 
- * unwanted <code>window.location</code> changes and refreshes.
- * Inspired by {@link http://userscripts.org/scripts/review/12732}
+ * Records the anchors of an html page (to check the fragments of the links to it) and the assets
+ * it loads (to check them, see <code>setCheckLinks</code>).
+ *
+ * @param {!string} content content of the html page.
+ * @param {!string} linkUrl url the page was retrieved from.
  *
- * @param {!Object} objWindow object holding the timers (typically window).
+ * @private
  */
-tmc.ScraperJS.prototype.clearAllTimers = function(objWindow) {
-    var id;
-    var minId;
+tmc.ScraperJS.prototype.recordAnchorsAndAssets_ = function(content, linkUrl) {
+    var objBaseUrl = this.getBaseUrlObj_('text/html', content, new goog.Uri(linkUrl));
+    var that = this;
 
-    // Clears setTimeout timers 
-    id = objWindow.setTimeout(function(){}, 60000);     // Gets the last setTimeout timer id
-    console.log("Last setTimeout id: " + id);
-    minId = Math.max(0, id - 99999999);                 // Limits the number of loops to something reasonable
+    this.linkChecker_.recordAnchors(linkUrl, tmc.scraperjs.Html.extractAnchors(content));
+    goog.array.forEach(tmc.scraperjs.Html.extractAssets(content), function(asset) {
+        var objAssetUrl;
+        var objUrl;
 
-    for (; id >= minId; id--) {                         // Starts with the newest timer and go down
-        try {											
-            objWindow.clearTimeout(id);
+        try {
+            objAssetUrl = new goog.Uri(goog.string.unescapeEntities(asset.url));
+            objUrl = that.getNormalizedUrlObj_(objAssetUrl, objBaseUrl);
         }
-        catch (e) {                                     // Ignores errors
+        catch (e) {
+            return;                                     // Skips urls that throw an exception when parsed
         }
-    }
+        that.addCheckedLink_(objUrl.toString(), objAssetUrl.getFragment(), linkUrl, undefined);
+    });
+};
 
-    // Clears setInterval timers
-    id = objWindow.setInterval(function(){}, 60000);    // Gets the last setInterval timer id
-    console.log("Last setInterval id: " + id);
-    minId = Math.max(0, id - 99999999);                 // Limits the number of loops to something reasonable
 
-    for (; id >= minId; id--) {                         // Starts with the newest timer and go down
-        try {											
-            objWindow.clearInterval(id);
-        }
-        catch (e) {                                     // Ignores errors
-        }
+/**
+ * Records a link to check (see <code>setCheckLinks</code>), unless it is not an http(s) url (mailto:, tel:...).
+ *
+ * @param {!string} url normalized url of the link (without fragment).
+ * @param {string} fragment fragment of the link (empty if none).
+ * @param {!string} referrerUrl url of the page the link was found in.
+ * @param {string|undefined} text anchor text of the link.
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.addCheckedLink_ = function(url, fragment, referrerUrl, text) {
+    if (tmc.ScraperJS.RX_HTTP_URL.test(url)) {
+        this.linkChecker_.addLink(url, fragment || null, referrerUrl, text);
     }
 };
 
 
 /**
- * Crawls the next link in the queue.
+ * Checks the canonical url of an html document. A document whose canonical url has already been
+ * seen is a duplicate. Otherwise the canonical url is recorded so it is not crawled again.
+ *
+ * @param {!string} content content of the html document.
+ * @param {!string} linkUrl url the document was retrieved from.
+ *
+ * @return {!boolean} whether the document is a duplicate of a page already seen.
+ *
+ * @private
  */
-tmc.ScraperJS.prototype.crawlNextLink = function() {
-    var elapsedTime = (new Date()).getTime() - this.startCrawlTime_;
-    var link;
+tmc.ScraperJS.prototype.isCanonicalDuplicate_ = function(content, linkUrl) {
+    var canonicalUrl = tmc.scraperjs.Html.getCanonicalUrl(content);
+    var objLinkUrl;
+    var objUrl;
+    var hash;
 
-    if (((this.maxCrawledLinks_ === 0) || (this.numCrawledLinks_ < this.maxCrawledLinks_))
-        && ((this.maxCrawlTime_ === 0) || (elapsedTime < this.maxCrawlTime_))
-        && !this.linkQueue_.isEmpty()) {
+    if (canonicalUrl === null) {
+        return false;
+    }
 
-        link = this.linkQueue_.dequeue().toString();    // toString is to eliminate a closure warning
-        this.numCrawledLinks_++;
+    objLinkUrl = new goog.Uri(linkUrl);
+    try {
+        objUrl = this.getNormalizedUrlObj_(new goog.Uri(goog.string.unescapeEntities(canonicalUrl)),
+            this.getBaseUrlObj_('text/html', content, objLinkUrl));
+    }
+    catch (e) {
+        return false;                                   // Ignores canonical urls that cannot be parsed
+    }
 
-        if ((this.numCrawledLinks_ % 10) === 0) {   
-            console.log(this.numCrawledLinks_ + ' / ' + this.linkQueue_.getCount() + '    ' + link); 
-        }
-        this.crawlLink(link);
+    objUrl = this.scopePolicy_.check(objUrl, this.getSeedUrlObj_(objLinkUrl)).url;
+    if ((objUrl === null) || (objUrl.toString() === linkUrl)) {     // Out of scope or the page itself
+        return false;
+    }
+
+    hash = tmc.ScraperJS.hashUrl_(objUrl.toString());
+    if (this.linkStatuses_[hash] === undefined) {
+        this.linkStatuses_[hash] = tmc.ScraperJS.LinkStatus.CANONICAL;
+        return false;
     }
+    switch (this.linkStatuses_[hash]) {
+        case tmc.ScraperJS.LinkStatus.REJECTED:
+            return false;
+        default:
+            this.runtime_.log(linkUrl + ' is a duplicate of ' + objUrl.toString());
+            return true;
+    }
+};
+
+
+/**
+ * @param {!Uint8Array} bytes bytes of a document.
+ *
+ * @return {!boolean} whether the bytes start with the gzip magic number.
+ *
+ * @private
+ */
+tmc.ScraperJS.isGzip_ = function(bytes) {
+    return (bytes.length >= 2) && (bytes[0] === 0x1f) && (bytes[1] === 0x8b);
 };
 
 
-/** 
- * Crawls a link (link format is linkDepthr>absoluteUrl).
+/**
+ * Computes how long to wait before fetching a url so as to honor the Crawl-delay of its origin,
+ * and books the corresponding time slot.
  *
- * @param {!string} link link to visit (link format is linkDepthr>absoluteUrl).
+ * @param {!string} url url about to be fetched.
+ *
+ * @return {!number} amount of time to wait (expressed in milliseconds).
+ *
+ * @private
  */
-tmc.ScraperJS.prototype.crawlLink = function(link) {
-    var match = link.match(tmc.ScraperJS.RX_PARSE_LINK);   // Extracts link depth and url
-    var that = this;
+tmc.ScraperJS.prototype.getFetchDelay_ = function(url) {
+    var origin;
+    var robotsTxt;
+    var now;
+    var wait;
+
+    if (!this.respectRobotsTxt_) {
+        return 0;
+    }
 
-    if (match !== null) {
-    	goog.net.XhrIo.send(
-        	match[2],                                      // match[2] is the link url
-        	function(e) {
-        		var xhr = e.target;
-                var content;
-                var mime;
-        		if (xhr.isSuccess()) {
-                    content = xhr.getResponseText();
-                    mime = that.sniffMime(content);
-                    that.extractData(mime, content);
-	                that.extractLinks(
-                        mime,
-                        content, 
-                        xhr.getLastUri(), 
-                        parseInt(match[1], 10));           // match[1] is the link depth
-	                that.crawlNextLink();
-                }
-                else {
-                    that.crawlNextLink();                  // Ignores errors for the time being
-            	}
-        	},
-        	'GET', 
-            undefined,
-            undefined,
-        	this.maxLinkFetchTime_                         // timeout                    
-        );
+    origin = tmc.ScraperJS.getOrigin_(new goog.Uri(url));
+    robotsTxt = this.robotsTxts_[origin];
+    if (!robotsTxt || (robotsTxt.getCrawlDelay() === 0)) {
+        return 0;
     }
+
+    now = (new Date()).getTime();
+    wait = Math.max(0, (this.nextFetchTimes_[origin] || 0) - now);
+    this.nextFetchTimes_[origin] = now + wait + robotsTxt.getCrawlDelay() * 1000;
+
+    return wait;
 };
 
 
@@ -814,18 +3587,21 @@ tmc.ScraperJS.prototype.crawlLink = function(link) {
  * 3. If the match is not successful, go to the next sniffer in the array
  * 4. If nor sniffer match, return <code>null</code>
  *
+ * Sniffers whose mime type does not pass the optional filter are skipped.
+ *
  * @param {!string} content document's content.
+ * @param {function(string):boolean=} opt_filter function telling whether a sniffer's mime type can be sniffed.
  *
  * @return {?string} document's mime type or <code>null</code> if unknown.
  */ 
-tmc.ScraperJS.prototype.sniffMime = function(content) {
+tmc.ScraperJS.prototype.sniffMime = function(content, opt_filter) {
     var first512 = content.substr(0, 512);
     var l = this.mimeSniffers_.length;
     var sniffer;
 
     for (var i = 0; i < l; i++) {
         sniffer = this.mimeSniffers_[i];
-        if (sniffer.regex.test(first512)) {
+        if ((!opt_filter || opt_filter(sniffer.mime)) && sniffer.regex.test(first512)) {
             return sniffer.mime;
         }
     }
@@ -835,23 +3611,116 @@ tmc.ScraperJS.prototype.sniffMime = function(content) {
 
 
 /**
- * Extracts data from a document.
+ * Determines the mime type of a document from its Content-Type header, its X-Content-Type-Options
+ * header and its content (see <code>tmc.scraperjs.Mime.detect</code>). Documents without a response
+ * (e.g. decompressed ones) are sniffed.
+ *
+ * @param {!string} content document's content.
+ * @param {?Uint8Array} bytes document's bytes (<code>null</code> if not available).
+ * @param {tmc.scraperjs.Response=} opt_response response the document comes with.
+ *
+ * @return {!tmc.scraperjs.Mime.Detection} document's mime type and how it was determined.
+ */
+tmc.ScraperJS.prototype.detectMime = function(content, bytes, opt_response) {
+    var contentType = opt_response ? opt_response.getResponseHeader('Content-Type') : undefined;
+    var options = opt_response ? opt_response.getResponseHeader('X-Content-Type-Options') : undefined;
+    var noSniff = (options !== undefined) && (goog.string.trim(options.split(',')[0]).toLowerCase() === 'nosniff');
+
+    return tmc.scraperjs.Mime.detect(contentType, noSniff, content, bytes, goog.bind(this.sniffMime, this));
+};
+
+
+/**
+ * Extracts data from a document with the data extractor of its mime type, then with the built-in
+ * extractors (see <code>setBuiltInExtractors</code>).
  *
  * @param {!string} mime mime type of the document.
  * @param {!string} content content of the document.
+ * @param {string=} opt_linkUrl url the document was retrieved from (schemas with a <code>match</code> need it).
+ * @param {Object=} opt_documentInfo information about the document handed over to the data extractor and
+ *     giving their provenance to the records emitted (see <code>emit</code>): its <code>'url'</code>, the
+ *     <code>'depth'</code> of the link pointing to it, when it was fetched (<code>'fetchTime'</code>), its <code>'mime'</code> type, how the mime type was determined (<code>'mimeSource'</code>,
+ *     see <code>tmc.scraperjs.Mime.Source</code>), its <code>'contentType'</code> header (<code>null</code> if none),
+ *     its character <code>'encoding'</code> and how it was determined (<code>'encodingSource'</code>, see
+ *     <code>tmc.scraperjs.Charset.Source</code>).
  */
-tmc.ScraperJS.prototype.extractData = function(mime, content) {
+tmc.ScraperJS.prototype.extractData = function(mime, content, opt_linkUrl, opt_documentInfo) {
     // Retrieves the data extractor for the document's mime type
     var dataExtractor = this.dataExtractors_[mime];
+    var extractorMime = mime;
 
     // Tries to use a default data extractor if none is found for the document's mime type
     if (dataExtractor === undefined) {
         dataExtractor = this.dataExtractors_['*/*'];
+        extractorMime = '*/*';
+    }
+
+    this.currentDocument_ = {info: opt_documentInfo || null, mime: mime, content: content, text: null,
+        extractor: goog.object.findKey(this.functions_, function(func) {   // Registered name or mime type
+            return func === dataExtractor;
+        }) || extractorMime};
+    try {
+        // Executes the data extractor if one has been found
+        if (dataExtractor instanceof tmc.scraperjs.Schema) {
+            this.applySchema_(dataExtractor, mime, content, opt_linkUrl || '');
+        }
+        else if (dataExtractor !== undefined) {
+            dataExtractor(content, opt_documentInfo);
+        }
+
+        this.runBuiltInExtractors_(mime, content);
     }
+    finally {
+        this.currentDocument_ = null;
+    }
+};
+
+
+/**
+ * Runs the built-in extractors applying to a document's mime type and emits their records (once).
+ *
+ * @param {!string} mime mime type of the document.
+ * @param {!string} content content of the document.
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.runBuiltInExtractors_ = function(mime, content) {
+    var that = this;
+    var parseDocument = goog.bind(this.runtime_.parseDocument, this.runtime_);
+
+    goog.array.forEach(this.builtInExtractors_, function(name) {
+        var extractor = tmc.scraperjs.Extractors.LIBRARY[name];
+
+        if ((extractor.mimes === null) || goog.array.contains(extractor.mimes, mime)) {
+            that.currentDocument_.extractor = name;     // Credits the records to the extractor (see getStats)
+            goog.array.forEach(extractor.extract(content, mime, parseDocument, that.extractorOptions_ || {}), function(record) {
+                that.emitUnique(record);
+            });
+        }
+    });
+};
 
-    // Executes the data extractor if one has been found
-    if (dataExtractor !== undefined) {
-        dataExtractor(content);
+
+/**
+ * Emits the records a schema extracts from a document.
+ *
+ * @param {!tmc.scraperjs.Schema} schema schema to apply.
+ * @param {?string} mime mime type of the document.
+ * @param {!string} content content of the document.
+ * @param {!string} linkUrl url the document was retrieved from.
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.applySchema_ = function(schema, mime, content, linkUrl) {
+    var doc;
+
+    if (!schema.matches(linkUrl)) {
+        return;
+    }
+
+    doc = this.runtime_.parseDocument(content, mime || 'text/html');
+    if (doc !== null) {
+        goog.array.forEach(schema.extract(doc), this.emit, this);
     }
 };
 
@@ -863,15 +3732,15 @@ tmc.ScraperJS.prototype.extractData = function(mime, content) {
  * @param {!string} content dcoument's content.
  * @param {!string} linkUrl url of the link pointing to <code>content</code>.
  * @param {!number} linkDepth depth of the link pointing to <code>content</code>.
+ * @param {Object=} opt_documentInfo information about the document handed over to the link extractor
+ *     (see <code>extractData</code>).
  */
-tmc.ScraperJS.prototype.extractLinks = function(mime, content, linkUrl, linkDepth) {
+tmc.ScraperJS.prototype.extractLinks = function(mime, content, linkUrl, linkDepth, opt_documentInfo) {
     var linkExtractor;
     var match;
-    var objBaseUrl;
     var objLinkUrl = new goog.Uri(linkUrl);
-    var objUrl;
     var numCaptureGroups;
-    var url;
+    var links;
 
     // Retrieves the link extractor for the document's mime type
     linkExtractor = this.linkExtractors_[mime];
@@ -886,7 +3755,110 @@ tmc.ScraperJS.prototype.extractLinks = function(mime, content, linkUrl, linkDept
         return;
     }
 
-    // Determines the base url
+    // Extracts the links
+    if (typeof linkExtractor === 'function') {
+        links = linkExtractor(content, opt_documentInfo);
+    }
+    else {
+        links = [];
+        while ((match = linkExtractor.exec(content)) !== null) {
+            numCaptureGroups = match.length;
+            for (var i = 1; i < numCaptureGroups; i++) {    // Finds the first non-undefined capture group
+                if (match[i] !== undefined) {
+                    links.push({url: match[i]});
+                    break;
+                }
+            }
+        }
+    }
+
+    this.enqueueLinks_(links, this.getBaseUrlObj_(mime, content, objLinkUrl), linkUrl, linkDepth);
+};
+
+
+/**
+ * Enqueues the links found in a document, recording those out of scope (see <code>setScopePolicy</code>).
+ *
+ * @param {!Array.<!tmc.ScraperJS.ExtractedLink>} links links found in the document.
+ * @param {!goog.Uri} objBaseUrl base url of the document.
+ * @param {!string} linkUrl url of the document.
+ * @param {!number} linkDepth depth of the link pointing to the document.
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.enqueueLinks_ = function(links, objBaseUrl, linkUrl, linkDepth) {
+    var objSeedUrl = this.getSeedUrlObj_(new goog.Uri(linkUrl));
+    var objLinkUrl;
+    var objUrl;
+    var decision;
+    var target;
+    var depth;
+    var hash;
+    var link;
+    var l = links.length;
+
+    this.stats_.recordDiscoveredLinks(l);
+    for (var i = 0; i < l; i++) {
+        link = links[i];
+        try {
+            objLinkUrl = new goog.Uri(goog.string.unescapeEntities(link.url));
+            objUrl = this.getNormalizedUrlObj_(objLinkUrl, objBaseUrl);
+        }
+        catch (e) {
+            continue;                                   // Skips urls that throw an exception when parsed
+        }
+
+        decision = this.scopePolicy_.check(objUrl, objSeedUrl);
+        depth = link.sameDepth ? linkDepth : 1 + linkDepth;
+        target = (decision.url !== null) ? this.urlNormalizer_.normalize(decision.url.toString()) : objUrl.toString();
+        if (this.captureLinkGraph_) {
+            this.linkGraph_.addLink(linkUrl, target, link.text, decision.reason);
+        }
+        if (this.checkLinks_) {                         // Recorded first so a robots.txt rejection can skip it
+            this.addCheckedLink_(target, objLinkUrl.getFragment(), linkUrl, link.text);
+        }
+        if (decision.url !== null) {
+            this.enqueueLink(decision.url.toString(), depth, link, linkUrl);
+            continue;
+        }
+
+        hash = tmc.ScraperJS.hashUrl_(objUrl.toString());
+        if (this.linkStatuses_[hash] === undefined) {   // Records each out of scope link once
+            this.linkStatuses_[hash] = tmc.ScraperJS.LinkStatus.REJECTED;
+            this.rejectLink_(objUrl.toString(), depth, tmc.ScraperJS.RejectReason.OUT_OF_SCOPE,
+                /** @type {string} */ (decision.reason), linkUrl);
+        }
+    }
+};
+
+
+/**
+ * @param {!goog.Uri} objDocumentUrl url of the document being processed.
+ *
+ * @return {!goog.Uri} url the scope policy is relative to: the seed url (the document url for
+ *     checkpoints saved before the seed url was recorded).
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.getSeedUrlObj_ = function(objDocumentUrl) {
+    return (this.seedUrl_ !== null) ? new goog.Uri(this.seedUrl_) : objDocumentUrl;
+};
+
+
+/**
+ * Determines the base url of a document.
+ *
+ * @param {?string} mime document's mime type.
+ * @param {!string} content document's content.
+ * @param {!goog.Uri} objLinkUrl url of the link pointing to <code>content</code>.
+ *
+ * @return {!goog.Uri} base url of the document.
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.getBaseUrlObj_ = function(mime, content, objLinkUrl) {
+    var match;
+
     if (mime === 'text/html') {                         // Searches for the <base> tag if dealing with an html document
         match = tmc.ScraperJS.RX_BASE_HREF.exec(content);
     }
@@ -895,175 +3867,384 @@ tmc.ScraperJS.prototype.extractLinks = function(mime, content, linkUrl, linkDept
     }
 
     if (match === null) {
-        objBaseUrl = objLinkUrl;                        // If no <base> tag, the base url is the link url
+        return objLinkUrl;                              // If no <base> tag, the base url is the link url
     }
-    else {
-        try {
-            objBaseUrl = new goog.Uri(goog.string.unescapeEntities(match[1]));
-        }
-        catch (e) {                                     // Uses the link url as the base url if parsing 
-            objBaseUrl = objLinkUrl;                    // the retrieved base url throws an exception
-        }
+
+    try {
+        return new goog.Uri(goog.string.unescapeEntities(match[1]));
+    }
+    catch (e) {                                         // Uses the link url as the base url if parsing
+        return objLinkUrl;                              // the retrieved base url throws an exception
     }
+};
 
-    // Extracts the links
-    while ((match = linkExtractor.exec(content)) !== null) {
-        numCaptureGroups = match.length;
-        for (var i = 1; i < numCaptureGroups; i++) {    // Finds the first non-undefined capture group
-            url = match[i];
-            if (url !== undefined) {
-                try {
-                    objUrl = new goog.Uri(goog.string.unescapeEntities(url));
-                }
-                catch (e) {
-                    break;                              // Skips urls that throw an exception when parsed
-                }
 
-                objUrl = this.getLoadableUrlObj(objUrl, objBaseUrl, objLinkUrl);
-                if (objUrl !== null) {
-                    this.enqueueLink(objUrl.toString(), 1 + linkDepth);
-                }
-                break;
-            }
+/**
+ * Resolves a url and normalizes it (see <code>setUrlNormalization</code>) so it can be compared with
+ * the (normalized) url of the document it was found in.
+ *
+ * @param {!goog.Uri} objUrl url to normalize.
+ * @param {!goog.Uri} objBaseUrl base url relative urls are resolved against.
+ *
+ * @return {!goog.Uri} normalized url.
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.getNormalizedUrlObj_ = function(objUrl, objBaseUrl) {
+    if (!objUrl.hasScheme()) {
+        objUrl = objBaseUrl.resolve(objUrl);
+    }
+
+    return new goog.Uri(this.urlNormalizer_.normalize(objUrl.toString()));
+};
+
+
+/**
+ * Enqueues a link. The link url is normalized (see <code>setUrlNormalization</code>) before it is
+ * deduplicated and prioritized.
+ *
+ * @param {!string} linkUrl url of the link to enqueue.
+ * @param {!number} linkDepth depth of the link to enqueue.
+ * @param {tmc.ScraperJS.ExtractedLink=} opt_extractedLink link as found by the link extractor (its context:
+ *     element, attribute, rel, crawl hints...).
+ * @param {string=} opt_referrerUrl url of the page the link was found in.
+ */
+tmc.ScraperJS.prototype.enqueueLink = function(linkUrl, linkDepth, opt_extractedLink, opt_referrerUrl) {
+    var hash;
+
+    if ((linkDepth <= this.maxCrawlDepth_) || (this.maxCrawlDepth_ === 0)) {    // Limits crawl depth
+        linkUrl = this.urlNormalizer_.normalize(linkUrl);
+        hash = tmc.ScraperJS.hashUrl_(linkUrl);
+
+        if (this.linkStatuses_[hash] === undefined) {                           // Ignores links previously seen
+            this.admitLink_(linkUrl, linkDepth, hash, opt_extractedLink, opt_referrerUrl);
         }
     }
 };
 
 
 /**
- * Turns a url into a loadable one. A url is loadable if it is absolute and has the same
- * protocol, authentication, hostname as the link trying to load it. Hash portion is removed.
+ * @param {!string} url url to hash.
  *
- * @param {!goog.Uri} objUrl url to be made into a loadable one.
- * @param {!goog.Uri} objBaseUrl base url for the document located at <code>objDocumentUrl</code>.
- * @param {!goog.Uri} objDocumentUrl url of the document containing a reference to <code>objUrl</code>.
+ * @return {!string} SHA-1 hash of the url (key of <code>linkStatuses_</code>).
  *
- * @return {?goog.Uri} loatable url or <code>null</code>.
+ * @private
  */
-tmc.ScraperJS.prototype.getLoadableUrlObj = function(objUrl, objBaseUrl, objDocumentUrl) {
-	var objLoadableUrl;
+tmc.ScraperJS.hashUrl_ = function(url) {
+    var sha1 = new goog.crypt.Sha1();
 
-	try {
-        objLoadableUrl = objUrl.clone();
+    sha1.update(url);
+    return goog.crypt.byteArrayToString(sha1.digest());
+};
 
-        // Handles relative urls
-        if (!objLoadableUrl.hasScheme()) {      // a relative url -> resolve it
-            objLoadableUrl = objBaseUrl.resolve(objLoadableUrl);
-        }
 
-        // Handles the protocol
-        if (objLoadableUrl.getScheme() !== objDocumentUrl.getScheme()) {
-            return null;
-        }
+/**
+ * Checks a link against the robots.txt file of its origin (fetching it first if need be)
+ * and queues it if allowed.
+ *
+ * @param {!string} linkUrl url of the link to enqueue.
+ * @param {!number} linkDepth depth of the link to enqueue.
+ * @param {!string} hash hash of the link url.
+ * @param {tmc.ScraperJS.ExtractedLink=} opt_extractedLink link as found by the link extractor.
+ * @param {string=} opt_referrerUrl url of the page the link was found in.
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.admitLink_ = function(linkUrl, linkDepth, hash, opt_extractedLink, opt_referrerUrl) {
+    var objUrl;
+    var origin;
+    var robotsTxt;
+    var rule;
+    var link;
+    var priority;
 
-        // Handles the authentication
-        if (objLoadableUrl.getUserInfo() !== objDocumentUrl.getUserInfo()) {
-            return null;
-        }
+    if (this.respectRobotsTxt_) {
+        objUrl = new goog.Uri(linkUrl);
+        origin = tmc.ScraperJS.getOrigin_(objUrl);
+        robotsTxt = this.robotsTxts_[origin];
 
-        // Handles the port
-        if (objLoadableUrl.getPort() !== objDocumentUrl.getPort()) {
-            return null;
+        if (!robotsTxt) {                                                       // Waits for the robots.txt file
+            this.linkStatuses_[hash] = tmc.ScraperJS.LinkStatus.WAITING_FOR_ROBOTS_TXT;
+            if (this.robotsTxtWaitingLinks_[origin] === undefined) {
+                this.robotsTxtWaitingLinks_[origin] = [];
+            }
+            this.robotsTxtWaitingLinks_[origin].push({url: linkUrl, depth: linkDepth, hash: hash,
+                extractedLink: opt_extractedLink, referrer: opt_referrerUrl});
+            if (robotsTxt === undefined) {
+                this.fetchRobotsTxt_(origin);
+            }
+            return;
         }
-        
-        // Eliminates the hash
-        objLoadableUrl.setFragment('');
 
-        // Handles the hostname
-        if (objLoadableUrl.getDomain() === objDocumentUrl.getDomain()) {
-            return objLoadableUrl;
+        rule = robotsTxt.getDisallowingRule(tmc.ScraperJS.getRobotsTxtPath_(objUrl));
+        if (rule !== null) {                                                    // Records disallowed links
+            this.linkStatuses_[hash] = tmc.ScraperJS.LinkStatus.REJECTED;
+            this.rejectLink_(linkUrl, linkDepth, tmc.ScraperJS.RejectReason.ROBOTS_TXT, rule, opt_referrerUrl);
+            return;
         }
+    }
 
-        // Tries to add or remove "www." so hostnames match
-        if ((('www.' + objLoadableUrl.getDomain()) === objDocumentUrl.getDomain()) ||
-            (objLoadableUrl.getDomain() === ('www.' + objDocumentUrl.getDomain()))) {
-                return objLoadableUrl.setDomain(objDocumentUrl.getDomain());
+    link = linkDepth + '>' + linkUrl;
+    priority = this.computeLinkPriority(link, opt_extractedLink, opt_referrerUrl);
+    if (priority !== null) {                                                    // Ignores links whose priority is null
+        this.linkStatuses_[hash] = tmc.ScraperJS.LinkStatus.QUEUED;
+        this.linkQueue_.enqueue(this.getLinkQueueKey_(linkDepth, priority), link);
+        this.stats_.recordEnqueuedLink();
+        if (opt_referrerUrl !== undefined) {
+            this.referrers_[linkUrl] = opt_referrerUrl;
         }
+        this.dispatch_(tmc.ScraperJS.EventType.LINK_ENQUEUED, {'url': linkUrl, 'depth': linkDepth, 'priority': priority});
     }
-    catch (e) {		// if an exception is thrown, null will be returned below
+    else {
+        delete this.linkStatuses_[hash];
     }
-
-    return null;
 };
 
 
 /**
- * Enqueues a link.
+ * Fetches the robots.txt file of an origin, then admits the links waiting for it.
+ * A missing file (4xx) allows everything whereas an unreachable one (5xx, network error) disallows everything
+ * once the retry policy gives up, the links being rejected with the cause (e.g. <code>robots.txt unreachable (503)</code>).
  *
- * @param {!string} linkUrl url of the link to enqueue.
- * @param {!number} linkDepth depth of the link to enqueue.
+ * @param {!string} origin origin whose robots.txt file is to be fetched.
+ * @param {number=} opt_attempts number of times the file has been fetched so far (including this one).
+ *
+ * @private
  */
-tmc.ScraperJS.prototype.enqueueLink = function(linkUrl, linkDepth) {
-    var sha1; 
-    var hash;
-    var link;
-    var priority;
+tmc.ScraperJS.prototype.fetchRobotsTxt_ = function(origin, opt_attempts) {
+    var that = this;
+    var attempts = opt_attempts || 1;
+
+    this.robotsTxts_[origin] = null;
+    this.numInFlightRobotsTxtFetches_++;
+
+    this.runtime_.fetch(
+        origin + '/robots.txt',
+        this.maxLinkFetchTime_,
+        function(response) {
+            var status = response.getStatus();
+            var delay = response.isSuccess() ? null : that.getRetryDelay_(attempts, response);
+            var waitingLinks;
+            var l;
+
+            if (delay !== null) {                       // The links keep waiting meanwhile
+                that.runtime_.log('Retrying ' + origin + '/robots.txt in ' + delay + ' ms (status ' + status
+                    + ', attempt ' + attempts + ')');
+                goog.Timer.callOnce(function() {
+                    that.numInFlightRobotsTxtFetches_--;
+                    that.fetchRobotsTxt_(origin, attempts + 1);
+                }, delay);
+                return;
+            }
 
-    if ((linkDepth <= this.maxCrawlDepth_) || (this.maxCrawlDepth_ === 0)) {    // Limits crawl depth
-        sha1 = new goog.crypt.Sha1();
-        sha1.update(linkUrl);
-        hash = goog.crypt.byteArrayToString(sha1.digest());
-
-        if (this.linkStatuses_[hash] === undefined) {                           // Ignores links previously queued
-            link = linkDepth + '>' + linkUrl;
-            priority = this.computeLinkPriority(link);
-            if (priority !== null) {                                            // Ignores links whose priority is null
-                this.linkStatuses_[hash] = 1;
-                this.linkQueue_.enqueue(priority, link);
+            that.numInFlightRobotsTxtFetches_--;
+
+            if (response.isSuccess()) {
+                that.robotsTxts_[origin] = new tmc.scraperjs.RobotsTxt(response.getResponseText(), that.userAgentToken_);
+            }
+            else if ((status >= 400) && (status < 500)) {
+                that.robotsTxts_[origin] = tmc.scraperjs.RobotsTxt.allowAll();
+            }
+            else {
+                that.robotsTxts_[origin] = tmc.scraperjs.RobotsTxt.disallowAll(
+                    'robots.txt unreachable (' + ((status === 0) ? response.getLastError() : status) + ')');
+            }
+
+            waitingLinks = that.robotsTxtWaitingLinks_[origin] || [];
+            l = waitingLinks.length;
+
+            delete that.robotsTxtWaitingLinks_[origin];
+            for (var i = 0; i < l; i++) {
+                that.admitLink_(waitingLinks[i].url, waitingLinks[i].depth, waitingLinks[i].hash,
+                    waitingLinks[i].extractedLink, waitingLinks[i].referrer);
             }
+
+            that.crawlNextLink();
         }
+    );
+};
+
+
+/**
+ * Records a rejected link along with the reason why.
+ *
+ * @param {!string} linkUrl url of the rejected link.
+ * @param {!number} linkDepth depth of the rejected link.
+ * @param {!tmc.ScraperJS.RejectReason} reason reason why the link was rejected.
+ * @param {!string} detail details about the rejection.
+ * @param {string=} opt_referrerUrl url of the page the link was found in.
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.rejectLink_ = function(linkUrl, linkDepth, reason, detail, opt_referrerUrl) {
+    var rejectedLink = {'url': linkUrl, 'depth': linkDepth, 'reason': reason, 'detail': detail,
+        'referrer': opt_referrerUrl || null};
+
+    this.rejectedLinks_.push(rejectedLink);
+    this.stats_.recordRejectedLink(reason);
+    if (this.captureLinkGraph_) {
+        this.linkGraph_.recordRejection(linkUrl, reason);
+    }
+    if (this.checkLinks_ && (reason === tmc.ScraperJS.RejectReason.ROBOTS_TXT)) {
+        this.linkChecker_.recordSkipped(linkUrl, reason);
     }
+    this.dispatch_(tmc.ScraperJS.EventType.LINK_REJECTED, goog.object.clone(rejectedLink));
+};
+
+
+/**
+ * @param {!goog.Uri} objUrl url whose origin is to be computed.
+ *
+ * @return {!string} origin of the url (scheme, user info, domain and port).
+ *
+ * @private
+ */
+tmc.ScraperJS.getOrigin_ = function(objUrl) {
+    return objUrl.getScheme() + '://'
+        + (objUrl.hasUserInfo() ? objUrl.getUserInfo() + '@' : '')
+        + objUrl.getDomain()
+        + (objUrl.hasPort() ? ':' + objUrl.getPort() : '');
+};
+
+
+/**
+ * @param {!goog.Uri} objUrl url whose path is to be matched against robots.txt rules.
+ *
+ * @return {!string} path and query of the url.
+ *
+ * @private
+ */
+tmc.ScraperJS.getRobotsTxtPath_ = function(objUrl) {
+    return (objUrl.getPath() || '/') + (objUrl.hasQuery() ? '?' + objUrl.getQuery() : '');
 };
 
 
 /**
  * Comptutes the crawl priority of a given link.
+ * The priority given by the rules is increased or decreased according to the link's crawl hints
+ * (see <code>tmc.scraperjs.Sitemap.getPriorityBonus</code>), then lowered according to its depth
+ * (see <code>setLinkPriorityDepthDecay</code>).
  *
- * @param {!string} link link whose priority is to be computed.
+ * @param {!string} link link whose priority is to be computed (depth&gt;url).
+ * @param {tmc.ScraperJS.ExtractedLink=} opt_extractedLink link as found by the link extractor (its context).
+ * @param {string=} opt_referrerUrl url of the page the link was found in.
  *
  * @return {?number} computed priority of the link or <code>null</code> if the link is to be ignored.
  */
-tmc.ScraperJS.prototype.computeLinkPriority = function(link) {
+tmc.ScraperJS.prototype.computeLinkPriority = function(link, opt_extractedLink, opt_referrerUrl) {
     var l = this.linkPriorityRules_.length;
+    var separator = link.indexOf('>');
+    var depth = parseInt(link.substr(0, separator), 10);
+    var url = link.substr(separator + 1);
+    var hints = opt_extractedLink ? opt_extractedLink.hints : undefined;
+    var bonus = (hints ? tmc.scraperjs.Sitemap.getPriorityBonus(hints) : 0) - this.linkPriorityDepthDecay_ * depth;
     var rule;
     var priority;
 
     for (var i = 0; i < l; i++) {       // Rules are evaluated in sequencial order
-        rule = linkPriorityRules_[i];
-        if (rule.regex.test(link)) {    // Rule i matched the link
-            priority = rule.priority;
+        rule = this.linkPriorityRules_[i];
+        if (typeof rule === 'function') {
+            priority = rule(url, depth, opt_extractedLink ? opt_extractedLink.text : undefined, opt_referrerUrl);
+            if (priority === undefined) {       // The rule does not apply to the link
+                continue;
+            }
+        }
+        else {
+            rule.regex.lastIndex = 0;   // Global and sticky regexes would otherwise resume from the previous match
+            if (rule.regex.test(url) && tmc.ScraperJS.matchesLinkContext_(rule, opt_extractedLink)) {     // Rule i matched the link
+                priority = rule.priority;
+            }
+            else {
+                continue;
+            }
+        }
 
-            switch(priority) {
-                case '++':              // Special code indicating that the priority should be the highest one + 1
-                    priority = highestLinkPriority++;
-                    break;
+        switch(priority) {
+            case '++':                  // Special code indicating that the priority should be the highest one + 1
+                priority = ++this.highestLinkPriority_;
+                break;
 
-                case '--':              // Special code indicating that the priority should be the lowest one - 1
-                    priority = lowestLinkPriority--;
-                    break;
+            case '--':                  // Special code indicating that the priority should be the lowest one - 1
+                priority = --this.lowestLinkPriority_;
+                break;
 
-                default:                // Updates the minimum and maximum link priorities as needed
-                    if (priority > highestLinkPriority) {
-                        highestLinkPriority = priority;
+            default:                    // Updates the minimum and maximum link priorities as needed
+                if (priority !== null) {
+                    priority = /** @type {number} */ (priority);
+                    if (priority > this.highestLinkPriority_) {
+                        this.highestLinkPriority_ = priority;
                     }
-                    else if (priority < lowestLinkPriority) {
-                        lowestLinkPriority = priority;
+                    else if (priority < this.lowestLinkPriority_) {
+                        this.lowestLinkPriority_ = priority;
                     }
-                    break;
-            }
-
-            return priority;            // Returns after the *** first *** match
+                }
+                break;
         }
+
+        return (priority === null) ? null : /** @type {number} */ (priority) + bonus;    // Returns after the *** first *** match
     }
 
-    return 0;                           // Returns the default priority if no match
+    return bonus;                       // Returns the default priority if no match
 };
 
 
-goog.exportSymbol('tmc.ScraperJS', tmc.ScraperJS);
+/**
+ * Computes the key a link is queued with according to the crawl strategy (the queue dequeues the lowest
+ * key first). When crawling breadth-first or depth-first, the priority is mapped into ]0, 1[ (the higher,
+ * the closer to 1) and subtracted from the depth so that it only orders the links of the same depth.
+ *
+ * @param {!number} depth depth of the link.
+ * @param {!number} priority priority of the link.
+ *
+ * @return {!number} key of the link in the queue.
+ *
+ * @private
+ */
+tmc.ScraperJS.prototype.getLinkQueueKey_ = function(depth, priority) {
+    var rank = Math.atan(priority) / Math.PI + 0.5;
+
+    switch (this.crawlStrategy_) {
+        case tmc.ScraperJS.CrawlStrategy.BFS:
+            return depth - rank;
+
+        case tmc.ScraperJS.CrawlStrategy.DFS:
+            return -depth - rank;
+
+        default:
+            return -priority;
+    }
+};
+
 
+/**
+ * Checks the optional <code>element</code>, <code>attribute</code> and <code>rel</code> conditions of a
+ * priority rule against the context of a link (a rule without conditions matches any link).
+ *
+ * @param {{element:(string|undefined), attribute:(string|undefined), rel:(string|undefined)}} rule priority rule.
+ * @param {tmc.ScraperJS.ExtractedLink=} opt_extractedLink link as found by the link extractor.
+ *
+ * @return {!boolean} whether the rule's conditions hold.
+ *
+ * @private
+ */
+tmc.ScraperJS.matchesLinkContext_ = function(rule, opt_extractedLink) {
+    var context = opt_extractedLink || {};
+
+    if ((rule.element !== undefined) && (rule.element !== context.element)) {
+        return false;
+    }
 
-if (COMPILED) {     // Starts the process here when compiled otherwise started by bookmarklet
-    ScraperJS = new tmc.ScraperJS();
-    ScraperJS.start();
-}
\ No newline at end of file
+    if ((rule.attribute !== undefined) && (rule.attribute !== context.attribute)) {
+        return false;
+    }
+
+    if ((rule.rel !== undefined)
+        && !goog.array.contains((context.rel || '').toLowerCase().split(/\s+/), rule.rel.toLowerCase())) {
+        return false;
+    }
+
+    return true;
+};
+
+
+goog.exportSymbol('tmc.ScraperJS', tmc.ScraperJS);
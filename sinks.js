@@ -0,0 +1,285 @@
+/**
+ * ScraperJS Copyright (C) 2011-2012 365multimedia.com
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+goog.provide('tmc.scraperjs.ArraySink');
+goog.provide('tmc.scraperjs.CallbackSink');
+goog.provide('tmc.scraperjs.ExportSink');
+goog.provide('tmc.scraperjs.ResultSink');
+
+goog.require('goog.array');
+
+
+/**
+ * Result sink interface. Data extractors emit structured records (plain objects) through
+ * <code>tmc.ScraperJS.prototype.emit</code>, which hands them over to every registered sink.
+ *
+ * @interface
+ */
+tmc.scraperjs.ResultSink = function() {};
+
+
+/**
+ * Receives a record.
+ *
+ * @param {!Object} record record emitted by a data extractor.
+ */
+tmc.scraperjs.ResultSink.prototype.write = function(record) {};
+
+
+
+/**
+ * Sink keeping the records in memory.
+ *
+ * @constructor
+ * @implements {tmc.scraperjs.ResultSink}
+ */
+tmc.scraperjs.ArraySink = function() {
+    this.records_ = [];
+};
+
+
+/**
+ * Records received so far.
+ *
+ * @type {?Array.<!Object>}
+ * @private
+ */
+tmc.scraperjs.ArraySink.prototype.records_ = null;
+
+
+/**
+ * @inheritDoc
+ */
+tmc.scraperjs.ArraySink.prototype.write = function(record) {
+    this.records_.push(record);
+};
+
+
+/**
+ * @return {!Array.<!Object>} records received so far.
+ */
+tmc.scraperjs.ArraySink.prototype.getRecords = function() {
+    return /** @type {!Array.<!Object>} */ (this.records_);
+};
+
+
+/**
+ * Forgets the records received so far.
+ */
+tmc.scraperjs.ArraySink.prototype.clear = function() {
+    this.records_ = [];
+};
+
+
+
+/**
+ * Sink handing every record over to a callback.
+ *
+ * @param {!function(!Object)} callback function called with every record.
+ *
+ * @constructor
+ * @implements {tmc.scraperjs.ResultSink}
+ */
+tmc.scraperjs.CallbackSink = function(callback) {
+    this.callback_ = callback;
+};
+
+
+/**
+ * Function called with every record.
+ *
+ * @type {?function(!Object)}
+ * @private
+ */
+tmc.scraperjs.CallbackSink.prototype.callback_ = null;
+
+
+/**
+ * @inheritDoc
+ */
+tmc.scraperjs.CallbackSink.prototype.write = function(record) {
+    this.callback_(record);
+};
+
+
+
+/**
+ * Sink keeping the records in memory so they can be exported as a JSON, JSON Lines or CSV document
+ * (see <code>tmc.ScraperJS.prototype.downloadResults</code>).
+ *
+ * @param {!tmc.scraperjs.ExportSink.Format} format export format.
+ *
+ * @constructor
+ * @extends {tmc.scraperjs.ArraySink}
+ */
+tmc.scraperjs.ExportSink = function(format) {
+    tmc.scraperjs.ArraySink.call(this);
+    this.format_ = format;
+};
+goog.inherits(tmc.scraperjs.ExportSink, tmc.scraperjs.ArraySink);
+
+
+/**
+ * Export formats.
+ *
+ * @enum {string}
+ */
+tmc.scraperjs.ExportSink.Format = {
+    JSON: 'json',
+    JSON_LINES: 'jsonl',
+    CSV: 'csv'
+};
+
+
+/**
+ * Mime types of the export formats.
+ *
+ * @type {!Object.<!string,!string>}
+ * @const
+ */
+tmc.scraperjs.ExportSink.MIME_TYPES = {
+    'json': 'application/json',
+    'jsonl': 'application/x-ndjson',
+    'csv': 'text/csv'
+};
+
+
+/**
+ * Matches csv fields that have to be quoted.
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.ExportSink.RX_CSV_QUOTE = /[",\r\n]/;
+
+
+/**
+ * Export format.
+ *
+ * @type {!tmc.scraperjs.ExportSink.Format}
+ * @private
+ */
+tmc.scraperjs.ExportSink.prototype.format_ = tmc.scraperjs.ExportSink.Format.JSON;
+
+
+/**
+ * @return {!tmc.scraperjs.ExportSink.Format} export format.
+ */
+tmc.scraperjs.ExportSink.prototype.getFormat = function() {
+    return this.format_;
+};
+
+
+/**
+ * @return {!string} mime type of the exported document.
+ */
+tmc.scraperjs.ExportSink.prototype.getMimeType = function() {
+    return tmc.scraperjs.ExportSink.MIME_TYPES[this.format_];
+};
+
+
+/**
+ * @return {!string} default file name of the exported document.
+ */
+tmc.scraperjs.ExportSink.prototype.getFilename = function() {
+    return 'results.' + this.format_;
+};
+
+
+/**
+ * Serializes the records received so far in the sink's format.
+ *
+ * @return {!string} exported document.
+ */
+tmc.scraperjs.ExportSink.prototype.serialize = function() {
+    var records = this.getRecords();
+
+    switch (this.format_) {
+        case tmc.scraperjs.ExportSink.Format.JSON_LINES:
+            return goog.array.map(records, function(record) {
+                return JSON.stringify(record) + '\n';
+            }).join('');
+
+        case tmc.scraperjs.ExportSink.Format.CSV:
+            return tmc.scraperjs.ExportSink.toCsv(records);
+
+        default:
+            return JSON.stringify(records, null, 2);
+    }
+};
+
+
+/**
+ * Serializes records as csv. Columns are the union of the records' keys (in order of appearance),
+ * values that are not strings are serialized as JSON.
+ *
+ * @param {!Array.<!Object>} records records to serialize.
+ *
+ * @return {!string} csv document.
+ */
+tmc.scraperjs.ExportSink.toCsv = function(records) {
+    var columns = [];
+    var seen = {};
+    var lines = [];
+    var l = records.length;
+    var row;
+
+    for (var i = 0; i < l; i++) {                       // Collects the columns
+        for (var key in records[i]) {
+            if (!seen.hasOwnProperty(key)) {
+                seen[key] = 1;
+                columns.push(key);
+            }
+        }
+    }
+
+    lines.push(goog.array.map(columns, tmc.scraperjs.ExportSink.toCsvField_).join(','));
+    for (i = 0; i < l; i++) {
+        row = records[i];
+        lines.push(goog.array.map(columns, function(column) {
+            return tmc.scraperjs.ExportSink.toCsvField_(row[column]);
+        }).join(','));
+    }
+
+    return lines.join('\r\n') + '\r\n';
+};
+
+
+/**
+ * Turns a value into a csv field.
+ *
+ * @param {*} value value to turn into a csv field.
+ *
+ * @return {!string} csv field.
+ *
+ * @private
+ */
+tmc.scraperjs.ExportSink.toCsvField_ = function(value) {
+    var field;
+
+    if ((value === undefined) || (value === null)) {
+        return '';
+    }
+
+    field = (typeof value === 'string') ? value : JSON.stringify(value);
+    if (tmc.scraperjs.ExportSink.RX_CSV_QUOTE.test(field)) {
+        field = '"' + field.replace(/"/g, '""') + '"';
+    }
+
+    return field;
+};
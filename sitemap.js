@@ -0,0 +1,166 @@
+/**
+ * ScraperJS Copyright (C) 2011-2012 365multimedia.com
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+goog.provide('tmc.scraperjs.Sitemap');
+
+
+/**
+ * Matches the <url> entries of a urlset and the <sitemap> entries of a sitemap index.
+ * See {@link http://www.sitemaps.org/protocol.html}
+ *
+ * Note: the g at the end of the regular expression is required so multiple matches can be returned.
+ *
+ * <code>
+ * <(url|sitemap)(?:\s[^<>]*)?>([\s\S]*?)<\/\1\s*>
+ * </code>
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Sitemap.RX_ENTRY = /<(url|sitemap)(?:\s[^<>]*)?>([\s\S]*?)<\/\1\s*>/gi;
+
+
+/**
+ * Matches the <loc>, <lastmod>, <changefreq> and <priority> tags of an entry.
+ *
+ * Note: the g at the end of the regular expression is required so multiple matches can be returned.
+ *
+ * <code>
+ * <(loc|lastmod|changefreq|priority)(?:\s[^<>]*)?>\s*([^<]*?)\s*<\/\1\s*>
+ * </code>
+ *
+ * @type {!RegExp}
+ * @const
+ */
+tmc.scraperjs.Sitemap.RX_ENTRY_TAG = /<(loc|lastmod|changefreq|priority)(?:\s[^<>]*)?>\s*([^<]*?)\s*<\/\1\s*>/gi;
+
+
+/**
+ * Priority bonus granted by each <changefreq> value.
+ *
+ * @type {!Object.<!string,!number>}
+ * @const
+ */
+tmc.scraperjs.Sitemap.CHANGEFREQ_BONUSES = {
+    'always': 3,
+    'hourly': 3,
+    'daily': 2,
+    'weekly': 1,
+    'monthly': 0,
+    'yearly': -1,
+    'never': -2
+};
+
+
+/**
+ * Number of milliseconds in a day.
+ *
+ * @type {!number}
+ * @const
+ */
+tmc.scraperjs.Sitemap.DAY = 24 * 60 * 60 * 1000;
+
+
+/**
+ * Extracts the links of a sitemap document (urlset or sitemap index), along with their
+ * <lastmod>, <changefreq> and <priority> hints. The sitemaps listed by a sitemap index are
+ * flagged as <code>sameDepth</code> so following them does not count against the maximum crawl depth.
+ *
+ * Meant to be used as the link extractor of the application/sitemap+xml mime type.
+ *
+ * @param {!string} content content of the sitemap document.
+ *
+ * @return {!Array.<!tmc.ScraperJS.ExtractedLink>} links of the sitemap.
+ */
+tmc.scraperjs.Sitemap.extractLinks = function(content) {
+    var links = [];
+    var rxEntry = new RegExp(tmc.scraperjs.Sitemap.RX_ENTRY.source, 'gi');     // Private copies so the
+    var rxTag = new RegExp(tmc.scraperjs.Sitemap.RX_ENTRY_TAG.source, 'gi');   // lastIndex is not shared
+    var entryMatch;
+    var tagMatch;
+    var tags;
+
+    while ((entryMatch = rxEntry.exec(content)) !== null) {
+        tags = {};
+        rxTag.lastIndex = 0;
+        while ((tagMatch = rxTag.exec(entryMatch[2])) !== null) {
+            tags[tagMatch[1].toLowerCase()] = tagMatch[2];
+        }
+
+        if (tags['loc']) {
+            links.push({
+                url: tags['loc'],
+                sameDepth: (entryMatch[1].toLowerCase() === 'sitemap'),
+                element: 'loc',
+                hints: {
+                    lastmod: tags['lastmod'],
+                    changefreq: tags['changefreq'],
+                    priority: tags['priority']
+                }
+            });
+        }
+    }
+
+    return links;
+};
+
+
+/**
+ * Computes the priority bonus of a link based on its sitemap hints, so that fresher and
+ * higher-priority urls are crawled first:
+ * <code>priority</code>: from -5 (0.0) to +5 (1.0), 0 for the default 0.5
+ * <code>changefreq</code>: from -2 (never) to +3 (always, hourly)
+ * <code>lastmod</code>: +3 if less than a day old, +2 a week, +1 a month, 0 a year, -1 otherwise
+ *
+ * @param {!tmc.ScraperJS.LinkHints} hints sitemap hints of the link.
+ * @param {number=} opt_now current time (expressed in milliseconds since the epoch).
+ *
+ * @return {!number} priority bonus (0 if no hint is usable).
+ */
+tmc.scraperjs.Sitemap.getPriorityBonus = function(hints, opt_now) {
+    var now = opt_now || (new Date()).getTime();
+    var bonus = 0;
+    var priority;
+    var changefreqBonus;
+    var lastmod;
+    var age;
+
+    if (hints.priority !== undefined) {
+        priority = parseFloat(hints.priority);
+        if (!isNaN(priority)) {
+            bonus += (Math.min(1, Math.max(0, priority)) - 0.5) * 10;
+        }
+    }
+
+    if (hints.changefreq !== undefined) {
+        changefreqBonus = tmc.scraperjs.Sitemap.CHANGEFREQ_BONUSES[hints.changefreq.toLowerCase()];
+        if (changefreqBonus !== undefined) {
+            bonus += changefreqBonus;
+        }
+    }
+
+    if (hints.lastmod !== undefined) {
+        lastmod = Date.parse(hints.lastmod);            // W3C datetime (a subset of ISO 8601)
+        if (!isNaN(lastmod)) {
+            age = (now - lastmod) / tmc.scraperjs.Sitemap.DAY;
+            bonus += (age < 1) ? 3 : (age < 7) ? 2 : (age < 31) ? 1 : (age < 365) ? 0 : -1;
+        }
+    }
+
+    return bonus;
+};
@@ -0,0 +1,401 @@
+/**
+ * ScraperJS Copyright (C) 2011-2012 365multimedia.com
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+goog.provide('tmc.scraperjs.CrawlStats');
+
+goog.require('goog.array');
+goog.require('goog.object');
+goog.require('goog.string');
+
+
+/**
+ * Statistics of a crawl, fed by the scraper as the crawl goes (see <code>tmc.ScraperJS.prototype.getStats</code>):
+ * pages by mime type and by depth, http statuses, bytes downloaded, fetch latencies, links discovered,
+ * enqueued and rejected, results by extractor and throughput over time.
+ *
+ * @param {Object=} opt_state state to start from (see <code>getState</code>), e.g. restored from a checkpoint.
+ *
+ * @constructor
+ */
+tmc.scraperjs.CrawlStats = function(opt_state) {
+    this.state_ = opt_state ? /** @type {!Object} */ (goog.object.unsafeClone(opt_state)) : {
+        'pages': 0,
+        'pagesByMime': {},
+        'pagesByDepth': {},
+        'responses': 0,
+        'statuses': {},
+        'bytes': 0,
+        'latencies': [],
+        'discoveredLinks': 0,
+        'enqueuedLinks': 0,
+        'rejectedLinks': {},
+        'results': {},
+        'duplicates': 0,
+        'throughput': []
+    };
+};
+
+
+/**
+ * Report formats (see <code>tmc.ScraperJS.prototype.downloadReport</code>).
+ *
+ * @enum {string}
+ */
+tmc.scraperjs.CrawlStats.ReportFormat = {
+    JSON: 'json',
+    HTML: 'html'
+};
+
+
+/**
+ * Mime types of the report formats.
+ *
+ * @type {!Object.<!string,!string>}
+ * @const
+ */
+tmc.scraperjs.CrawlStats.REPORT_MIME_TYPES = {
+    'json': 'application/json',
+    'html': 'text/html'
+};
+
+
+/**
+ * Length of the intervals the throughput is measured over (expressed in milliseconds).
+ *
+ * @type {!number}
+ * @const
+ */
+tmc.scraperjs.CrawlStats.THROUGHPUT_INTERVAL = 10 * 1000;
+
+
+/**
+ * Percentiles of the fetch latencies given by <code>getStats</code>.
+ *
+ * @type {!Array.<number>}
+ * @const
+ */
+tmc.scraperjs.CrawlStats.LATENCY_PERCENTILES = [50, 90, 95, 99];
+
+
+/**
+ * Raw counters (quoted keys so they can be checkpointed).
+ *
+ * @type {Object}
+ * @private
+ */
+tmc.scraperjs.CrawlStats.prototype.state_ = null;
+
+
+/**
+ * Records a response to a fetch (retried fetches included).
+ *
+ * @param {!number} status http status (0 if no response was received).
+ * @param {!number} numBytes number of bytes downloaded.
+ * @param {!number} latency amount of time the fetch took (expressed in milliseconds).
+ * @param {!number} elapsedTime elapsed crawl time when it completed (expressed in milliseconds).
+ */
+tmc.scraperjs.CrawlStats.prototype.recordResponse = function(status, numBytes, latency, elapsedTime) {
+    var state = this.state_;
+
+    state['responses']++;
+    tmc.scraperjs.CrawlStats.increment_(state['statuses'], String(status), 1);
+    state['bytes'] += numBytes;
+    state['latencies'].push(latency);
+    this.getInterval_(elapsedTime)['bytes'] += numBytes;
+};
+
+
+/**
+ * Records a crawled page, once its fetch has succeeded or failed for good.
+ *
+ * @param {!number} depth depth of the link pointing to the page.
+ * @param {?string} mime mime type of the page (<code>null</code> if its fetch failed).
+ * @param {!number} elapsedTime elapsed crawl time (expressed in milliseconds).
+ */
+tmc.scraperjs.CrawlStats.prototype.recordPage = function(depth, mime, elapsedTime) {
+    var state = this.state_;
+
+    state['pages']++;
+    tmc.scraperjs.CrawlStats.increment_(state['pagesByDepth'], String(depth), 1);
+    if (mime !== null) {
+        tmc.scraperjs.CrawlStats.increment_(state['pagesByMime'], mime, 1);
+    }
+    this.getInterval_(elapsedTime)['pages']++;
+};
+
+
+/**
+ * Records links found in a document.
+ *
+ * @param {!number} numLinks number of links.
+ */
+tmc.scraperjs.CrawlStats.prototype.recordDiscoveredLinks = function(numLinks) {
+    this.state_['discoveredLinks'] += numLinks;
+};
+
+
+/**
+ * Records a queued link.
+ */
+tmc.scraperjs.CrawlStats.prototype.recordEnqueuedLink = function() {
+    this.state_['enqueuedLinks']++;
+};
+
+
+/**
+ * Records a rejected link.
+ *
+ * @param {!string} reason reason why the link was rejected (see <code>tmc.ScraperJS.RejectReason</code>).
+ */
+tmc.scraperjs.CrawlStats.prototype.recordRejectedLink = function(reason) {
+    tmc.scraperjs.CrawlStats.increment_(this.state_['rejectedLinks'], reason, 1);
+};
+
+
+/**
+ * Records an emitted result.
+ *
+ * @param {!string} extractor name of the extractor the result comes from.
+ * @param {!number} elapsedTime elapsed crawl time (expressed in milliseconds).
+ */
+tmc.scraperjs.CrawlStats.prototype.recordResult = function(extractor, elapsedTime) {
+    tmc.scraperjs.CrawlStats.increment_(this.state_['results'], extractor, 1);
+    this.getInterval_(elapsedTime)['results']++;
+};
+
+
+/**
+ * Records a duplicate result (see <code>tmc.ScraperJS.prototype.emitUnique</code>).
+ */
+tmc.scraperjs.CrawlStats.prototype.recordDuplicate = function() {
+    this.state_['duplicates']++;
+};
+
+
+/**
+ * @return {!Object} raw counters, to be handed back to the constructor (e.g. saved in a checkpoint).
+ */
+tmc.scraperjs.CrawlStats.prototype.getState = function() {
+    return /** @type {!Object} */ (goog.object.unsafeClone(this.state_));
+};
+
+
+/**
+ * Returns the statistics of the crawl (quoted keys):
+ * <code>'pages'</code>: number of pages crawled (fetched or failed for good)
+ * <code>'pagesByMime'</code>: number of pages fetched by mime type
+ * <code>'pagesByDepth'</code>: number of pages crawled by link depth
+ * <code>'responses'</code>: number of responses received (retries included)
+ * <code>'statuses'</code>: number of responses by http status (0 for network errors and timeouts)
+ * <code>'bytes'</code>: number of bytes downloaded
+ * <code>'latency'</code>: <code>'min'</code>, <code>'mean'</code>, <code>'p50'</code>, <code>'p90'</code>,
+ * <code>'p95'</code>, <code>'p99'</code> and <code>'max'</code> fetch latencies (expressed in milliseconds,
+ * <code>null</code> if nothing was fetched)
+ * <code>'links'</code>: number of links <code>'discovered'</code> in the documents, <code>'enqueued'</code>
+ * and <code>'rejected'</code>, along with the rejected links by reason (<code>'rejectedByReason'</code>)
+ * <code>'results'</code>: number of results emitted
+ * <code>'resultsByExtractor'</code>: number of results by extractor (registered function name,
+ * built-in extractor name or mime type of the data extractor, <code>'other'</code> for the records emitted
+ * outside of the extraction of a document)
+ * <code>'duplicates'</code>: number of duplicate results aggregated into those emitted
+ * <code>'throughputInterval'</code>: length of the throughput intervals (expressed in milliseconds)
+ * <code>'throughput'</code>: number of <code>'pages'</code>, <code>'bytes'</code> and <code>'results'</code>
+ * of each interval of the crawl, starting at <code>'time'</code> (elapsed crawl time)
+ *
+ * @return {!Object} statistics of the crawl.
+ */
+tmc.scraperjs.CrawlStats.prototype.getStats = function() {
+    var state = this.state_;
+    var interval = tmc.scraperjs.CrawlStats.THROUGHPUT_INTERVAL;
+    var rejected = goog.object.getValues(state['rejectedLinks']);
+    var results = goog.object.getValues(state['results']);
+    var sum = function(total, count) {
+        return total + count;
+    };
+
+    return {
+        'pages': state['pages'],
+        'pagesByMime': goog.object.clone(state['pagesByMime']),
+        'pagesByDepth': goog.object.clone(state['pagesByDepth']),
+        'responses': state['responses'],
+        'statuses': goog.object.clone(state['statuses']),
+        'bytes': state['bytes'],
+        'latency': tmc.scraperjs.CrawlStats.summarizeLatencies_(state['latencies']),
+        'links': {
+            'discovered': state['discoveredLinks'],
+            'enqueued': state['enqueuedLinks'],
+            'rejected': goog.array.reduce(rejected, sum, 0),
+            'rejectedByReason': goog.object.clone(state['rejectedLinks'])
+        },
+        'results': goog.array.reduce(results, sum, 0),
+        'resultsByExtractor': goog.object.clone(state['results']),
+        'duplicates': state['duplicates'],
+        'throughputInterval': interval,
+        'throughput': goog.array.map(state['throughput'], function(counts, i) {
+            return {
+                'time': i * interval,
+                'pages': counts ? counts['pages'] : 0,
+                'bytes': counts ? counts['bytes'] : 0,
+                'results': counts ? counts['results'] : 0
+            };
+        })
+    };
+};
+
+
+/**
+ * Renders a crawl report (see <code>tmc.ScraperJS.prototype.getReport</code>) as a standalone html document.
+ *
+ * @param {!Object} report crawl report.
+ *
+ * @return {!string} html document.
+ */
+tmc.scraperjs.CrawlStats.toHtml = function(report) {
+    var stats = report['stats'];
+    var links = stats['links'];
+    var title = 'ScraperJS report - ' + (report['seedUrl'] || '');
+    var table = tmc.scraperjs.CrawlStats.toHtmlTable_;
+    var latency = stats['latency'];
+
+    return [
+        '<!DOCTYPE html>',
+        '<html><head><meta charset="utf-8"><title>' + goog.string.htmlEscape(title) + '</title>',
+        '<style>body{font:13px sans-serif;margin:20px}table{border-collapse:collapse;margin-bottom:16px}',
+        'th,td{border:1px solid #ccc;padding:3px 8px;text-align:left}td{text-align:right}</style></head><body>',
+        '<h1>' + goog.string.htmlEscape(title) + '</h1>',
+        table('Crawl', {
+            'Seed url': report['seedUrl'],
+            'Started at': report['startTime'],
+            'Ended at': report['endTime'],
+            'Elapsed time (ms)': report['elapsedTime'],
+            'Completion': report['reason'],
+            'Pages': stats['pages'],
+            'Responses': stats['responses'],
+            'Bytes downloaded': stats['bytes'],
+            'Results': stats['results'],
+            'Duplicate results': stats['duplicates']
+        }),
+        table('Pages by mime type', stats['pagesByMime']),
+        table('Pages by depth', stats['pagesByDepth']),
+        table('Http statuses', stats['statuses']),
+        table('Fetch latency (ms)', latency || {}),
+        table('Links', {
+            'Discovered': links['discovered'],
+            'Enqueued': links['enqueued'],
+            'Rejected': links['rejected']
+        }),
+        table('Rejected links by reason', links['rejectedByReason']),
+        table('Results by extractor', stats['resultsByExtractor']),
+        table('Throughput (per ' + (stats['throughputInterval'] / 1000) + ' s)', goog.array.reduce(stats['throughput'],
+            function(rows, counts) {
+                rows[counts['time'] / 1000 + ' s'] = counts['pages'] + ' pages, ' + counts['bytes'] + ' bytes, '
+                    + counts['results'] + ' results';
+                return rows;
+            }, {})),
+        '</body></html>',
+        ''
+    ].join('\n');
+};
+
+
+/**
+ * @param {!Object.<string,number>} counters counters.
+ * @param {!string} key key of the counter to increment.
+ * @param {!number} count amount to add.
+ *
+ * @private
+ */
+tmc.scraperjs.CrawlStats.increment_ = function(counters, key, count) {
+    counters[key] = (counters[key] || 0) + count;
+};
+
+
+/**
+ * @param {!number} elapsedTime elapsed crawl time (expressed in milliseconds).
+ *
+ * @return {!Object} counters of the throughput interval the time falls in.
+ *
+ * @private
+ */
+tmc.scraperjs.CrawlStats.prototype.getInterval_ = function(elapsedTime) {
+    var throughput = this.state_['throughput'];
+    var index = Math.max(0, Math.floor(elapsedTime / tmc.scraperjs.CrawlStats.THROUGHPUT_INTERVAL));
+
+    for (var i = throughput.length; i <= index; i++) {  // Intervals without activity are kept (JSON has no holes)
+        throughput.push({'pages': 0, 'bytes': 0, 'results': 0});
+    }
+    return throughput[index];
+};
+
+
+/**
+ * @param {!Array.<number>} latencies fetch latencies (expressed in milliseconds).
+ *
+ * @return {Object} minimum, mean, percentiles (nearest rank) and maximum latencies or <code>null</code> if none.
+ *
+ * @private
+ */
+tmc.scraperjs.CrawlStats.summarizeLatencies_ = function(latencies) {
+    var sorted = goog.array.clone(latencies);
+    var l = sorted.length;
+    var summary;
+
+    if (l === 0) {
+        return null;
+    }
+
+    goog.array.sort(sorted);
+    summary = {
+        'min': sorted[0],
+        'mean': Math.round(goog.array.reduce(sorted, function(total, latency) {
+            return total + latency;
+        }, 0) / l)
+    };
+    goog.array.forEach(tmc.scraperjs.CrawlStats.LATENCY_PERCENTILES, function(percentile) {
+        summary['p' + percentile] = sorted[Math.max(0, Math.ceil(percentile / 100 * l) - 1)];
+    });
+    summary['max'] = sorted[l - 1];
+
+    return summary;
+};
+
+
+/**
+ * Renders a section of the html report: a title and a two columns table.
+ *
+ * @param {!string} title title of the section.
+ * @param {!Object} rows values by label.
+ *
+ * @return {!string} html fragment.
+ *
+ * @private
+ */
+tmc.scraperjs.CrawlStats.toHtmlTable_ = function(title, rows) {
+    var html = ['<h2>' + goog.string.htmlEscape(title) + '</h2>', '<table>'];
+
+    goog.object.forEach(rows, function(value, label) {
+        html.push('<tr><th>' + goog.string.htmlEscape(label) + '</th><td>'
+            + goog.string.htmlEscape(String(value === null ? '' : value)) + '</td></tr>');
+    });
+    if (goog.object.isEmpty(rows)) {
+        html.push('<tr><th>none</th><td></td></tr>');
+    }
+    html.push('</table>');
+
+    return html.join('');
+};